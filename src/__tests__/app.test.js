@@ -0,0 +1,363 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailToWhatsAppForwarder = require('../app');
+const AccountMonitor = require('../services/accountMonitor');
+const HoldQueue = require('../services/holdQueue');
+const { shortId } = require('../services/commandHandler');
+const MuteList = require('../services/muteList');
+const { LEDGER_STATES } = require('../services/ledgerService');
+const { applyConfig, config } = require('../utils/config');
+const { counter, resetMetrics } = require('../utils/metrics');
+
+jest.mock('../services/accountMonitor');
+jest.mock('../services/whatsappService');
+jest.mock('../services/ledgerService', () => {
+    const LedgerService = jest.fn().mockImplementation(() => ({
+        findByUid: jest.fn(),
+        update: jest.fn(),
+    }));
+    LedgerService.LEDGER_STATES = jest.requireActual('../services/ledgerService').LEDGER_STATES;
+    return LedgerService;
+});
+jest.mock('../services/retryQueue');
+
+describe('EmailToWhatsAppForwarder', () => {
+    let forwarder;
+
+    const addMonitor = (name) => {
+        const monitor = new AccountMonitor();
+        monitor.name = name;
+        monitor.account = { name };
+        monitor.mailSource = { markSeen: jest.fn().mockResolvedValue() };
+        forwarder.monitors.set(name, monitor);
+        return monitor;
+    };
+
+    beforeEach(() => {
+        forwarder = new EmailToWhatsAppForwarder();
+    });
+
+    afterEach(async () => {
+        await forwarder.stop();
+    });
+
+    describe('start', () => {
+        it('should start every account without waiting for the others', async () => {
+            jest.spyOn(forwarder, 'initialize').mockResolvedValue();
+            const slow = addMonitor('support');
+            const fast = addMonitor('billing');
+            let releaseSlow;
+            slow.start.mockReturnValue(new Promise((resolve) => {
+                releaseSlow = resolve;
+            }));
+            fast.start.mockResolvedValue();
+
+            const started = forwarder.start();
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(slow.start).toHaveBeenCalled();
+            expect(fast.start).toHaveBeenCalled();
+            releaseSlow();
+            await started;
+            expect(forwarder.isRunning).toBe(true);
+        });
+    });
+
+    describe('stop', () => {
+        it('should wait for the admin server to close', async () => {
+            let closeServer;
+            jest.spyOn(forwarder.adminServer, 'stop').mockReturnValue(new Promise((resolve) => {
+                closeServer = resolve;
+            }));
+            let stopped = false;
+
+            const stopping = forwarder.stop().then(() => {
+                stopped = true;
+            });
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(stopped).toBe(false);
+            closeServer();
+            await stopping;
+            expect(stopped).toBe(true);
+        });
+    });
+
+    describe('shouldFetch', () => {
+        it('should look up the email in the ledger of its own account', async () => {
+            forwarder.ledger.findByUid.mockReturnValue({ state: LEDGER_STATES.FORWARDED, seen: true });
+
+            await expect(forwarder.shouldFetch(7, 1, 'billing')).resolves.toBe(false);
+            expect(forwarder.ledger.findByUid).toHaveBeenCalledWith(7, 1, 'billing');
+        });
+    });
+
+    describe('markSeen', () => {
+        it('should mark the email as read in the account it came from', async () => {
+            const support = addMonitor('support');
+            const billing = addMonitor('billing');
+
+            await forwarder.markSeen({ account: 'billing', uid: 7, subject: 'Invoice' });
+
+            expect(billing.mailSource.markSeen).toHaveBeenCalledWith(7);
+            expect(support.mailSource.markSeen).not.toHaveBeenCalled();
+            expect(forwarder.ledger.update).toHaveBeenCalledWith(expect.objectContaining({ uid: 7 }), { seen: true });
+        });
+    });
+
+    describe('reloadConfiguration', () => {
+        const env = {
+            GMAIL_USER: 'me@gmail.com',
+            GMAIL_APP_PASSWORD: 'app-password',
+            SENDER_EMAIL_FILTER: 'boss@work.com',
+            GREEN_API_ID_INSTANCE: '1101',
+            GREEN_API_TOKEN: 'token',
+            WHATSAPP_TARGET_NUMBER: '6281234567890',
+        };
+        let snapshot;
+        let previousEnv;
+
+        beforeEach(() => {
+            snapshot = { ...config };
+            previousEnv = { ...process.env };
+            Object.assign(process.env, env);
+        });
+
+        afterEach(() => {
+            process.env = previousEnv;
+            applyConfig(snapshot);
+        });
+
+        it('should apply the reloaded accounts and routing rules to the running monitors', () => {
+            const monitor = addMonitor('default');
+            const routingTable = { rules: [], defaultTargets: ['6281111111111'] };
+            monitor.buildRoutingTable.mockReturnValue(routingTable);
+
+            expect(forwarder.reloadConfiguration('test')).toBe(true);
+            expect(monitor.applyAccount).toHaveBeenCalledWith(expect.objectContaining({ name: 'default' }), routingTable);
+        });
+
+        it('should change nothing when a routing table is invalid', () => {
+            const monitor = addMonitor('default');
+            monitor.buildRoutingTable.mockImplementation(() => {
+                throw new Error('Routing rule "billing" must define at least one target.');
+            });
+
+            expect(forwarder.reloadConfiguration('test')).toBe(false);
+            expect(monitor.applyAccount).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processRetryQueue', () => {
+        it('should share one retry run between accounts that request it at the same time', async () => {
+            const item = { email: { subject: 'Invoice' } };
+            forwarder.retryQueue.due.mockReturnValue([item]);
+            forwarder.forwardEmail = jest.fn().mockResolvedValue();
+
+            const first = forwarder.processRetryQueue();
+            const second = forwarder.processRetryQueue();
+            await Promise.all([first, second]);
+
+            expect(second).toBe(first);
+            expect(forwarder.forwardEmail).toHaveBeenCalledTimes(1);
+            expect(forwarder.retryRun).toBeNull();
+        });
+
+        it('should retry a failed email by its short ID and report the result', async () => {
+            const item = { key: '<invoice-7@bank.com>', email: { subject: 'Invoice 7' }, lastError: 'HTTP 400' };
+            Object.assign(forwarder.retryQueue, { pending: [], deadLetters: [item] });
+            forwarder.retryQueue.due.mockReturnValue([item]);
+            forwarder.forwardEmail = jest.fn(async () => {
+                forwarder.retryQueue.deadLetters = [{ ...item, lastError: 'HTTP 500' }];
+            });
+
+            await expect(forwarder.retryFailed(shortId(item.key))).resolves.toEqual({ item, error: 'HTTP 500' });
+            expect(forwarder.retryQueue.retryNow).toHaveBeenCalledWith(item.key);
+            await expect(forwarder.retryFailed('abcdef')).resolves.toBeNull();
+        });
+    });
+
+    describe('quiet hours', () => {
+        const originalQuietHours = config.quietHours;
+        const email = { account: 'default', uid: 7, subject: 'Newsletter' };
+        let tempDir;
+
+        beforeEach(() => {
+            // 23:00 in Jakarta, during the default quiet hours; "0822" has none.
+            jest.useFakeTimers({ now: new Date('2024-05-06T16:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            config.quietHours = { window: '22:00-07:00', timeZone: 'Asia/Jakarta', targets: { '0822': false } };
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hold-queue-'));
+            forwarder.holdQueue = new HoldQueue(path.join(tempDir, 'held-emails.json'));
+            addMonitor('default').routingTable = { rules: [], defaultTargets: ['0811', '0822'] };
+            Object.assign(forwarder.ledger, { get: jest.fn(), keyFor: jest.fn((held) => `key-${held.uid}`), recordStep: jest.fn() });
+            forwarder.ledger.update.mockImplementation(async (held) => ({ key: `key-${held.uid}`, attempts: 1, deliveredSteps: [] }));
+            forwarder.whatsappService.forwardEmail.mockResolvedValue();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            config.quietHours = originalQuietHours;
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('should hold an email for chats in their quiet hours and forward it to the others', async () => {
+            await forwarder.forwardEmail(email);
+
+            expect(forwarder.whatsappService.forwardEmail).toHaveBeenCalledWith(email, ['0822'], expect.any(Object));
+            expect(forwarder.holdQueue.items).toEqual([expect.objectContaining({
+                key: 'key-7', targets: ['0811'], releaseAt: '2024-05-07T00:00:00.000Z',
+            })]);
+            expect(forwarder.ledger.update).toHaveBeenLastCalledWith(email, { state: LEDGER_STATES.HELD, error: null });
+            expect(forwarder.monitors.get('default').mailSource.markSeen).not.toHaveBeenCalled();
+        });
+
+        it('should forward urgent emails right away', async () => {
+            await forwarder.forwardEmail({ ...email, urgent: true });
+
+            expect(forwarder.whatsappService.forwardEmail).toHaveBeenCalledWith(expect.anything(), ['0811', '0822'], expect.any(Object));
+            expect(forwarder.holdQueue.items).toEqual([]);
+        });
+
+        it('should release held emails in order once the quiet hours end', async () => {
+            await forwarder.forwardEmail(email);
+            await forwarder.forwardEmail({ ...email, uid: 8 });
+            forwarder.whatsappService.forwardEmail.mockClear();
+
+            jest.setSystemTime(new Date('2024-05-07T00:00:00Z'));
+            await forwarder.processHoldQueue();
+
+            // Chats that received the email before are skipped by the delivered steps in the ledger.
+            expect(forwarder.whatsappService.forwardEmail.mock.calls.map(([held, targets]) => [held.uid, targets])).toEqual([
+                [7, ['0811', '0822']],
+                [8, ['0811', '0822']],
+            ]);
+            expect(forwarder.holdQueue.items).toEqual([]);
+        });
+
+        it('should hold a new email for a chat while older held emails wait for it', async () => {
+            await forwarder.forwardEmail(email);
+            jest.setSystemTime(new Date('2024-05-07T00:00:30Z'));
+
+            await forwarder.forwardEmail({ ...email, uid: 8 });
+
+            expect(forwarder.holdQueue.items.map((item) => item.key)).toEqual(['key-7', 'key-8']);
+            expect(forwarder.holdQueue.items[1].releaseAt).toBe('2024-05-07T00:00:30.000Z');
+        });
+    });
+
+    describe('metrics', () => {
+        const email = { account: 'default', uid: 7, subject: 'Invoice', fromAddress: 'billing@bank.com', attachments: [] };
+        const labels = { sender: 'billing@bank.com', route: 'default' };
+
+        beforeEach(() => {
+            resetMetrics();
+            addMonitor('default').routingTable = { rules: [], defaultTargets: ['0811'] };
+            Object.assign(forwarder.ledger, { get: jest.fn(), keyFor: jest.fn(() => 'key-7'), recordStep: jest.fn() });
+            forwarder.ledger.update.mockResolvedValue({ key: 'key-7', attempts: 1, deliveredSteps: [] });
+        });
+
+        it('should count forwarded and failed emails by sender and route', async () => {
+            forwarder.whatsappService.forwardEmail.mockResolvedValueOnce().mockRejectedValueOnce(new Error('HTTP 400'));
+
+            await forwarder.forwardEmail(email);
+            await forwarder.forwardEmail(email);
+
+            expect(counter('forwarder_emails_forwarded_total').get(labels)).toBe(1);
+            expect(counter('forwarder_emails_failed_total').get(labels)).toBe(1);
+        });
+    });
+
+    describe('processDigests', () => {
+        const digest = { name: 'Newsletters', items: [] };
+        const byTarget = new Map([['0811', [{ key: 'a' }]], ['0822', [{ key: 'b' }]]]);
+
+        beforeEach(() => {
+            jest.spyOn(forwarder.digestQueue, 'due').mockReturnValue([digest]);
+            jest.spyOn(forwarder.digestQueue, 'itemsByTarget').mockReturnValue(byTarget);
+            jest.spyOn(forwarder.digestQueue, 'markSent').mockResolvedValue();
+            jest.spyOn(forwarder.digestQueue, 'complete').mockResolvedValue();
+        });
+
+        it('should send a due digest to each chat and then remove it', async () => {
+            forwarder.whatsappService.sendDigest.mockResolvedValue();
+
+            await forwarder.processDigests();
+
+            expect(forwarder.whatsappService.sendDigest).toHaveBeenCalledWith('0811', digest, [{ key: 'a' }]);
+            expect(forwarder.whatsappService.sendDigest).toHaveBeenCalledWith('0822', digest, [{ key: 'b' }]);
+            expect(forwarder.digestQueue.complete).toHaveBeenCalledWith('Newsletters');
+            expect(forwarder.digestRun).toBeNull();
+        });
+
+        it('should keep a digest interrupted by a transient error for the next check', async () => {
+            const serverError = Object.assign(new Error('Bad Gateway'), { response: { status: 502 } });
+            forwarder.whatsappService.sendDigest.mockResolvedValueOnce().mockRejectedValueOnce(serverError);
+
+            await forwarder.processDigests();
+
+            expect(forwarder.digestQueue.markSent).toHaveBeenCalledTimes(1);
+            expect(forwarder.digestQueue.markSent).toHaveBeenCalledWith('Newsletters', '0811', [{ key: 'a' }]);
+            expect(forwarder.digestQueue.complete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('muted senders', () => {
+        const email = { account: 'default', uid: 7, subject: 'Sale!', fromAddress: 'news@shop.com', attachments: [] };
+        let tempDir;
+
+        beforeEach(async () => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mute-list-'));
+            forwarder.muteList = new MuteList(path.join(tempDir, 'mutes.json'));
+            await forwarder.muteList.mute('*@shop.com', new Date(Date.now() + 60 * 60 * 1000));
+            Object.assign(forwarder.ledger, { get: jest.fn(), keyFor: jest.fn(() => 'key-7') });
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('should leave emails of muted senders unread without forwarding them', async () => {
+            addMonitor('default');
+
+            await forwarder.forwardEmail(email);
+
+            expect(forwarder.whatsappService.forwardEmail).not.toHaveBeenCalled();
+            expect(forwarder.ledger.update).toHaveBeenCalledWith(email, { state: LEDGER_STATES.MUTED, error: null });
+            expect(forwarder.monitors.get('default').mailSource.markSeen).not.toHaveBeenCalled();
+        });
+
+        it('should not fetch a muted email again', async () => {
+            forwarder.ledger.findByUid.mockReturnValue({ key: 'key-7', state: LEDGER_STATES.MUTED, seen: false });
+
+            await expect(forwarder.shouldFetch(7, 1)).resolves.toBe(false);
+        });
+    });
+
+    describe('pause and resume', () => {
+        it('should stop the accounts once their running cycles finished, and start them again', async () => {
+            const monitor = addMonitor('default');
+            let finishCycle;
+            monitor.currentCycle = new Promise((resolve) => {
+                finishCycle = resolve;
+            });
+            monitor.start.mockResolvedValue();
+            Object.assign(forwarder, { isRunning: true, startedAt: new Date() });
+
+            const paused = forwarder.pause();
+            await Promise.resolve();
+            expect(forwarder.isRunning).toBe(false);
+            expect(monitor.stop).not.toHaveBeenCalled();
+            finishCycle();
+            await expect(paused).resolves.toBe(true);
+            expect(monitor.stop).toHaveBeenCalled();
+            await expect(forwarder.pause()).resolves.toBe(false);
+
+            await expect(forwarder.resume()).resolves.toBe(true);
+            expect(forwarder.isRunning).toBe(true);
+            expect(monitor.start).toHaveBeenCalled();
+        });
+    });
+});
@@ -1,34 +1,141 @@
 /**
  * @file The main entry point for the Email to WhatsApp Forwarder application.
  * @module app
+ * @requires fs
+ * @requires path
  * @requires ./utils/config
  * @requires ./utils/logger
- * @requires ./services/gmailService
+ * @requires ./services/accountMonitor
  * @requires ./services/whatsappService
+ * @requires ./services/ledgerService
+ * @requires ./services/retryQueue
+ * @requires ./services/digestQueue
+ * @requires ./services/holdQueue
+ * @requires ./services/muteList
+ * @requires ./services/replyBridge
+ * @requires ./services/whatsappReceiver
+ * @requires ./services/commandHandler
+ * @requires ./services/adminServer
+ * @requires ./utils/accounts
+ * @requires ./utils/helpers
+ * @requires ./utils/metrics
+ * @requires ./utils/quietHours
+ * @requires ./utils/router
  */
 
-const { config, validateConfig } = require("./utils/config");
+const fs = require("fs");
+const path = require("path");
+const { applyConfig, config, configFilePath, reloadConfig, validateConfig } = require("./utils/config");
 const logger = require("./utils/logger");
-const GmailService = require("./services/gmailService");
+const AccountMonitor = require("./services/accountMonitor");
 const WhatsAppService = require("./services/whatsappService");
+const LedgerService = require("./services/ledgerService");
+const { LEDGER_STATES } = require("./services/ledgerService");
+const RetryQueue = require("./services/retryQueue");
+const DigestQueue = require("./services/digestQueue");
+const HoldQueue = require("./services/holdQueue");
+const MuteList = require("./services/muteList");
+const ReplyBridge = require("./services/replyBridge");
+const WhatsAppReceiver = require("./services/whatsappReceiver");
+const CommandHandler = require("./services/commandHandler");
+const { shortId } = require("./services/commandHandler");
+const AdminServer = require("./services/adminServer");
+const { DEFAULT_ACCOUNT_NAME, defaultAccount, loadAccounts } = require("./utils/accounts");
+const { getRetryAfterMs, isTransientError } = require("./utils/helpers");
+const { counter } = require("./utils/metrics");
+const { quietHoursFor, quietUntil } = require("./utils/quietHours");
+const { resolveRoute } = require("./utils/router");
+
+/** @type {import("./utils/metrics").Counter} Emails forwarded to all their chats, by sender and route. */
+const emailsForwarded = counter("forwarder_emails_forwarded_total", "Emails forwarded to all their chats, by sender and route.");
+/** @type {import("./utils/metrics").Counter} Failed forwarding attempts, by sender and route. */
+const emailsFailed = counter("forwarder_emails_failed_total", "Failed forwarding attempts, by sender and route.");
+
+/**
+ * Settings that are only read at startup; a reload warns that the forwarder must be restarted to apply them.
+ * Mail source settings are checked per account by {@link AccountMonitor#applyAccount}.
+ * @type {string[]}
+ */
+const RESTART_REQUIRED_SETTINGS = [
+    "greenApi",
+    "app.watchMode",
+    "app.idleRefreshSeconds",
+    "app.dataDir",
+    "bridge.enabled",
+    "bridge.receiveMode",
+    "bridge.webhookHost",
+    "bridge.webhookPort",
+    "admin.enabled",
+    "admin.host",
+    "admin.port",
+];
+
+/**
+ * How often the config, accounts and routing files are checked for changes, in milliseconds.
+ * @type {number}
+ */
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+/**
+ * How often held emails and digests are checked for being due, in milliseconds.
+ * @type {number}
+ */
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
 
 /**
  * @class EmailToWhatsAppForwarder
- * @description Orchestrates the entire email forwarding process.
+ * @description Orchestrates the entire email forwarding process. Each mail account is watched by its own
+ * {@link AccountMonitor}; the forwarder decides which emails to fetch and forwards them to WhatsApp.
  */
 class EmailToWhatsAppForwarder {
     /**
      * Initializes the application services.
      */
     constructor() {
-        /** @type {GmailService} The service for interacting with Gmail. */
-        this.gmailService = new GmailService();
+        /** @type {Map<string, AccountMonitor>} The monitor of each mail account, by account name. */
+        this.monitors = new Map();
         /** @type {WhatsAppService} The service for sending WhatsApp messages. */
         this.whatsappService = new WhatsAppService();
-        /** @type {boolean} A flag to control the main processing loop. */
+        /** @type {LedgerService} The persistent record of each email's forwarding state. */
+        this.ledger = new LedgerService();
+        /** @type {RetryQueue} The persistent queue of failed deliveries waiting for a retry. */
+        this.retryQueue = new RetryQueue();
+        /** @type {DigestQueue} The persistent store of emails collected for digests. */
+        this.digestQueue = new DigestQueue();
+        /** @type {HoldQueue} The persistent queue of emails held during the quiet hours of their chats. */
+        this.holdQueue = new HoldQueue();
+        /** @type {MuteList} The senders muted with the `/mute` chat command. */
+        this.muteList = new MuteList();
+        /** @type {ReplyBridge} Sends WhatsApp replies to forwarded emails as email replies. */
+        this.replyBridge = new ReplyBridge(this.whatsappService, this.whatsappService.messageMap);
+        /** @type {CommandHandler} Runs the chat commands sent from whitelisted chats. */
+        this.commandHandler = new CommandHandler(this);
+        /** @type {WhatsAppReceiver} Receives incoming WhatsApp messages when the bridge or chat commands are enabled. */
+        this.receiver = new WhatsAppReceiver(
+            this.whatsappService,
+            (message) => this.handleIncomingMessage(message),
+            this.whatsappService.messageMap,
+        );
+        /** @type {AdminServer} Serves the health checks, metrics and admin API when enabled. */
+        this.adminServer = new AdminServer(this);
+        /** @type {boolean} A flag to control the main processing loop; `false` while forwarding is paused. */
         this.isRunning = false;
-        /** @type {NodeJS.Timeout|null} The timer for the periodic email check. */
-        this.checkInterval = null;
+        /** @type {Date|null} When the forwarder was started. */
+        this.startedAt = null;
+        /** @type {NodeJS.Timeout|null} The timer for the daily attachment cleanup. */
+        this.cleanupInterval = null;
+        /** @type {Promise<void>|null} The retry run in progress, shared by the accounts that request one meanwhile. */
+        this.retryRun = null;
+        /** @type {NodeJS.Timeout|null} The timer that releases held emails and sends digests when they are due. */
+        this.scheduleInterval = null;
+        /** @type {Promise<void>|null} The release of held emails in progress, so that no email is released twice. */
+        this.releaseRun = null;
+        /** @type {Promise<void>|null} The digest run in progress, so that a slow run is not started twice. */
+        this.digestRun = null;
+        /** @type {string[]} The configuration files watched for changes. */
+        this.watchedFiles = [];
+        /** @type {NodeJS.Timeout|null} The timer of a pending reload, used to merge changes to several files. */
+        this.reloadTimer = null;
     }
 
     /**
@@ -39,14 +146,30 @@ class EmailToWhatsAppForwarder {
         try {
             logger.info("App: Initializing Email to WhatsApp Forwarder...");
 
-            // 1. Validate essential environment variables.
-            validateConfig();
+            // 1. Load the accounts file, if any, and validate essential environment variables.
+            const accounts = loadAccounts(config.accounts.file);
+            validateConfig({ requireMailSource: !accounts });
             logger.info("App: Configuration validated successfully.");
 
-            // 2. Initialize the Gmail service (e.g., create attachments directory).
-            await this.gmailService.initialize();
+            // 2. Create a monitor per account; each loads its routing table and prepares its mail source.
+            for (const account of accounts || [defaultAccount()]) {
+                const monitor = new AccountMonitor(account, this);
+                await monitor.initialize();
+                this.monitors.set(account.name, monitor);
+            }
+            logger.info(`App: Monitoring ${this.monitors.size} account(s): ${[...this.monitors.keys()].join(", ")}.`);
+
+            // 3. Load the ledger, the retry and hold queues, the digests, the muted senders, the recently sent content
+            // and the forwarded messages.
+            await this.ledger.initialize();
+            await this.retryQueue.initialize();
+            await this.holdQueue.initialize();
+            await this.digestQueue.initialize();
+            await this.muteList.initialize();
+            await this.whatsappService.dedupStore.initialize();
+            await this.whatsappService.messageMap.initialize();
 
-            // 3. Test the WhatsApp connection to ensure the API is ready.
+            // 4. Test the WhatsApp connection to ensure the API is ready.
             const isWhatsAppConnected = await this.whatsappService.testConnection();
             if (!isWhatsAppConnected) {
                 throw new Error(
@@ -62,53 +185,382 @@ class EmailToWhatsAppForwarder {
     }
 
     /**
-     * The core logic loop: checks for new emails and forwards them.
+     * Decides whether a found email needs to be fetched, based on the ledger.
+     * Emails that were forwarded but not yet marked as read (e.g., after a crash) are only marked as read.
+     * @param {number|string} uid - The UID of the email within the mail source.
+     * @param {number|string} uidValidity - The UID validity reported by the mail source.
+     * @param {string} [account] - The name of the account the email was found in.
+     * @returns {Promise<boolean>} `true` if the email should be fetched and forwarded.
+     */
+    async shouldFetch(uid, uidValidity, account = DEFAULT_ACCOUNT_NAME) {
+        const entry = this.ledger.findByUid(uid, uidValidity, account);
+        if (entry && (this.retryQueue.has(entry.key) || this.holdQueue.has(entry.key))) {
+            // Failed and held emails are forwarded (or dead-lettered) by their queue, not by the mailbox search.
+            return false;
+        }
+        if (entry?.state === LEDGER_STATES.MUTED) {
+            // Emails of muted senders stay unread, but are not forwarded once the mute ends.
+            return false;
+        }
+        if (entry?.state !== LEDGER_STATES.FORWARDED) {
+            return true;
+        }
+        if (entry.seen) {
+            // Already marked as read; sources that never hide read emails (e.g., mbox) keep reporting it.
+            return false;
+        }
+        logger.info(`App: Email "${entry.subject}" was already forwarded; marking it as read.`);
+        await this.markSeen(entry);
+        return false;
+    }
+
+    /**
+     * Forwards a single email, recording its progress in the ledger.
+     * The email is only marked as read once every message was delivered, and messages delivered in an
+     * earlier, interrupted attempt are not sent again.
+     * @param {object} email - The processed email data from the mail source.
      * @returns {Promise<void>}
      */
-    async processEmails() {
+    async forwardEmail(email) {
+        const previous = this.ledger.get(this.ledger.keyFor(email));
+        if (previous?.state === LEDGER_STATES.FORWARDED) {
+            // The same message was already delivered (e.g., it arrived twice under another UID).
+            logger.info(`App: Email "${email.subject}" was already forwarded; marking it as read.`);
+            await this.markSeen(email);
+            return;
+        }
+        if (await this.skipMutedSender(email)) return;
+
+        await this.ledger.update(email, { state: LEDGER_STATES.FETCHED });
+        const entry = await this.ledger.update(email, {
+            state: LEDGER_STATES.FORWARDING,
+            attempts: (previous?.attempts || 0) + 1,
+        });
+
+        const labels = { sender: email.fromAddress || "unknown", route: "default" };
         try {
-            logger.info("App: Starting email processing cycle.");
+            const route = resolveRoute(email, this.routingTableFor(email));
+            labels.route = route.rules.join(",") || "default";
+            if (route.digest) {
+                await this.collectForDigest(email, entry, route);
+                emailsForwarded.inc(labels);
+                return;
+            }
+            const { targets, held, releaseAt } = this.splitHeldTargets(email, entry.key, route);
+            if (targets.length > 0) {
+                logger.info(
+                    `App: Routing email "${email.subject}" to ${targets.join(", ")} (${route.rules.join(", ") || "default route"}).`,
+                );
+                await this.whatsappService.forwardEmail(email, targets, {
+                    template: route.template,
+                    clean: route.clean,
+                    render: route.render,
+                    completedSteps: entry.deliveredSteps,
+                    onStepDelivered: async (stepKey) => {
+                        await this.ledger.recordStep(email, stepKey);
+                    },
+                });
+            }
+            if (held.length > 0) {
+                // The email stays unread and its attachments are kept until the remaining chats received it.
+                await this.holdQueue.hold(entry.key, email, held, releaseAt);
+                await this.ledger.update(email, { state: LEDGER_STATES.HELD, error: null });
+                await this.retryQueue.remove(entry.key);
+                return;
+            }
+            await this.ledger.update(email, { state: LEDGER_STATES.FORWARDED, error: null });
+            emailsForwarded.inc(labels);
+            await this.retryQueue.remove(entry.key);
+            await this.holdQueue.remove(entry.key);
+            await this.markSeen(email);
+
+            // Clean up temporary attachments after successful forwarding.
+            await this.deleteAttachments([...email.attachments, ...(email.inlineImages || [])]);
+        } catch (forwardingError) {
+            logger.error(`App: Failed to forward email with subject "${email.subject}".`, { error: forwardingError });
+            emailsFailed.inc(labels);
+            await this.ledger.update(email, { state: LEDGER_STATES.FAILED, error: forwardingError.message });
+            // From here on the retry queue owns the email, even if it was held before.
+            await this.holdQueue.remove(entry.key);
+            await this.handleForwardingFailure(entry, email, forwardingError);
+        }
+    }
+
+    /**
+     * Drops a new email whose sender is muted. Emails that already wait in the retry or hold queue were
+     * accepted before the mute and are still delivered.
+     * @param {object} email - The processed email data.
+     * @returns {Promise<boolean>} `true` if the email was dropped.
+     */
+    async skipMutedSender(email) {
+        const key = this.ledger.keyFor(email);
+        if (this.retryQueue.has(key) || this.holdQueue.has(key)) return false;
+        const mute = this.muteList.find(email.fromAddress);
+        if (!mute) return false;
+
+        logger.info(`App: Not forwarding email "${email.subject}"; ${email.fromAddress} is muted until ${mute.until}.`);
+        await this.ledger.update(email, { state: LEDGER_STATES.MUTED, error: null });
+        await this.deleteAttachments([...email.attachments, ...(email.inlineImages || [])]);
+        return true;
+    }
+
+    /**
+     * Splits the chats of an email into those it is forwarded to now and those it is held for. A non-urgent
+     * email is held for a chat in its quiet hours, and for a chat that still waits for older held emails, so
+     * that the chat receives them in order. Urgent emails are never held.
+     * @param {object} email - The processed email data.
+     * @param {string} key - The ledger key of the email.
+     * @param {{targets: string[], urgent: boolean}} route - The route of the email.
+     * @param {Date} [now=new Date()] - The current time.
+     * @returns {{targets: string[], held: string[], releaseAt: Date|null}} The chats to forward to now, the chats
+     *   to hold the email for, and when the first of their quiet hours ends.
+     */
+    splitHeldTargets(email, key, route, now = new Date()) {
+        if (route.urgent || email.urgent) {
+            return { targets: route.targets, held: [], releaseAt: null };
+        }
+        const targets = [];
+        const held = [];
+        let releaseAt = null;
+        for (const target of route.targets) {
+            const until = this.quietHoursEnd(target, now) || (this.holdQueue.hasOlderFor(target, key) ? now : null);
+            if (!until) {
+                targets.push(target);
+                continue;
+            }
+            held.push(target);
+            releaseAt = releaseAt && releaseAt < until ? releaseAt : until;
+        }
+        return { targets, held, releaseAt };
+    }
+
+    /**
+     * Finds when the quiet hours of a chat end, if they are in progress.
+     * @param {string} target - The phone number or chat ID.
+     * @param {Date} [now=new Date()] - The current time.
+     * @returns {Date|null} The end of the quiet hours, or `null` if the chat is not in its quiet hours.
+     */
+    quietHoursEnd(target, now = new Date()) {
+        return quietUntil(quietHoursFor(target, config.quietHours, config.message.timeZone), now);
+    }
+
+    /**
+     * Adds an email to the digest of its routing rule instead of forwarding it now. The email counts as
+     * forwarded: it is marked as read, and the digest queue delivers it when the digest is due.
+     * @param {object} email - The processed email data.
+     * @param {import("./services/ledgerService").LedgerEntry} entry - The ledger entry of the email.
+     * @param {{targets: string[], digest: import("./utils/router").DigestSettings}} route - The route of the email.
+     * @returns {Promise<void>}
+     */
+    async collectForDigest(email, entry, route) {
+        await this.digestQueue.add(route.digest, route.targets, entry.key, email);
+        await this.ledger.update(email, { state: LEDGER_STATES.FORWARDED, error: null });
+        await this.retryQueue.remove(entry.key);
+        await this.markSeen(email);
+
+        // Inline images are never part of a digest; the attachments are kept until the digest was sent if it sends them.
+        const kept = route.digest.attachments === "none" ? [] : email.attachments;
+        await this.deleteAttachments([...email.attachments, ...(email.inlineImages || [])].filter((file) => !kept.includes(file)));
+    }
 
-            // 1. Fetch new emails from the Gmail service.
-            const emails = await this.gmailService.checkEmails();
+    /**
+     * Deletes saved attachments that are no longer needed. Failures are only logged.
+     * @param {object[]} attachments - The saved attachments, with their `filepath`.
+     * @returns {Promise<void>}
+     */
+    async deleteAttachments(attachments) {
+        for (const attachment of attachments) {
+            try {
+                await fs.promises.unlink(attachment.filepath);
+                logger.debug(`App: Deleted temporary attachment: ${attachment.filepath}`);
+            } catch (cleanupError) {
+                logger.warn(`App: Failed to delete temporary attachment: ${attachment.filepath}`, { error: cleanupError });
+            }
+        }
+    }
 
-            if (emails.length === 0) {
-                logger.info("App: No new emails to process in this cycle.");
+    /**
+     * Decides what happens to an email whose delivery failed.
+     * Transient errors are retried with exponential backoff until `retry.maxAttempts` is reached; the email
+     * is then, like an email with a permanent error, moved to the dead-letter list and a notification is sent.
+     * The email stays unread in the mailbox in both cases.
+     * @param {import("./services/ledgerService").LedgerEntry} entry - The ledger entry of the email.
+     * @param {object} email - The processed email data.
+     * @param {Error} error - The error of the failed attempt.
+     * @returns {Promise<void>}
+     */
+    async handleForwardingFailure(entry, email, error) {
+        try {
+            if (isTransientError(error) && entry.attempts < config.retry.maxAttempts) {
+                await this.retryQueue.schedule(entry.key, email, entry.attempts, error, getRetryAfterMs(error));
                 return;
             }
+            await this.retryQueue.deadLetter(entry.key, email, entry.attempts, error);
+        } catch (queueError) {
+            // Without the queue the email is simply picked up again by the next mailbox search.
+            logger.error("App: Failed to update the retry queue.", { error: queueError });
+        }
+        await this.notifyOfFailure(email, error);
+    }
+
+    /**
+     * Returns the routing table of the account an email belongs to.
+     * Emails of an account that was removed from the accounts file (e.g., waiting in the retry queue)
+     * use the first account's table.
+     * @param {object} email - The processed email data, or its ledger entry.
+     * @returns {import("./utils/router").RoutingTable} The routing table.
+     */
+    routingTableFor(email) {
+        const monitor = this.monitors.get(email.account || DEFAULT_ACCOUNT_NAME) || this.monitors.values().next().value;
+        return monitor.routingTable;
+    }
+
+    /**
+     * Retries the deliveries in the retry queue whose next attempt is due.
+     * Accounts run their cycles concurrently; a request made while a retry run is in progress joins it,
+     * so no delivery is retried twice at the same time.
+     * @returns {Promise<void>}
+     */
+    processRetryQueue() {
+        if (!this.retryRun) {
+            this.retryRun = this.retryDueItems().finally(() => {
+                this.retryRun = null;
+            });
+        }
+        return this.retryRun;
+    }
+
+    /**
+     * Forwards every item of the retry queue whose next attempt is due.
+     * @returns {Promise<void>}
+     */
+    async retryDueItems() {
+        const dueItems = this.retryQueue.due();
+        if (dueItems.length === 0) return;
+
+        logger.info(`App: Retrying ${dueItems.length} failed delivery(ies).`);
+        for (const item of dueItems) {
+            await this.forwardEmail(item.email);
+        }
+    }
+
+    /**
+     * Tries a failed email again right away, as requested with `/retry` or the admin API. A dead-lettered
+     * email gets one more attempt.
+     * @param {string} id - The short ID (see {@link module:services/commandHandler.shortId}) or ledger key of the email.
+     * @returns {Promise<{item: import("./services/retryQueue").RetryItem, error: string|null}|null>} The email and
+     *   the error of the attempt (`null` if it was forwarded), or `null` if no failed email has the ID.
+     */
+    async retryFailed(id) {
+        const failedItems = () => [...this.retryQueue.pending, ...this.retryQueue.deadLetters];
+        const item = failedItems().find((other) => shortId(other.key) === id.toLowerCase() || other.key === id);
+        if (!item) return null;
+
+        await this.retryQueue.retryNow(item.key);
+        await this.processRetryQueue();
+        const failed = failedItems().find((other) => other.key === item.key);
+        return { item, error: failed ? failed.lastError : null };
+    }
+
+    /**
+     * Forwards the held emails whose chats' quiet hours have ended, in the order they were held. An email
+     * whose other chats are still quiet is held again for them.
+     * @returns {Promise<void>}
+     */
+    processHoldQueue() {
+        if (!this.releaseRun) {
+            this.releaseRun = this.releaseDueItems().finally(() => {
+                this.releaseRun = null;
+            });
+        }
+        return this.releaseRun;
+    }
+
+    /**
+     * Forwards every held email whose release time has come.
+     * @returns {Promise<void>}
+     */
+    async releaseDueItems() {
+        const dueItems = this.holdQueue.due();
+        if (dueItems.length === 0) return;
 
-            logger.info(`App: Found ${emails.length} new email(s) to forward.`);
+        logger.info(`App: Releasing ${dueItems.length} held email(s).`);
+        for (const item of dueItems) {
+            await this.forwardEmail(item.email);
+        }
+    }
 
-            // 2. Iterate through and forward each email.
-            for (const email of emails) {
+    /**
+     * Sends the digests that are due. A run that is still in progress (e.g., waiting for a rate limit) is
+     * joined instead of starting a second one.
+     * @param {number} [now=Date.now()] - The time digests must be due by; `Infinity` sends every digest.
+     * @returns {Promise<void>}
+     */
+    processDigests(now = Date.now()) {
+        if (!this.digestRun) {
+            this.digestRun = this.sendDueDigests(now).finally(() => {
+                this.digestRun = null;
+            });
+        }
+        return this.digestRun;
+    }
+
+    /**
+     * Sends every due digest to each of its chats. Chats that received a digest are recorded, so when a
+     * transient error or a chat's quiet hours interrupt a run, the next check only sends it to the remaining
+     * chats. A digest that cannot be delivered to a chat for another reason is reported and not retried.
+     * @param {number} [now=Date.now()] - The time digests must be due by.
+     * @returns {Promise<void>}
+     */
+    async sendDueDigests(now = Date.now()) {
+        for (const digest of this.digestQueue.due(now)) {
+            logger.info(`App: Sending the "${digest.name}" digest with ${digest.items.length} email(s).`);
+            let finished = true;
+            for (const [target, items] of this.digestQueue.itemsByTarget(digest)) {
+                if (this.quietHoursEnd(target)) {
+                    // The digest waits for the chat's quiet hours to end, collecting any newer emails meanwhile.
+                    finished = false;
+                    continue;
+                }
                 try {
-                    await this.whatsappService.forwardEmail(email);
-
-                    // 3. Clean up temporary attachments after successful forwarding.
-                    for (const attachment of email.attachments) {
-                        try {
-                            const fs = require("fs").promises;
-                            await fs.unlink(attachment.filepath);
-                            logger.debug(`App: Deleted temporary attachment: ${attachment.filepath}`);
-                        } catch (cleanupError) {
-                            logger.warn(`App: Failed to delete temporary attachment: ${attachment.filepath}`, { error: cleanupError });
-                        }
+                    await this.whatsappService.sendDigest(target, digest, items);
+                } catch (error) {
+                    if (isTransientError(error)) {
+                        logger.warn(`App: Failed to send the "${digest.name}" digest to ${target}; will retry in the next check.`, { error });
+                        finished = false;
+                        break;
                     }
-                } catch (forwardingError) {
-                    logger.error(`App: Failed to forward email with subject "${email.subject}".`, { error: forwardingError });
-                    // Attempt to send a notification about the failure.
-                    await this.notifyOfFailure(email, forwardingError);
+                    logger.error(`App: Failed to send the "${digest.name}" digest to ${target}.`, { error });
+                    await this.notifyOfFailure({ subject: `Digest "${digest.name}" (${items.length} email(s))` }, error);
                 }
+                await this.digestQueue.markSent(digest.name, target, items);
             }
-        } catch (cycleError) {
-            logger.error("App: A critical error occurred during the email processing cycle.", { error: cycleError });
-            // Handle IMAP connection errors by attempting to reconnect.
-            if (cycleError.message.includes("IMAP") || cycleError.message.includes("connection")) {
-                await this.handleReconnection();
+            if (finished) {
+                await this.digestQueue.complete(digest.name);
             }
         }
     }
 
+    /**
+     * Marks a forwarded email as read in the mailbox and records it in the ledger.
+     * A failure is only logged: the ledger still knows the email was forwarded, so the next cycle retries.
+     * @param {object} email - The processed email data, or its ledger entry.
+     * @returns {Promise<void>}
+     */
+    async markSeen(email) {
+        const monitor = this.monitors.get(email.account || DEFAULT_ACCOUNT_NAME);
+        if (!monitor) {
+            logger.warn(`App: Cannot mark email "${email.subject}" as read; account "${email.account}" is no longer configured.`);
+            return;
+        }
+        try {
+            await monitor.mailSource.markSeen(email.uid);
+            await this.ledger.update(email, { seen: true });
+        } catch (error) {
+            logger.warn(`App: Could not mark email "${email.subject}" as read; will retry in the next cycle.`, { error });
+        }
+    }
+
     /**
      * Sends a WhatsApp notification about a failed forwarding attempt.
      * @param {object} email - The email that failed to forward.
@@ -117,7 +569,8 @@ class EmailToWhatsAppForwarder {
      */
     async notifyOfFailure(email, error) {
         try {
-            const errorMessage = `❌ Failed to forward email:\n*Subject:* ${email.subject}\n*Error:* ${error.message}`;
+            const account = email.account && email.account !== DEFAULT_ACCOUNT_NAME ? `\n*Account:* ${email.account}` : "";
+            const errorMessage = `❌ Failed to forward email:${account}\n*Subject:* ${email.subject}\n*Error:* ${error.message}`;
             await this.whatsappService.sendNotification(errorMessage);
         } catch (notifyError) {
             logger.error("App: CRITICAL - Failed to send a WhatsApp notification about a forwarding failure.", { error: notifyError });
@@ -125,18 +578,15 @@ class EmailToWhatsAppForwarder {
     }
 
     /**
-     * Handles the logic for reconnecting to the Gmail IMAP server.
+     * Handles an incoming WhatsApp message: a reply to a forwarded email is sent to the email's sender, and a
+     * command from a whitelisted chat is run. Other messages are ignored.
+     * @param {import("./services/whatsappReceiver").IncomingMessage} message - The incoming message.
      * @returns {Promise<void>}
      */
-    async handleReconnection() {
-        logger.info("App: Attempting to reconnect to Gmail due to a connection error...");
-        try {
-            this.gmailService.disconnect();
-            await this.gmailService.connect();
-            logger.info("App: Reconnected to Gmail successfully.");
-        } catch (reconnectError) {
-            logger.error("App: Failed to reconnect to Gmail. The application may be unstable.", { error: reconnectError });
-        }
+    async handleIncomingMessage(message) {
+        if (await this.replyBridge.handleMessage(message)) return;
+        if (await this.commandHandler.handleMessage(message)) return;
+        logger.debug(`App: Ignoring WhatsApp message ${message.idMessage} from ${message.chatId}.`);
     }
 
     /**
@@ -147,49 +597,214 @@ class EmailToWhatsAppForwarder {
         try {
             await this.initialize();
             this.isRunning = true;
-            logger.info(`App: Starting email forwarder. Checking every ${config.app.checkIntervalSeconds} seconds.`);
+            this.startedAt = new Date();
+            logger.info("App: Starting email forwarder.");
 
-            // Run an initial check immediately on startup.
-            await this.processEmails();
+            // Start every account at once; each runs its first check and then watches for new emails on its own.
+            await Promise.all([...this.monitors.values()].map((monitor) => monitor.start()));
 
-            // Set up the interval for periodic email checks.
-            this.checkInterval = setInterval(() => {
-                if (this.isRunning) {
-                    this.processEmails();
-                }
-            }, config.app.checkIntervalSeconds * 1000);
+            // Apply edits to the config, accounts and routing files without a restart.
+            this.watchConfigFiles();
+
+            // Receive replies to forwarded emails and chat commands.
+            if (config.bridge.enabled || this.commandHandler.isEnabled()) {
+                await this.receiver.start();
+            }
+
+            // Let probes, Prometheus and scripts inspect and control the forwarder.
+            if (config.admin.enabled) {
+                await this.adminServer.start();
+            }
 
             // Set up a daily interval for cleaning up old attachments.
-            setInterval(() => {
+            this.cleanupInterval = setInterval(() => {
                 logger.info("App: Starting daily attachment cleanup task.");
-                this.gmailService.cleanupAttachments(7); // Keep attachments for 7 days.
+                for (const monitor of this.monitors.values()) {
+                    monitor.mailSource.cleanupAttachments(7); // Keep attachments for 7 days.
+                }
             }, 24 * 60 * 60 * 1000); // 24 hours
 
+            // Release held emails and send digests when they are due; those that fell due while stopped go out right away.
+            // While forwarding is paused, they wait.
+            const runScheduledTasks = () => {
+                if (!this.isRunning) return;
+                this.processHoldQueue()
+                    .then(() => this.processDigests())
+                    .catch((error) => {
+                        logger.error("App: Failed to release held emails or send the due digests.", { error });
+                    });
+            };
+            this.scheduleInterval = setInterval(runScheduledTasks, SCHEDULE_CHECK_INTERVAL_MS);
+            runScheduledTasks();
+
             logger.info("App: Email to WhatsApp forwarder is now running.");
         } catch (error) {
             logger.error("App: A fatal error occurred during startup. The application will now exit.", { error });
-            this.stop();
+            await this.stop();
             process.exit(1);
         }
     }
 
     /**
-     * Stops the application, clearing intervals and disconnecting services.
+     * Pauses forwarding: every account finishes its running cycle and is disconnected, and held emails and
+     * digests wait. Incoming WhatsApp messages are still received, so forwarding can be resumed from the chat.
+     * @returns {Promise<boolean>} `true` if forwarding was running.
      */
-    stop() {
-        logger.info("App: Stopping the email forwarder...");
+    async pause() {
+        if (!this.isRunning) return false;
         this.isRunning = false;
+        await Promise.all([...this.monitors.values()].map(async (monitor) => {
+            // Let a running cycle finish, so that no email is cut off halfway through its delivery.
+            await monitor.currentCycle;
+            monitor.stop();
+        }));
+        logger.info("App: Forwarding paused.");
+        return true;
+    }
 
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
-            logger.info("App: Email checking interval has been cleared.");
+    /**
+     * Resumes forwarding after {@link EmailToWhatsAppForwarder#pause}: every account reconnects and checks for
+     * the emails that arrived meanwhile.
+     * @returns {Promise<boolean>} `true` if forwarding was paused.
+     */
+    async resume() {
+        if (this.isRunning || !this.startedAt) return false;
+        this.isRunning = true;
+        for (const monitor of this.monitors.values()) {
+            // The first cycle can take a while; the accounts catch up in the background.
+            monitor.start().catch((error) => {
+                logger.error(`App: Failed to resume account "${monitor.name}".`, { error });
+            });
         }
+        logger.info("App: Forwarding resumed.");
+        return true;
+    }
 
-        this.gmailService.disconnect();
+    /**
+     * Stops the application, clearing intervals and disconnecting services. Replies and chat commands that are
+     * being handled finish first, since they may need the accounts.
+     * @returns {Promise<void>} A promise that resolves once the WhatsApp receiver and the admin server are closed.
+     */
+    async stop() {
+        logger.info("App: Stopping the email forwarder...");
+        this.isRunning = false;
+        this.startedAt = null;
+        await this.receiver.stop();
+
+        for (const monitor of this.monitors.values()) {
+            monitor.stop();
+        }
+        logger.info("App: Scheduled email checks have been cleared.");
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+        if (this.scheduleInterval) {
+            clearInterval(this.scheduleInterval);
+            this.scheduleInterval = null;
+        }
+        this.unwatchConfigFiles();
+        await this.adminServer.stop();
         logger.info("App: The email forwarder has been stopped.");
     }
 
+    /**
+     * Reloads the config file, the accounts file and the routing rules, and applies them to the running accounts.
+     * Sender filters, routing rules, intervals and the log level take effect without reconnecting. Settings that
+     * are only read at startup are reported as needing a restart. If anything is invalid, nothing changes.
+     * @param {string} reason - Why the configuration is reloaded, for the logs.
+     * @returns {boolean} `true` if the new configuration was applied.
+     */
+    reloadConfiguration(reason) {
+        logger.info(`App: Reloading configuration (${reason})...`);
+        // Sections are frozen and replaced as a whole, so a shallow copy is a complete snapshot.
+        const previousConfig = { ...config };
+
+        try {
+            const changed = reloadConfig();
+            const fileAccounts = loadAccounts(config.accounts.file);
+            validateConfig({ requireMailSource: !fileAccounts });
+            const accounts = fileAccounts || [defaultAccount()];
+
+            // Load every routing table before applying anything, so an invalid file leaves all accounts unchanged.
+            const updates = accounts
+                .filter((account) => this.monitors.has(account.name))
+                .map((account) => {
+                    const monitor = this.monitors.get(account.name);
+                    return { monitor, account, routingTable: monitor.buildRoutingTable(account) };
+                });
+            updates.forEach(({ monitor, account, routingTable }) => monitor.applyAccount(account, routingTable));
+
+            const names = accounts.map((account) => account.name);
+            const added = names.filter((name) => !this.monitors.has(name));
+            const removed = [...this.monitors.keys()].filter((name) => !names.includes(name));
+            if (added.length > 0 || removed.length > 0) {
+                logger.warn(
+                    `App: Accounts were added (${added.join(", ") || "none"}) or removed (${removed.join(", ") || "none"}); restart the forwarder to apply.`,
+                );
+            }
+
+            const restartRequired = changed.filter((setting) =>
+                RESTART_REQUIRED_SETTINGS.some((prefix) => setting === prefix || setting.startsWith(`${prefix}.`)),
+            );
+            if (restartRequired.length > 0) {
+                logger.warn(`App: ${restartRequired.join(", ")} changed; restart the forwarder to apply.`);
+            }
+
+            logger.level = config.app.logLevel;
+            if (this.watchedFiles.length > 0) {
+                // The accounts may now use other routing files.
+                this.watchConfigFiles();
+            }
+            logger.info(`App: Configuration reloaded${changed.length > 0 ? `; changed: ${changed.join(", ")}` : ""}.`);
+            return true;
+        } catch (error) {
+            applyConfig(previousConfig);
+            logger.error("App: Failed to reload the configuration; keeping the current one.", { error });
+            return false;
+        }
+    }
+
+    /**
+     * Watches the config file, the accounts file and every routing rules file, and reloads the
+     * configuration when one of them changes. Changes to several files at once cause a single reload.
+     */
+    watchConfigFiles() {
+        this.unwatchConfigFiles();
+
+        const files = new Set(
+            [configFilePath, config.accounts.file, ...[...this.monitors.values()].map((monitor) => monitor.account.rulesFile)]
+                .filter(Boolean)
+                .map((file) => path.resolve(file)),
+        );
+        for (const file of files) {
+            // Polling the file's status also notices files that are replaced or created later.
+            fs.watchFile(file, { interval: CONFIG_WATCH_INTERVAL_MS }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs) return;
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reloadConfiguration(`${path.basename(file)} changed`), 500);
+            });
+        }
+        this.watchedFiles = [...files];
+    }
+
+    /**
+     * Stops watching the configuration files.
+     */
+    unwatchConfigFiles() {
+        this.watchedFiles.forEach((file) => fs.unwatchFile(file));
+        this.watchedFiles = [];
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Reloads the configuration when the process receives SIGHUP (e.g., `kill -HUP <pid>`).
+     */
+    setupConfigReload() {
+        process.on("SIGHUP", () => this.reloadConfiguration("SIGHUP"));
+    }
+
     /**
      * Sets up listeners for process signals to ensure graceful shutdown.
      */
@@ -201,7 +816,7 @@ class EmailToWhatsAppForwarder {
             } catch (error) {
                 logger.warn("App: Could not send shutdown notification to WhatsApp.", { error });
             }
-            this.stop();
+            await this.stop();
             process.exit(0);
         };
 
@@ -215,6 +830,7 @@ class EmailToWhatsAppForwarder {
 if (require.main === module) {
     const forwarder = new EmailToWhatsAppForwarder();
     forwarder.setupGracefulShutdown();
+    forwarder.setupConfigReload();
     forwarder.start();
 }
 
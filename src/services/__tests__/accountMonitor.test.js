@@ -0,0 +1,215 @@
+const AccountMonitor = require('../accountMonitor');
+const { config } = require('../../utils/config');
+const { counter, histogram, resetMetrics } = require('../../utils/metrics');
+
+jest.mock('../gmailService');
+
+describe('AccountMonitor', () => {
+    const account = {
+        name: 'support',
+        type: 'gmail',
+        settings: { user: 'support@example.com', password: 'secret' },
+        senders: ['customer@example.com'],
+        targets: ['120363000000000000@g.us'],
+        rulesFile: '/nonexistent/routes.json',
+    };
+    let forwarder;
+    let monitor;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        forwarder = {
+            retryQueue: { nextDueAt: jest.fn().mockReturnValue(null) },
+            shouldFetch: jest.fn().mockResolvedValue(true),
+            processRetryQueue: jest.fn().mockResolvedValue(),
+            forwardEmail: jest.fn().mockResolvedValue(),
+        };
+        monitor = new AccountMonitor(account, forwarder);
+        monitor.isRunning = true;
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        jest.useRealTimers();
+    });
+
+    describe('initialize', () => {
+        it('should use the account targets as the default route and its senders as the filter', async () => {
+            await monitor.initialize();
+
+            expect(monitor.routingTable.defaultTargets).toEqual(['120363000000000000@g.us']);
+            expect(monitor.mailSource.setFilter).toHaveBeenCalledWith(['customer@example.com'], null);
+            expect(monitor.mailSource.logLabel).toMatch(/\[support\]$/);
+        });
+    });
+
+    describe('applyAccount', () => {
+        it('should apply new senders, filter and routing rules without reconnecting', async () => {
+            await monitor.initialize();
+            const routingTable = { rules: [], defaultTargets: ['6281111111111'] };
+            const filter = { subject: 'invoice' };
+
+            monitor.applyAccount({ ...account, senders: ['new@example.com'], filter, targets: ['6281111111111'] }, routingTable);
+
+            expect(monitor.mailSource.setFilter).toHaveBeenLastCalledWith(['new@example.com'], filter);
+            expect(monitor.routingTable).toBe(routingTable);
+            expect(monitor.mailSource.disconnect).not.toHaveBeenCalled();
+        });
+
+        it('should keep the current connection settings until a restart', () => {
+            const changed = { ...account, settings: { ...account.settings, password: 'rotated' } };
+
+            monitor.applyAccount(changed, { rules: [], defaultTargets: [] });
+
+            expect(monitor.account.settings.password).toBe('secret');
+        });
+    });
+
+    describe('processEmails', () => {
+        it('should hand new emails to the forwarder tagged with the account name', async () => {
+            const email = { subject: 'Help', attachments: [] };
+            monitor.mailSource.checkEmails.mockImplementation(async (shouldFetch) => {
+                await shouldFetch(7, 1);
+                return [email];
+            });
+
+            await monitor.processEmails();
+
+            expect(forwarder.shouldFetch).toHaveBeenCalledWith(7, 1, 'support');
+            expect(forwarder.forwardEmail).toHaveBeenCalledWith({ ...email, account: 'support' });
+        });
+
+        it('should reconnect only its own mail source after a connection error, with backoff', async () => {
+            monitor.mailSource.checkEmails
+                .mockRejectedValueOnce(Object.assign(new Error('read ECONNRESET'), { source: 'socket' }))
+                .mockResolvedValue([]);
+            monitor.mailSource.isConnected = true;
+
+            await monitor.processEmails();
+
+            expect(monitor.connection.isReconnecting()).toBe(true);
+            expect(monitor.mailSource.connect).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(config.connection.reconnectBaseSeconds * 1000);
+
+            expect(monitor.mailSource.disconnect).toHaveBeenCalled();
+            expect(monitor.mailSource.connect).toHaveBeenCalled();
+            expect(monitor.mailSource.checkEmails).toHaveBeenCalledTimes(2); // The cycle after the reconnect.
+        });
+
+        it('should not reconnect after an error that left the connection intact', async () => {
+            monitor.mailSource.checkEmails.mockRejectedValue(new Error('Unknown Mailbox: Archive'));
+            monitor.mailSource.isConnected = true;
+
+            await monitor.processEmails();
+
+            expect(monitor.connection.isReconnecting()).toBe(false);
+        });
+
+        it('should skip cycles while the connection is being restored', async () => {
+            monitor.connection.handleFailure(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+            await monitor.processEmails();
+
+            expect(monitor.mailSource.checkEmails).not.toHaveBeenCalled();
+        });
+
+        it('should count found emails and cycle durations', async () => {
+            resetMetrics();
+            monitor.mailSource.checkEmails
+                .mockResolvedValueOnce([{ subject: 'Help', fromAddress: 'customer@example.com', attachments: [] }])
+                .mockResolvedValueOnce([]);
+
+            await monitor.processEmails();
+            await monitor.processEmails();
+
+            expect(counter('forwarder_emails_found_total').get({ account: 'support', sender: 'customer@example.com' })).toBe(1);
+            expect(histogram('forwarder_cycle_duration_seconds').get({ account: 'support' }).count).toBe(2);
+        });
+    });
+
+    describe('runCycle', () => {
+        it('should never run two cycles at the same time', async () => {
+            let active = 0;
+            let maxActive = 0;
+            const releases = [];
+            monitor.processEmails = jest.fn(() => {
+                active += 1;
+                maxActive = Math.max(maxActive, active);
+                return new Promise((resolve) => releases.push(() => {
+                    active -= 1;
+                    resolve();
+                }));
+            });
+
+            const first = monitor.runCycle('first');
+            const second = monitor.runCycle('second');
+            const third = monitor.runCycle('third');
+
+            expect(second).toBe(first);
+            expect(third).toBe(first);
+            expect(monitor.processEmails).toHaveBeenCalledTimes(1);
+
+            releases.shift()();
+            await Promise.resolve();
+            await Promise.resolve();
+            // The requests made during the first cycle are merged into one follow-up cycle.
+            expect(monitor.processEmails).toHaveBeenCalledTimes(2);
+            releases.shift()();
+            await first;
+
+            expect(monitor.processEmails).toHaveBeenCalledTimes(2);
+            expect(maxActive).toBe(1);
+            expect(monitor.currentCycle).toBeNull();
+        });
+    });
+
+    describe('scheduleNextCheck', () => {
+        it('should poll at the check interval when IDLE is not available', () => {
+            monitor.mailSource.supportsIdle.mockReturnValue(false);
+            monitor.runCycle = jest.fn();
+
+            monitor.scheduleNextCheck();
+            jest.advanceTimersByTime(config.app.checkIntervalSeconds * 1000 - 1);
+            expect(monitor.runCycle).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(1);
+            expect(monitor.runCycle).toHaveBeenCalledWith('scheduled check');
+        });
+
+        it('should only run a safety check while IDLE is active', () => {
+            monitor.mailSource.supportsIdle.mockReturnValue(true);
+            monitor.runCycle = jest.fn();
+
+            monitor.scheduleNextCheck();
+            jest.advanceTimersByTime(config.app.checkIntervalSeconds * 1000);
+            expect(monitor.runCycle).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(config.app.idleFallbackCheckSeconds * 1000);
+            expect(monitor.runCycle).toHaveBeenCalledTimes(1);
+        });
+
+        it('should check earlier when a retry is due', () => {
+            monitor.mailSource.supportsIdle.mockReturnValue(true);
+            forwarder.retryQueue.nextDueAt.mockReturnValue(Date.now() + 5000);
+            monitor.runCycle = jest.fn();
+
+            monitor.scheduleNextCheck();
+            jest.advanceTimersByTime(5000);
+            expect(monitor.runCycle).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('startWatching', () => {
+        it('should run a cycle when the server reports new mail', () => {
+            monitor.runCycle = jest.fn();
+            const listeners = {};
+            monitor.mailSource.on.mockImplementation((event, listener) => {
+                listeners[event] = listener;
+            });
+
+            monitor.startWatching();
+            listeners.mail(2);
+
+            expect(monitor.runCycle).toHaveBeenCalledWith('2 new message(s) reported by the server');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const http = require('http');
+const AdminServer = require('../adminServer');
+const { LEDGER_STATES } = require('../ledgerService');
+const { config } = require('../../utils/config');
+const { counter, resetMetrics } = require('../../utils/metrics');
+
+// Sends a request to the admin server and resolves with the status code and the body.
+const request = (port, method, path, token = 'secret') => new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (response) => {
+        let body = '';
+        response.on('data', (chunk) => {
+            body += chunk;
+        });
+        response.on('end', () => {
+            const json = response.headers['content-type'].startsWith('application/json');
+            resolve({ status: response.statusCode, body: json ? JSON.parse(body) : body });
+        });
+    });
+    req.on('error', reject);
+    req.end();
+});
+
+describe('AdminServer', () => {
+    const originalAdmin = config.admin;
+    let forwarder;
+    let server;
+    let port;
+
+    beforeEach(async () => {
+        config.admin = { enabled: true, host: '127.0.0.1', port: 0, token: 'secret' };
+        const monitor = {
+            name: 'default',
+            account: { type: 'imap' },
+            lastCheckAt: new Date('2024-05-06T10:00:00Z'),
+            mailSource: { isConnected: true },
+            runCycle: jest.fn(),
+        };
+        forwarder = {
+            isRunning: true,
+            startedAt: new Date(),
+            monitors: new Map([['default', monitor]]),
+            whatsappService: { checkStatus: jest.fn().mockResolvedValue({ stateInstance: 'authorized' }) },
+            ledger: {
+                entriesInState: jest.fn().mockReturnValue([
+                    { key: '<a@x>', account: 'default', subject: 'Older', seen: true, updatedAt: '2024-05-06T09:00:00Z' },
+                    { key: '<b@x>', account: 'default', subject: 'Newer', seen: true, updatedAt: '2024-05-06T10:00:00Z' },
+                ]),
+            },
+            retryQueue: {
+                pending: [],
+                deadLetters: [{ key: '<c@x>', email: { subject: 'Invoice' }, attempts: 5, lastError: 'HTTP 400', failedAt: '2024-05-06T10:00:00Z' }],
+            },
+            holdQueue: { items: [] },
+            digestQueue: { digests: new Map([['news', { name: 'news', nextAt: '2024-05-07T01:00:00Z', items: [{}, {}] }]]) },
+            muteList: { active: () => [] },
+            pause: jest.fn().mockResolvedValue(true),
+            resume: jest.fn().mockResolvedValue(true),
+            retryFailed: jest.fn().mockResolvedValue(null),
+        };
+        server = new AdminServer(forwarder);
+        await server.start();
+        ({ port } = server.server.address());
+    });
+
+    afterEach(async () => {
+        config.admin = originalAdmin;
+        await server.stop();
+    });
+
+    it('should report readiness from the account connections and the Green API state', async () => {
+        await expect(request(port, 'GET', '/readyz', null)).resolves.toEqual({
+            status: 200,
+            body: expect.objectContaining({
+                ready: true,
+                whatsapp: 'authorized',
+                accounts: [{ name: 'default', type: 'imap', connected: true, lastCheckAt: '2024-05-06T10:00:00.000Z' }],
+            }),
+        });
+
+        forwarder.monitors.get('default').mailSource.isConnected = false;
+        await expect(request(port, 'GET', '/readyz', null)).resolves.toMatchObject({ status: 503, body: { ready: false } });
+        await expect(request(port, 'GET', '/healthz', null)).resolves.toMatchObject({ status: 200, body: { ready: false } });
+        // The Green API state is cached between probes.
+        expect(forwarder.whatsappService.checkStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject requests without the token', async () => {
+        await expect(request(port, 'GET', '/api/queues', null)).resolves.toMatchObject({ status: 401 });
+        await expect(request(port, 'GET', '/metrics', 'wrong')).resolves.toMatchObject({ status: 401 });
+        await expect(request(port, 'POST', '/api/pause', 'secret!')).resolves.toMatchObject({ status: 401 });
+        expect(forwarder.pause).not.toHaveBeenCalled();
+    });
+
+    it('should list recent forwards, failed emails and queues', async () => {
+        const forwards = await request(port, 'GET', '/api/forwards?limit=1');
+        expect(forwarder.ledger.entriesInState).toHaveBeenCalledWith(LEDGER_STATES.FORWARDED);
+        expect(forwards.body).toEqual([{ key: '<b@x>', account: 'default', subject: 'Newer', seen: true, forwardedAt: '2024-05-06T10:00:00Z' }]);
+
+        const failed = await request(port, 'GET', '/api/failed');
+        expect(failed.body.deadLetters).toEqual([expect.objectContaining({ key: '<c@x>', subject: 'Invoice', failedAt: '2024-05-06T10:00:00Z' })]);
+
+        const queues = await request(port, 'GET', '/api/queues');
+        expect(queues.body).toMatchObject({ running: true, retry: { pending: 0, deadLetters: 1 }, digests: [{ name: 'news', items: 2 }] });
+    });
+
+    it('should trigger checks, retries and pauses', async () => {
+        await expect(request(port, 'POST', '/api/check')).resolves.toEqual({ status: 202, body: { accounts: ['default'] } });
+        expect(forwarder.monitors.get('default').runCycle).toHaveBeenCalledWith('admin API');
+
+        await expect(request(port, 'POST', '/api/retry/abcdef')).resolves.toMatchObject({ status: 404 });
+        forwarder.retryFailed.mockResolvedValue({ item: { key: '<c@x>' }, error: null });
+        await expect(request(port, 'POST', `/api/retry/${encodeURIComponent('<c@x>')}`)).resolves.toEqual({
+            status: 200,
+            body: { key: '<c@x>', forwarded: true, lastError: null },
+        });
+        expect(forwarder.retryFailed).toHaveBeenLastCalledWith('<c@x>');
+
+        await expect(request(port, 'POST', '/api/pause')).resolves.toMatchObject({ status: 200, body: { paused: true, changed: true } });
+        expect(forwarder.pause).toHaveBeenCalled();
+        await expect(request(port, 'GET', '/api/unknown')).resolves.toMatchObject({ status: 404 });
+    });
+
+    it('should expose metrics in the Prometheus text format', async () => {
+        const { status, body } = await request(port, 'GET', '/metrics');
+
+        expect(status).toBe(200);
+        expect(body).toContain('forwarder_account_connected{account="default"} 1');
+        expect(body).toContain('forwarder_queue_items{queue="dead_letter"} 1');
+        expect(body).toContain('forwarder_queue_items{queue="digest"} 2');
+    });
+
+    it('should include the metrics of the forwarding pipeline', async () => {
+        resetMetrics();
+        counter('forwarder_emails_forwarded_total', 'Emails forwarded.').inc({ sender: 'a@example.com', route: 'default' });
+
+        const { body } = await request(port, 'GET', '/metrics');
+
+        expect(body).toContain('forwarder_emails_forwarded_total{sender="a@example.com",route="default"} 1');
+    });
+});
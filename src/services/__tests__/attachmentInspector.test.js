@@ -0,0 +1,101 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const AttachmentInspector = require('../attachmentInspector');
+const { config } = require('../../utils/config');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// A stand-in for clamd that reads an INSTREAM request and reports the EICAR test file as infected.
+const startFakeClamd = (socketPath) => new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+        let received = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            received = Buffer.concat([received, chunk]);
+            if (!received.subarray(-4).equals(Buffer.alloc(4))) return;
+            const content = received.toString('latin1');
+            socket.end(content.includes('EICAR-STANDARD') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+        });
+    });
+    server.listen(socketPath, () => resolve(server));
+});
+
+describe('AttachmentInspector', () => {
+    const originalAttachments = config.attachments;
+    let dir;
+
+    const saveFile = (filename, content) => {
+        const filepath = path.join(dir, `1_${filename}`);
+        fs.writeFileSync(filepath, content);
+        return { filename, filepath, contentType: 'application/octet-stream', size: content.length };
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspect-'));
+        config.attachments = { ...originalAttachments, allowTypes: '', denyTypes: 'exe', scanner: 'none', scannerTimeoutSeconds: 5 };
+    });
+
+    afterEach(() => {
+        config.attachments = originalAttachments;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should block and delete files whose content is on the deny-list, whatever their name', async () => {
+        const file = saveFile('invoice.pdf', Buffer.from('MZ\x90\x00 program', 'latin1'));
+
+        const { reason } = await new AttachmentInspector().inspect(file);
+
+        expect(reason).toBe('Blocked file type (exe)');
+        expect(fs.existsSync(file.filepath)).toBe(false);
+    });
+
+    it('should replace the declared content type with the detected one', async () => {
+        const file = saveFile('scan', Buffer.from('%PDF-1.4 scan'));
+
+        await expect(new AttachmentInspector().inspect(file)).resolves.toEqual({
+            file: { ...file, contentType: 'application/pdf' },
+            reason: null,
+        });
+    });
+
+    it('should stream files to clamd and block infected ones', async () => {
+        const scannerSocket = path.join(dir, 'clamd.sock');
+        const server = await startFakeClamd(scannerSocket);
+        config.attachments = { ...config.attachments, scanner: 'clamd', scannerSocket };
+        const inspector = new AttachmentInspector();
+
+        try {
+            const infected = await inspector.inspect(saveFile('eicar.txt', EICAR));
+            const clean = await inspector.inspect(saveFile('notes.txt', 'Meeting at 10'));
+
+            expect(infected.reason).toBe('Malware detected (Eicar-Test-Signature)');
+            expect(clean.reason).toBeNull();
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should block files when the scanner cannot be reached', async () => {
+        config.attachments = { ...config.attachments, scanner: 'clamd', scannerSocket: path.join(dir, 'missing.sock') };
+        const file = saveFile('notes.txt', 'Meeting at 10');
+
+        const { reason } = await new AttachmentInspector().inspect(file);
+
+        expect(reason).toBe('Could not be scanned');
+        expect(fs.existsSync(file.filepath)).toBe(false);
+    });
+
+    it('should run a scanner command and treat exit code 1 as infected', async () => {
+        const script = path.join(dir, 'scan.js');
+        fs.writeFileSync(script, [
+            "const content = require('fs').readFileSync(process.argv[2], 'utf8');",
+            "if (content.includes('EICAR')) { console.log(`${process.argv[2]}: Eicar-Signature FOUND`); process.exit(1); }",
+        ].join('\n'));
+        config.attachments = { ...config.attachments, scanner: 'command', scannerCommand: `${process.execPath} ${script} {file}` };
+        const inspector = new AttachmentInspector();
+
+        await expect(inspector.inspect(saveFile('eicar.txt', EICAR))).resolves.toMatchObject({ reason: 'Malware detected (Eicar-Signature)' });
+        await expect(inspector.inspect(saveFile('notes.txt', 'Meeting at 10'))).resolves.toMatchObject({ reason: null });
+    });
+});
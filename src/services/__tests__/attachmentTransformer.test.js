@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const AttachmentTransformer = require('../attachmentTransformer');
+const { config } = require('../../utils/config');
+
+// A stand-in for a Jimp image whose JPEG size depends on its resolution and the quality.
+const fakeImage = (width, height) => {
+    const image = {
+        bitmap: { width, height },
+        jpegQuality: 100,
+        composite: () => image,
+        scaleToFit: (maxWidth, maxHeight) => {
+            const factor = Math.min(maxWidth / image.bitmap.width, maxHeight / image.bitmap.height);
+            return image.scale(factor);
+        },
+        scale: (factor) => {
+            image.bitmap = { width: Math.round(image.bitmap.width * factor), height: Math.round(image.bitmap.height * factor) };
+            return image;
+        },
+        clone: () => fakeImage(image.bitmap.width, image.bitmap.height),
+        quality: (quality) => {
+            image.jpegQuality = quality;
+            return image;
+        },
+        getBufferAsync: async () => Buffer.alloc(Math.round((image.bitmap.width * image.bitmap.height * image.jpegQuality) / 1000)),
+    };
+    return image;
+};
+
+const fakeJimp = () => {
+    const Jimp = function Jimp(width, height) {
+        return fakeImage(width, height);
+    };
+    Jimp.read = jest.fn(async () => fakeImage(4000, 3000));
+    Jimp.MIME_JPEG = 'image/jpeg';
+    return Jimp;
+};
+
+const missing = (name) => {
+    throw Object.assign(new Error(`Cannot find module '${name}'`), { code: 'MODULE_NOT_FOUND' });
+};
+
+describe('AttachmentTransformer', () => {
+    const originalAttachments = config.attachments;
+    const originalApp = config.app;
+    let dir;
+
+    const saveFile = (filename, content, contentType = 'application/octet-stream') => {
+        const filepath = path.join(dir, `1_${filename}`);
+        fs.writeFileSync(filepath, content);
+        return { filename, filepath, contentType, size: content.length };
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-'));
+        config.attachments = { ...originalAttachments, maxImageKB: 100, maxUploadMB: 1, zipMode: 'extract', maxZipEntries: 5 };
+    });
+
+    afterEach(() => {
+        config.attachments = originalAttachments;
+        config.app = originalApp;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should split files over the upload limit into numbered parts that join to the original', async () => {
+        const content = Buffer.alloc(2.5 * 1024 * 1024, 'a repeating pattern that shows when parts are out of order ');
+        const file = saveFile('backup.tar', content);
+
+        const { files, skipped } = await new AttachmentTransformer(missing).transform(file);
+
+        expect(skipped).toEqual([]);
+        expect(files.map((part) => [part.filename, part.size])).toEqual([
+            ['backup.tar.001', 1024 * 1024],
+            ['backup.tar.002', 1024 * 1024],
+            ['backup.tar.003', 0.5 * 1024 * 1024],
+        ]);
+        expect(Buffer.concat(files.map((part) => fs.readFileSync(part.filepath))).equals(content)).toBe(true);
+        expect(fs.existsSync(file.filepath)).toBe(false);
+    });
+
+    it('should skip files over the upload limit only when splitting is turned off', async () => {
+        config.attachments = { ...config.attachments, splitLargeFiles: false };
+        const file = saveFile('video.mp4', Buffer.alloc(1024 * 1024 + 1));
+
+        const { files, skipped } = await new AttachmentTransformer(missing).transform(file);
+
+        expect(files).toEqual([]);
+        expect(skipped).toEqual([{ filename: 'video.mp4', size: 1024 * 1024 + 1, reason: 'Too large to send' }]);
+    });
+
+    it('should re-compress large images as JPEG within the size budget', async () => {
+        const Jimp = fakeJimp();
+        const file = saveFile('photo.png', Buffer.alloc(3 * 1024 * 1024), 'image/png');
+
+        const image = await new AttachmentTransformer((name) => (name === 'jimp' ? Jimp : missing(name))).transformImage(file);
+
+        // 2560 x 1920 is too large at every quality; at half the resolution, quality 75 fits 100 KB.
+        expect(image).toMatchObject({ filename: 'photo.jpg', contentType: 'image/jpeg', size: 92160 });
+        expect(fs.statSync(image.filepath).size).toBe(92160);
+        expect(fs.existsSync(file.filepath)).toBe(false);
+    });
+
+    it('should re-encode large WebP images as JPEG', async () => {
+        // A 16 x 16 WebP, padded with an ignored chunk so that it is over the size budget.
+        const webp = Buffer.from(
+            'UklGRqgBAABXRUJQVlA4WAoAAAAQAAAADwAADwAAQUxQSMMAAAABJ6KokSTleucYX+ffKpmImP90cY3gJjDi4Yt3MsjBEVyDKzDosHgVjnhRNcEIDAJPkqBqsFUZHNa2bUYvTsZ2PLbtd/uvKa4hov9J0f2PkPe6REkkGzolkTTzFG0Ox9PlFiD0CxS+kOGDtxoynjaCfx0pfk52CPuInrOR75lzRugygtv4zEiy90UwfSD9NheMITJWLaXWayO8XeOlWRXVnIGk2W6WdYoYMQ+KqixQNPowgt+6a1BSKbUtz+lUFAoBAAAAVlA4IL4AAACQAgCdASoQABAAAwA0JbACdDBPCIUMfAMdCCz96AD+/XSg/QKbH4r3Q3ycN/bSDK/T/zVo4u6nvclvG/SqxWOuup+XhN9BojvaW+Tv+MvxvX/hr/o/5Qns9LtmX/+qKdl/yWznhuasl7nkxvSTI4xf3Y85VSB/lU/8Ofj/b9JrA+ifvIOYZm2x1RP/dhfmsf5diuSfR7+z+r/+HR3zEo/+XM/B+vkYw73Pzx+ROaAB/ZoBSzEs3rzZe6qsAAAA',
+            'base64',
+        );
+        const padding = Buffer.alloc(8 + 4096);
+        padding.write('JUNK', 0, 'latin1');
+        padding.writeUInt32LE(4096, 4);
+        const content = Buffer.concat([webp, padding]);
+        content.writeUInt32LE(content.length - 8, 4);
+        config.attachments = { ...config.attachments, maxImageKB: 1 };
+        const file = saveFile('sticker.webp', content, 'image/webp');
+
+        const image = await new AttachmentTransformer().transformImage(file);
+
+        expect(image).toMatchObject({ filename: 'sticker.jpg', contentType: 'image/jpeg' });
+        expect(image.size).toBeLessThanOrEqual(1024);
+        expect(fs.readFileSync(image.filepath).subarray(0, 2).toString('hex')).toBe('ffd8');
+    });
+
+    it('should send large GIFs unchanged so that animations keep playing', async () => {
+        const Jimp = fakeJimp();
+        const file = saveFile('funny.gif', Buffer.alloc(3 * 1024 * 1024), 'image/gif');
+
+        const image = await new AttachmentTransformer((name) => (name === 'jimp' ? Jimp : missing(name))).transformImage(file);
+
+        expect(image).toBe(file);
+        expect(Jimp.read).not.toHaveBeenCalled();
+    });
+
+    it('should convert HEIC images to JPEG', async () => {
+        config.attachments = { ...config.attachments, maxImageKB: 0 };
+        const heicConvert = jest.fn(async () => new Uint8Array([0xff, 0xd8, 0xff]));
+        const file = saveFile('IMG_0001.HEIC', Buffer.from('heic'), 'image/heic');
+
+        const { files } = await new AttachmentTransformer((name) => (name === 'heic-convert' ? heicConvert : missing(name))).transform(file);
+
+        expect(heicConvert).toHaveBeenCalledWith({ buffer: Buffer.from('heic'), format: 'JPEG', quality: 0.85 });
+        expect(files).toEqual([expect.objectContaining({ filename: 'IMG_0001.jpg', contentType: 'image/jpeg', size: 3 })]);
+    });
+
+    it('should unpack ZIP archives into individual files', async () => {
+        const entry = (name, content) => ({ name, dir: false, nodeStream: () => Readable.from([Buffer.from(content)]) });
+        const JSZip = {
+            loadAsync: jest.fn(async () => ({
+                files: {
+                    'docs/': { name: 'docs/', dir: true },
+                    'docs/report.pdf': entry('docs/report.pdf', 'pdf'),
+                    'notes.txt': entry('notes.txt', 'hello'),
+                    '__MACOSX/._notes.txt': entry('__MACOSX/._notes.txt', 'meta'),
+                },
+            })),
+        };
+        const file = saveFile('bundle.zip', Buffer.from('zip'), 'application/zip');
+
+        const { files } = await new AttachmentTransformer((name) => (name === 'jszip' ? JSZip : missing(name))).transform(file);
+
+        expect(files.map((unpacked) => [unpacked.filename, unpacked.contentType, unpacked.size])).toEqual([
+            ['report.pdf', 'application/pdf', 3],
+            ['notes.txt', 'text/plain', 5],
+        ]);
+        expect(fs.readFileSync(files[1].filepath, 'utf8')).toBe('hello');
+        expect(fs.existsSync(file.filepath)).toBe(false);
+    });
+
+    it('should number unpacked files whose flattened names collide', async () => {
+        const JSZip = require('jszip');
+        const zip = new JSZip();
+        zip.file('2023/report.pdf', 'last year');
+        zip.file('2024/report.pdf', 'this year');
+        zip.file('2024/summary/report.pdf', 'summary');
+        const file = saveFile('reports.zip', await zip.generateAsync({ type: 'nodebuffer' }), 'application/zip');
+
+        const { files } = await new AttachmentTransformer().transform(file);
+
+        expect(files.map((unpacked) => unpacked.filename)).toEqual(['report.pdf', 'report (2).pdf', 'report (3).pdf']);
+        expect(files.map((unpacked) => fs.readFileSync(unpacked.filepath, 'utf8'))).toEqual(['last year', 'this year', 'summary']);
+        expect(new Set(files.map((unpacked) => unpacked.filepath)).size).toBe(3);
+    });
+
+    describe('re-packing', () => {
+        const JSZip = require('jszip');
+        const stored = async (files) => {
+            const zip = new JSZip();
+            for (const [name, content] of Object.entries(files)) zip.file(name, content);
+            return zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+        };
+
+        beforeEach(() => {
+            config.attachments = { ...config.attachments, zipMode: 'repack' };
+            config.app = { ...originalApp, maxAttachmentSizeMB: 1 };
+        });
+
+        it('should re-pack an archive with better compression and keep its files', async () => {
+            const file = saveFile('logs.zip', await stored({ 'logs/app.log': 'a line that repeats\n'.repeat(2000) }), 'application/zip');
+
+            const { files } = await new AttachmentTransformer().transform(file);
+
+            expect(files).toHaveLength(1);
+            expect(files[0].size).toBeLessThan(file.size);
+            const repacked = await JSZip.loadAsync(fs.readFileSync(files[0].filepath));
+            await expect(repacked.file('logs/app.log').async('string')).resolves.toBe('a line that repeats\n'.repeat(2000));
+        });
+
+        it('should send an archive unchanged when an entry unpacks past the size limit', async () => {
+            config.attachments = { ...config.attachments, maxUploadMB: 16 };
+            // Stored uncompressed, so that re-packing it would otherwise shrink it a lot.
+            const file = saveFile('bomb.zip', await stored({ 'bomb.bin': Buffer.alloc(3 * 1024 * 1024) }), 'application/zip');
+
+            const { files } = await new AttachmentTransformer().transform(file);
+
+            expect(files).toEqual([file]);
+            expect(fs.readdirSync(dir)).toEqual([path.basename(file.filepath)]);
+        });
+
+        it('should send an archive with too many files unchanged', async () => {
+            const entries = Object.fromEntries(Array.from({ length: 6 }, (_, index) => [`file-${index}.txt`, 'text '.repeat(100)]));
+            const file = saveFile('many.zip', await stored(entries), 'application/zip');
+
+            const { files } = await new AttachmentTransformer().transform(file);
+
+            expect(files).toEqual([file]);
+        });
+    });
+
+    it('should send files unchanged when the library for them is not installed', async () => {
+        const image = saveFile('photo.jpg', Buffer.alloc(200 * 1024), 'image/jpeg');
+        const archive = saveFile('bundle.zip', Buffer.from('zip'), 'application/zip');
+        const transformer = new AttachmentTransformer(missing);
+
+        await expect(transformer.transform(image)).resolves.toEqual({ files: [image], skipped: [] });
+        await expect(transformer.transform(archive)).resolves.toEqual({ files: [archive], skipped: [] });
+    });
+});
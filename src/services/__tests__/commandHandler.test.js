@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandHandler = require('../commandHandler');
+const { parseDuration, shortId } = require('../commandHandler');
+const MuteList = require('../muteList');
+const { config } = require('../../utils/config');
+
+describe('CommandHandler', () => {
+    const originalCommands = config.commands;
+    const chatId = '6281234567890@c.us';
+    const command = (text, from = chatId) => ({ idMessage: 'IN1', chatId: from, sender: from, senderName: 'Budi', text, quotedId: null });
+    let tempDir;
+    let forwarder;
+    let handler;
+
+    const lastReply = () => forwarder.whatsappService.sendTextMessage.mock.calls.at(-1)[1];
+
+    beforeEach(async () => {
+        config.commands = { chatIds: '081234567890, 120363043968123456@g.us' };
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-'));
+        forwarder = {
+            isRunning: true,
+            startedAt: new Date(Date.now() - 125 * 60 * 1000),
+            whatsappService: {
+                sendTextMessage: jest.fn().mockResolvedValue({}),
+                formatPhoneNumber: (number) => (number.includes('@') ? number : `62${number.slice(1)}@c.us`),
+            },
+            monitors: new Map([['default', {
+                name: 'default',
+                account: { type: 'imap' },
+                lastCheckAt: new Date(Date.now() - 3 * 60 * 1000),
+                routingTable: { rules: [{}, {}] },
+                mailSource: { isConnected: true, filterExpression: { subject: 'invoice' }, getSenders: () => ['boss@work.com'] },
+            }]]),
+            retryQueue: { pending: [], deadLetters: [] },
+            holdQueue: { items: [{}] },
+            digestQueue: { digests: new Map() },
+            muteList: new MuteList(path.join(tempDir, 'mutes.json')),
+            pause: jest.fn().mockResolvedValue(true),
+            resume: jest.fn().mockResolvedValue(true),
+            retryFailed: jest.fn().mockResolvedValue(null),
+            processDigests: jest.fn().mockResolvedValue(),
+        };
+        await forwarder.muteList.initialize();
+        handler = new CommandHandler(forwarder);
+    });
+
+    afterEach(() => {
+        config.commands = originalCommands;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should only accept commands from whitelisted chats', async () => {
+        await expect(handler.handleMessage(command('/pause', '6289999999999@c.us'))).resolves.toBe(false);
+        await expect(handler.handleMessage(command('Thanks!'))).resolves.toBe(false);
+        expect(forwarder.pause).not.toHaveBeenCalled();
+
+        await expect(handler.handleMessage(command('/pause'))).resolves.toBe(true);
+        expect(forwarder.pause).toHaveBeenCalled();
+        expect(forwarder.whatsappService.sendTextMessage).toHaveBeenCalledWith(chatId, expect.stringMatching(/^⏸️ Forwarding paused/));
+    });
+
+    it('should report the state, accounts and queues', async () => {
+        await forwarder.muteList.mute('news@shop.com', new Date(Date.now() + 60 * 60 * 1000));
+
+        await handler.handleMessage(command('/status'));
+
+        const reply = lastReply();
+        expect(reply).toContain('State: ▶️ forwarding');
+        expect(reply).toContain('Uptime: 2h 5m');
+        expect(reply).toContain('• default: imap connected, last check 3m ago');
+        expect(reply).toContain('Held: 1 · In digests: 0');
+        expect(reply).toContain('*Muted:* news@shop.com (1h)');
+    });
+
+    it('should mute a sender for the given time', async () => {
+        await handler.handleMessage(command('/mute News@Shop.com 2h'));
+
+        expect(forwarder.muteList.find('news@shop.com')).toBeDefined();
+        expect(lastReply()).toMatch(/^🔇 Muted news@shop\.com for 2h\./);
+
+        await handler.handleMessage(command('/mute news@shop.com'));
+        expect(lastReply()).toMatch(/^❌ Usage: \/mute/);
+    });
+
+    it('should list failed emails and retry one by its short ID', async () => {
+        const item = { key: '<invoice-7@bank.com>', email: { subject: 'Invoice 7' }, attempts: 5, lastError: 'HTTP 400', failedAt: '2024-05-06T10:00:00Z' };
+        forwarder.retryQueue.deadLetters = [item];
+        forwarder.retryFailed.mockResolvedValue({ item, error: null });
+
+        await handler.handleMessage(command('/retry'));
+        expect(lastReply()).toContain(`• ${shortId(item.key)} "Invoice 7" (5 attempt(s), gave up): HTTP 400`);
+
+        await handler.handleMessage(command(`/retry ${shortId(item.key)}`));
+        expect(forwarder.retryFailed).toHaveBeenCalledWith(shortId(item.key));
+        expect(lastReply()).toBe('✅ Forwarded "Invoice 7".');
+
+        forwarder.retryFailed.mockResolvedValue(null);
+        await handler.handleMessage(command('/retry abcdef'));
+        expect(lastReply()).toMatch(/^❌ No failed email has the ID "abcdef"/);
+    });
+
+    it('should send every digest on /digest now', async () => {
+        forwarder.digestQueue.digests.set('news', { name: 'news', nextAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(), items: [{}] });
+        forwarder.processDigests.mockImplementation(async () => {
+            forwarder.digestQueue.digests.clear();
+        });
+
+        await handler.handleMessage(command('/digest'));
+        expect(lastReply()).toContain('• news: 1 email(s), due in 1h');
+
+        await handler.handleMessage(command('/digest now'));
+        expect(forwarder.processDigests).toHaveBeenCalledWith(Infinity);
+        expect(lastReply()).toBe('📬 Sent the digests.');
+    });
+
+    it('should show the filters of every account', async () => {
+        await handler.handleMessage(command('/filters'));
+
+        expect(lastReply()).toContain('Senders: boss@work.com\nExpression: {"subject":"invoice"}\nRouting rules: 2');
+    });
+
+    it('should answer unknown commands with the list of commands', async () => {
+        await handler.handleMessage(command('/what'));
+
+        expect(lastReply()).toMatch(/^\*🤖 Commands\*/);
+    });
+});
+
+describe('command helpers', () => {
+    it('should parse durations', () => {
+        expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+        expect(parseDuration('2H')).toBe(2 * 60 * 60 * 1000);
+        expect(parseDuration('0h')).toBeNull();
+        expect(parseDuration('soon')).toBeNull();
+    });
+});
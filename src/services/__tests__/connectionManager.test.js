@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+const ConnectionManager = require('../connectionManager');
+const { CONNECTION_ERROR_TYPES, classifyConnectionError } = require('../connectionManager');
+const { config } = require('../../utils/config');
+
+describe('classifyConnectionError', () => {
+    it('should classify node-imap and socket errors by their source and code', () => {
+        expect(classifyConnectionError(Object.assign(new Error('Invalid credentials'), { source: 'authentication' }))).toBe(CONNECTION_ERROR_TYPES.AUTH);
+        expect(classifyConnectionError(Object.assign(new Error('Timed out while authenticating'), { source: 'timeout-auth' }))).toBe(CONNECTION_ERROR_TYPES.TIMEOUT);
+        expect(classifyConnectionError(Object.assign(new Error('No NOOP answer'), { code: 'ETIMEDOUT' }))).toBe(CONNECTION_ERROR_TYPES.TIMEOUT);
+        expect(classifyConnectionError(Object.assign(new Error('read ECONNRESET'), { source: 'socket' }))).toBe(CONNECTION_ERROR_TYPES.NETWORK);
+        expect(classifyConnectionError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))).toBe(CONNECTION_ERROR_TYPES.NETWORK);
+        expect(classifyConnectionError(Object.assign(new Error('Unexpected response'), { source: 'protocol' }))).toBe(CONNECTION_ERROR_TYPES.PROTOCOL);
+        expect(classifyConnectionError(new Error('IMAP connection lost'))).toBe(CONNECTION_ERROR_TYPES.OTHER);
+    });
+});
+
+describe('ConnectionManager', () => {
+    const originalConnection = config.connection;
+    const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    let monitor;
+    let manager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        config.connection = {
+            reconnectBaseSeconds: 5,
+            reconnectMaxSeconds: 300,
+            watchdogSeconds: 60,
+            watchdogTimeoutSeconds: 20,
+            alertAfterFailures: 2,
+            alertTarget: '0899',
+        };
+        monitor = {
+            name: 'support',
+            logLabel: 'App [support]',
+            logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+            isRunning: true,
+            currentCycle: null,
+            mailSource: Object.assign(new EventEmitter(), {
+                isConnected: true,
+                connect: jest.fn().mockResolvedValue(),
+                disconnect: jest.fn(),
+                ping: jest.fn().mockResolvedValue(),
+            }),
+            forwarder: { whatsappService: { sendTextMessage: jest.fn().mockResolvedValue({}) } },
+            runCycle: jest.fn().mockResolvedValue(),
+        };
+        manager = new ConnectionManager(monitor);
+        manager.start();
+    });
+
+    afterEach(() => {
+        manager.stop();
+        jest.useRealTimers();
+        config.connection = originalConnection;
+    });
+
+    it('should reconnect with a growing delay and run a cycle once connected', async () => {
+        monitor.mailSource.connect.mockRejectedValueOnce(networkError());
+
+        monitor.mailSource.emit('disconnected', Object.assign(new Error('read ECONNRESET'), { source: 'socket' }));
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(monitor.mailSource.connect).toHaveBeenCalledTimes(1);
+        expect(manager.failures).toBe(2);
+
+        await jest.advanceTimersByTimeAsync(10 * 1000); // The second delay is between 5 and 10 seconds.
+
+        expect(monitor.mailSource.connect).toHaveBeenCalledTimes(2);
+        expect(monitor.runCycle).toHaveBeenCalledWith('reconnected');
+        expect(manager.failures).toBe(0);
+    });
+
+    it('should ignore failures reported while a reconnect is pending', () => {
+        manager.handleFailure(networkError());
+        monitor.mailSource.emit('disconnected', null);
+
+        expect(manager.failures).toBe(1);
+    });
+
+    it('should wait the longest delay after a rejected login', async () => {
+        manager.handleFailure(Object.assign(new Error('Invalid credentials'), { source: 'authentication' }));
+
+        await jest.advanceTimersByTimeAsync(299 * 1000);
+        expect(monitor.mailSource.connect).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(monitor.mailSource.connect).toHaveBeenCalled();
+    });
+
+    it('should alert after the configured failures in a row and report the recovery once', async () => {
+        const { sendTextMessage } = monitor.forwarder.whatsappService;
+        monitor.mailSource.connect.mockRejectedValueOnce(networkError()).mockRejectedValueOnce(networkError());
+
+        manager.handleFailure(networkError());
+        expect(sendTextMessage).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(sendTextMessage).toHaveBeenCalledTimes(1);
+        expect(sendTextMessage).toHaveBeenCalledWith('0899', expect.stringContaining('failed 2 times in a row'));
+
+        await jest.advanceTimersByTimeAsync(10 * 1000); // A third failure does not alert again.
+        expect(monitor.mailSource.connect).toHaveBeenCalledTimes(2);
+        expect(sendTextMessage).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(30 * 1000);
+        expect(monitor.mailSource.connect).toHaveBeenCalledTimes(3);
+        expect(sendTextMessage).toHaveBeenCalledTimes(2);
+        expect(sendTextMessage).toHaveBeenLastCalledWith('0899', expect.stringContaining('The mail connection is back'));
+    });
+
+    it('should not send a recovery message without an alert', async () => {
+        manager.handleFailure(networkError());
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(monitor.forwarder.whatsappService.sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    it('should drop an idle connection that does not answer the watchdog', async () => {
+        monitor.mailSource.ping.mockRejectedValueOnce(Object.assign(new Error('No answer to NOOP'), { code: 'ETIMEDOUT' }));
+
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(monitor.mailSource.ping).toHaveBeenCalledWith(20 * 1000);
+        expect(manager.isReconnecting()).toBe(true);
+    });
+
+    it('should not ping a connection that is busy with a cycle', async () => {
+        monitor.currentCycle = Promise.resolve();
+
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(monitor.mailSource.ping).not.toHaveBeenCalled();
+    });
+});
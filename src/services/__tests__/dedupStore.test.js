@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DedupStore = require('../dedupStore');
+const { config } = require('../../utils/config');
+
+describe('DedupStore', () => {
+    const originalDedup = config.dedup;
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-store-'));
+        filePath = path.join(tempDir, 'sent-content.json');
+        config.dedup = { ...originalDedup, windowHours: 24 };
+    });
+
+    afterEach(() => {
+        config.dedup = originalDedup;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should remember content per chat and keep it across restarts', async () => {
+        const store = new DedupStore(filePath);
+        await store.initialize();
+        await store.remember('0811', 'abc', 'report.pdf');
+
+        const restored = new DedupStore(filePath);
+        await restored.initialize();
+        expect(restored.find('0811', 'abc')).toEqual({ name: 'report.pdf', sentAt: expect.any(String) });
+        expect(restored.find('0822', 'abc')).toBeUndefined();
+    });
+
+    it('should forget content once the window has passed', async () => {
+        const store = new DedupStore(filePath);
+        await store.initialize();
+        await store.remember('0811', 'abc', 'report.pdf');
+        const sentAt = Date.parse(store.find('0811', 'abc').sentAt);
+
+        expect(store.find('0811', 'abc', sentAt + 23 * 60 * 60 * 1000)).toBeDefined();
+        expect(store.find('0811', 'abc', sentAt + 25 * 60 * 60 * 1000)).toBeUndefined();
+
+        store.prune(sentAt + 25 * 60 * 60 * 1000);
+        expect(store.entries.size).toBe(0);
+    });
+});
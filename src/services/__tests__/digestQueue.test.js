@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DigestQueue = require('../digestQueue');
+const { nextDigestTime } = require('../digestQueue');
+const { config } = require('../../utils/config');
+
+describe('DigestQueue', () => {
+    const originalMessage = config.message;
+    const settings = { name: 'Newsletters', schedule: 'daily', at: '08:00', attachments: 'send' };
+    let tempDir;
+    let filePath;
+
+    const email = (subject, extra = {}) => ({
+        subject,
+        from: 'news@example.com',
+        date: '2024-05-06T08:00:00Z',
+        text: `> quoted\n*${subject}* is out:\n   read it online.`,
+        attachments: [],
+        ...extra,
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-queue-'));
+        filePath = path.join(tempDir, 'digests.json');
+        config.message = { ...originalMessage, timeZone: 'Asia/Jakarta' };
+    });
+
+    afterEach(() => {
+        config.message = originalMessage;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should collect emails once each and keep them across restarts', async () => {
+        const queue = new DigestQueue(filePath);
+        await queue.initialize();
+        await queue.add(settings, ['0811'], 'a', email('Issue 1'));
+        await queue.add(settings, ['0811'], 'a', email('Issue 1'));
+        await queue.add(settings, ['0811', '0822'], 'b', email('Issue 2'));
+
+        const restored = new DigestQueue(filePath);
+        await restored.initialize();
+        const digest = restored.digests.get('Newsletters');
+        expect(digest.items.map((item) => item.key)).toEqual(['a', 'b']);
+        expect(digest.items[0]).toMatchObject({ subject: 'Issue 1', snippet: 'Issue 1 is out: read it online.' });
+        expect([...restored.itemsByTarget(digest)].map(([target, items]) => [target, items.length])).toEqual([['0811', 2], ['0822', 1]]);
+    });
+
+    it('should persist emails added at the same time', async () => {
+        const queue = new DigestQueue(filePath);
+        await queue.initialize();
+        await Promise.all(Array.from({ length: 10 }, (_, index) => queue.add(settings, ['0811'], `key-${index}`, email(`Issue ${index}`))));
+
+        const restored = new DigestQueue(filePath);
+        await restored.initialize();
+        expect(restored.digests.get('Newsletters').items).toHaveLength(10);
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    it('should only keep the attachments of digests that send them', async () => {
+        const queue = new DigestQueue(filePath);
+        const attachments = [{ filename: 'issue.pdf', filepath: '/data/issue.pdf', contentType: 'application/pdf', size: 10, hash: 'x' }];
+        await queue.add(settings, ['0811'], 'a', email('Issue 1', { attachments }));
+        await queue.add({ ...settings, name: 'Shop', attachments: 'none' }, ['0811'], 'b', email('Sale', { attachments }));
+
+        expect(queue.digests.get('Newsletters').items[0].attachments).toEqual([
+            { filename: 'issue.pdf', filepath: '/data/issue.pdf', contentType: 'application/pdf', size: 10 },
+        ]);
+        expect(queue.digests.get('Shop').items[0]).toMatchObject({ attachments: [], attachmentNames: ['issue.pdf'] });
+    });
+
+    it('should report digests as due at their next scheduled time', async () => {
+        const queue = new DigestQueue(filePath);
+        const digest = await queue.add(settings, ['0811'], 'a', email('Issue 1'));
+        const dueAt = Date.parse(digest.nextAt);
+
+        expect(queue.due(dueAt - 1)).toEqual([]);
+        expect(queue.due(dueAt)).toEqual([digest]);
+    });
+
+    it('should drop emails every chat received and delete the attachments they kept', async () => {
+        const attachment = path.join(tempDir, 'issue.pdf');
+        fs.writeFileSync(attachment, 'pdf');
+        const queue = new DigestQueue(filePath);
+        await queue.add(settings, ['0811', '0822'], 'a', email('Issue 1', { attachments: [{ filename: 'issue.pdf', filepath: attachment }] }));
+        const [item] = queue.digests.get('Newsletters').items;
+
+        await queue.markSent('Newsletters', '0811', [item]);
+        expect(queue.digests.get('Newsletters').items[0].targets).toEqual(['0822']);
+        expect(fs.existsSync(attachment)).toBe(true);
+
+        await queue.markSent('Newsletters', '0822', [item]);
+        await queue.complete('Newsletters');
+        expect(queue.digests.size).toBe(0);
+        expect(fs.existsSync(attachment)).toBe(false);
+    });
+
+    it('should keep emails collected during a run for the next time', async () => {
+        const queue = new DigestQueue(filePath);
+        const digest = await queue.add(settings, ['0811'], 'a', email('Issue 1'));
+        const [sent] = digest.items;
+        await queue.add(settings, ['0811'], 'b', email('Issue 2'));
+        digest.nextAt = new Date(0).toISOString();
+
+        await queue.markSent('Newsletters', '0811', [sent]);
+        await queue.complete('Newsletters');
+
+        expect(queue.digests.get('Newsletters').items.map((item) => item.key)).toEqual(['b']);
+        expect(queue.due()).toEqual([]);
+    });
+
+    it('should schedule daily digests in the message time zone', () => {
+        const now = new Date('2024-05-06T02:00:00Z'); // 09:00 in Jakarta
+        expect(nextDigestTime(settings, now)).toEqual(new Date('2024-05-07T01:00:00Z'));
+        expect(nextDigestTime({ ...settings, schedule: 'hourly' }, now)).toEqual(new Date('2024-05-06T03:00:00Z'));
+    });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HoldQueue = require('../holdQueue');
+
+describe('HoldQueue', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hold-queue-'));
+        filePath = path.join(tempDir, 'held-emails.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep held emails in order across restarts', async () => {
+        const queue = new HoldQueue(filePath);
+        await queue.initialize();
+        await queue.hold('a', { subject: 'First' }, ['0811'], new Date('2024-05-07T00:00:00Z'));
+        await queue.hold('b', { subject: 'Second' }, ['0811'], new Date('2024-05-07T00:00:00Z'));
+        // Holding an email again keeps its place.
+        await queue.hold('a', { subject: 'First' }, ['0811'], new Date('2024-05-08T00:00:00Z'));
+
+        const restored = new HoldQueue(filePath);
+        await restored.initialize();
+        expect(restored.items.map((item) => [item.key, item.releaseAt])).toEqual([
+            ['a', '2024-05-08T00:00:00.000Z'],
+            ['b', '2024-05-07T00:00:00.000Z'],
+        ]);
+        expect(restored.due(Date.parse('2024-05-07T00:00:00Z')).map((item) => item.key)).toEqual(['b']);
+    });
+
+    it('should persist emails held at the same time', async () => {
+        const queue = new HoldQueue(filePath);
+        await queue.initialize();
+        await Promise.all(Array.from({ length: 10 }, (_, index) => queue.hold(`key-${index}`, { subject: `Email ${index}` }, ['0811'], new Date())));
+
+        const restored = new HoldQueue(filePath);
+        await restored.initialize();
+        expect(restored.items).toHaveLength(10);
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    it('should tell whether older emails are held for a chat', async () => {
+        const queue = new HoldQueue(filePath);
+        await queue.hold('a', { subject: 'First' }, ['0811'], new Date());
+        await queue.hold('b', { subject: 'Second' }, ['0811', '0822'], new Date());
+
+        expect(queue.hasOlderFor('0811', 'a')).toBe(false);
+        expect(queue.hasOlderFor('0811', 'b')).toBe(true);
+        expect(queue.hasOlderFor('0822', 'c')).toBe(true);
+        expect(queue.hasOlderFor('0833', 'c')).toBe(false);
+
+        await queue.remove('b');
+        expect(queue.has('b')).toBe(false);
+        expect(queue.hasOlderFor('0822', 'c')).toBe(false);
+    });
+});
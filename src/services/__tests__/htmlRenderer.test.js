@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HtmlRenderer = require('../htmlRenderer');
+const { config } = require('../../utils/config');
+
+// A stand-in for Puppeteer that records what the renderer asks of the browser.
+const fakePuppeteer = ({ scrollHeight = 1000 } = {}) => {
+    const page = {
+        handlers: {},
+        setJavaScriptEnabled: jest.fn(),
+        setRequestInterception: jest.fn(),
+        setViewport: jest.fn(),
+        setContent: jest.fn(),
+        on: jest.fn((event, handler) => { page.handlers[event] = handler; }),
+        evaluate: jest.fn().mockResolvedValue(scrollHeight),
+        pdf: jest.fn(),
+        screenshot: jest.fn(),
+    };
+    const browser = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn() };
+    return { page, browser, puppeteer: { launch: jest.fn().mockResolvedValue(browser) } };
+};
+
+const fakeRequest = (url, resourceType = 'image') => ({ url: () => url, resourceType: () => resourceType, continue: jest.fn(), abort: jest.fn() });
+
+describe('HtmlRenderer', () => {
+    const originalRender = config.render;
+    let rendered = [];
+
+    beforeEach(() => {
+        config.render = { ...originalRender, pageWidth: 500, maxPages: 3, allowRemoteImages: false, noSandbox: false };
+    });
+
+    afterEach(() => {
+        config.render = originalRender;
+        new HtmlRenderer(() => null).cleanup(rendered);
+        rendered = [];
+    });
+
+    it('should report that rendering is unavailable when Puppeteer is not installed', async () => {
+        const renderer = new HtmlRenderer(() => {
+            throw Object.assign(new Error("Cannot find module 'puppeteer'"), { code: 'MODULE_NOT_FOUND' });
+        });
+
+        expect(renderer.isAvailable()).toBe(false);
+        await expect(renderer.render('<p>Hi</p>', { format: 'pdf' })).rejects.toThrow('optional "puppeteer" package');
+    });
+
+    it('should render a PDF with scripts disabled and remote resources blocked', async () => {
+        const { page, browser, puppeteer } = fakePuppeteer();
+        rendered = await new HtmlRenderer(() => puppeteer).render('<p>Invoice</p>', { format: 'pdf' });
+
+        expect(puppeteer.launch.mock.calls[0][0].args).not.toContain('--no-sandbox');
+        expect(rendered).toHaveLength(1);
+        expect(path.basename(rendered[0])).toBe('email.pdf');
+        expect(page.pdf).toHaveBeenCalledWith(expect.objectContaining({ path: rendered[0], printBackground: true }));
+        expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(false);
+        expect(browser.close).toHaveBeenCalled();
+
+        const remote = fakeRequest('https://tracker.example.com/open.gif');
+        const inline = fakeRequest('data:image/png;base64,AAAA');
+        page.handlers.request(remote);
+        page.handlers.request(inline);
+        expect(remote.abort).toHaveBeenCalled();
+        expect(inline.continue).toHaveBeenCalled();
+    });
+
+    it('should load remote images, and only images, when they are allowed', async () => {
+        config.render = { ...config.render, allowRemoteImages: true };
+        const { page, puppeteer } = fakePuppeteer();
+        rendered = await new HtmlRenderer(() => puppeteer).render('<p>Dashboard</p>', { format: 'pdf' });
+
+        const remote = fakeRequest('https://example.com/chart.png');
+        const stylesheet = fakeRequest('https://example.com/style.css', 'stylesheet');
+        const frame = fakeRequest('https://example.com/tracker.html', 'document');
+        const local = fakeRequest('file:///etc/passwd');
+        page.handlers.request(remote);
+        page.handlers.request(stylesheet);
+        page.handlers.request(frame);
+        page.handlers.request(local);
+        expect(remote.continue).toHaveBeenCalled();
+        expect(stylesheet.abort).toHaveBeenCalled();
+        expect(frame.abort).toHaveBeenCalled();
+        expect(local.abort).toHaveBeenCalled();
+    });
+
+    it('should only turn off the browser sandbox when configured to', async () => {
+        config.render = { ...config.render, noSandbox: true };
+        const { puppeteer } = fakePuppeteer();
+        rendered = await new HtmlRenderer(() => puppeteer).render('<p>Hi</p>', { format: 'pdf' });
+
+        expect(puppeteer.launch.mock.calls[0][0].args).toContain('--no-sandbox');
+    });
+
+    it('should cut the page into PNG pages, up to the page limit', async () => {
+        const { page, puppeteer } = fakePuppeteer({ scrollHeight: 5000 });
+        rendered = await new HtmlRenderer(() => puppeteer).render('<p>Long</p>', { format: 'png' });
+
+        // Pages are 500 x 707 pixels; 5000 pixels would need 8 pages, but only 3 are allowed.
+        expect(rendered.map((filePath) => path.basename(filePath))).toEqual(['email-1.png', 'email-2.png', 'email-3.png']);
+        expect(page.screenshot.mock.calls.map(([options]) => options.clip)).toEqual([
+            { x: 0, y: 0, width: 500, height: 707 },
+            { x: 0, y: 707, width: 500, height: 707 },
+            { x: 0, y: 1414, width: 500, height: 707 },
+        ]);
+    });
+
+    it('should embed inline images in place of their cid: links', () => {
+        const imagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'render-test-')), 'logo.png');
+        fs.writeFileSync(imagePath, Buffer.from('logo'));
+        rendered = [imagePath];
+
+        const html = new HtmlRenderer(() => null).embedInlineImages(
+            '<img src="cid:logo@x"><img src="cid:unknown@x">',
+            [{ cid: 'logo@x', filepath: imagePath, contentType: 'image/png' }],
+        );
+
+        expect(html).toBe(`<img src="data:image/png;base64,${Buffer.from('logo').toString('base64')}"><img src="cid:unknown@x">`);
+    });
+});
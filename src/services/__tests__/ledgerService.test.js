@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LedgerService = require('../ledgerService');
+const { LEDGER_STATES } = require('../ledgerService');
+
+describe('LedgerService', () => {
+    let tempDir;
+    let filePath;
+
+    const email = {
+        uid: 42,
+        uidValidity: 7,
+        messageId: '<abc@example.com>',
+        subject: 'Hello',
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+        filePath = path.join(tempDir, 'ledger.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should key emails by Message-ID and fall back to the UID', () => {
+        const ledger = new LedgerService(filePath);
+        expect(ledger.keyFor(email)).toBe('<abc@example.com>');
+        expect(ledger.keyFor({ ...email, messageId: '' })).toBe('uid:7:42');
+    });
+
+    it('should keep the same email separate per account', async () => {
+        const ledger = new LedgerService(filePath);
+        await ledger.initialize();
+        await ledger.update(email, { state: LEDGER_STATES.FORWARDED });
+        await ledger.update({ ...email, account: 'billing' }, { state: LEDGER_STATES.FAILED });
+
+        expect(ledger.keyFor({ ...email, account: 'default' })).toBe('<abc@example.com>');
+        expect(ledger.get('<abc@example.com>').state).toBe(LEDGER_STATES.FORWARDED);
+        expect(ledger.get('billing:<abc@example.com>').state).toBe(LEDGER_STATES.FAILED);
+        expect(ledger.findByUid(42, 7, 'billing').key).toBe('billing:<abc@example.com>');
+        expect(ledger.findByUid(42, 7, 'support')).toBeUndefined();
+    });
+
+    it('should persist state changes and restore them on initialize', async () => {
+        const ledger = new LedgerService(filePath);
+        await ledger.initialize();
+        await ledger.update(email, { state: LEDGER_STATES.FORWARDING, attempts: 1 });
+        await ledger.recordStep(email, '0812:message');
+        await ledger.update(email, { state: LEDGER_STATES.FAILED, error: 'API Error' });
+
+        const restored = new LedgerService(filePath);
+        await restored.initialize();
+        const entry = restored.get('<abc@example.com>');
+
+        expect(entry.state).toBe(LEDGER_STATES.FAILED);
+        expect(entry.attempts).toBe(1);
+        expect(entry.deliveredSteps).toEqual(['0812:message']);
+        expect(entry.error).toBe('API Error');
+        expect(restored.findByUid(42, 7)).toBe(entry);
+        expect(restored.findByUid(42, 8)).toBeUndefined();
+    });
+
+    it('should compact the file to one line per email', async () => {
+        const ledger = new LedgerService(filePath);
+        await ledger.initialize();
+        await ledger.update(email, { state: LEDGER_STATES.FORWARDING });
+        await ledger.update(email, { state: LEDGER_STATES.FORWARDED });
+        expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(2);
+
+        await new LedgerService(filePath).initialize();
+        expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    it('should skip a truncated last line left by a crash', async () => {
+        fs.writeFileSync(filePath, `${JSON.stringify({ key: 'a', state: 'forwarded', updatedAt: new Date().toISOString() })}\n{"key":"b","sta`);
+        const ledger = new LedgerService(filePath);
+        await ledger.initialize();
+        expect(ledger.get('a').state).toBe('forwarded');
+        expect(ledger.get('b')).toBeUndefined();
+    });
+
+    it('should drop old forwarded entries that were marked as seen', async () => {
+        const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+        const lines = [
+            { key: 'old-seen', state: 'forwarded', seen: true, updatedAt: old },
+            { key: 'old-unseen', state: 'forwarded', seen: false, updatedAt: old },
+            { key: 'old-failed', state: 'failed', seen: false, updatedAt: old },
+        ];
+        fs.writeFileSync(filePath, lines.map((line) => JSON.stringify(line)).join('\n'));
+
+        const ledger = new LedgerService(filePath);
+        await ledger.initialize(30);
+        expect(ledger.get('old-seen')).toBeUndefined();
+        expect(ledger.get('old-unseen')).toBeDefined();
+        expect(ledger.entriesInState(LEDGER_STATES.FAILED)).toHaveLength(1);
+    });
+});
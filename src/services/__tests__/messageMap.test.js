@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageMap = require('../messageMap');
+
+describe('MessageMap', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-map-'));
+        filePath = path.join(tempDir, 'message-map.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep forwarded and handled messages across restarts', async () => {
+        const map = new MessageMap(filePath);
+        await map.initialize();
+        await map.remember('OUT1', '6281234567890@c.us', { messageId: '<a@bank.com>', subject: 'Invoice', fromAddress: 'bank@example.com' });
+        await map.markHandled('IN1');
+
+        const restored = new MessageMap(filePath);
+        await restored.initialize();
+        expect(restored.get('OUT1')).toMatchObject({ messageId: '<a@bank.com>', replyTo: 'bank@example.com' });
+        expect(restored.wasHandled('IN1')).toBe(true);
+        expect(restored.wasHandled('IN2')).toBe(false);
+    });
+
+    it('should read files written before handled messages were remembered', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({ OUT1: { chatId: '0811', subject: 'Invoice', sentAt: new Date().toISOString() } }));
+
+        const map = new MessageMap(filePath);
+        await map.initialize();
+
+        expect(map.get('OUT1')).toMatchObject({ subject: 'Invoice' });
+        expect(map.handled.size).toBe(0);
+    });
+
+    it('should forget handled messages after a day', async () => {
+        const map = new MessageMap(filePath);
+        await map.markHandled('IN1');
+
+        map.prune(Date.now() + 25 * 60 * 60 * 1000);
+
+        expect(map.wasHandled('IN1')).toBe(false);
+    });
+});
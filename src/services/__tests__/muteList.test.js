@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MuteList = require('../muteList');
+
+describe('MuteList', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mute-list-'));
+        filePath = path.join(tempDir, 'mutes.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should mute senders and patterns until the mute ends, across restarts', async () => {
+        const list = new MuteList(filePath);
+        await list.initialize();
+        const now = Date.now();
+        await list.mute('News@Shop.com', new Date(now + 60 * 60 * 1000));
+        await list.mute('*@promo.example', new Date(now + 2 * 60 * 60 * 1000));
+
+        const restored = new MuteList(filePath);
+        await restored.initialize();
+        expect(restored.find('news@shop.com')).toEqual(expect.objectContaining({ sender: 'news@shop.com' }));
+        expect(restored.find('deals@promo.example')).toEqual(expect.objectContaining({ sender: '*@promo.example' }));
+        expect(restored.find('boss@work.com')).toBeUndefined();
+        expect(restored.find('news@shop.com', now + 90 * 60 * 1000)).toBeUndefined();
+    });
+
+    it('should persist senders muted at the same time', async () => {
+        const list = new MuteList(filePath);
+        await list.initialize();
+        const until = new Date(Date.now() + 60 * 60 * 1000);
+        await Promise.all(Array.from({ length: 10 }, (_, index) => list.mute(`sender${index}@example.com`, until)));
+
+        const restored = new MuteList(filePath);
+        await restored.initialize();
+        expect(restored.active()).toHaveLength(10);
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    it('should end a mute on request', async () => {
+        const list = new MuteList(filePath);
+        await list.initialize();
+        await list.mute('news@shop.com', new Date(Date.now() + 60 * 60 * 1000));
+
+        await expect(list.unmute('NEWS@shop.com')).resolves.toBe(true);
+        await expect(list.unmute('news@shop.com')).resolves.toBe(false);
+        expect(list.find('news@shop.com')).toBeUndefined();
+    });
+});
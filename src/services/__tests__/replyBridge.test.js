@@ -0,0 +1,99 @@
+const net = require('net');
+const ReplyBridge = require('../replyBridge');
+const { config } = require('../../utils/config');
+
+// A stand-in for an SMTP server that accepts every message and keeps its raw data.
+const startFakeSmtp = () => new Promise((resolve) => {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let data = null;
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            if (data !== null) {
+                data += chunk.toString('utf8');
+                if (!data.endsWith('\r\n.\r\n')) return;
+                messages.push(data);
+                data = null;
+                socket.write('250 OK: queued\r\n');
+                return;
+            }
+            for (const line of chunk.toString('utf8').split('\r\n').filter(Boolean)) {
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO') socket.write('250 localhost\r\n');
+                else if (command === 'DATA') {
+                    data = '';
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages }));
+});
+
+describe('ReplyBridge', () => {
+    const originalSmtp = config.smtp;
+    const email = {
+        chatId: '6281234567890@c.us',
+        messageId: '<invoice-7@bank.com>',
+        references: ['<thread-1@bank.com>'],
+        subject: 'Invoice 7',
+        replyTo: 'billing@bank.com',
+        account: 'default',
+        sentAt: new Date().toISOString(),
+    };
+    const reply = {
+        idMessage: 'IN1',
+        chatId: '6281234567890@c.us',
+        sender: '6281234567890@c.us',
+        senderName: 'Budi',
+        text: 'Paid, thanks!',
+        quotedId: 'OUT1',
+    };
+    let smtp;
+    let whatsappService;
+    let bridge;
+
+    beforeEach(async () => {
+        smtp = await startFakeSmtp();
+        config.smtp = { ...originalSmtp, host: '127.0.0.1', port: smtp.server.address().port, secure: false, user: '', from: 'me@example.com' };
+        whatsappService = { sendTextMessage: jest.fn().mockResolvedValue({}) };
+        bridge = new ReplyBridge(whatsappService, new Map([['OUT1', email]]));
+    });
+
+    afterEach(async () => {
+        config.smtp = originalSmtp;
+        bridge.getTransport().close();
+        await new Promise((resolve) => smtp.server.close(resolve));
+    });
+
+    it('should send a quoted reply to the sender of the email, in its thread', async () => {
+        await expect(bridge.handleMessage(reply)).resolves.toBe(true);
+
+        expect(smtp.messages).toHaveLength(1);
+        const [message] = smtp.messages;
+        expect(message).toMatch(/^To: billing@bank\.com$/m);
+        expect(message).toMatch(/^Subject: Re: Invoice 7$/m);
+        expect(message).toMatch(/^In-Reply-To: <invoice-7@bank\.com>$/m);
+        expect(message).toMatch(/^References: <thread-1@bank\.com> <invoice-7@bank\.com>$/m);
+        expect(message).toContain('Paid, thanks!');
+        expect(message).toContain('Sent from WhatsApp by Budi');
+        expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(reply.chatId, '✉️ Reply sent to billing@bank.com.');
+    });
+
+    it('should ignore messages that do not quote a forwarded email of the same chat', async () => {
+        await expect(bridge.handleMessage({ ...reply, quotedId: null })).resolves.toBe(false);
+        await expect(bridge.handleMessage({ ...reply, quotedId: 'OTHER' })).resolves.toBe(false);
+        await expect(bridge.handleMessage({ ...reply, chatId: '6289999999999@c.us' })).resolves.toBe(false);
+
+        expect(smtp.messages).toEqual([]);
+    });
+
+    it('should tell the chat when the reply could not be sent', async () => {
+        bridge.messageMap.set('OUT2', { ...email, replyTo: '' });
+
+        await expect(bridge.handleMessage({ ...reply, quotedId: 'OUT2' })).resolves.toBe(true);
+
+        expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(reply.chatId, expect.stringMatching(/^❌ Could not send your reply/));
+    });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RetryQueue = require('../retryQueue');
+const { config } = require('../../utils/config');
+
+describe('RetryQueue', () => {
+    let tempDir;
+    let filePath;
+    const email = { subject: 'Invoice', attachments: [], skippedAttachments: [] };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-queue-'));
+        filePath = path.join(tempDir, 'retry-queue.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should schedule items with a backoff and persist them', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+        const before = Date.now();
+        const item = await queue.schedule('<a@x>', email, 1, new Error('HTTP 503'));
+
+        const waitMs = Date.parse(item.nextAttemptAt) - before;
+        expect(waitMs).toBeGreaterThanOrEqual((config.retry.baseDelaySeconds * 1000) / 2 - 10);
+        expect(waitMs).toBeLessThanOrEqual(config.retry.baseDelaySeconds * 1000 + 10);
+
+        const restored = new RetryQueue(filePath);
+        await restored.initialize();
+        expect(restored.has('<a@x>')).toBe(true);
+        expect(restored.pending[0].lastError).toBe('HTTP 503');
+    });
+
+    it('should persist overlapping schedules from concurrent accounts', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+
+        await Promise.all(Array.from({ length: 10 }, (_, index) => queue.schedule(`<${index}@x>`, email, 1, new Error('HTTP 503'))));
+
+        const restored = new RetryQueue(filePath);
+        await restored.initialize();
+        expect(restored.pending).toHaveLength(10);
+    });
+
+    it('should wait at least as long as the server requested', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+        const before = Date.now();
+        const item = await queue.schedule('<a@x>', email, 1, new Error('HTTP 429'), 2 * 60 * 60 * 1000);
+        expect(Date.parse(item.nextAttemptAt) - before).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000);
+    });
+
+    it('should only return items that are due', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+        await queue.schedule('<a@x>', email, 1, new Error('HTTP 503'));
+
+        expect(queue.due()).toHaveLength(0);
+        expect(queue.due(Date.now() + 24 * 60 * 60 * 1000)).toHaveLength(1);
+    });
+
+    it('should move items to the dead-letter list', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+        await queue.schedule('<a@x>', email, 4, new Error('HTTP 503'));
+        await queue.deadLetter('<a@x>', email, 5, new Error('HTTP 503'));
+
+        expect(queue.pending).toHaveLength(0);
+        expect(queue.deadLetters).toHaveLength(1);
+        expect(queue.deadLetters[0].attempts).toBe(5);
+        expect(queue.has('<a@x>')).toBe(true);
+
+        await queue.remove('<a@x>');
+        expect(queue.has('<a@x>')).toBe(false);
+    });
+
+    it('should give a dead-lettered item one more attempt when retried now', async () => {
+        const queue = new RetryQueue(filePath);
+        await queue.initialize();
+        await queue.deadLetter('<a@x>', email, 5, new Error('HTTP 400'));
+
+        const item = await queue.retryNow('<a@x>');
+
+        expect(item).not.toHaveProperty('failedAt');
+        expect(queue.deadLetters).toHaveLength(0);
+        expect(queue.due().map((due) => [due.key, due.attempts])).toEqual([['<a@x>', 5]]);
+        await expect(queue.retryNow('<b@x>')).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const MessageMap = require('../messageMap');
+const WhatsAppReceiver = require('../whatsappReceiver');
+const { parseIncomingMessage } = require('../whatsappReceiver');
+const { config } = require('../../utils/config');
+
+const notification = (messageData) => ({
+    typeWebhook: 'incomingMessageReceived',
+    idMessage: 'IN1',
+    senderData: { chatId: '6281234567890@c.us', sender: '6281234567890@c.us', senderName: 'Budi' },
+    messageData,
+});
+
+// Posts a JSON body to the webhook server and resolves with the status code.
+const post = (port, body, headers = {}) => new Promise((resolve, reject) => {
+    const request = http.request(
+        { host: '127.0.0.1', port, method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } },
+        (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        },
+    );
+    request.on('error', reject);
+    request.end(body);
+});
+
+describe('parseIncomingMessage', () => {
+    it('should read plain and quoting text messages', () => {
+        expect(parseIncomingMessage(notification({
+            typeMessage: 'textMessage',
+            textMessageData: { textMessage: 'Hello' },
+        }))).toEqual({
+            idMessage: 'IN1',
+            chatId: '6281234567890@c.us',
+            sender: '6281234567890@c.us',
+            senderName: 'Budi',
+            text: 'Hello',
+            quotedId: null,
+        });
+        expect(parseIncomingMessage(notification({
+            typeMessage: 'quotedMessage',
+            extendedTextMessageData: { text: 'Paid', stanzaId: 'OUT1' },
+            quotedMessage: { stanzaId: 'OUT1' },
+        }))).toMatchObject({ text: 'Paid', quotedId: 'OUT1' });
+    });
+
+    it('should ignore other notifications and message types', () => {
+        expect(parseIncomingMessage({ typeWebhook: 'outgoingMessageStatus' })).toBeNull();
+        expect(parseIncomingMessage(notification({ typeMessage: 'imageMessage' }))).toBeNull();
+        expect(parseIncomingMessage(undefined)).toBeNull();
+    });
+});
+
+describe('WhatsAppReceiver', () => {
+    const originalBridge = config.bridge;
+    const text = notification({ typeMessage: 'textMessage', textMessageData: { textMessage: 'Hello' } });
+    let tempDir;
+    let messageMap;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receiver-'));
+        messageMap = new MessageMap(path.join(tempDir, 'message-map.json'));
+    });
+
+    afterEach(() => {
+        config.bridge = originalBridge;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read, handle and delete notifications when polling', async () => {
+        config.bridge = { ...originalBridge, receiveMode: 'poll' };
+        let receiver;
+        const whatsappService = {
+            receiveNotification: jest.fn()
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ receiptId: 7, body: text }),
+            deleteNotification: jest.fn(async () => {
+                receiver.isRunning = false;
+            }),
+        };
+        const onMessage = jest.fn().mockRejectedValue(new Error('handler failed'));
+        receiver = new WhatsAppReceiver(whatsappService, onMessage, messageMap);
+
+        await receiver.start();
+        await receiver.pollLoop;
+
+        expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({ idMessage: 'IN1', text: 'Hello' }));
+        // A failing handler must not keep the notification in the queue.
+        expect(whatsappService.deleteNotification).toHaveBeenCalledWith(7);
+    });
+
+    it('should accept webhook notifications that carry the token', async () => {
+        config.bridge = { ...originalBridge, receiveMode: 'webhook', webhookHost: '127.0.0.1', webhookPort: 0, webhookToken: 'secret' };
+        const onMessage = jest.fn().mockResolvedValue();
+        const receiver = new WhatsAppReceiver({}, onMessage, messageMap);
+        await receiver.start();
+        const { port } = receiver.server.address();
+
+        try {
+            await expect(post(port, JSON.stringify(text))).resolves.toBe(401);
+            await expect(post(port, '{', { Authorization: 'Bearer secret' })).resolves.toBe(400);
+            expect(onMessage).not.toHaveBeenCalled();
+
+            await expect(post(port, JSON.stringify(text), { Authorization: 'Bearer secret' })).resolves.toBe(200);
+            expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({ chatId: '6281234567890@c.us', text: 'Hello' }));
+
+            // Green API sends a webhook again when it did not get the answer in time.
+            await expect(post(port, JSON.stringify(text), { Authorization: 'Bearer secret' })).resolves.toBe(200);
+            expect(onMessage).toHaveBeenCalledTimes(1);
+        } finally {
+            await receiver.stop();
+        }
+    });
+
+    it('should reject every webhook request when no token is set', async () => {
+        config.bridge = { ...originalBridge, receiveMode: 'webhook', webhookHost: '127.0.0.1', webhookPort: 0, webhookToken: '' };
+        const onMessage = jest.fn().mockResolvedValue();
+        const receiver = new WhatsAppReceiver({}, onMessage, messageMap);
+        await receiver.start();
+        const { port } = receiver.server.address();
+
+        try {
+            await expect(post(port, JSON.stringify(text))).resolves.toBe(401);
+            await expect(post(port, JSON.stringify(text), { Authorization: 'Bearer ' })).resolves.toBe(401);
+            expect(onMessage).not.toHaveBeenCalled();
+        } finally {
+            await receiver.stop();
+        }
+    });
+
+    it('should retry a failed delete without handling the notification again', async () => {
+        jest.useFakeTimers();
+        config.bridge = { ...originalBridge, receiveMode: 'poll' };
+        let receiver;
+        const whatsappService = {
+            receiveNotification: jest.fn().mockResolvedValue({ receiptId: 7, body: text }),
+            deleteNotification: jest.fn()
+                .mockRejectedValueOnce(new Error('socket hang up'))
+                .mockImplementationOnce(async () => {
+                    receiver.isRunning = false;
+                }),
+        };
+        const onMessage = jest.fn().mockResolvedValue();
+        const handled = new Set();
+        const handledMessages = { wasHandled: (id) => handled.has(id), markHandled: async (id) => handled.add(id) };
+        receiver = new WhatsAppReceiver(whatsappService, onMessage, handledMessages);
+
+        try {
+            await receiver.start();
+            await jest.advanceTimersByTimeAsync(5000);
+            await receiver.pollLoop;
+        } finally {
+            jest.useRealTimers();
+        }
+
+        expect(whatsappService.receiveNotification).toHaveBeenCalledTimes(1);
+        expect(whatsappService.deleteNotification).toHaveBeenCalledTimes(2);
+        expect(onMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip a notification that is delivered again after it was handled', async () => {
+        const onMessage = jest.fn().mockResolvedValue();
+        await new WhatsAppReceiver({}, onMessage, messageMap).handleNotification(text);
+
+        const restored = new MessageMap(messageMap.filePath);
+        await restored.initialize();
+        await new WhatsAppReceiver({}, onMessage, restored).handleNotification(text);
+
+        expect(onMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for the poll loop and the webhook messages being handled when stopping', async () => {
+        config.bridge = { ...originalBridge, receiveMode: 'webhook', webhookHost: '127.0.0.1', webhookPort: 0, webhookToken: 'secret' };
+        let finishHandling;
+        const onMessage = jest.fn(() => new Promise((resolve) => {
+            finishHandling = resolve;
+        }));
+        const receiver = new WhatsAppReceiver({}, onMessage, messageMap);
+        await receiver.start();
+        let finishPolling;
+        receiver.pollLoop = new Promise((resolve) => {
+            finishPolling = resolve;
+        });
+        await post(receiver.server.address().port, JSON.stringify(text), { Authorization: 'Bearer secret' });
+        let stopped = false;
+
+        const stopping = receiver.stop().then(() => {
+            stopped = true;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(stopped).toBe(false);
+
+        finishPolling();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(stopped).toBe(false);
+
+        finishHandling();
+        await stopping;
+        expect(stopped).toBe(true);
+    });
+});
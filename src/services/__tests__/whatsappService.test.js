@@ -2,6 +2,9 @@ const WhatsAppService = require('../whatsappService');
 const axios = require('axios');
 const fs = require('fs');
 const { config } = require('../../utils/config');
+const { compileMessageTemplates } = require('../../utils/messageTemplates');
+const DedupStore = require('../dedupStore');
+const { counter, histogram, resetMetrics } = require('../../utils/metrics');
 
 // Mock axios
 jest.mock('axios');
@@ -46,6 +49,11 @@ describe('WhatsAppService', () => {
         it('should remove non-numeric characters', () => {
             expect(whatsappService.formatPhoneNumber('+62 812-3456-7890')).toBe('6281234567890@c.us');
         });
+
+        it('should keep group and existing chat IDs unchanged', () => {
+            expect(whatsappService.formatPhoneNumber('120363043968123456@g.us')).toBe('120363043968123456@g.us');
+            expect(whatsappService.formatPhoneNumber('6281234567890@c.us')).toBe('6281234567890@c.us');
+        });
     });
 
     describe('sendTextMessage', () => {
@@ -73,6 +81,22 @@ describe('WhatsAppService', () => {
         });
     });
 
+    describe('rate limiting', () => {
+        it('should pause sends after a 429 response with Retry-After', async () => {
+            const rateLimited = Object.assign(new Error('Too Many Requests'), {
+                response: { status: 429, headers: { 'retry-after': '120' } },
+            });
+            axios.post.mockRejectedValueOnce(rateLimited);
+
+            await expect(whatsappService.sendTextMessage('0812', 'test')).rejects.toThrow('Too Many Requests');
+            expect(whatsappService.nextSendAt).toBeGreaterThanOrEqual(Date.now() + 119000);
+
+            // The pause is too long to wait for, so the next send fails fast with a retryable error.
+            await expect(whatsappService.sendTextMessage('0812', 'test')).rejects.toMatchObject({ code: 'ERR_RATE_LIMITED' });
+            expect(axios.post).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('sendFile', () => {
         it('should send a file successfully', async () => {
             const recipient = '081234567890';
@@ -94,6 +118,45 @@ describe('WhatsAppService', () => {
         });
     });
 
+    describe('metrics', () => {
+        const requests = counter('forwarder_green_api_requests_total');
+        const attachments = counter('forwarder_attachments_total');
+
+        beforeEach(() => {
+            resetMetrics();
+        });
+
+        it('should record the latency and status code of Green API requests', async () => {
+            axios.post
+                .mockResolvedValueOnce({ status: 200, data: { idMessage: 'some-id' } })
+                .mockRejectedValueOnce(Object.assign(new Error('Bad Gateway'), { response: { status: 502 } }))
+                .mockRejectedValueOnce(new Error('socket hang up'));
+
+            await whatsappService.sendTextMessage('0812', 'one');
+            await expect(whatsappService.sendTextMessage('0812', 'two')).rejects.toThrow('Bad Gateway');
+            await expect(whatsappService.sendFile('0812', '/tmp/a.pdf', '', 'a.pdf')).rejects.toThrow('socket hang up');
+
+            expect(requests.get({ method: 'sendMessage', status: '200' })).toBe(1);
+            expect(requests.get({ method: 'sendMessage', status: '502' })).toBe(1);
+            expect(requests.get({ method: 'sendFileByUpload', status: 'error' })).toBe(1);
+            expect(histogram('forwarder_green_api_request_duration_seconds').get({ method: 'sendMessage' }).count).toBe(2);
+        });
+
+        it('should count sent and failed attachments and the uploaded bytes', async () => {
+            axios.post
+                .mockResolvedValueOnce({ status: 200, data: { idMessage: 'file-id' } })
+                .mockRejectedValueOnce(Object.assign(new Error('Bad Request'), { response: { status: 400 } }))
+                .mockResolvedValueOnce({ status: 200, data: { idMessage: 'notice-id' } });
+
+            await whatsappService.sendAttachment('0812', { filename: 'a.pdf', filepath: '/tmp/a.pdf', size: 2048 }, 'a.pdf');
+            await whatsappService.sendAttachment('0812', { filename: 'b.pdf', filepath: '/tmp/b.pdf', size: 100 }, 'b.pdf');
+
+            expect(attachments.get({ outcome: 'sent' })).toBe(1);
+            expect(attachments.get({ outcome: 'failed' })).toBe(1);
+            expect(counter('forwarder_attachment_bytes_uploaded_total').get()).toBe(2048);
+        });
+    });
+
     describe('forwardEmail', () => {
         const emailData = {
             from: 'sender@example.com',
@@ -142,7 +205,281 @@ describe('WhatsAppService', () => {
             );
         });
 
-        
+        it('should render the message template selected by the routing rule', async () => {
+            const textOnly = { ...emailData, attachments: [], skippedAttachments: [] };
+            jest.spyOn(whatsappService, 'getMessageTemplates').mockReturnValue(compileMessageTemplates({
+                ...config.message,
+                timeZone: 'UTC',
+                templates: { brief: '{{subject}} ({{date | date "yyyy-MM-dd"}}): {{body | truncate 12}}' },
+            }));
+
+            await whatsappService.forwardEmail({ ...textOnly, date: '2024-03-05T10:00:00Z' }, ['0811'], { template: 'brief' });
+
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/sendMessage/'),
+                expect.objectContaining({ message: 'Test Email (2024-03-05): This is the…' })
+            );
+        });
+
+        it('should strip quoted replies unless the routing rule opts out', async () => {
+            const reply = { ...emailData, text: 'Yes, approved.\n\nOn Mon, 4 Mar 2024, Bob <bob@example.com> wrote:\n> Can you approve?', attachments: [], skippedAttachments: [] };
+            jest.spyOn(whatsappService, 'getMessageTemplates').mockReturnValue(compileMessageTemplates({
+                ...config.message,
+                templates: { plain: '{{body}}' },
+            }));
+
+            await whatsappService.forwardEmail(reply, ['0811'], { template: 'plain' });
+            await whatsappService.forwardEmail(reply, ['0811'], { template: 'plain', clean: { quotedReplies: false } });
+
+            expect(axios.post.mock.calls.map(([, payload]) => payload.message)).toEqual(['Yes, approved.', reply.text]);
+        });
+
+        it('should forward the email to every given target', async () => {
+            const textOnly = { ...emailData, attachments: [], skippedAttachments: [] };
+
+            await whatsappService.forwardEmail(textOnly, ['081234567890', '120363043968123456@g.us']);
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/sendMessage/'),
+                expect.objectContaining({ chatId: '6281234567890@c.us' })
+            );
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/sendMessage/'),
+                expect.objectContaining({ chatId: '120363043968123456@g.us' })
+            );
+        });
+
+        it('should keep forwarding to other targets when one fails', async () => {
+            const textOnly = { ...emailData, attachments: [], skippedAttachments: [] };
+            axios.post.mockRejectedValueOnce(new Error('API Error'));
+
+            await expect(whatsappService.forwardEmail(textOnly, ['0811', '0822'])).rejects.toThrow('Forwarding failed for 0811');
+            expect(axios.post).toHaveBeenCalledTimes(2);
+        });
+
+        it('should skip steps that were already delivered and report new ones', async () => {
+            const textOnly = { ...emailData, attachments: [], skippedAttachments: [] };
+            const onStepDelivered = jest.fn();
+
+            await whatsappService.forwardEmail(textOnly, ['0811', '0822'], {
+                completedSteps: ['0811:message'],
+                onStepDelivered,
+            });
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/sendMessage/'),
+                expect.objectContaining({ chatId: '62822@c.us' })
+            );
+            expect(onStepDelivered).toHaveBeenCalledWith('0822:message');
+            expect(onStepDelivered).toHaveBeenCalledTimes(1);
+        });
+
+        describe('long bodies', () => {
+            const longText = Array.from({ length: 30 }, (_, index) => `Paragraph ${index} of the email body.`).join('\n\n');
+            const longEmail = { ...emailData, text: longText, attachments: [], skippedAttachments: [] };
+            const sentMessages = () => axios.post.mock.calls
+                .filter(([url]) => url.includes('/sendMessage/'))
+                .map(([, payload]) => payload.message);
+
+            const originalWhatsApp = config.whatsapp;
+
+            beforeEach(() => {
+                jest.spyOn(whatsappService, 'getMessageTemplates').mockReturnValue(compileMessageTemplates({
+                    ...config.message,
+                    templates: { plain: '{{subject}}\n\n{{body}}' },
+                }));
+                fs.writeFileSync.mockReset();
+                fs.rmSync.mockReset();
+            });
+
+            afterEach(() => {
+                config.whatsapp = originalWhatsApp;
+            });
+
+            it('should split a long body into numbered messages', async () => {
+                config.whatsapp = { ...originalWhatsApp, sendIntervalMs: 0, maxMessageLength: 400, maxMessages: 5 };
+                const onStepDelivered = jest.fn();
+
+                await whatsappService.forwardEmail(longEmail, ['0811'], { template: 'plain', onStepDelivered });
+
+                const messages = sentMessages();
+                expect(messages).toHaveLength(3);
+                expect(messages[0]).toMatch(/^Test Email\n\nParagraph 0 of the email body\./);
+                expect(messages[2]).toMatch(/Paragraph 29 of the email body\.\n\n\(3\/3\)$/);
+                messages.forEach((message) => expect(message.length).toBeLessThanOrEqual(400));
+                expect(onStepDelivered.mock.calls.map(([step]) => step)).toEqual(['0811:message:1', '0811:message:2', '0811:message:3']);
+            });
+
+            it('should send the full body as a document when it needs too many messages', async () => {
+                config.whatsapp = { ...originalWhatsApp, sendIntervalMs: 0, maxMessageLength: 400, maxMessages: 2, overflowDocument: 'txt' };
+
+                await whatsappService.forwardEmail(longEmail, ['0811'], { template: 'plain' });
+
+                const messages = sentMessages();
+                expect(messages).toHaveLength(1);
+                expect(messages[0].length).toBeLessThanOrEqual(400);
+                expect(messages[0]).toMatch(/^Test Email\n\nParagraph 0 of the email body\./);
+                expect(messages[0]).toContain('the full text is in email.txt');
+
+                const [[filePath, content]] = fs.writeFileSync.mock.calls;
+                expect(content).toContain('Subject: Test Email');
+                expect(content).toContain(longText);
+                expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/sendFileByUpload/'), expect.any(Object), expect.any(Object));
+                expect(fs.rmSync).toHaveBeenCalledWith(filePath, { force: true });
+            });
+
+            it('should build an HTML document from the original HTML or the escaped text', () => {
+                expect(whatsappService.buildBodyDocument(emailData, 'ignored', 'html')).toBe(emailData.html);
+
+                const document = whatsappService.buildBodyDocument({ ...emailData, html: undefined }, 'a < b & c', 'html');
+                expect(document).toContain('<title>Test Email</title>');
+                expect(document).toContain('a &lt; b &amp; c');
+            });
+        });
+
+        it('should send inline images in body order with their alt text before the attachments', async () => {
+            const sendFile = jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+            const onStepDelivered = jest.fn();
+            const withImages = {
+                ...emailData,
+                inlineImages: [
+                    { filename: 'chart.png', filepath: '/path/to/chart.png', size: 2048, caption: 'Sales chart' },
+                    { filename: 'logo.png', filepath: '/path/to/logo.png', size: 1024, caption: '' },
+                ],
+                skippedAttachments: [],
+            };
+
+            await whatsappService.forwardEmail(withImages, ['0811'], { onStepDelivered });
+
+            expect(sendFile.mock.calls.map((call) => [call[2], call[3]])).toEqual([
+                ['Sales chart', 'chart.png'],
+                ['', 'logo.png'],
+                [expect.stringContaining('document.pdf'), 'document.pdf'],
+                [expect.stringContaining('image.png'), 'image.png'],
+            ]);
+            expect(onStepDelivered).toHaveBeenCalledWith('0811:inline:1');
+        });
+
+        it('should report the message ID of every sent message, including files and notes', async () => {
+            const onMessageSent = jest.fn();
+            axios.post.mockImplementation(async () => ({ data: { idMessage: `id-${axios.post.mock.calls.length}` } }));
+            const withImages = { ...emailData, inlineImages: [{ filename: 'chart.png', filepath: '/path/to/chart.png', size: 2048, caption: '' }] };
+
+            await whatsappService.forwardEmail(withImages, ['0811'], { onMessageSent });
+
+            // The text message, the inline image, two attachments and the note about the skipped attachment.
+            expect(onMessageSent.mock.calls.map(([idMessage]) => idMessage)).toEqual(['id-1', 'id-2', 'id-3', 'id-4', 'id-5']);
+        });
+
+        describe('rendered emails', () => {
+            const htmlOnly = { ...emailData, attachments: [], skippedAttachments: [] };
+
+            beforeEach(() => {
+                whatsappService.renderer = {
+                    isAvailable: jest.fn().mockReturnValue(true),
+                    render: jest.fn().mockResolvedValue(['/tmp/render/email-1.png', '/tmp/render/email-2.png']),
+                    cleanup: jest.fn(),
+                };
+            });
+
+            it('should send the rendered pages instead of the text message once for all targets', async () => {
+                const sendFile = jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+
+                await whatsappService.forwardEmail(htmlOnly, ['0811', '0822'], { render: { format: 'png', mode: 'instead' } });
+
+                expect(whatsappService.renderer.render).toHaveBeenCalledTimes(1);
+                expect(whatsappService.renderer.render).toHaveBeenCalledWith(htmlOnly.html, { format: 'png', images: [] });
+                expect(axios.post).not.toHaveBeenCalledWith(expect.stringContaining('/sendMessage/'), expect.anything());
+                expect(sendFile.mock.calls.map((call) => [call[0], call[2], call[3]])).toEqual([
+                    ['0811', `*📧 Test Email*\n*From:* ${emailData.from} (1/2)`, 'email-1.png'],
+                    ['0811', '🖼️ Test Email (2/2)', 'email-2.png'],
+                    ['0822', `*📧 Test Email*\n*From:* ${emailData.from} (1/2)`, 'email-1.png'],
+                    ['0822', '🖼️ Test Email (2/2)', 'email-2.png'],
+                ]);
+                expect(whatsappService.renderer.cleanup).toHaveBeenCalledWith(['/tmp/render/email-1.png', '/tmp/render/email-2.png']);
+            });
+
+            it('should forward the email as text when rendering is off or fails', async () => {
+                await whatsappService.forwardEmail(htmlOnly, ['0811']);
+                expect(whatsappService.renderer.render).not.toHaveBeenCalled();
+
+                whatsappService.renderer.render.mockRejectedValue(new Error('Chromium crashed'));
+                await whatsappService.forwardEmail(htmlOnly, ['0811'], { render: { format: 'pdf', mode: 'instead' } });
+
+                expect(axios.post).toHaveBeenCalledTimes(2);
+                expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/sendMessage/'), expect.anything());
+            });
+        });
+
+        describe('repeated content', () => {
+            const originalDedup = config.dedup;
+            const originalWhatsApp = config.whatsapp;
+            // The content hashes are set up front, as they would be after the first forward.
+            const withFiles = (...files) => ({ ...emailData, skippedAttachments: [], attachments: files.map((file) => ({ ...file })) });
+            const pdf = { filename: 'report.pdf', filepath: '/path/to/report.pdf', size: 100, hash: 'aaa' };
+            const png = { filename: 'chart.png', filepath: '/path/to/chart.png', size: 200, hash: 'bbb' };
+
+            beforeEach(() => {
+                config.dedup = { attachments: true, bodies: true, windowHours: 24 };
+                config.whatsapp = { ...originalWhatsApp, sendIntervalMs: 0 };
+                whatsappService.dedupStore = new DedupStore('/tmp/sent-content.json');
+            });
+
+            afterEach(() => {
+                config.dedup = originalDedup;
+                config.whatsapp = originalWhatsApp;
+            });
+
+            it('should replace attachments the chat received before with a single note', async () => {
+                const sendFile = jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+
+                await whatsappService.forwardEmail(withFiles(pdf), ['0811']);
+                await whatsappService.forwardEmail({ ...withFiles(pdf, png), text: 'Another week, another report.' }, ['0811', '0822']);
+
+                expect(sendFile.mock.calls.map((call) => [call[0], call[3]])).toEqual([
+                    ['0811', 'report.pdf'],
+                    ['0811', 'chart.png'],
+                    ['0822', 'report.pdf'],
+                    ['0822', 'chart.png'],
+                ]);
+                const notes = axios.post.mock.calls.map(([, payload]) => payload.message).filter((message) => message.includes('Sent Before'));
+                expect(notes).toEqual([expect.stringMatching(/^\*♻️ Sent Before:\*\n- report\.pdf - same attachment as sent on .+$/)]);
+            });
+
+            it('should replace a body the chat received before with a short note', async () => {
+                const textOnly = withFiles();
+
+                await whatsappService.forwardEmail(textOnly, ['0811']);
+                await whatsappService.forwardEmail({ ...textOnly, text: '  THIS is the *email* body. ' }, ['0811']);
+
+                const messages = axios.post.mock.calls.map(([, payload]) => payload.message);
+                expect(messages).toHaveLength(2);
+                expect(messages[1]).toMatch(/^\*📧 Test Email\*\n\*From:\* sender@example\.com\n\n♻️ _Same message as sent on .+\._$/);
+            });
+
+            it('should not count files delivered in an earlier attempt as repeats', async () => {
+                jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+                await whatsappService.forwardEmail(withFiles(pdf), ['0811']);
+                axios.post.mockClear();
+
+                await whatsappService.forwardEmail(withFiles(pdf), ['0811'], { completedSteps: ['0811:message', '0811:attachment:0'] });
+
+                expect(axios.post).not.toHaveBeenCalled();
+            });
+        });
+
+        it('should fail the forward when an attachment hits a transient error', async () => {
+            const serverError = Object.assign(new Error('Bad Gateway'), { response: { status: 502 } });
+            axios.post
+                .mockResolvedValueOnce({ data: {} })
+                .mockRejectedValueOnce(serverError);
+
+            await expect(whatsappService.forwardEmail(emailData, ['0811'])).rejects.toThrow('Bad Gateway');
+            // No "Failed to send attachment" notice is sent; the whole forward is retried instead.
+            expect(axios.post).toHaveBeenCalledTimes(2);
+        });
 
         it('should attempt to send all valid attachments and notify of skipped ones', async () => {
             await whatsappService.forwardEmail(emailData);
@@ -168,4 +505,58 @@ describe('WhatsAppService', () => {
 
         
     });
+
+    describe('sendDigest', () => {
+        const originalWhatsApp = config.whatsapp;
+        const digest = { name: 'Newsletters', attachments: 'bundle' };
+        const items = [
+            {
+                subject: 'Weekly News', from: 'news@example.com', snippet: 'Top stories this week', date: '2024-05-06T08:00:00.000Z',
+                attachments: [{ filename: 'issue.pdf', filepath: '/data/issue.pdf', size: 100 }], attachmentNames: ['issue.pdf'],
+            },
+            {
+                subject: 'Sale', from: 'shop@example.com', snippet: '', date: '2024-05-06T09:00:00.000Z',
+                attachments: [], attachmentNames: [],
+            },
+        ];
+
+        beforeEach(() => {
+            config.whatsapp = { ...originalWhatsApp, sendIntervalMs: 0 };
+            axios.post.mockResolvedValue({ data: {} });
+        });
+
+        afterEach(() => {
+            config.whatsapp = originalWhatsApp;
+        });
+
+        it('should list every email with its sender, subject and snippet', async () => {
+            await whatsappService.sendDigest('0811', { ...digest, attachments: 'none' }, items);
+
+            const [message] = axios.post.mock.calls.map(([, payload]) => payload.message);
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(message).toMatch(/^\*📬 Digest: Newsletters\* \(2 emails\)\n\n\*1\. Weekly News\*\n👤 news@example\.com · .+\n_Top stories this week_\n📎 issue\.pdf\n\n\*2\. Sale\*\n👤 shop@example\.com · .+$/);
+        });
+
+        it('should send the attachments as one archive named after the digest', async () => {
+            jest.spyOn(whatsappService.transformer, 'bundleFiles').mockResolvedValue({
+                filename: 'digest.zip', filepath: '/tmp/digest.zip', contentType: 'application/zip', size: 90,
+            });
+            const sendFile = jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+
+            await whatsappService.sendDigest('0811', digest, items);
+
+            expect(whatsappService.transformer.bundleFiles).toHaveBeenCalledWith([items[0].attachments[0]], expect.any(String));
+            expect(sendFile).toHaveBeenCalledTimes(1);
+            expect(sendFile).toHaveBeenCalledWith('0811', '/tmp/digest.zip', expect.stringContaining('Newsletters'), 'Newsletters.zip');
+        });
+
+        it('should send the attachments one by one when they cannot be bundled', async () => {
+            jest.spyOn(whatsappService.transformer, 'bundleFiles').mockResolvedValue(null);
+            const sendFile = jest.spyOn(whatsappService, 'sendFile').mockResolvedValue({});
+
+            await whatsappService.sendDigest('0811', digest, items);
+
+            expect(sendFile).toHaveBeenCalledWith('0811', '/data/issue.pdf', '📄 issue.pdf\n✉️ Weekly News', 'issue.pdf');
+        });
+    });
 });
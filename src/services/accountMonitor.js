@@ -0,0 +1,292 @@
+/**
+ * @file Watches a single mail account and hands its new emails to the forwarder.
+ * @module services/accountMonitor
+ * @requires ./connectionManager
+ * @requires ./sources
+ * @requires ../utils/accounts
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ * @requires ../utils/messageTemplates
+ * @requires ../utils/metrics
+ * @requires ../utils/router
+ */
+
+const ConnectionManager = require("./connectionManager");
+const { CONNECTION_ERROR_TYPES, classifyConnectionError } = require("./connectionManager");
+const { createMailSource } = require("./sources");
+const { DEFAULT_ACCOUNT_NAME } = require("../utils/accounts");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+const { compileMessageTemplates } = require("../utils/messageTemplates");
+const { counter, histogram } = require("../utils/metrics");
+const { loadRoutingTable } = require("../utils/router");
+
+/** @type {import("../utils/metrics").Counter} New emails found in the mail sources, by account and sender. */
+const emailsFound = counter("forwarder_emails_found_total", "New emails found in the mail sources, by account and sender.");
+/** @type {import("../utils/metrics").Histogram} The duration of processing cycles, by account. */
+const cycleDuration = histogram("forwarder_cycle_duration_seconds", "The duration of email processing cycles in seconds.");
+
+/**
+ * @class AccountMonitor
+ * @description Owns the connection lifecycle of one mail account: its processing cycles, timed checks,
+ * IDLE notifications and reconnects. Every account has its own monitor, so a slow or failing account
+ * never holds up the others. Forwarding itself, and the ledger and retry queue behind it, are shared
+ * and provided by the forwarder.
+ */
+class AccountMonitor {
+    /**
+     * Initializes a new instance of the AccountMonitor.
+     * @param {import("../utils/accounts").Account} account - The account to monitor.
+     * @param {import("../app")} forwarder - The forwarder that decides what to fetch and forwards the emails.
+     */
+    constructor(account, forwarder) {
+        /** @type {import("../utils/accounts").Account} The monitored account. */
+        this.account = account;
+        /** @type {string} The name of the account. */
+        this.name = account.name;
+        /** @type {import("../app")} The forwarder emails are handed to. */
+        this.forwarder = forwarder;
+        /** @type {import("./sources/mailSource")} The source the account's emails are read from. */
+        this.mailSource = createMailSource(account);
+        /** @type {import("winston").Logger} A logger that adds the account name to every entry. */
+        this.logger = logger.child({ account: account.name });
+        /** @type {string} The prefix used for log messages. */
+        this.logLabel = account.name === DEFAULT_ACCOUNT_NAME ? "App" : `App [${account.name}]`;
+        /** @type {import("../utils/router").RoutingTable|null} The rules deciding where the account's emails are sent. */
+        this.routingTable = null;
+        /** @type {boolean} A flag to control the account's processing loop. */
+        this.isRunning = false;
+        /** @type {NodeJS.Timeout|null} The timer for the next scheduled email check. */
+        this.checkTimer = null;
+        /** @type {Promise<void>|null} The processing cycle that is currently running, if any. */
+        this.currentCycle = null;
+        /** @type {boolean} Whether another cycle was requested while one was running. */
+        this.cycleRequested = false;
+        /** @type {Date|null} When the mail source was last checked successfully. */
+        this.lastCheckAt = null;
+        /** @type {ConnectionManager} Reconnects the mail source and watches its connection. */
+        this.connection = new ConnectionManager(this);
+    }
+
+    /**
+     * Loads the account's routing table and prepares its mail source.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        this.routingTable = this.buildRoutingTable(this.account);
+        this.logger.info(`${this.logLabel}: Loaded ${this.routingTable.rules.length} routing rule(s).`);
+
+        await this.mailSource.initialize();
+    }
+
+    /**
+     * Loads the routing table of an account.
+     * @param {import("../utils/accounts").Account} account - The account.
+     * @returns {import("../utils/router").RoutingTable} The routing table.
+     * @throws {Error} If the routing table file is invalid or a rule selects an unknown message template.
+     */
+    buildRoutingTable(account) {
+        const routingTable = loadRoutingTable(account.rulesFile, account.targets || config.whatsapp.targetNumber);
+        const { templates } = compileMessageTemplates(config.message);
+        for (const rule of routingTable.rules) {
+            if (rule.template && !templates[rule.template]) {
+                throw new Error(`Routing rule "${rule.name}" uses an unknown message template "${rule.template}".`);
+            }
+        }
+
+        // Targets set on the account replace the default route of the routing table.
+        if (account.targets) {
+            return { ...routingTable, defaultTargets: [...account.targets] };
+        }
+        return routingTable;
+    }
+
+    /**
+     * Applies reloaded account settings without touching the connection: the filter and the
+     * routing table take effect with the next cycle. Changed connection settings need a restart.
+     * @param {import("../utils/accounts").Account} account - The reloaded account.
+     * @param {import("../utils/router").RoutingTable} routingTable - The account's reloaded routing table.
+     */
+    applyAccount(account, routingTable) {
+        const connectionChanged = account.type !== this.account.type
+            || JSON.stringify(account.settings) !== JSON.stringify(this.account.settings);
+        if (connectionChanged) {
+            this.logger.warn(`${this.logLabel}: The mail source settings changed; restart the forwarder to apply them.`);
+        }
+
+        this.account = { ...account, type: this.account.type, settings: this.account.settings };
+        this.routingTable = routingTable;
+        this.mailSource.setFilter(account.senders, account.filter ?? null);
+        this.logger.info(
+            `${this.logLabel}: Applied ${account.senders.length} sender(s) and ${routingTable.rules.length} routing rule(s).`,
+        );
+    }
+
+    /**
+     * Runs the first check and starts watching the account for new emails.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.isRunning = true;
+        this.connection.start();
+
+        // Run an initial check immediately on startup; this also connects the mail source.
+        await this.runCycle("startup");
+
+        // React to new mail notifications (IDLE) or keep polling; either way, timed checks continue.
+        this.startWatching();
+        this.scheduleNextCheck();
+    }
+
+    /**
+     * The core logic loop: checks the account for new emails and forwards them.
+     * @returns {Promise<void>}
+     */
+    async processEmails() {
+        if (this.connection.isReconnecting()) {
+            this.logger.debug(`${this.logLabel}: Skipping the cycle; the connection is being restored.`);
+            return;
+        }
+        const endTimer = cycleDuration.startTimer({ account: this.name });
+        try {
+            this.logger.info(`${this.logLabel}: Starting email processing cycle.`);
+
+            // 1. Fetch new emails from the mail source, skipping those the ledger marks as forwarded.
+            const emails = await this.mailSource.checkEmails((uid, uidValidity) =>
+                this.forwarder.shouldFetch(uid, uidValidity, this.name),
+            );
+            this.lastCheckAt = new Date();
+
+            // 2. Retry earlier deliveries whose backoff has expired.
+            await this.forwarder.processRetryQueue();
+
+            if (emails.length === 0) {
+                this.logger.info(`${this.logLabel}: No new emails to process in this cycle.`);
+                return;
+            }
+
+            this.logger.info(`${this.logLabel}: Found ${emails.length} new email(s) to forward.`);
+
+            // 3. Iterate through and forward each email.
+            for (const email of emails) {
+                email.account = this.name;
+                emailsFound.inc({ account: this.name, sender: email.fromAddress || "unknown" });
+                await this.forwarder.forwardEmail(email);
+            }
+        } catch (cycleError) {
+            this.logger.error(`${this.logLabel}: A critical error occurred during the email processing cycle.`, { error: cycleError });
+            // Reconnect after connection errors, and after any error that left the source disconnected.
+            const type = classifyConnectionError(cycleError);
+            if (type !== CONNECTION_ERROR_TYPES.OTHER || !this.mailSource.isConnected) {
+                this.connection.handleFailure(cycleError);
+            }
+        } finally {
+            endTimer();
+        }
+    }
+
+    /**
+     * Runs a processing cycle, making sure cycles of this account never overlap.
+     * If a cycle is already running, one more cycle is queued to run right after it, so that
+     * notifications arriving mid-cycle are not lost; further requests are merged into that one.
+     * @param {string} reason - Why the cycle was triggered, for the logs.
+     * @returns {Promise<void>} A promise that resolves when the running (and any queued) cycle has finished.
+     */
+    runCycle(reason) {
+        if (this.currentCycle) {
+            this.logger.debug(`${this.logLabel}: A cycle is already running; queueing another one (${reason}).`);
+            this.cycleRequested = true;
+            return this.currentCycle;
+        }
+
+        this.currentCycle = (async () => {
+            try {
+                do {
+                    this.cycleRequested = false;
+                    this.logger.debug(`${this.logLabel}: Running processing cycle (${reason}).`);
+                    await this.processEmails();
+                } while (this.cycleRequested && this.isRunning);
+            } finally {
+                this.currentCycle = null;
+                this.scheduleNextCheck();
+            }
+        })();
+        return this.currentCycle;
+    }
+
+    /**
+     * Checks whether new emails are currently detected through IMAP IDLE (or a file watcher) rather than polling.
+     * @returns {boolean} `true` if IDLE mode is configured and the mail source supports it.
+     */
+    isIdleActive() {
+        return config.app.watchMode === "idle" && this.mailSource.supportsIdle();
+    }
+
+    /**
+     * Schedules the next timed check. In polling mode this is the regular check interval; in IDLE mode it is
+     * a less frequent safety check. The check is brought forward if a retry in the retry queue is due earlier.
+     */
+    scheduleNextCheck() {
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+        if (!this.isRunning) return;
+
+        const intervalSeconds = this.isIdleActive() ? config.app.idleFallbackCheckSeconds : config.app.checkIntervalSeconds;
+        let delayMs = intervalSeconds * 1000;
+
+        const nextRetryAt = this.forwarder.retryQueue.nextDueAt();
+        if (nextRetryAt !== null) {
+            delayMs = Math.min(delayMs, Math.max(0, nextRetryAt - Date.now()));
+        }
+
+        this.checkTimer = setTimeout(() => this.runCycle("scheduled check"), delayMs);
+    }
+
+    /**
+     * Starts reacting to new mail notifications from the mail source (IDLE mode).
+     * Sources without IDLE support keep being polled every `CHECK_INTERVAL_SECONDS`.
+     */
+    startWatching() {
+        if (config.app.watchMode !== "idle") {
+            this.logger.info(`${this.logLabel}: Polling mode enabled. Checking every ${config.app.checkIntervalSeconds} seconds.`);
+            return;
+        }
+
+        this.mailSource.on("mail", (count) => {
+            if (this.isRunning) {
+                this.runCycle(`${count} new message(s) reported by the server`);
+            }
+        });
+        // Without a connection there is no IDLE; fall back to the shorter polling interval until reconnected.
+        this.mailSource.on("disconnected", () => this.scheduleNextCheck());
+
+        if (this.isIdleActive()) {
+            this.logger.info(`${this.logLabel}: IDLE mode enabled. New emails are forwarded as soon as the server reports them.`);
+        } else {
+            this.logger.warn(
+                `${this.logLabel}: The mail source does not support IDLE (or is not connected yet); polling every ${config.app.checkIntervalSeconds} seconds instead.`,
+            );
+        }
+    }
+
+    /**
+     * Stops watching the account, clearing its timer and disconnecting the mail source.
+     */
+    stop() {
+        this.isRunning = false;
+        this.connection.stop();
+
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+        this.mailSource.removeAllListeners("mail");
+        this.mailSource.removeAllListeners("disconnected");
+
+        this.mailSource.disconnect();
+    }
+}
+
+module.exports = AccountMonitor;
@@ -0,0 +1,299 @@
+/**
+ * @file A local HTTP server for health checks, Prometheus metrics and administration of the running forwarder.
+ * @module services/adminServer
+ * @requires http
+ * @requires ./commandHandler
+ * @requires ./ledgerService
+ * @requires ../utils/config
+ * @requires ../utils/helpers
+ * @requires ../utils/logger
+ * @requires ../utils/metrics
+ */
+
+const http = require("http");
+const { shortId } = require("./commandHandler");
+const { LEDGER_STATES } = require("./ledgerService");
+const { config } = require("../utils/config");
+const { hasToken } = require("../utils/helpers");
+const logger = require("../utils/logger");
+const { formatMetric, renderMetrics } = require("../utils/metrics");
+
+/** @type {number} How long the Green API instance state is reused by health checks, in milliseconds. */
+const GREEN_API_STATE_CACHE_MS = 30 * 1000;
+
+/** @type {number} How many recent forwards `/api/forwards` lists unless `limit` is given. */
+const DEFAULT_FORWARDS_LIMIT = 20;
+
+/** @type {string[]} The paths that answer without a token, so that probes need no secret. */
+const PUBLIC_PATHS = ["/healthz", "/readyz"];
+
+/**
+ * @class AdminServer
+ * @description Serves `/healthz` and `/readyz` for probes, `/metrics` for Prometheus and a JSON API under
+ * `/api` to inspect the forwarder and trigger checks, retries and pauses. Listens on `admin.host` and
+ * `admin.port`; every path except the health checks needs `admin.token` as a Bearer token.
+ */
+class AdminServer {
+    /**
+     * Initializes a new instance of the AdminServer.
+     * @param {import("../app")} forwarder - The forwarder the server inspects and controls.
+     */
+    constructor(forwarder) {
+        /** @type {import("../app")} The forwarder the server inspects and controls. */
+        this.forwarder = forwarder;
+        /** @type {http.Server|null} The HTTP server, while it runs. */
+        this.server = null;
+        /** @type {{state: string, checkedAt: number}|null} The last Green API instance state. */
+        this.greenApiState = null;
+    }
+
+    /**
+     * Starts listening on `admin.host` and `admin.port`.
+     * @returns {Promise<void>}
+     */
+    start() {
+        const { host, port } = config.admin;
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch((error) => {
+                logger.error(`Admin Server: Failed to answer ${request.method} ${request.url}.`, { error });
+                if (!response.headersSent) this.sendJson(response, 500, { error: "Internal error" });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => {
+                logger.info(`Admin Server: Listening on http://${host}:${this.server.address().port}.`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) return;
+        await new Promise((resolve) => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * Answers a request.
+     * @param {http.IncomingMessage} request - The request.
+     * @param {http.ServerResponse} response - The response.
+     * @returns {Promise<void>}
+     */
+    async handleRequest(request, response) {
+        const { pathname, searchParams } = new URL(request.url, "http://localhost");
+        if (!PUBLIC_PATHS.includes(pathname) && !hasToken(request.headers.authorization, config.admin.token)) {
+            logger.warn(`Admin Server: Rejected ${request.method} ${pathname} with a missing or wrong token.`);
+            this.sendJson(response, 401, { error: "Unauthorized" });
+            return;
+        }
+
+        const route = `${request.method} ${pathname}`;
+        const retry = /^POST \/api\/retry\/([^/]+)$/.exec(route);
+        if (retry) {
+            await this.retry(response, decodeURIComponent(retry[1]));
+            return;
+        }
+        switch (route) {
+            case "GET /healthz":
+                this.sendJson(response, 200, await this.health());
+                return;
+            case "GET /readyz": {
+                const health = await this.health();
+                this.sendJson(response, health.ready ? 200 : 503, health);
+                return;
+            }
+            case "GET /metrics":
+                response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }).end(this.metrics());
+                return;
+            case "GET /api/forwards":
+                this.sendJson(response, 200, this.recentForwards(parseInt(searchParams.get("limit"), 10) || DEFAULT_FORWARDS_LIMIT));
+                return;
+            case "GET /api/failed":
+                this.sendJson(response, 200, this.failedItems());
+                return;
+            case "GET /api/queues":
+                this.sendJson(response, 200, this.queues());
+                return;
+            case "POST /api/check":
+                this.sendJson(response, 202, this.check(searchParams.get("account")));
+                return;
+            case "POST /api/pause":
+                this.sendJson(response, 200, { paused: true, changed: await this.forwarder.pause() });
+                return;
+            case "POST /api/resume":
+                this.sendJson(response, 200, { paused: false, changed: await this.forwarder.resume() });
+                return;
+            default:
+                this.sendJson(response, 404, { error: "Not found" });
+        }
+    }
+
+    /**
+     * Sends a JSON response.
+     * @param {http.ServerResponse} response - The response.
+     * @param {number} status - The HTTP status code.
+     * @param {*} body - The body, serialized as JSON.
+     */
+    sendJson(response, status, body) {
+        response.writeHead(status, { "Content-Type": "application/json; charset=utf-8" }).end(JSON.stringify(body, null, 2));
+    }
+
+    /**
+     * Returns the state of the Green API instance (e.g., "authorized"), checking it at most every
+     * {@link GREEN_API_STATE_CACHE_MS}, so that frequent probes do not flood Green API.
+     * @returns {Promise<string>} The instance state, or "unreachable" if Green API could not be asked.
+     */
+    async whatsappState() {
+        const now = Date.now();
+        if (!this.greenApiState || now - this.greenApiState.checkedAt >= GREEN_API_STATE_CACHE_MS) {
+            let state;
+            try {
+                state = (await this.forwarder.whatsappService.checkStatus()).stateInstance || "unknown";
+            } catch {
+                state = "unreachable";
+            }
+            this.greenApiState = { state, checkedAt: now };
+        }
+        return this.greenApiState.state;
+    }
+
+    /**
+     * Collects the health of the forwarder: the connection of every account and the Green API instance state.
+     * The forwarder is ready when it forwards, every account is connected and the instance is authorized.
+     * @returns {Promise<object>} The health report.
+     */
+    async health() {
+        const { forwarder } = this;
+        const accounts = [...forwarder.monitors.values()].map((monitor) => ({
+            name: monitor.name,
+            type: monitor.account.type || "gmail",
+            connected: Boolean(monitor.mailSource.isConnected),
+            lastCheckAt: monitor.lastCheckAt ? monitor.lastCheckAt.toISOString() : null,
+        }));
+        const whatsapp = await this.whatsappState();
+        return {
+            ready: forwarder.isRunning && accounts.every((account) => account.connected) && whatsapp === "authorized",
+            running: forwarder.isRunning,
+            startedAt: forwarder.startedAt ? forwarder.startedAt.toISOString() : null,
+            accounts,
+            whatsapp,
+        };
+    }
+
+    /**
+     * Builds the metrics in the Prometheus text exposition format.
+     * @returns {string} The metrics.
+     */
+    metrics() {
+        const { forwarder } = this;
+        const monitors = [...forwarder.monitors.values()];
+        const digested = [...forwarder.digestQueue.digests.values()].reduce((sum, digest) => sum + digest.items.length, 0);
+        return [
+            formatMetric("forwarder_running", "Whether forwarding runs (1) or is paused or stopped (0).", "gauge", [
+                { value: forwarder.isRunning ? 1 : 0 },
+            ]),
+            formatMetric("forwarder_uptime_seconds", "Seconds since the forwarder was started.", "gauge", [
+                { value: forwarder.startedAt ? Math.round((Date.now() - forwarder.startedAt.getTime()) / 1000) : 0 },
+            ]),
+            formatMetric("forwarder_account_connected", "Whether the mail source of an account is connected.", "gauge",
+                monitors.map((monitor) => ({ labels: { account: monitor.name }, value: monitor.mailSource.isConnected ? 1 : 0 }))),
+            formatMetric("forwarder_account_last_check_timestamp_seconds", "When an account was last checked successfully.", "gauge",
+                monitors
+                    .filter((monitor) => monitor.lastCheckAt)
+                    .map((monitor) => ({ labels: { account: monitor.name }, value: Math.round(monitor.lastCheckAt.getTime() / 1000) }))),
+            formatMetric("forwarder_queue_items", "Emails waiting in each queue.", "gauge", [
+                { labels: { queue: "retry" }, value: forwarder.retryQueue.pending.length },
+                { labels: { queue: "dead_letter" }, value: forwarder.retryQueue.deadLetters.length },
+                { labels: { queue: "held" }, value: forwarder.holdQueue.items.length },
+                { labels: { queue: "digest" }, value: digested },
+            ]),
+            formatMetric("forwarder_muted_senders", "Senders that are muted.", "gauge", [
+                { value: forwarder.muteList.active().length },
+            ]),
+            renderMetrics(),
+        ].join("");
+    }
+
+    /**
+     * Lists the most recently forwarded emails.
+     * @param {number} limit - How many emails to list.
+     * @returns {object[]} The emails, newest first.
+     */
+    recentForwards(limit) {
+        return this.forwarder.ledger.entriesInState(LEDGER_STATES.FORWARDED)
+            .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+            .slice(0, Math.max(1, limit))
+            .map(({ key, account, subject, seen, updatedAt }) => ({ key, account, subject, seen, forwardedAt: updatedAt }));
+    }
+
+    /**
+     * Lists the emails waiting for a retry and those that were given up on, with the IDs `/api/retry` takes.
+     * @returns {{pending: object[], deadLetters: object[]}} The failed emails.
+     */
+    failedItems() {
+        const describe = ({ key, email, attempts, nextAttemptAt, lastError, failedAt }) => ({
+            id: shortId(key),
+            key,
+            account: email.account || null,
+            subject: email.subject,
+            attempts,
+            lastError,
+            ...(failedAt ? { failedAt } : { nextAttemptAt }),
+        });
+        return {
+            pending: this.forwarder.retryQueue.pending.map(describe),
+            deadLetters: this.forwarder.retryQueue.deadLetters.map(describe),
+        };
+    }
+
+    /**
+     * Describes the queues: failed, held and digested emails, and the muted senders.
+     * @returns {object} The queue state.
+     */
+    queues() {
+        const { forwarder } = this;
+        return {
+            running: forwarder.isRunning,
+            retry: { pending: forwarder.retryQueue.pending.length, deadLetters: forwarder.retryQueue.deadLetters.length },
+            held: forwarder.holdQueue.items.map(({ key, email, targets, releaseAt }) => ({ key, subject: email.subject, targets, releaseAt })),
+            digests: [...forwarder.digestQueue.digests.values()].map(({ name, nextAt, items }) => ({ name, nextAt, items: items.length })),
+            muted: forwarder.muteList.active(),
+        };
+    }
+
+    /**
+     * Starts a check of every account, or of one account, without waiting for it.
+     * @param {string|null} name - The name of the account, or `null` for all.
+     * @returns {{accounts: string[]}} The accounts that are checked.
+     */
+    check(name) {
+        const monitors = [...this.forwarder.monitors.values()].filter((monitor) => !name || monitor.name === name);
+        if (this.forwarder.isRunning) {
+            monitors.forEach((monitor) => monitor.runCycle("admin API"));
+        }
+        return { accounts: this.forwarder.isRunning ? monitors.map((monitor) => monitor.name) : [] };
+    }
+
+    /**
+     * Tries a failed email again right away and answers whether it was forwarded.
+     * @param {http.ServerResponse} response - The response.
+     * @param {string} id - The short ID or ledger key of the email.
+     * @returns {Promise<void>}
+     */
+    async retry(response, id) {
+        const result = await this.forwarder.retryFailed(id);
+        if (!result) {
+            this.sendJson(response, 404, { error: `No failed email has the ID "${id}".` });
+            return;
+        }
+        this.sendJson(response, 200, { key: result.item.key, forwarded: !result.error, lastError: result.error });
+    }
+}
+
+module.exports = AdminServer;
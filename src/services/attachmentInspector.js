@@ -0,0 +1,177 @@
+/**
+ * @file Checks saved attachments before they are forwarded: their real type (from magic bytes) against the
+ * allow- and deny-lists, and optionally their content with a local virus scanner.
+ * @module services/attachmentInspector
+ * @requires child_process
+ * @requires fs
+ * @requires net
+ * @requires ../utils/config
+ * @requires ../utils/fileType
+ * @requires ../utils/logger
+ */
+
+const { execFile } = require("child_process");
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const net = require("net");
+const { config } = require("../utils/config");
+const { checkFileType, detectFileType } = require("../utils/fileType");
+const logger = require("../utils/logger");
+
+/** @type {number} How many bytes are read from the start of a file to detect its type. */
+const HEAD_BYTES = 64 * 1024;
+
+/**
+ * The outcome of inspecting one file.
+ *
+ * @typedef {object} InspectionResult
+ * @property {import("./attachmentTransformer").SavedFile} file - The file, with its `contentType` replaced by the
+ *   detected type if one was recognized.
+ * @property {string|null} reason - Why the file must not be sent (it was deleted), or `null` if it may be sent.
+ */
+
+/**
+ * Reads the first bytes of a file.
+ *
+ * @param {string} filepath - The file.
+ * @returns {Promise<Buffer>} Up to 64 KB from the start of the file.
+ */
+async function readHead(filepath) {
+    const handle = await fs.open(filepath, "r");
+    try {
+        const buffer = Buffer.alloc(HEAD_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * @class AttachmentInspector
+ * @description Decides whether a saved attachment may be forwarded. The type is detected from the file's content,
+ * never from the Content-Type declared by the sender, and checked against `attachments.allowTypes` and
+ * `attachments.denyTypes`. If `attachments.scanner` is set, the file is then passed to a ClamAV daemon
+ * (`clamd`) or to a scanner command. Files that are blocked, or that cannot be scanned, are deleted and not sent.
+ */
+class AttachmentInspector {
+    /**
+     * Inspects a saved file.
+     * @param {import("./attachmentTransformer").SavedFile} file - The saved file.
+     * @returns {Promise<InspectionResult>} The file and, if it is blocked, the reason.
+     */
+    async inspect(file) {
+        const { allowTypes, denyTypes, scanner } = config.attachments;
+        let detected = null;
+        try {
+            detected = detectFileType(await readHead(file.filepath));
+        } catch (error) {
+            logger.warn(`Attachment Inspector: Failed to read "${file.filename}" to detect its type.`, { error });
+        }
+
+        const checked = detected ? { ...file, contentType: detected.contentType } : file;
+        let reason = checkFileType(file.filename, detected, { allow: allowTypes, deny: denyTypes });
+        if (!reason && scanner !== "none") {
+            reason = await this.scan(file);
+        }
+
+        if (reason) {
+            logger.warn(`Attachment Inspector: Not forwarding "${file.filename}": ${reason}.`);
+            await fs.rm(file.filepath, { force: true });
+        }
+        return { file: checked, reason };
+    }
+
+    /**
+     * Scans a file with the configured scanner.
+     * @param {import("./attachmentTransformer").SavedFile} file - The saved file.
+     * @returns {Promise<string|null>} Why the file is blocked, or `null` if it is clean.
+     */
+    async scan(file) {
+        try {
+            const signature = config.attachments.scanner === "clamd"
+                ? await this.scanWithClamd(file.filepath)
+                : await this.scanWithCommand(file.filepath);
+            return signature ? `Malware detected (${signature})` : null;
+        } catch (error) {
+            // Without a verdict the file is treated as unsafe, so a stopped scanner never lets files through.
+            logger.error(`Attachment Inspector: Failed to scan "${file.filename}".`, { error });
+            return "Could not be scanned";
+        }
+    }
+
+    /**
+     * Streams a file to a ClamAV daemon with the INSTREAM command.
+     * @param {string} filepath - The file to scan.
+     * @returns {Promise<string|null>} The name of the detected malware, or `null` if the file is clean.
+     * @throws {Error} If the daemon cannot be reached, times out, or reports an error.
+     */
+    scanWithClamd(filepath) {
+        const { scannerSocket, scannerTimeoutSeconds } = config.attachments;
+        // "host:port" connects over TCP; anything else is the path of a Unix socket.
+        const tcp = /^([^/:]+):(\d+)$/.exec(scannerSocket);
+        const options = tcp ? { host: tcp[1], port: parseInt(tcp[2], 10) } : { path: scannerSocket };
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(options);
+            const chunks = [];
+            socket.setTimeout(scannerTimeoutSeconds * 1000, () => socket.destroy(new Error("The scanner did not answer in time.")));
+            socket.on("data", (chunk) => chunks.push(chunk));
+            socket.once("error", reject);
+            socket.once("end", () => {
+                const reply = Buffer.concat(chunks).toString("utf8").replace(/\0/g, "").trim();
+                const found = /^stream: (.+) FOUND$/.exec(reply);
+                if (found) return resolve(found[1]);
+                if (reply === "stream: OK") return resolve(null);
+                reject(new Error(`Unexpected reply from clamd: "${reply}"`));
+            });
+
+            socket.once("connect", async () => {
+                try {
+                    socket.write("zINSTREAM\0");
+                    // Every chunk is sent with its length as a 4-byte big-endian number; a length of 0 ends the stream.
+                    for await (const chunk of fsSync.createReadStream(filepath)) {
+                        const length = Buffer.alloc(4);
+                        length.writeUInt32BE(chunk.length);
+                        if (!socket.write(Buffer.concat([length, chunk]))) {
+                            await new Promise((resume) => socket.once("drain", resume));
+                        }
+                    }
+                    socket.write(Buffer.alloc(4));
+                } catch (error) {
+                    socket.destroy(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Runs the configured scanner command on a file. `{file}` in the command is replaced by the file's path;
+     * without it, the path is added as the last argument. Following the convention of `clamscan` and
+     * `clamdscan`, exit code 0 means clean and 1 means malware was found.
+     * @param {string} filepath - The file to scan.
+     * @returns {Promise<string|null>} The scanner's report if malware was found, or `null` if the file is clean.
+     * @throws {Error} If the command cannot be run, times out, or exits with another code.
+     */
+    scanWithCommand(filepath) {
+        const { scannerCommand, scannerTimeoutSeconds } = config.attachments;
+        const [command, ...args] = scannerCommand.trim().split(/\s+/);
+        const fileArgs = args.some((arg) => arg.includes("{file}"))
+            ? args.map((arg) => arg.replace(/\{file\}/g, filepath))
+            : [...args, filepath];
+
+        return new Promise((resolve, reject) => {
+            execFile(command, fileArgs, { timeout: scannerTimeoutSeconds * 1000 }, (error, stdout) => {
+                if (!error) return resolve(null);
+                if (error.code === 1) {
+                    // clamscan prints "<path>: <signature> FOUND".
+                    const found = /:\s*(.+?) FOUND\s*$/m.exec(stdout);
+                    return resolve(found ? found[1] : "reported by the scanner");
+                }
+                reject(error);
+            });
+        });
+    }
+}
+
+module.exports = AttachmentInspector;
@@ -0,0 +1,526 @@
+/**
+ * @file Converts, compresses, unpacks and splits saved attachments so that they fit WhatsApp's media limits.
+ * @module services/attachmentTransformer
+ * @requires fs
+ * @requires path
+ * @requires stream
+ * @requires jimp
+ * @requires jszip
+ * @requires heic-convert
+ * @requires @cwasm/webp
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ * @requires ../utils/mailStream
+ */
+
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+const { buildAttachmentPath, sanitizeFilename } = require("../utils/mailStream");
+
+/** @type {number} Images are scaled down to fit this many pixels on their longest side before they are compressed. */
+const MAX_IMAGE_DIMENSION = 2560;
+
+/** @type {number[]} The JPEG qualities tried, best first, until an image fits its size budget. */
+const JPEG_QUALITIES = [85, 75, 65, 50, 40];
+
+/** @type {number} How many times an image is scaled down by half when even the lowest quality does not fit. */
+const MAX_DOWNSCALES = 3;
+
+/**
+ * @type {RegExp} Images that are re-encoded as JPEG when over the size budget. Jimp reads all but WebP, which
+ * is decoded with @cwasm/webp. GIFs are always sent unchanged, so that animations keep playing.
+ */
+const COMPRESSIBLE_IMAGE = /^image\/(jpeg|jpg|png|bmp|webp)$/i;
+
+/** @type {RegExp} Image formats WhatsApp cannot show, which are converted to JPEG. */
+const CONVERTIBLE_IMAGE = /^image\/(heic|heif|tiff)$/i;
+
+/**
+ * A saved attachment, as produced by the mail sources.
+ *
+ * @typedef {object} SavedFile
+ * @property {string} filename - The file name shown to the recipient.
+ * @property {string} filepath - Where the file is stored.
+ * @property {string} contentType - The MIME type.
+ * @property {number} size - The size in bytes.
+ */
+
+/**
+ * The outcome of transforming one attachment.
+ *
+ * @typedef {object} TransformResult
+ * @property {SavedFile[]} files - The files to send in place of the attachment, in order.
+ * @property {{filename: string, size: number, reason: string}[]} skipped - Files that cannot be sent at all.
+ */
+
+/**
+ * Replaces the extension of a file name.
+ *
+ * @param {string} filename - The file name.
+ * @param {string} extension - The new extension, including the dot.
+ * @returns {string} The new file name.
+ */
+function withExtension(filename, extension) {
+    const base = path.basename(filename || "attachment", path.extname(filename || ""));
+    return `${base}${extension}`;
+}
+
+/**
+ * Numbers a file name that is already taken ("report (2).pdf", "report (3).pdf", ...) and marks the
+ * result as taken.
+ *
+ * @param {string} filename - The file name.
+ * @param {Set<string>} names - The file names taken so far.
+ * @returns {string} A file name that was not taken yet.
+ */
+function uniqueFilename(filename, names) {
+    let name = filename;
+    for (let copy = 2; names.has(name); copy++) {
+        name = withExtension(filename, ` (${copy})${path.extname(filename)}`);
+    }
+    names.add(name);
+    return name;
+}
+
+/**
+ * Counts the bytes of a ZIP entry while it is decompressed and fails once they pass a limit, so that a ZIP
+ * bomb is stopped early instead of filling the disk or memory.
+ *
+ * @param {string} name - The name of the entry, for the error message.
+ * @param {number} maxBytes - The most bytes the entry may have.
+ * @param {function(number): void} [onChunk] - Called with the size of every decompressed chunk.
+ * @returns {function(AsyncIterable<Buffer>): AsyncGenerator<Buffer>} A stage for `pipeline`.
+ * @throws {Error} From the stage, if the entry exceeds the limit.
+ */
+function limitEntrySize(name, maxBytes, onChunk = () => {}) {
+    let size = 0;
+    return async function* (source) {
+        for await (const chunk of source) {
+            size += chunk.length;
+            onChunk(chunk.length);
+            if (size > maxBytes) throw new Error(`"${name}" exceeds the attachment size limit.`);
+            yield chunk;
+        }
+    };
+}
+
+/**
+ * @class AttachmentTransformer
+ * @description Runs every saved attachment through the transformation stage configured in the
+ * `attachments` section: ZIP archives are unpacked or re-packed, HEIC and TIFF images are converted to JPEG,
+ * large images are re-compressed within a size budget, and files over the upload limit are split into
+ * numbered parts. Everything runs in JavaScript or WebAssembly (Jimp, JSZip, heic-convert, @cwasm/webp), without
+ * external programs. The libraries are loaded on first use; if one cannot be loaded, the attachments
+ * it would handle are sent unchanged.
+ */
+class AttachmentTransformer {
+    /**
+     * Initializes a new instance of the AttachmentTransformer.
+     * @param {function(string): object} [loadModule] - Loads a library by name. Defaults to `require`.
+     */
+    constructor(loadModule = (name) => require(name)) {
+        /** @type {function(string): object} Loads a library by name. */
+        this.loadModule = loadModule;
+        /** @type {Map<string, object|null>} The libraries loaded so far; `null` for those that are not installed. */
+        this.modules = new Map();
+    }
+
+    /**
+     * Loads a library on first use.
+     * @param {string} name - The package name.
+     * @returns {object|null} The library, or `null` if it is not installed.
+     */
+    getModule(name) {
+        if (!this.modules.has(name)) {
+            try {
+                this.modules.set(name, this.loadModule(name));
+            } catch (error) {
+                if (error.code !== "MODULE_NOT_FOUND") throw error;
+                logger.warn(`Attachment Transformer: "${name}" is not installed; the attachments it handles are sent unchanged.`);
+                this.modules.set(name, null);
+            }
+        }
+        return this.modules.get(name);
+    }
+
+    /**
+     * Transforms a regular attachment.
+     * @param {SavedFile} file - The saved attachment.
+     * @param {function(SavedFile): Promise<import("./attachmentInspector").InspectionResult>} [inspect] - Checks
+     *   the files unpacked from an archive; blocked files are recorded as skipped.
+     * @returns {Promise<TransformResult>} The files to send instead, and the files that cannot be sent.
+     */
+    async transform(file, inspect = async (entry) => ({ file: entry, reason: null })) {
+        const { zipMode } = config.attachments;
+        let files = [file];
+
+        if (zipMode !== "keep" && this.isZip(file)) {
+            const unpack = zipMode === "extract"
+                ? () => this.extractZip(file)
+                : async () => [await this.repackZip(file)];
+            files = await this.runStep("unpack", file, unpack, [file]);
+        }
+
+        const result = { files: [], skipped: [] };
+        for (const unpacked of files) {
+            let entry = unpacked;
+            if (unpacked !== file) {
+                const { file: checked, reason } = await inspect(unpacked);
+                if (reason) {
+                    result.skipped.push({ filename: unpacked.filename, size: unpacked.size, reason });
+                    continue;
+                }
+                entry = checked;
+            }
+            const image = await this.transformImage(entry);
+            const parts = await this.runStep("split", image, () => this.splitFile(image), [image]);
+            for (const part of parts) {
+                if (part.size > config.attachments.maxUploadMB * 1024 * 1024) {
+                    await fs.rm(part.filepath, { force: true });
+                    result.skipped.push({ filename: part.filename, size: part.size, reason: "Too large to send" });
+                } else {
+                    result.files.push(part);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Converts an image WhatsApp cannot show to JPEG and re-compresses it if it is over the size budget.
+     * Used on its own for inline images, which are never unpacked or split.
+     * @param {SavedFile} file - The saved image (other files are returned unchanged).
+     * @returns {Promise<SavedFile>} The image to send.
+     */
+    async transformImage(file) {
+        let image = file;
+        if (config.attachments.convertImages && CONVERTIBLE_IMAGE.test(image.contentType || "")) {
+            image = await this.runStep("convert", image, () => this.convertImage(image));
+        }
+        const budget = config.attachments.maxImageKB * 1024;
+        if (budget > 0 && image.size > budget && COMPRESSIBLE_IMAGE.test(image.contentType || "")) {
+            image = await this.runStep("compress", image, () => this.compressImage(image, budget));
+        }
+        return image;
+    }
+
+    /**
+     * Runs one transformation; if it fails, the file is kept as it was.
+     * @template T
+     * @param {string} name - The name of the step, for logs.
+     * @param {SavedFile} file - The file the step works on.
+     * @param {function(): Promise<T>} step - The transformation.
+     * @param {T} [fallback] - The result used when the step fails. Defaults to the unchanged file.
+     * @returns {Promise<T>} The result of the step, or the fallback.
+     */
+    async runStep(name, file, step, fallback = file) {
+        try {
+            return await step();
+        } catch (error) {
+            logger.warn(`Attachment Transformer: Failed to ${name} "${file.filename}"; sending it unchanged.`, { error });
+            return fallback;
+        }
+    }
+
+    /**
+     * Checks whether a file is a ZIP archive, by its type or its extension.
+     * @param {SavedFile} file - The saved file.
+     * @returns {boolean} `true` for ZIP archives.
+     */
+    isZip(file) {
+        return /^application\/(x-)?zip(-compressed)?$/i.test(file.contentType || "") || /\.zip$/i.test(file.filename || "");
+    }
+
+    /**
+     * Saves a transformed file next to the original and deletes the original.
+     * @param {SavedFile} original - The file that was transformed.
+     * @param {{filename: string, contentType: string}} details - The name and type of the new file.
+     * @param {function(string): Promise<void>} write - Writes the new file to the given path.
+     * @returns {Promise<SavedFile>} The new file.
+     */
+    async replaceFile(original, details, write) {
+        const filepath = buildAttachmentPath(path.dirname(original.filepath), details.filename);
+        try {
+            await write(filepath);
+        } catch (error) {
+            await fs.rm(filepath, { force: true });
+            throw error;
+        }
+        const { size } = await fs.stat(filepath);
+        await fs.rm(original.filepath, { force: true });
+        return { ...original, ...details, filepath, size };
+    }
+
+    /**
+     * Converts a HEIC or TIFF image to JPEG.
+     * @param {SavedFile} file - The saved image.
+     * @returns {Promise<SavedFile>} The JPEG image, or the unchanged file if the converter is not installed.
+     */
+    async convertImage(file) {
+        const isHeic = /heic|heif/i.test(file.contentType);
+        const converter = this.getModule(isHeic ? "heic-convert" : "jimp");
+        if (!converter) return file;
+
+        const input = await fs.readFile(file.filepath);
+        const jpeg = isHeic
+            ? Buffer.from(await converter({ buffer: input, format: "JPEG", quality: JPEG_QUALITIES[0] / 100 }))
+            : await (await converter.read(input)).quality(JPEG_QUALITIES[0]).getBufferAsync(converter.MIME_JPEG);
+
+        const converted = await this.replaceFile(
+            file,
+            { filename: withExtension(file.filename, ".jpg"), contentType: "image/jpeg" },
+            (filepath) => fs.writeFile(filepath, jpeg),
+        );
+        logger.info(`Attachment Transformer: Converted "${file.filename}" to JPEG.`);
+        return converted;
+    }
+
+    /**
+     * Reads an image into a Jimp image. Jimp cannot read WebP, so WebP images are decoded to RGBA pixels first.
+     * @param {Function} Jimp - The Jimp class.
+     * @param {SavedFile} file - The saved image.
+     * @returns {Promise<Object|null>} The Jimp image, or `null` if the WebP decoder is not installed.
+     */
+    async readImage(Jimp, file) {
+        if (!/^image\/webp$/i.test(file.contentType || "")) return Jimp.read(file.filepath);
+
+        const webp = this.getModule("@cwasm/webp");
+        if (!webp) return null;
+        const { width, height, data } = webp.decode(await fs.readFile(file.filepath));
+        return new Jimp({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+    }
+
+    /**
+     * Re-compresses an image as JPEG so that it fits a size budget, lowering the quality first and then
+     * the resolution. If nothing fits, the smallest result is used.
+     * @param {SavedFile} file - The saved image.
+     * @param {number} budget - The largest size in bytes the image should have.
+     * @returns {Promise<SavedFile>} The compressed image, or the unchanged file if Jimp (or, for WebP, the
+     * WebP decoder) is not installed.
+     */
+    async compressImage(file, budget) {
+        const Jimp = this.getModule("jimp");
+        if (!Jimp) return file;
+
+        const source = await this.readImage(Jimp, file);
+        if (!source) return file;
+        // JPEG has no transparency; flatten transparent images onto white instead of black.
+        let image = new Jimp(source.bitmap.width, source.bitmap.height, 0xffffffff).composite(source, 0, 0);
+        if (Math.max(image.bitmap.width, image.bitmap.height) > MAX_IMAGE_DIMENSION) {
+            image.scaleToFit(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION);
+        }
+
+        let best = null;
+        for (let downscale = 0; downscale <= MAX_DOWNSCALES; downscale++) {
+            for (const quality of JPEG_QUALITIES) {
+                const buffer = await image.clone().quality(quality).getBufferAsync(Jimp.MIME_JPEG);
+                if (!best || buffer.length < best.length) best = buffer;
+                if (buffer.length <= budget) break;
+            }
+            if (best.length <= budget) break;
+            image = image.scale(0.5);
+        }
+
+        if (best.length >= file.size) return file;
+        const compressed = await this.replaceFile(
+            file,
+            { filename: withExtension(file.filename, ".jpg"), contentType: "image/jpeg" },
+            (filepath) => fs.writeFile(filepath, best),
+        );
+        logger.info(`Attachment Transformer: Compressed "${file.filename}" from ${file.size} to ${compressed.size} bytes.`);
+        return compressed;
+    }
+
+    /**
+     * Unpacks a ZIP archive into its files. Folders are flattened, files that end up with the same name are
+     * numbered ("report (2).pdf"), and unpacking stops at
+     * `attachments.maxZipEntries` files or when an entry would exceed the attachment size limit, in which case
+     * the archive is sent as it is.
+     * @param {SavedFile} file - The saved archive.
+     * @returns {Promise<SavedFile[]>} The unpacked files, or the unchanged archive.
+     */
+    async extractZip(file) {
+        const JSZip = this.getModule("jszip");
+        if (!JSZip) return [file];
+
+        const zip = await JSZip.loadAsync(await fs.readFile(file.filepath));
+        const entries = Object.values(zip.files).filter((entry) => !entry.dir && !/(^|\/)(__MACOSX|\.DS_Store)/.test(entry.name));
+        if (entries.length === 0 || entries.length > config.attachments.maxZipEntries) {
+            logger.info(`Attachment Transformer: "${file.filename}" has ${entries.length} files; sending the archive as it is.`);
+            return [file];
+        }
+
+        const maxBytes = config.app.maxAttachmentSizeMB * 1024 * 1024;
+        const extracted = [];
+        const names = new Set();
+        try {
+            for (const entry of entries) {
+                const filename = uniqueFilename(sanitizeFilename(entry.name), names);
+                const unpacked = {
+                    filename,
+                    filepath: buildAttachmentPath(path.dirname(file.filepath), filename),
+                    contentType: this.guessContentType(filename),
+                    size: 0,
+                };
+                extracted.push(unpacked);
+
+                const limiter = limitEntrySize(entry.name, maxBytes, (length) => {
+                    unpacked.size += length;
+                });
+                await pipeline(entry.nodeStream("nodebuffer"), limiter, fsSync.createWriteStream(unpacked.filepath));
+            }
+        } catch (error) {
+            await Promise.all(extracted.map((entry) => fs.rm(entry.filepath, { force: true })));
+            throw error;
+        }
+
+        await fs.rm(file.filepath, { force: true });
+        logger.info(`Attachment Transformer: Unpacked ${extracted.length} file(s) from "${file.filename}".`);
+        return extracted;
+    }
+
+    /**
+     * Re-packs a ZIP archive with maximum compression. The smaller of the two archives is kept. Like
+     * `extractZip`, it sends archives with more than `attachments.maxZipEntries` files as they are, and stops
+     * when an entry would exceed the attachment size limit.
+     * @param {SavedFile} file - The saved archive.
+     * @returns {Promise<SavedFile>} The re-packed or unchanged archive.
+     * @throws {Error} If an entry exceeds the attachment size limit.
+     */
+    async repackZip(file) {
+        const JSZip = this.getModule("jszip");
+        if (!JSZip) return file;
+
+        const zip = await JSZip.loadAsync(await fs.readFile(file.filepath));
+        const entries = Object.values(zip.files);
+        const fileCount = entries.filter((entry) => !entry.dir).length;
+        if (fileCount > config.attachments.maxZipEntries) {
+            logger.info(`Attachment Transformer: "${file.filename}" has ${fileCount} files; sending the archive as it is.`);
+            return file;
+        }
+
+        // Every entry is decompressed through the size limit on its way into the new archive.
+        const maxBytes = config.app.maxAttachmentSizeMB * 1024 * 1024;
+        const repacked = new JSZip();
+        for (const entry of entries) {
+            const options = { date: entry.date, comment: entry.comment, unixPermissions: entry.unixPermissions, dosPermissions: entry.dosPermissions };
+            if (entry.dir) {
+                repacked.file(entry.name, null, { ...options, dir: true });
+            } else {
+                // JSZip's streams are old-style streams, which cannot be iterated until they are wrapped.
+                const source = new Readable().wrap(entry.nodeStream("nodebuffer"));
+                const content = Readable.from(limitEntrySize(entry.name, maxBytes)(source));
+                repacked.file(entry.name, content, options);
+            }
+        }
+
+        const filepath = buildAttachmentPath(path.dirname(file.filepath), file.filename);
+        const output = repacked.generateNodeStream({
+            type: "nodebuffer",
+            streamFiles: true,
+            compression: "DEFLATE",
+            compressionOptions: { level: 9 },
+        });
+        try {
+            await pipeline(output, fsSync.createWriteStream(filepath));
+        } catch (error) {
+            await fs.rm(filepath, { force: true });
+            throw error;
+        }
+
+        const { size } = await fs.stat(filepath);
+        if (size >= file.size) {
+            await fs.rm(filepath, { force: true });
+            return file;
+        }
+        await fs.rm(file.filepath, { force: true });
+        logger.info(`Attachment Transformer: Re-packed "${file.filename}" from ${file.size} to ${size} bytes.`);
+        return { ...file, filepath, size };
+    }
+
+    /**
+     * Packs several saved files into one ZIP archive, e.g. the attachments of a digest. Files with the same
+     * name are numbered ("report (2).pdf"). The files themselves are kept.
+     * @param {SavedFile[]} files - The files to pack.
+     * @param {string} filepath - Where the archive is written.
+     * @returns {Promise<SavedFile|null>} The archive, or `null` if JSZip is not installed.
+     */
+    async bundleFiles(files, filepath) {
+        const JSZip = this.getModule("jszip");
+        if (!JSZip) return null;
+
+        const zip = new JSZip();
+        const names = new Set();
+        for (const file of files) {
+            zip.file(uniqueFilename(file.filename, names), fsSync.createReadStream(file.filepath));
+        }
+
+        const output = zip.generateNodeStream({ type: "nodebuffer", streamFiles: true, compression: "DEFLATE" });
+        await pipeline(output, fsSync.createWriteStream(filepath));
+        const { size } = await fs.stat(filepath);
+        return { filename: path.basename(filepath), filepath, contentType: "application/zip", size };
+    }
+
+    /**
+     * Splits a file over the upload limit into numbered parts ("report.pdf.001", "report.pdf.002", ...)
+     * that can be joined again with `cat` or `copy /b`.
+     * @param {SavedFile} file - The saved file.
+     * @returns {Promise<SavedFile[]>} The parts, or the unchanged file if it fits or splitting is turned off.
+     */
+    async splitFile(file) {
+        const partSize = config.attachments.maxUploadMB * 1024 * 1024;
+        if (file.size <= partSize || !config.attachments.splitLargeFiles) return [file];
+
+        const count = Math.ceil(file.size / partSize);
+        const digits = Math.max(3, String(count).length);
+        const parts = [];
+        try {
+            for (let index = 0; index < count; index++) {
+                const filename = `${file.filename}.${String(index + 1).padStart(digits, "0")}`;
+                const filepath = buildAttachmentPath(path.dirname(file.filepath), filename);
+                const start = index * partSize;
+                const end = Math.min(start + partSize, file.size) - 1;
+                parts.push({ filename, filepath, contentType: "application/octet-stream", size: end - start + 1 });
+                await pipeline(fsSync.createReadStream(file.filepath, { start, end }), fsSync.createWriteStream(filepath));
+            }
+        } catch (error) {
+            await Promise.all(parts.map((part) => fs.rm(part.filepath, { force: true })));
+            throw error;
+        }
+
+        await fs.rm(file.filepath, { force: true });
+        logger.info(`Attachment Transformer: Split "${file.filename}" into ${count} parts.`);
+        return parts;
+    }
+
+    /**
+     * Guesses the MIME type of an unpacked file from its extension, so that images in an archive are
+     * converted and compressed like other images.
+     * @param {string} filename - The file name.
+     * @returns {string} The MIME type.
+     */
+    guessContentType(filename) {
+        const types = {
+            ".jpg": "image/jpeg",
+            ".jpeg": "image/jpeg",
+            ".png": "image/png",
+            ".bmp": "image/bmp",
+            ".gif": "image/gif",
+            ".heic": "image/heic",
+            ".heif": "image/heif",
+            ".tif": "image/tiff",
+            ".tiff": "image/tiff",
+            ".pdf": "application/pdf",
+            ".txt": "text/plain",
+            ".zip": "application/zip",
+        };
+        return types[path.extname(filename).toLowerCase()] || "application/octet-stream";
+    }
+}
+
+module.exports = AttachmentTransformer;
@@ -0,0 +1,286 @@
+/**
+ * @file Runs the chat commands that control the forwarder from WhatsApp, such as `/status` and `/pause`.
+ * @module services/commandHandler
+ * @requires crypto
+ * @requires ../utils/config
+ * @requires ../utils/helpers
+ * @requires ../utils/logger
+ */
+
+const crypto = require("crypto");
+const { config } = require("../utils/config");
+const { formatDuration } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+/** @type {Object<string, number>} The units of a duration such as "2h", in milliseconds. */
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/** @type {string} The reply to `/help` and to unknown commands. */
+const HELP_TEXT = [
+    "*🤖 Commands*",
+    "/status - uptime, last checks, queues and connections",
+    "/pause - stop forwarding until /resume",
+    "/resume - start forwarding again",
+    "/mute <sender> <duration> - do not forward a sender, e.g. /mute news@shop.com 2h",
+    "/unmute <sender> - forward a muted sender again",
+    "/retry - list failed emails; /retry <id> tries one again",
+    "/digest - list digests; /digest now sends them right away",
+    "/filters - show the senders and filters of every account",
+].join("\n");
+
+/**
+ * Parses a duration such as "30m", "2h", "1d" or "1w".
+ *
+ * @param {string} value - The duration.
+ * @returns {number|null} The duration in milliseconds, or `null` if the value is not a duration.
+ */
+function parseDuration(value) {
+    const match = /^(\d+)\s*([mhdw])$/i.exec(String(value || "").trim());
+    if (!match || parseInt(match[1], 10) === 0) return null;
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Derives the short ID of a failed email that `/retry` accepts, since ledger keys (Message-IDs) are long.
+ *
+ * @param {string} key - The ledger key of the email.
+ * @returns {string} The first six hex digits of the key's SHA-1 hash.
+ */
+function shortId(key) {
+    return crypto.createHash("sha1").update(key).digest("hex").slice(0, 6);
+}
+
+/**
+ * @class CommandHandler
+ * @description Runs chat commands sent from whitelisted chats (`commands.chatIds`) and answers in the chat
+ * they came from. Commands act on the running forwarder: its accounts, queues, digests and muted senders.
+ */
+class CommandHandler {
+    /**
+     * Initializes a new instance of the CommandHandler.
+     * @param {import("../app")} forwarder - The forwarder the commands control.
+     */
+    constructor(forwarder) {
+        /** @type {import("../app")} The forwarder the commands control. */
+        this.forwarder = forwarder;
+        /** @type {Object<string, function(string[]): Promise<string>>} The commands, by name. */
+        this.commands = {
+            status: () => this.status(),
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            mute: (args) => this.mute(args),
+            unmute: (args) => this.unmute(args),
+            retry: (args) => this.retry(args),
+            digest: (args) => this.digest(args),
+            filters: () => this.filters(),
+            help: async () => HELP_TEXT,
+        };
+    }
+
+    /**
+     * Returns the chats that may send commands, as chat IDs.
+     * @returns {string[]} The chat IDs; empty if commands are turned off.
+     */
+    allowedChatIds() {
+        return config.commands.chatIds
+            .split(",")
+            .map((chatId) => chatId.trim())
+            .filter(Boolean)
+            .map((chatId) => this.forwarder.whatsappService.formatPhoneNumber(chatId));
+    }
+
+    /**
+     * Checks whether any chat may send commands.
+     * @returns {boolean} `true` if `commands.chatIds` is set.
+     */
+    isEnabled() {
+        return this.allowedChatIds().length > 0;
+    }
+
+    /**
+     * Runs a message as a command if it is one and comes from a whitelisted chat, and answers in the chat.
+     * @param {import("./whatsappReceiver").IncomingMessage} message - The incoming message.
+     * @returns {Promise<boolean>} `true` if the message was a command.
+     */
+    async handleMessage(message) {
+        const text = message.text.trim();
+        if (!text.startsWith("/")) return false;
+        if (!this.allowedChatIds().includes(message.chatId)) {
+            logger.warn(`Command Handler: Ignoring a command from ${message.chatId}, which is not in COMMAND_CHAT_IDS.`);
+            return false;
+        }
+
+        const [name, ...args] = text.slice(1).split(/\s+/);
+        const command = this.commands[name.toLowerCase()] || this.commands.help;
+        logger.info(`Command Handler: Running "${text}" from ${message.sender || message.chatId}.`);
+        let reply;
+        try {
+            reply = await command(args);
+        } catch (error) {
+            logger.warn(`Command Handler: "${text}" failed.`, { error });
+            reply = `❌ ${error.message}`;
+        }
+        await this.forwarder.whatsappService.sendTextMessage(message.chatId, reply);
+        return true;
+    }
+
+    /**
+     * `/status`: whether forwarding runs, the uptime, each account's connection and last check, the queues
+     * and the muted senders.
+     * @returns {Promise<string>} The reply.
+     */
+    async status() {
+        const { forwarder } = this;
+        const now = Date.now();
+        const lines = [
+            "*📊 Status*",
+            `State: ${forwarder.isRunning ? "▶️ forwarding" : "⏸️ paused"}`,
+            `Uptime: ${forwarder.startedAt ? formatDuration(now - forwarder.startedAt.getTime()) : "not started"}`,
+            "",
+            "*Accounts*",
+        ];
+        for (const monitor of forwarder.monitors.values()) {
+            const connection = monitor.mailSource.isConnected ? "connected" : "disconnected";
+            const lastCheck = monitor.lastCheckAt
+                ? `last check ${formatDuration(now - monitor.lastCheckAt.getTime())} ago`
+                : "not checked yet";
+            lines.push(`• ${monitor.name}: ${monitor.account.type || "gmail"} ${connection}, ${lastCheck}`);
+        }
+
+        const digested = [...forwarder.digestQueue.digests.values()].reduce((sum, digest) => sum + digest.items.length, 0);
+        lines.push(
+            "",
+            "*Queues*",
+            `Retrying: ${forwarder.retryQueue.pending.length} · Failed: ${forwarder.retryQueue.deadLetters.length}`,
+            `Held: ${forwarder.holdQueue.items.length} · In digests: ${digested}`,
+        );
+
+        const mutes = forwarder.muteList.active(now);
+        if (mutes.length > 0) {
+            lines.push("", `*Muted:* ${mutes.map((mute) => `${mute.sender} (${formatDuration(Date.parse(mute.until) - now)})`).join(", ")}`);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * `/pause`: stops forwarding until `/resume`.
+     * @returns {Promise<string>} The reply.
+     */
+    async pause() {
+        if (!(await this.forwarder.pause())) return "⏸️ Forwarding is already paused.";
+        return "⏸️ Forwarding paused. New emails stay unread until you send /resume.";
+    }
+
+    /**
+     * `/resume`: starts forwarding again.
+     * @returns {Promise<string>} The reply.
+     */
+    async resume() {
+        if (!(await this.forwarder.resume())) return "▶️ Forwarding is already running.";
+        return "▶️ Forwarding resumed.";
+    }
+
+    /**
+     * `/mute <sender> <duration>`: stops forwarding the emails of a sender for a while.
+     * @param {string[]} args - The sender address or pattern, and the duration.
+     * @returns {Promise<string>} The reply.
+     * @throws {Error} If the arguments are missing or invalid.
+     */
+    async mute([sender, duration]) {
+        const durationMs = parseDuration(duration);
+        if (!sender || !durationMs) {
+            throw new Error("Usage: /mute <sender> <duration>, e.g. /mute news@shop.com 2h or /mute *@shop.com 1d");
+        }
+        const mute = await this.forwarder.muteList.mute(sender, new Date(Date.now() + durationMs));
+        return `🔇 Muted ${mute.sender} for ${formatDuration(durationMs)}. Their emails stay unread and are not forwarded.`;
+    }
+
+    /**
+     * `/unmute <sender>`: forwards a muted sender again.
+     * @param {string[]} args - The sender address or pattern, as it was muted.
+     * @returns {Promise<string>} The reply.
+     * @throws {Error} If the sender is missing.
+     */
+    async unmute([sender]) {
+        if (!sender) throw new Error("Usage: /unmute <sender>");
+        if (!(await this.forwarder.muteList.unmute(sender))) return `${sender} is not muted.`;
+        return `🔔 Unmuted ${sender.toLowerCase()}.`;
+    }
+
+    /**
+     * `/retry [id]`: lists the failed emails, or tries one of them again right away.
+     * @param {string[]} args - The short ID (or ledger key) of the email, if any.
+     * @returns {Promise<string>} The reply.
+     * @throws {Error} If no failed email has the ID.
+     */
+    async retry([id]) {
+        if (!id) {
+            const { retryQueue } = this.forwarder;
+            const items = [...retryQueue.pending, ...retryQueue.deadLetters];
+            if (items.length === 0) return "✅ No failed emails.";
+            return [
+                "*🔁 Failed emails*",
+                ...items.map((item) => `• ${shortId(item.key)} "${item.email.subject}" (${item.attempts} attempt(s)${item.failedAt ? ", gave up" : ""}): ${item.lastError}`),
+                "",
+                "Send /retry <id> to try one again.",
+            ].join("\n");
+        }
+
+        const result = await this.forwarder.retryFailed(id);
+        if (!result) throw new Error(`No failed email has the ID "${id}". Send /retry to list them.`);
+        if (result.error) return `❌ "${result.item.email.subject}" failed again: ${result.error}`;
+        return `✅ Forwarded "${result.item.email.subject}".`;
+    }
+
+    /**
+     * `/digest [now]`: lists the collected digests, or sends them right away.
+     * @param {string[]} args - "now" to send the digests.
+     * @returns {Promise<string>} The reply.
+     * @throws {Error} If the argument is unknown.
+     */
+    async digest([action]) {
+        const { digestQueue } = this.forwarder;
+        if (action && action.toLowerCase() !== "now") throw new Error("Usage: /digest or /digest now");
+
+        const digests = [...digestQueue.digests.values()].filter((digest) => digest.items.length > 0);
+        if (digests.length === 0) return "📭 No emails are waiting for a digest.";
+        if (!action) {
+            return [
+                "*📬 Digests*",
+                ...digests.map((digest) => `• ${digest.name}: ${digest.items.length} email(s), due in ${formatDuration(Date.parse(digest.nextAt) - Date.now())}`),
+            ].join("\n");
+        }
+
+        await this.forwarder.processDigests(Infinity);
+        const waiting = [...digestQueue.digests.values()].reduce((sum, digest) => sum + digest.items.length, 0);
+        return waiting > 0
+            ? `📬 Sent the digests; ${waiting} email(s) wait for quiet hours or a failed chat.`
+            : "📬 Sent the digests.";
+    }
+
+    /**
+     * `/filters`: shows the senders and filter expression of every account, and the muted senders.
+     * @returns {Promise<string>} The reply.
+     */
+    async filters() {
+        const lines = ["*🔎 Filters*"];
+        for (const monitor of this.forwarder.monitors.values()) {
+            const { mailSource } = monitor;
+            const expression = mailSource.filterExpression === undefined ? config.filter.expression : mailSource.filterExpression;
+            lines.push(
+                "",
+                `*${monitor.name}*`,
+                `Senders: ${mailSource.getSenders().join(", ") || "any"}`,
+                `Expression: ${expression ? JSON.stringify(expression) : "none"}`,
+                `Routing rules: ${monitor.routingTable?.rules.length || 0}`,
+            );
+        }
+        const mutes = this.forwarder.muteList.active();
+        lines.push("", `*Muted:* ${mutes.map((mute) => mute.sender).join(", ") || "nobody"}`);
+        return lines.join("\n");
+    }
+}
+
+module.exports = CommandHandler;
+module.exports.parseDuration = parseDuration;
+module.exports.shortId = shortId;
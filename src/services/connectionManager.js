@@ -0,0 +1,274 @@
+/**
+ * @file Keeps the connection of a mail account alive: reconnects with backoff, detects silent connections
+ * with a NOOP watchdog and alerts over WhatsApp when the connection stays down.
+ * @module services/connectionManager
+ * @requires ../utils/config
+ * @requires ../utils/helpers
+ * @requires ../utils/metrics
+ */
+
+const { config } = require("../utils/config");
+const { computeBackoff, formatDuration } = require("../utils/helpers");
+const { counter } = require("../utils/metrics");
+
+/**
+ * The kinds of connection errors.
+ * @readonly
+ * @enum {string}
+ */
+const CONNECTION_ERROR_TYPES = {
+    /** The server rejected the credentials; retrying soon rarely helps. */
+    AUTH: "auth",
+    /** The server could not be reached, or the socket was reset. */
+    NETWORK: "network",
+    /** The server did not answer in time. */
+    TIMEOUT: "timeout",
+    /** The server answered with something the client did not understand. */
+    PROTOCOL: "protocol",
+    /** Not a connection error, e.g., a mailbox that does not exist. */
+    OTHER: "other",
+};
+
+/** @type {string[]} Node.js error codes of sockets that could not connect or were cut off. */
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "EPIPE", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "ENOTCONN"];
+
+/** @type {import("../utils/metrics").Counter} Reconnects to the mail sources, by account and result. */
+const reconnects = counter("forwarder_mail_reconnects_total", "Reconnects to the mail sources, by account and result (success or failure).");
+/** @type {import("../utils/metrics").Counter} Connection errors of the mail sources, by account and type. */
+const connectionErrors = counter("forwarder_mail_connection_errors_total", "Connection errors of the mail sources, by account and type.");
+
+/**
+ * Classifies an error of a mail connection. node-imap tells where an error came from in `source`
+ * ("authentication", "timeout", "socket", "protocol", ...); socket errors carry a Node.js `code`.
+ *
+ * @param {Error} error - The error.
+ * @returns {CONNECTION_ERROR_TYPES} The kind of error.
+ */
+function classifyConnectionError(error) {
+    const source = String(error?.source || "");
+    if (source === "authentication" || error?.textCode === "AUTHENTICATIONFAILED") {
+        return CONNECTION_ERROR_TYPES.AUTH;
+    }
+    if (source.includes("timeout") || error?.code === "ETIMEDOUT") {
+        return CONNECTION_ERROR_TYPES.TIMEOUT;
+    }
+    if (source === "socket" || NETWORK_CODES.includes(error?.code)) {
+        return CONNECTION_ERROR_TYPES.NETWORK;
+    }
+    if (source === "protocol") {
+        return CONNECTION_ERROR_TYPES.PROTOCOL;
+    }
+    return CONNECTION_ERROR_TYPES.OTHER;
+}
+
+/**
+ * @class ConnectionManager
+ * @description Owns the reconnects of one account. A lost connection is reconnected with exponential backoff
+ * (failed logins wait the longest delay right away), an idle connection is checked with a NOOP every
+ * `connection.watchdogSeconds` to catch half-open sockets, and the chat is alerted after
+ * `connection.alertAfterFailures` failed attempts in a row and told once the connection is back.
+ */
+class ConnectionManager {
+    /**
+     * Initializes a new instance of the ConnectionManager.
+     * @param {import("./accountMonitor")} monitor - The monitor of the account whose connection is managed.
+     */
+    constructor(monitor) {
+        /** @type {import("./accountMonitor")} The monitor of the account. */
+        this.monitor = monitor;
+        /** @type {number} How many connection attempts have failed in a row. */
+        this.failures = 0;
+        /** @type {Date|null} When the connection was lost, if it is down. */
+        this.downSince = null;
+        /** @type {boolean} Whether an alert about the current outage was sent. */
+        this.alerted = false;
+        /** @type {NodeJS.Timeout|null} The timer of the next reconnect. */
+        this.reconnectTimer = null;
+        /** @type {Promise<void>|null} The reconnect that is currently running, if any. */
+        this.reconnecting = null;
+        /** @type {NodeJS.Timeout|null} The timer of the next watchdog check. */
+        this.watchdogTimer = null;
+        /** @type {function(Error|null): void} Handles the `disconnected` event of the mail source. */
+        this.onDisconnected = (error) => {
+            if (!this.monitor.isRunning) return;
+            this.handleFailure(error || new Error("The connection was closed by the server."));
+        };
+    }
+
+    /**
+     * Starts watching the connection.
+     */
+    start() {
+        this.monitor.mailSource.on("disconnected", this.onDisconnected);
+        this.scheduleWatchdog();
+    }
+
+    /**
+     * Stops watching the connection and cancels a pending reconnect.
+     */
+    stop() {
+        this.monitor.mailSource.removeListener("disconnected", this.onDisconnected);
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.watchdogTimer);
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+    }
+
+    /**
+     * Checks whether a reconnect is pending or running; processing cycles wait for it instead of connecting.
+     * @returns {boolean} `true` while the connection is being restored.
+     */
+    isReconnecting() {
+        return this.reconnectTimer !== null || this.reconnecting !== null;
+    }
+
+    /**
+     * Handles a failed connection or connection attempt: counts it, alerts if it failed too often in a row,
+     * and schedules a reconnect. Failures reported while a reconnect is pending or running are ignored.
+     * @param {Error} error - The error.
+     * @returns {CONNECTION_ERROR_TYPES} The kind of error.
+     */
+    handleFailure(error) {
+        const type = classifyConnectionError(error);
+        if (this.isReconnecting()) return type;
+
+        const { logger, logLabel, name } = this.monitor;
+        this.failures += 1;
+        this.downSince = this.downSince || new Date();
+        connectionErrors.inc({ account: name, type });
+
+        const delayMs = type === CONNECTION_ERROR_TYPES.AUTH
+            ? config.connection.reconnectMaxSeconds * 1000
+            : computeBackoff(this.failures, {
+                baseMs: config.connection.reconnectBaseSeconds * 1000,
+                maxMs: config.connection.reconnectMaxSeconds * 1000,
+            });
+        logger.warn(
+            `${logLabel}: The mail connection failed (${type}, attempt ${this.failures}); reconnecting in ${Math.round(delayMs / 1000)}s.`,
+            { error },
+        );
+
+        const { alertAfterFailures } = config.connection;
+        if (alertAfterFailures > 0 && this.failures >= alertAfterFailures && !this.alerted) {
+            this.alerted = true;
+            this.notify(this.buildAlert(type, error));
+        }
+
+        if (this.monitor.isRunning) {
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.reconnect();
+            }, delayMs);
+        }
+        return type;
+    }
+
+    /**
+     * Reconnects the mail source. On success, a processing cycle runs right away; it reopens the mailbox,
+     * so IDLE notifications resume.
+     * @returns {Promise<void>}
+     */
+    reconnect() {
+        if (this.reconnecting) return this.reconnecting;
+
+        const { logger, logLabel, mailSource, name } = this.monitor;
+        this.reconnecting = (async () => {
+            logger.info(`${logLabel}: Reconnecting to the mail source...`);
+            try {
+                mailSource.disconnect();
+                await mailSource.connect();
+            } catch (error) {
+                reconnects.inc({ account: name, result: "failure" });
+                this.reconnecting = null;
+                this.handleFailure(error);
+                return;
+            }
+            reconnects.inc({ account: name, result: "success" });
+            this.reconnecting = null;
+            logger.info(`${logLabel}: Reconnected to the mail source successfully.`);
+            this.recovered();
+            if (this.monitor.isRunning) {
+                await this.monitor.runCycle("reconnected");
+            }
+        })();
+        return this.reconnecting;
+    }
+
+    /**
+     * Resets the failure count after a successful connection, and tells the chat the connection is back
+     * if it was alerted.
+     */
+    recovered() {
+        if (this.alerted) {
+            const downtime = this.downSince ? formatDuration(Date.now() - this.downSince.getTime()) : "a while";
+            this.notify(`✅ *${this.monitor.name}*: The mail connection is back after ${downtime}. Forwarding continues.`);
+        }
+        this.failures = 0;
+        this.downSince = null;
+        this.alerted = false;
+    }
+
+    /**
+     * Schedules the next watchdog check, unless the watchdog is turned off.
+     */
+    scheduleWatchdog() {
+        clearTimeout(this.watchdogTimer);
+        this.watchdogTimer = null;
+        if (!this.monitor.isRunning || config.connection.watchdogSeconds === 0) return;
+
+        this.watchdogTimer = setTimeout(() => this.checkConnection(), config.connection.watchdogSeconds * 1000);
+    }
+
+    /**
+     * Sends a NOOP over an idle connection. A connection that does not answer in time is dropped and reconnected.
+     * Connections that are busy with a cycle or already being restored are not checked.
+     * @returns {Promise<void>}
+     */
+    async checkConnection() {
+        const { mailSource, currentCycle, logger, logLabel } = this.monitor;
+        try {
+            if (!mailSource.isConnected || currentCycle || this.isReconnecting()) return;
+            await mailSource.ping(config.connection.watchdogTimeoutSeconds * 1000);
+            logger.debug(`${logLabel}: The mail connection answered the watchdog.`);
+        } catch (error) {
+            logger.warn(`${logLabel}: The mail connection did not answer the watchdog; it is dropped.`, { error });
+            this.handleFailure(error);
+        } finally {
+            this.scheduleWatchdog();
+        }
+    }
+
+    /**
+     * Builds the alert about a connection that keeps failing.
+     * @param {CONNECTION_ERROR_TYPES} type - The kind of the last error.
+     * @param {Error} error - The last error.
+     * @returns {string} The alert.
+     */
+    buildAlert(type, error) {
+        const hint = type === CONNECTION_ERROR_TYPES.AUTH
+            ? "The server rejected the login; check the password (or app password) of the account."
+            : "Emails are forwarded again as soon as the connection is back.";
+        return [
+            `⚠️ *${this.monitor.name}*: The mail connection failed ${this.failures} times in a row.`,
+            `Last error (${type}): ${error.message}`,
+            hint,
+        ].join("\n");
+    }
+
+    /**
+     * Sends a message about the connection to the alert chat. Failures are only logged, since WhatsApp
+     * is often unreachable for the same reason as the mail server.
+     * @param {string} message - The message.
+     */
+    notify(message) {
+        const { forwarder, logger, logLabel } = this.monitor;
+        const target = config.connection.alertTarget || config.whatsapp.targetNumber;
+        forwarder.whatsappService.sendTextMessage(target, message).catch((error) => {
+            logger.error(`${logLabel}: Failed to send a connection alert over WhatsApp.`, { error });
+        });
+    }
+}
+
+module.exports = ConnectionManager;
+module.exports.CONNECTION_ERROR_TYPES = CONNECTION_ERROR_TYPES;
+module.exports.classifyConnectionError = classifyConnectionError;
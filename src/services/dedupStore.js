@@ -0,0 +1,111 @@
+/**
+ * @file Remembers which attachments and email bodies were sent to each chat recently, so that repeated
+ * content can be replaced by a short note.
+ * @module services/dedupStore
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/jsonFile
+ * @requires ../utils/logger
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const { writeJsonFile } = require("../utils/jsonFile");
+const logger = require("../utils/logger");
+
+/**
+ * Content that was sent to a chat.
+ *
+ * @typedef {object} SentContent
+ * @property {string} name - What was sent (the attachment's file name or the email's subject), for logs.
+ * @property {string} sentAt - ISO timestamp of when it was sent.
+ */
+
+/**
+ * @class DedupStore
+ * @description A hash store with a time-to-live: content hashes are kept per chat for `dedup.windowHours`
+ * and stored in a JSON file, so duplicates are recognized across restarts.
+ */
+class DedupStore {
+    /**
+     * Initializes a new instance of the DedupStore.
+     * @param {string} [filePath] - The path to the store file. Defaults to "sent-content.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "sent-content.json")) {
+        /** @type {string} The absolute path to the store file. */
+        this.filePath = filePath;
+        /** @type {Map<string, SentContent>} The sent content, keyed by "<chat>:<hash>". */
+        this.entries = new Map();
+    }
+
+    /**
+     * Loads the store from disk and drops expired entries.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+            this.entries = new Map(Object.entries(content));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Dedup Store: Failed to load the sent content; starting with an empty store.", { error });
+            }
+        }
+        this.prune();
+        logger.info(`Dedup Store: Loaded ${this.entries.size} recently sent item(s).`);
+    }
+
+    /**
+     * Removes the entries that are older than the deduplication window.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - config.dedup.windowHours * 60 * 60 * 1000;
+        for (const [key, entry] of this.entries) {
+            if (Date.parse(entry.sentAt) < cutoff) this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Looks up content sent to a chat within the deduplication window.
+     * @param {string} chat - The phone number or chat ID.
+     * @param {string} hash - The content hash.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {SentContent|undefined} When the content was sent, if it was.
+     */
+    find(chat, hash, now = Date.now()) {
+        const entry = this.entries.get(`${chat}:${hash}`);
+        if (!entry || Date.parse(entry.sentAt) < now - config.dedup.windowHours * 60 * 60 * 1000) {
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Records that content was sent to a chat and saves the store.
+     * @param {string} chat - The phone number or chat ID.
+     * @param {string} hash - The content hash.
+     * @param {string} name - What was sent, for logs.
+     * @returns {Promise<void>}
+     */
+    async remember(chat, hash, name) {
+        this.entries.set(`${chat}:${hash}`, { name, sentAt: new Date().toISOString() });
+        this.prune();
+        await this.save();
+    }
+
+    /**
+     * Writes the store to disk atomically. A failure is only logged: losing an entry at worst sends content twice.
+     * @returns {Promise<void>}
+     */
+    save() {
+        return writeJsonFile(this.filePath, Object.fromEntries(this.entries)).catch((error) => {
+            logger.error("Dedup Store: Failed to save the sent content.", { error });
+        });
+    }
+}
+
+module.exports = DedupStore;
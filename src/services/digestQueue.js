@@ -0,0 +1,236 @@
+/**
+ * @file A persistent store of emails collected for periodic digests.
+ * @module services/digestQueue
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/formatter
+ * @requires ../utils/jsonFile
+ * @requires ../utils/logger
+ * @requires ../utils/schedule
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const { htmlToWhatsApp } = require("../utils/formatter");
+const { writeJsonFile } = require("../utils/jsonFile");
+const logger = require("../utils/logger");
+const { nextHour, nextTimeOfDay } = require("../utils/schedule");
+
+/** @type {number} The longest snippet of an email's body shown in a digest, in characters. */
+const MAX_SNIPPET_LENGTH = 120;
+
+/**
+ * An email waiting in a digest.
+ *
+ * @typedef {object} DigestItem
+ * @property {string} key - The ledger key of the email.
+ * @property {string[]} targets - The chats the email is routed to that did not receive it yet.
+ * @property {string} from - The formatted sender.
+ * @property {string} subject - The subject.
+ * @property {string} snippet - The start of the body, on one line.
+ * @property {string} date - ISO timestamp of when the email was sent.
+ * @property {object[]} attachments - The saved attachments kept for the digest, with `filename`, `filepath`,
+ *   `contentType` and `size`. Empty when the digest leaves attachments out.
+ * @property {string[]} attachmentNames - The file names of all attachments of the email.
+ */
+
+/**
+ * A digest and the emails collected for it.
+ *
+ * @typedef {object} Digest
+ * @property {string} name - The name of the digest (the routing rule that sets it).
+ * @property {"hourly"|"daily"} schedule - How often the digest is sent.
+ * @property {string} at - The time of day a daily digest is sent.
+ * @property {"none"|"send"|"bundle"} attachments - What happens to the attachments.
+ * @property {string} nextAt - ISO timestamp of when the digest is sent next.
+ * @property {DigestItem[]} items - The collected emails, oldest first.
+ */
+
+/**
+ * Builds a one-line snippet of an email's body.
+ *
+ * @param {object} email - The processed email data.
+ * @returns {string} The start of the body, without formatting and quoted lines.
+ */
+function buildSnippet(email) {
+    const text = (email.text || htmlToWhatsApp(email.html || ""))
+        .split("\n")
+        .filter((line) => !line.trim().startsWith(">"))
+        .join(" ")
+        .replace(/[*_~`]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+    return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Computes when a digest is sent next.
+ *
+ * @param {import("../utils/router").DigestSettings} settings - The digest settings.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date} The next run, in `message.timeZone`.
+ */
+function nextDigestTime(settings, now = new Date()) {
+    const { timeZone } = config.message;
+    return settings.schedule === "hourly" ? nextHour(now, timeZone) : nextTimeOfDay(settings.at, now, timeZone);
+}
+
+/**
+ * @class DigestQueue
+ * @description Collects the emails of routing rules with a `digest` option until their digest is due. The
+ * digests are stored in a JSON file, so collected emails survive restarts; their attachments stay in the
+ * attachments directory until the digest was sent.
+ */
+class DigestQueue {
+    /**
+     * Initializes a new instance of the DigestQueue.
+     * @param {string} [filePath] - The path to the store file. Defaults to "digests.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "digests.json")) {
+        /** @type {string} The absolute path to the store file. */
+        this.filePath = filePath;
+        /** @type {Map<string, Digest>} The digests with collected emails, by name. */
+        this.digests = new Map();
+    }
+
+    /**
+     * Loads the digests from disk.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+            this.digests = new Map(Object.entries(content));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Digest Queue: Failed to load the digests; starting with empty digests.", { error });
+            }
+        }
+        const count = [...this.digests.values()].reduce((sum, digest) => sum + digest.items.length, 0);
+        logger.info(`Digest Queue: Loaded ${count} email(s) waiting in ${this.digests.size} digest(s).`);
+    }
+
+    /**
+     * Writes the digests to disk atomically. Overlapping saves, e.g. from emails added while a digest is
+     * being sent, are written one after the other.
+     * @returns {Promise<void>}
+     */
+    save() {
+        return writeJsonFile(this.filePath, Object.fromEntries(this.digests));
+    }
+
+    /**
+     * Adds an email to its digest. An email that is already in the digest is not added again.
+     * @param {import("../utils/router").DigestSettings} settings - The digest settings of the routing rule.
+     * @param {string[]} targets - The chats the email is routed to.
+     * @param {string} key - The ledger key of the email.
+     * @param {object} email - The processed email data.
+     * @returns {Promise<Digest>} The digest.
+     */
+    async add(settings, targets, key, email) {
+        const digest = this.digests.get(settings.name) || {
+            name: settings.name,
+            nextAt: nextDigestTime(settings).toISOString(),
+            items: [],
+        };
+        // The rule may have been edited since the digest was started; its latest settings apply.
+        Object.assign(digest, { schedule: settings.schedule, at: settings.at, attachments: settings.attachments });
+
+        if (!digest.items.some((item) => item.key === key)) {
+            digest.items.push({
+                key,
+                targets,
+                from: email.from || "",
+                subject: email.subject || "(No Subject)",
+                snippet: buildSnippet(email),
+                date: new Date(email.date || Date.now()).toISOString(),
+                attachments: settings.attachments === "none" ? [] : email.attachments.map(({ filename, filepath, contentType, size }) => ({
+                    filename,
+                    filepath,
+                    contentType,
+                    size,
+                })),
+                attachmentNames: email.attachments.map((attachment) => attachment.filename),
+            });
+        }
+        this.digests.set(settings.name, digest);
+        await this.save();
+        logger.info(`Digest Queue: Added "${email.subject}" to the "${settings.name}" digest (${digest.items.length} email(s), due ${digest.nextAt}).`);
+        return digest;
+    }
+
+    /**
+     * Returns the digests that are due.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {Digest[]} The due digests.
+     */
+    due(now = Date.now()) {
+        return [...this.digests.values()].filter((digest) => digest.items.length > 0 && Date.parse(digest.nextAt) <= now);
+    }
+
+    /**
+     * Lists the chats a digest goes to, with the emails routed to each of them.
+     * @param {Digest} digest - The digest.
+     * @returns {Map<string, DigestItem[]>} The emails of each chat.
+     */
+    itemsByTarget(digest) {
+        const byTarget = new Map();
+        for (const item of digest.items) {
+            for (const target of item.targets) {
+                byTarget.set(target, [...(byTarget.get(target) || []), item]);
+            }
+        }
+        return byTarget;
+    }
+
+    /**
+     * Records that a chat received emails of a digest. Emails that every chat received are removed, and the
+     * attachments they kept are deleted.
+     * @param {string} name - The name of the digest.
+     * @param {string} target - The chat.
+     * @param {DigestItem[]} items - The emails the chat received.
+     * @returns {Promise<void>}
+     */
+    async markSent(name, target, items) {
+        const digest = this.digests.get(name);
+        if (!digest) return;
+        const sentKeys = new Set(items.map((item) => item.key));
+        const updated = digest.items.map((item) => (sentKeys.has(item.key)
+            ? { ...item, targets: item.targets.filter((other) => other !== target) }
+            : item));
+        const done = updated.filter((item) => item.targets.length === 0);
+        digest.items = updated.filter((item) => item.targets.length > 0);
+        await this.save();
+
+        for (const attachment of done.flatMap((item) => item.attachments)) {
+            try {
+                await fs.rm(attachment.filepath, { force: true });
+            } catch (error) {
+                logger.warn(`Digest Queue: Failed to delete attachment "${attachment.filepath}".`, { error });
+            }
+        }
+    }
+
+    /**
+     * Finishes a run of a digest: an empty digest is removed, and one that collected emails during the run
+     * is scheduled for its next time.
+     * @param {string} name - The name of the digest.
+     * @returns {Promise<void>}
+     */
+    async complete(name) {
+        const digest = this.digests.get(name);
+        if (!digest) return;
+        if (digest.items.length === 0) {
+            this.digests.delete(name);
+        } else {
+            digest.nextAt = nextDigestTime(digest).toISOString();
+        }
+        await this.save();
+    }
+}
+
+module.exports = DigestQueue;
+module.exports.nextDigestTime = nextDigestTime;
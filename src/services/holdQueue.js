@@ -0,0 +1,138 @@
+/**
+ * @file A persistent queue of emails held back while the chats they go to are in their quiet hours.
+ * @module services/holdQueue
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/jsonFile
+ * @requires ../utils/logger
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const { writeJsonFile } = require("../utils/jsonFile");
+const logger = require("../utils/logger");
+
+/**
+ * An email waiting for the quiet hours of some of its chats to end.
+ *
+ * @typedef {object} HeldItem
+ * @property {string} key - The ledger key of the email.
+ * @property {object} email - The processed email data.
+ * @property {string[]} targets - The chats the email is held for.
+ * @property {string} heldAt - ISO timestamp of when the email was first held.
+ * @property {string} releaseAt - ISO timestamp of when the email is forwarded again.
+ */
+
+/**
+ * @class HoldQueue
+ * @description Keeps non-urgent emails for chats in their quiet hours and releases them in the order they
+ * arrived. The queue is stored in a JSON file so it survives restarts.
+ */
+class HoldQueue {
+    /**
+     * Initializes a new instance of the HoldQueue.
+     * @param {string} [filePath] - The path to the queue file. Defaults to "held-emails.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "held-emails.json")) {
+        /** @type {string} The absolute path to the queue file. */
+        this.filePath = filePath;
+        /** @type {HeldItem[]} The held emails, in the order they were held. */
+        this.items = [];
+    }
+
+    /**
+     * Loads the queue from disk.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            this.items = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Hold Queue: Failed to load the held emails; starting with an empty queue.", { error });
+            }
+        }
+        logger.info(`Hold Queue: Loaded ${this.items.length} held email(s).`);
+    }
+
+    /**
+     * Writes the queue to disk atomically. Overlapping saves, e.g. from accounts holding emails at the same
+     * time, are written one after the other.
+     * @returns {Promise<void>}
+     */
+    save() {
+        return writeJsonFile(this.filePath, this.items);
+    }
+
+    /**
+     * Checks whether an email is held.
+     * @param {string} key - The ledger key of the email.
+     * @returns {boolean} `true` if the email is held.
+     */
+    has(key) {
+        return this.items.some((item) => item.key === key);
+    }
+
+    /**
+     * Checks whether emails held before the given one are still waiting for a chat. A newer email must wait
+     * for them, so that a chat receives its emails in the order they arrived.
+     * @param {string} target - The chat.
+     * @param {string} key - The ledger key of the email; emails that are not held count as the newest.
+     * @returns {boolean} `true` if an older email is held for the chat.
+     */
+    hasOlderFor(target, key) {
+        const position = this.items.findIndex((item) => item.key === key);
+        const older = position === -1 ? this.items : this.items.slice(0, position);
+        return older.some((item) => item.targets.includes(target));
+    }
+
+    /**
+     * Holds an email, or updates the chats and release time of an email that is already held. An email
+     * keeps its place in the queue when it is held again.
+     * @param {string} key - The ledger key of the email.
+     * @param {object} email - The processed email data.
+     * @param {string[]} targets - The chats the email is held for.
+     * @param {Date} releaseAt - When the email is forwarded again.
+     * @returns {Promise<HeldItem>} The held item.
+     */
+    async hold(key, email, targets, releaseAt) {
+        const existing = this.items.find((item) => item.key === key);
+        const item = {
+            key,
+            email,
+            targets,
+            heldAt: existing?.heldAt || new Date().toISOString(),
+            releaseAt: releaseAt.toISOString(),
+        };
+        this.items = existing ? this.items.map((other) => (other === existing ? item : other)) : [...this.items, item];
+        await this.save();
+
+        logger.info(`Hold Queue: Holding "${email.subject}" for ${targets.join(", ")} until ${item.releaseAt}.`);
+        return item;
+    }
+
+    /**
+     * Returns the held emails whose release time has come, in the order they were held.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {HeldItem[]} The due items.
+     */
+    due(now = Date.now()) {
+        return this.items.filter((item) => Date.parse(item.releaseAt) <= now);
+    }
+
+    /**
+     * Removes an email from the queue, e.g., after it was delivered.
+     * @param {string} key - The ledger key of the email.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        if (!this.has(key)) return;
+        this.items = this.items.filter((item) => item.key !== key);
+        await this.save();
+    }
+}
+
+module.exports = HoldQueue;
@@ -0,0 +1,185 @@
+/**
+ * @file Renders HTML email bodies to a PDF or to paginated PNG images with a headless browser, so that emails
+ * whose meaning lies in their layout (invoices, boarding passes, dashboards) can be forwarded faithfully.
+ * @module services/htmlRenderer
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires puppeteer (optional)
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+
+/** @type {number} The height of a PNG page relative to its width (the proportions of an A4 sheet). */
+const PAGE_ASPECT_RATIO = 1.414;
+
+/**
+ * Options for a single render.
+ *
+ * @typedef {object} RenderOptions
+ * @property {"pdf"|"png"} format - The output format.
+ * @property {object[]} [images] - Inline images saved by the mail source, with `cid`, `filepath` and `contentType`.
+ *   They replace the `cid:` links of the body, which the browser cannot load.
+ */
+
+/**
+ * @class HtmlRenderer
+ * @description Renders HTML with Puppeteer, which is an optional dependency: when it is not installed,
+ * `isAvailable()` returns `false` and emails are forwarded as text. Scripts never run, and remote resources
+ * are blocked (remote images only load if `render.allowRemoteImages` is set), so that rendering neither
+ * reports the email as read to its sender nor needs network access. The browser keeps its sandbox unless
+ * `render.noSandbox` is set, since the HTML it renders comes from strangers.
+ */
+class HtmlRenderer {
+    /**
+     * Initializes a new instance of the HtmlRenderer.
+     * @param {function(): object} [loadPuppeteer] - Loads the Puppeteer module. Defaults to requiring "puppeteer".
+     */
+    constructor(loadPuppeteer = () => require("puppeteer")) {
+        /** @type {function(): object} Loads the Puppeteer module. */
+        this.loadPuppeteer = loadPuppeteer;
+        /** @type {object|null|undefined} The Puppeteer module, `null` if it is not installed, `undefined` until first used. */
+        this.puppeteer = undefined;
+    }
+
+    /**
+     * Loads Puppeteer on first use.
+     * @returns {object|null} The Puppeteer module, or `null` if it is not installed.
+     */
+    getPuppeteer() {
+        if (this.puppeteer === undefined) {
+            try {
+                this.puppeteer = this.loadPuppeteer();
+            } catch (error) {
+                if (error.code !== "MODULE_NOT_FOUND") throw error;
+                logger.warn("HTML Renderer: Puppeteer is not installed; HTML emails are forwarded as text. Install the optional \"puppeteer\" package to enable rendering.");
+                this.puppeteer = null;
+            }
+        }
+        return this.puppeteer;
+    }
+
+    /**
+     * Checks whether HTML can be rendered, i.e. whether Puppeteer is installed.
+     * @returns {boolean} `true` if `render` can be used.
+     */
+    isAvailable() {
+        return this.getPuppeteer() !== null;
+    }
+
+    /**
+     * Replaces the `cid:` links of an HTML body with data URLs of the inline images they refer to.
+     * @param {string} html - The HTML body, with its `cid:` links kept.
+     * @param {object[]} images - The saved inline images, with `cid`, `filepath` and `contentType`.
+     * @returns {string} The HTML body with the images embedded.
+     */
+    embedInlineImages(html, images) {
+        const byCid = new Map(images.filter((image) => image.cid).map((image) => [image.cid, image]));
+        return html.replace(/cid:<?([^"'\s)>]+)>?/gi, (link, cid) => {
+            const image = byCid.get(cid);
+            if (!image) return link;
+            try {
+                return `data:${image.contentType};base64,${fs.readFileSync(image.filepath).toString("base64")}`;
+            } catch (error) {
+                logger.warn(`HTML Renderer: Failed to read inline image "${image.filepath}".`, { error });
+                return link;
+            }
+        });
+    }
+
+    /**
+     * Renders an HTML body to a PDF file or to PNG files of one page each, in a temporary directory.
+     * The caller deletes the files with `cleanup` when it no longer needs them.
+     * @param {string} html - The HTML body.
+     * @param {RenderOptions} options - The output format and the inline images.
+     * @returns {Promise<string[]>} The paths of the rendered files, in page order.
+     * @throws {Error} If Puppeteer is not installed or the page cannot be rendered.
+     */
+    async render(html, { format, images = [] }) {
+        const puppeteer = this.getPuppeteer();
+        if (!puppeteer) {
+            throw new Error("HTML rendering requires the optional \"puppeteer\" package.");
+        }
+
+        const { allowRemoteImages, pageWidth, maxPages, timeoutSeconds, browserPath, noSandbox } = config.render;
+        const browser = await puppeteer.launch({
+            headless: true,
+            executablePath: browserPath || undefined,
+            args: noSandbox ? ["--no-sandbox", "--disable-gpu"] : ["--disable-gpu"],
+        });
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "email-render-"));
+
+        try {
+            const page = await browser.newPage();
+            await page.setJavaScriptEnabled(false);
+            await page.setRequestInterception(true);
+            page.on("request", (request) => {
+                const url = request.url();
+                const isLocal = /^(data|about):/i.test(url);
+                const isRemoteAllowed = allowRemoteImages && request.resourceType() === "image" && /^https?:/i.test(url);
+                if (isLocal || isRemoteAllowed) {
+                    request.continue();
+                } else {
+                    request.abort("blockedbyclient");
+                }
+            });
+
+            const pageHeight = Math.round(pageWidth * PAGE_ASPECT_RATIO);
+            await page.setViewport({ width: pageWidth, height: pageHeight });
+            await page.setContent(this.embedInlineImages(html, images), {
+                waitUntil: "load",
+                timeout: timeoutSeconds * 1000,
+            });
+
+            if (format === "pdf") {
+                const filePath = path.join(outputDir, "email.pdf");
+                await page.pdf({ path: filePath, format: "A4", printBackground: true, timeout: timeoutSeconds * 1000 });
+                return [filePath];
+            }
+
+            // Cut the full page into screenshots of one page height each.
+            const fullHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+            const pageCount = Math.min(maxPages, Math.max(1, Math.ceil(fullHeight / pageHeight)));
+            if (pageCount < Math.ceil(fullHeight / pageHeight)) {
+                logger.warn(`HTML Renderer: The email is longer than ${maxPages} pages; only the first ${maxPages} are rendered.`);
+            }
+
+            const filePaths = [];
+            for (let index = 0; index < pageCount; index++) {
+                const filePath = path.join(outputDir, `email-${index + 1}.png`);
+                const height = Math.min(pageHeight, fullHeight - index * pageHeight) || pageHeight;
+                await page.screenshot({
+                    path: filePath,
+                    clip: { x: 0, y: index * pageHeight, width: pageWidth, height },
+                    captureBeyondViewport: true,
+                });
+                filePaths.push(filePath);
+            }
+            return filePaths;
+        } catch (error) {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+            throw error;
+        } finally {
+            await browser.close();
+        }
+    }
+
+    /**
+     * Deletes rendered files and the temporary directory that holds them.
+     * @param {string[]} filePaths - The paths returned by `render`.
+     * @returns {void}
+     */
+    cleanup(filePaths) {
+        for (const directory of new Set(filePaths.map((filePath) => path.dirname(filePath)))) {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = HtmlRenderer;
@@ -0,0 +1,234 @@
+/**
+ * @file Keeps a persistent, append-only record of every email the forwarder has handled.
+ * @module services/ledgerService
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ * @requires ../utils/accounts
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+const { DEFAULT_ACCOUNT_NAME } = require("../utils/accounts");
+
+/**
+ * The states an email can be in while it moves through the forwarder.
+ * @readonly
+ * @enum {string}
+ */
+const LEDGER_STATES = Object.freeze({
+    /** The email was fetched from the mailbox but forwarding has not started. */
+    FETCHED: "fetched",
+    /** Forwarding has started; some messages may already have been delivered. */
+    FORWARDING: "forwarding",
+    /** Some chats are in their quiet hours; the email waits in the hold queue until they end. */
+    HELD: "held",
+    /** The sender was muted; the email was not forwarded and stays unread. */
+    MUTED: "muted",
+    /** Every message was delivered to WhatsApp. */
+    FORWARDED: "forwarded",
+    /** The last forwarding attempt failed. */
+    FAILED: "failed",
+});
+
+/**
+ * A single ledger entry.
+ *
+ * @typedef {object} LedgerEntry
+ * @property {string} key - The Message-ID of the email, or "uid:<uidValidity>:<uid>" if it has none. Prefixed with
+ *   "<account>:" for emails of accounts other than the default one.
+ * @property {string} account - The name of the account the email was received by.
+ * @property {number|null} uid - The IMAP UID of the email.
+ * @property {number|null} uidValidity - The UIDVALIDITY of the mailbox the UID belongs to.
+ * @property {string} subject - The email subject, kept for logs and diagnostics.
+ * @property {LEDGER_STATES} state - The current state of the email.
+ * @property {number} attempts - How many times forwarding was started.
+ * @property {string[]} deliveredSteps - Keys of the WhatsApp messages that were already delivered.
+ * @property {boolean} seen - Whether the email has been marked as read in the mailbox.
+ * @property {string|null} error - The message of the last forwarding error, if any.
+ * @property {string} updatedAt - ISO timestamp of the last change.
+ */
+
+/**
+ * @class LedgerService
+ * @description Stores the forwarding state of each email in a JSON-lines file, so that a crash or a failed
+ * delivery never causes an email to be dropped or forwarded twice.
+ */
+class LedgerService {
+    /**
+     * Initializes a new instance of the LedgerService.
+     * @param {string} [filePath] - The path to the ledger file. Defaults to "ledger.jsonl" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "ledger.jsonl")) {
+        /** @type {string} The absolute path to the ledger file. */
+        this.filePath = filePath;
+        /** @type {Map<string, LedgerEntry>} The latest entry for each key. */
+        this.entries = new Map();
+        /** @type {Promise<void>} Serializes writes so lines are appended in order. */
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Loads the ledger from disk and compacts it to one line per email.
+     * Entries for emails that were forwarded more than `retentionDays` ago are dropped.
+     * @param {number} [retentionDays=30] - How long to keep entries of forwarded emails.
+     * @returns {Promise<void>}
+     */
+    async initialize(retentionDays = 30) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = "";
+        try {
+            content = await fs.readFile(this.filePath, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+
+        // Replay every line; later lines override earlier ones for the same key.
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.entries.set(entry.key, entry);
+            } catch (error) {
+                // A crash during an append can leave a truncated last line; skip it.
+                logger.warn("Ledger Service: Ignoring a malformed ledger line.", { line });
+            }
+        }
+
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        for (const [key, entry] of this.entries) {
+            if (entry.state === LEDGER_STATES.FORWARDED && entry.seen && Date.parse(entry.updatedAt) < cutoff) {
+                this.entries.delete(key);
+            }
+        }
+
+        await this.compact();
+        logger.info(`Ledger Service: Loaded ${this.entries.size} ledger entries.`);
+    }
+
+    /**
+     * Rewrites the ledger file with only the latest entry per key.
+     * The new file is written next to the old one and renamed over it, so a crash never loses data.
+     * @returns {Promise<void>}
+     */
+    async compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const lines = [...this.entries.values()].map((entry) => JSON.stringify(entry));
+        await fs.writeFile(tempPath, lines.length > 0 ? `${lines.join("\n")}\n` : "");
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Builds the ledger key for a processed email.
+     * @param {object} emailData - The processed email data from GmailService, or an existing ledger entry.
+     * @returns {string} The Message-ID, or a UID-based key if the email has no Message-ID.
+     */
+    keyFor(emailData) {
+        if (emailData.key) return emailData.key;
+        const key = emailData.messageId || `uid:${emailData.uidValidity}:${emailData.uid}`;
+        // The same email can reach several accounts and must be forwarded for each of them. Keys of the
+        // default account stay unprefixed, so ledgers written before accounts existed remain valid.
+        const account = emailData.account || DEFAULT_ACCOUNT_NAME;
+        return account === DEFAULT_ACCOUNT_NAME ? key : `${account}:${key}`;
+    }
+
+    /**
+     * Returns the entry for a key.
+     * @param {string} key - The ledger key.
+     * @returns {LedgerEntry|undefined} The entry, if the email is known.
+     */
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * Finds the entry for an IMAP UID without fetching the email.
+     * @param {number} uid - The IMAP UID.
+     * @param {number} uidValidity - The UIDVALIDITY of the mailbox.
+     * @param {string} [account] - The name of the account the mailbox belongs to.
+     * @returns {LedgerEntry|undefined} The entry, if the email is known.
+     */
+    findByUid(uid, uidValidity, account = DEFAULT_ACCOUNT_NAME) {
+        for (const entry of this.entries.values()) {
+            if (entry.uid === uid && entry.uidValidity === uidValidity && (entry.account || DEFAULT_ACCOUNT_NAME) === account) {
+                return entry;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns all entries in a given state.
+     * @param {LEDGER_STATES} state - The state to filter by.
+     * @returns {LedgerEntry[]} The matching entries.
+     */
+    entriesInState(state) {
+        return [...this.entries.values()].filter((entry) => entry.state === state);
+    }
+
+    /**
+     * Creates or updates the entry for an email and appends it to the ledger file.
+     * @param {object} emailData - The processed email data from GmailService, or an existing ledger entry.
+     * @param {object} changes - The fields to change (e.g., `{ state: LEDGER_STATES.FORWARDED }`).
+     * @returns {Promise<LedgerEntry>} The updated entry.
+     */
+    async update(emailData, changes) {
+        const key = this.keyFor(emailData);
+        const previous = this.entries.get(key) || {
+            key,
+            account: emailData.account || DEFAULT_ACCOUNT_NAME,
+            uid: emailData.uid ?? null,
+            uidValidity: emailData.uidValidity ?? null,
+            subject: emailData.subject || "",
+            state: LEDGER_STATES.FETCHED,
+            attempts: 0,
+            deliveredSteps: [],
+            seen: false,
+            error: null,
+        };
+
+        const entry = {
+            ...previous,
+            // The UID can change if the email was moved and came back; always keep the latest one.
+            uid: emailData.uid ?? previous.uid,
+            uidValidity: emailData.uidValidity ?? previous.uidValidity,
+            ...changes,
+            updatedAt: new Date().toISOString(),
+        };
+        this.entries.set(key, entry);
+        await this.append(entry);
+        return entry;
+    }
+
+    /**
+     * Records that one WhatsApp message of an email was delivered.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {string} stepKey - The key identifying the delivered message.
+     * @returns {Promise<LedgerEntry>} The updated entry.
+     */
+    async recordStep(emailData, stepKey) {
+        const entry = this.entries.get(this.keyFor(emailData));
+        const deliveredSteps = [...(entry?.deliveredSteps || []), stepKey];
+        return this.update(emailData, { deliveredSteps });
+    }
+
+    /**
+     * Appends an entry to the ledger file.
+     * @param {LedgerEntry} entry - The entry to persist.
+     * @returns {Promise<void>}
+     */
+    append(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(() => fs.appendFile(this.filePath, line));
+        return this.writeQueue;
+    }
+}
+
+module.exports = LedgerService;
+module.exports.LEDGER_STATES = LEDGER_STATES;
@@ -0,0 +1,154 @@
+/**
+ * @file Remembers which email each forwarded WhatsApp message belongs to, so that replies to the message can
+ * be sent to the email's sender, and which incoming messages were already handled.
+ * @module services/messageMap
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/jsonFile
+ * @requires ../utils/logger
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const { writeJsonFile } = require("../utils/jsonFile");
+const logger = require("../utils/logger");
+
+/** @type {number} How long handled incoming messages are remembered; Green API redelivers within a day. */
+const HANDLED_KEEP_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The email behind a forwarded WhatsApp message.
+ *
+ * @typedef {object} MappedEmail
+ * @property {string} chatId - The WhatsApp chat the message was sent to (e.g., "6281234567890@c.us").
+ * @property {string} messageId - The Message-ID of the email.
+ * @property {string[]} references - The Message-IDs of the email's References header.
+ * @property {string} subject - The subject of the email.
+ * @property {string} replyTo - The address replies go to: the email's Reply-To, or its sender.
+ * @property {string} account - The mail account the email was found in.
+ * @property {string} sentAt - ISO timestamp of when the message was sent.
+ */
+
+/**
+ * @class MessageMap
+ * @description Maps the IDs Green API returns for sent messages (`idMessage`) to the emails they forwarded.
+ * Entries are kept for `bridge.keepDays` and stored in a JSON file, so replies work across restarts. The IDs of
+ * handled incoming messages are kept for a day in the same file, so that a notification Green API delivers
+ * again (a webhook it retries, or a poll whose notification could not be deleted) is not handled twice.
+ */
+class MessageMap {
+    /**
+     * Initializes a new instance of the MessageMap.
+     * @param {string} [filePath] - The path to the store file. Defaults to "message-map.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "message-map.json")) {
+        /** @type {string} The absolute path to the store file. */
+        this.filePath = filePath;
+        /** @type {Map<string, MappedEmail>} The emails, by WhatsApp message ID. */
+        this.entries = new Map();
+        /** @type {Map<string, string>} When each handled incoming message was handled, by WhatsApp message ID. */
+        this.handled = new Map();
+    }
+
+    /**
+     * Loads the map from disk and drops expired entries.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+            // Files written before handled messages were remembered hold only the forwarded messages.
+            const { messages = content, handled = {} } = content.messages ? content : {};
+            this.entries = new Map(Object.entries(messages));
+            this.handled = new Map(Object.entries(handled));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Message Map: Failed to load the forwarded messages; starting with an empty map.", { error });
+            }
+        }
+        this.prune();
+        logger.info(`Message Map: Loaded ${this.entries.size} forwarded message(s).`);
+    }
+
+    /**
+     * Removes the entries that are older than `bridge.keepDays`, and the handled messages older than a day.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - config.bridge.keepDays * 24 * 60 * 60 * 1000;
+        for (const [id, entry] of this.entries) {
+            if (Date.parse(entry.sentAt) < cutoff) this.entries.delete(id);
+        }
+        for (const [id, handledAt] of this.handled) {
+            if (Date.parse(handledAt) < now - HANDLED_KEEP_MS) this.handled.delete(id);
+        }
+    }
+
+    /**
+     * Looks up the email behind a WhatsApp message.
+     * @param {string} idMessage - The WhatsApp message ID.
+     * @returns {MappedEmail|undefined} The email, if the message forwarded one.
+     */
+    get(idMessage) {
+        return this.entries.get(idMessage);
+    }
+
+    /**
+     * Records that a WhatsApp message forwarded an email and saves the map.
+     * @param {string} idMessage - The WhatsApp message ID returned by Green API.
+     * @param {string} chatId - The chat the message was sent to.
+     * @param {import("./sources/mailSource").ProcessedEmail} email - The forwarded email.
+     * @returns {Promise<void>}
+     */
+    async remember(idMessage, chatId, email) {
+        this.entries.set(idMessage, {
+            chatId,
+            messageId: email.messageId || "",
+            references: email.references || [],
+            subject: email.subject || "",
+            replyTo: email.replyTo || email.fromAddress || "",
+            account: email.account || "",
+            sentAt: new Date().toISOString(),
+        });
+        this.prune();
+        await this.save();
+    }
+
+    /**
+     * Checks whether an incoming message was already handled.
+     * @param {string} idMessage - The WhatsApp message ID.
+     * @returns {boolean} `true` if the message was handled before.
+     */
+    wasHandled(idMessage) {
+        return this.handled.has(idMessage);
+    }
+
+    /**
+     * Records that an incoming message is being handled and saves the map. It is recorded before the saving
+     * starts, so that a copy that arrives meanwhile is already skipped.
+     * @param {string} idMessage - The WhatsApp message ID.
+     * @returns {Promise<void>}
+     */
+    markHandled(idMessage) {
+        this.handled.set(idMessage, new Date().toISOString());
+        this.prune();
+        return this.save();
+    }
+
+    /**
+     * Writes the map to disk atomically. A failure is only logged: a lost entry only means that replies to
+     * one message cannot be sent by email.
+     * @returns {Promise<void>}
+     */
+    save() {
+        const content = { messages: Object.fromEntries(this.entries), handled: Object.fromEntries(this.handled) };
+        return writeJsonFile(this.filePath, content).catch((error) => {
+            logger.error("Message Map: Failed to save the forwarded messages.", { error });
+        });
+    }
+}
+
+module.exports = MessageMap;
@@ -0,0 +1,121 @@
+/**
+ * @file A persistent list of senders whose emails are not forwarded for a while.
+ * @module services/muteList
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/jsonFile
+ * @requires ../utils/logger
+ * @requires ../utils/router
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const { writeJsonFile } = require("../utils/jsonFile");
+const logger = require("../utils/logger");
+const { wildcardToRegExp } = require("../utils/router");
+
+/**
+ * A muted sender.
+ *
+ * @typedef {object} Mute
+ * @property {string} sender - The lower-cased sender address or pattern (e.g., "*@news.example.com").
+ * @property {string} until - ISO timestamp of when the mute ends.
+ */
+
+/**
+ * @class MuteList
+ * @description Keeps the senders muted with the `/mute` chat command. Mutes end by themselves and are stored
+ * in a JSON file, so they survive restarts.
+ */
+class MuteList {
+    /**
+     * Initializes a new instance of the MuteList.
+     * @param {string} [filePath] - The path to the list file. Defaults to "mutes.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "mutes.json")) {
+        /** @type {string} The absolute path to the list file. */
+        this.filePath = filePath;
+        /** @type {Mute[]} The mutes, including ones that have ended but were not removed yet. */
+        this.mutes = [];
+    }
+
+    /**
+     * Loads the list from disk.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            this.mutes = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Mute List: Failed to load the muted senders; starting with an empty list.", { error });
+            }
+        }
+        logger.info(`Mute List: Loaded ${this.active().length} muted sender(s).`);
+    }
+
+    /**
+     * Writes the list to disk atomically, leaving out mutes that have ended. Overlapping saves, e.g. from
+     * commands sent in quick succession, are written one after the other.
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.mutes = this.active();
+        return writeJsonFile(this.filePath, this.mutes);
+    }
+
+    /**
+     * Returns the mutes that have not ended.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Mute[]} The active mutes.
+     */
+    active(now = Date.now()) {
+        return this.mutes.filter((mute) => Date.parse(mute.until) > now);
+    }
+
+    /**
+     * Finds the mute that covers a sender.
+     * @param {string} address - The bare sender address.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Mute|undefined} The mute, if the sender is muted.
+     */
+    find(address, now = Date.now()) {
+        if (!address) return undefined;
+        return this.active(now).find((mute) => wildcardToRegExp(mute.sender).test(address));
+    }
+
+    /**
+     * Mutes a sender, or changes when the mute of a sender ends.
+     * @param {string} sender - The sender address or pattern.
+     * @param {Date} until - When the mute ends.
+     * @returns {Promise<Mute>} The mute.
+     */
+    async mute(sender, until) {
+        const mute = { sender: sender.trim().toLowerCase(), until: until.toISOString() };
+        this.mutes = [...this.mutes.filter((other) => other.sender !== mute.sender), mute];
+        await this.save();
+
+        logger.info(`Mute List: Muted ${mute.sender} until ${mute.until}.`);
+        return mute;
+    }
+
+    /**
+     * Ends the mute of a sender.
+     * @param {string} sender - The sender address or pattern, as it was muted.
+     * @returns {Promise<boolean>} `true` if the sender was muted.
+     */
+    async unmute(sender) {
+        const normalized = sender.trim().toLowerCase();
+        const wasMuted = this.active().some((mute) => mute.sender === normalized);
+        this.mutes = this.mutes.filter((mute) => mute.sender !== normalized);
+        await this.save();
+
+        if (wasMuted) logger.info(`Mute List: Unmuted ${normalized}.`);
+        return wasMuted;
+    }
+}
+
+module.exports = MuteList;
@@ -0,0 +1,107 @@
+/**
+ * @file Turns WhatsApp replies to forwarded emails into email replies to their senders.
+ * @module services/replyBridge
+ * @requires nodemailer
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ */
+
+const nodemailer = require("nodemailer");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+
+/**
+ * @class ReplyBridge
+ * @description Answers forwarded emails: a WhatsApp message that quotes a forwarded message is sent through
+ * the `smtp` server to the sender of the email, threaded with `In-Reply-To` and `References`. The chat is
+ * told whether the reply was sent.
+ */
+class ReplyBridge {
+    /**
+     * Initializes a new instance of the ReplyBridge.
+     * @param {import("./whatsappService")} whatsappService - The service used to confirm replies in the chat.
+     * @param {import("./messageMap")} messageMap - The emails behind the forwarded messages.
+     */
+    constructor(whatsappService, messageMap) {
+        /** @type {import("./whatsappService")} The service used to confirm replies in the chat. */
+        this.whatsappService = whatsappService;
+        /** @type {import("./messageMap")} The emails behind the forwarded messages. */
+        this.messageMap = messageMap;
+        /** @type {{section: object, transport: import("nodemailer").Transporter}|null} The transport for the current `smtp` config. */
+        this.transportCache = null;
+    }
+
+    /**
+     * Returns the SMTP transport, creating it again after the `smtp` config was reloaded.
+     * @returns {import("nodemailer").Transporter} The transport.
+     */
+    getTransport() {
+        if (this.transportCache?.section !== config.smtp) {
+            const { host, port, secure, user, password } = config.smtp;
+            this.transportCache = {
+                section: config.smtp,
+                transport: nodemailer.createTransport({
+                    host,
+                    port,
+                    secure,
+                    auth: user ? { user, pass: password } : undefined,
+                }),
+            };
+        }
+        return this.transportCache.transport;
+    }
+
+    /**
+     * Sends a WhatsApp message as an email reply if it quotes a forwarded email.
+     * @param {import("./whatsappReceiver").IncomingMessage} message - The incoming message.
+     * @returns {Promise<boolean>} `true` if the message was a reply to a forwarded email.
+     */
+    async handleMessage(message) {
+        const email = message.quotedId ? this.messageMap.get(message.quotedId) : undefined;
+        if (!email) return false;
+        if (email.chatId !== message.chatId) {
+            // Message IDs are only meaningful within their chat; never answer an email from another chat.
+            logger.warn(`Reply Bridge: Ignoring a reply in ${message.chatId} to a message that was sent to ${email.chatId}.`);
+            return false;
+        }
+        if (!message.text.trim()) return false;
+
+        try {
+            await this.sendReply(email, message);
+            await this.whatsappService.sendTextMessage(message.chatId, `✉️ Reply sent to ${email.replyTo}.`);
+        } catch (error) {
+            logger.error(`Reply Bridge: Failed to send a reply to "${email.subject}".`, { error });
+            await this.whatsappService.sendTextMessage(message.chatId, `❌ Could not send your reply to ${email.replyTo}: ${error.message}`);
+        }
+        return true;
+    }
+
+    /**
+     * Sends a reply to an email through the SMTP server.
+     * @param {import("./messageMap").MappedEmail} email - The email to answer.
+     * @param {import("./whatsappReceiver").IncomingMessage} message - The WhatsApp reply.
+     * @returns {Promise<void>}
+     * @throws {Error} If the email has no address to reply to, or the SMTP server rejects the reply.
+     */
+    async sendReply(email, message) {
+        if (!email.replyTo) {
+            throw new Error("The email has no sender address to reply to.");
+        }
+        const subject = /^re:/i.test(email.subject) ? email.subject : `Re: ${email.subject}`;
+        const signature = message.senderName ? `\n\n-- \nSent from WhatsApp by ${message.senderName}` : "";
+        const threading = email.messageId
+            ? { inReplyTo: email.messageId, references: [...email.references, email.messageId] }
+            : {};
+
+        const info = await this.getTransport().sendMail({
+            from: config.smtp.from || config.smtp.user,
+            to: email.replyTo,
+            subject,
+            text: `${message.text}${signature}`,
+            ...threading,
+        });
+        logger.info(`Reply Bridge: Sent a reply to "${email.subject}" to ${email.replyTo} (${info.messageId}).`);
+    }
+}
+
+module.exports = ReplyBridge;
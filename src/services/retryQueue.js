@@ -0,0 +1,194 @@
+/**
+ * @file A persistent queue of emails whose WhatsApp delivery failed and must be retried later.
+ * @module services/retryQueue
+ * @requires fs.promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../utils/logger
+ * @requires ../utils/helpers
+ * @requires ../utils/jsonFile
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../utils/config");
+const logger = require("../utils/logger");
+const { computeBackoff } = require("../utils/helpers");
+const { writeJsonFile } = require("../utils/jsonFile");
+
+/**
+ * An email waiting for another delivery attempt.
+ *
+ * @typedef {object} RetryItem
+ * @property {string} key - The ledger key of the email.
+ * @property {object} email - The processed email data, as produced by GmailService.
+ * @property {number} attempts - How many delivery attempts have failed so far.
+ * @property {string} nextAttemptAt - ISO timestamp of the earliest next attempt.
+ * @property {string} lastError - The message of the last error.
+ * @property {string} [failedAt] - ISO timestamp of the final failure (dead letters only).
+ */
+
+/**
+ * @class RetryQueue
+ * @description Schedules failed deliveries with exponential backoff and keeps a dead-letter list of emails
+ * that could not be delivered. The queue is stored in a JSON file so it survives restarts.
+ */
+class RetryQueue {
+    /**
+     * Initializes a new instance of the RetryQueue.
+     * @param {string} [filePath] - The path to the queue file. Defaults to "retry-queue.json" in the data directory.
+     */
+    constructor(filePath = path.join(config.app.dataDir, "retry-queue.json")) {
+        /** @type {string} The absolute path to the queue file. */
+        this.filePath = filePath;
+        /** @type {RetryItem[]} Emails waiting for a retry. */
+        this.pending = [];
+        /** @type {RetryItem[]} Emails that failed their final attempt. */
+        this.deadLetters = [];
+    }
+
+    /**
+     * Loads the queue from disk.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+            this.pending = content.pending || [];
+            this.deadLetters = content.deadLetters || [];
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.error("Retry Queue: Failed to load the retry queue; starting with an empty queue.", { error });
+            }
+        }
+        logger.info(`Retry Queue: Loaded ${this.pending.length} pending and ${this.deadLetters.length} dead-lettered email(s).`);
+    }
+
+    /**
+     * Writes the queue to disk atomically. Overlapping saves, e.g. from accounts forwarding at the same time,
+     * are written one after the other.
+     * @returns {Promise<void>}
+     */
+    save() {
+        return writeJsonFile(this.filePath, { pending: this.pending, deadLetters: this.deadLetters });
+    }
+
+    /**
+     * Checks whether an email is pending or dead-lettered.
+     * @param {string} key - The ledger key of the email.
+     * @returns {boolean} `true` if the queue owns the email.
+     */
+    has(key) {
+        return this.pending.some((item) => item.key === key) || this.deadLetters.some((item) => item.key === key);
+    }
+
+    /**
+     * Schedules an email for another delivery attempt.
+     * @param {string} key - The ledger key of the email.
+     * @param {object} email - The processed email data.
+     * @param {number} attempts - How many attempts have failed so far.
+     * @param {Error} error - The error of the last attempt.
+     * @param {number|null} [retryAfterMs] - A minimum delay requested by the server (e.g., `Retry-After`).
+     * @returns {Promise<RetryItem>} The scheduled item.
+     */
+    async schedule(key, email, attempts, error, retryAfterMs = null) {
+        const backoffMs = computeBackoff(attempts, {
+            baseMs: config.retry.baseDelaySeconds * 1000,
+            maxMs: config.retry.maxDelaySeconds * 1000,
+        });
+        const waitMs = Math.max(backoffMs, retryAfterMs || 0);
+
+        const item = {
+            key,
+            email,
+            attempts,
+            nextAttemptAt: new Date(Date.now() + waitMs).toISOString(),
+            lastError: error.message,
+        };
+        this.pending = [...this.pending.filter((existing) => existing.key !== key), item];
+        await this.save();
+
+        logger.info(`Retry Queue: Email "${email.subject}" will be retried in ${Math.round(waitMs / 1000)}s (attempt ${attempts + 1}).`);
+        return item;
+    }
+
+    /**
+     * Moves an email to the dead-letter list after its final failed attempt.
+     * @param {string} key - The ledger key of the email.
+     * @param {object} email - The processed email data.
+     * @param {number} attempts - How many attempts have failed.
+     * @param {Error} error - The error of the last attempt.
+     * @returns {Promise<RetryItem>} The dead-lettered item.
+     */
+    async deadLetter(key, email, attempts, error) {
+        const item = {
+            key,
+            email,
+            attempts,
+            nextAttemptAt: null,
+            lastError: error.message,
+            failedAt: new Date().toISOString(),
+        };
+        this.pending = this.pending.filter((existing) => existing.key !== key);
+        this.deadLetters = [...this.deadLetters.filter((existing) => existing.key !== key), item];
+        await this.save();
+
+        logger.warn(`Retry Queue: Email "${email.subject}" was moved to the dead-letter list after ${attempts} attempt(s).`);
+        return item;
+    }
+
+    /**
+     * Makes the next attempt of an email due now. A dead-lettered email is moved back to the pending items
+     * and gets one more attempt.
+     * @param {string} key - The ledger key of the email.
+     * @returns {Promise<RetryItem|null>} The pending item, or `null` if the email is not in the queue.
+     */
+    async retryNow(key) {
+        const existing = this.pending.find((item) => item.key === key) || this.deadLetters.find((item) => item.key === key);
+        if (!existing) return null;
+
+        const { failedAt, ...rest } = existing;
+        const item = { ...rest, nextAttemptAt: new Date().toISOString() };
+        this.pending = [...this.pending.filter((other) => other.key !== key), item];
+        this.deadLetters = this.deadLetters.filter((other) => other.key !== key);
+        await this.save();
+
+        logger.info(`Retry Queue: Email "${item.email.subject}" will be retried now.`);
+        return item;
+    }
+
+    /**
+     * Returns the pending items whose next attempt is due, oldest first.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {RetryItem[]} The due items.
+     */
+    due(now = Date.now()) {
+        return this.pending
+            .filter((item) => Date.parse(item.nextAttemptAt) <= now)
+            .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+    }
+
+    /**
+     * Returns the time of the earliest pending retry.
+     * @returns {number|null} The timestamp in milliseconds, or `null` if nothing is pending.
+     */
+    nextDueAt() {
+        if (this.pending.length === 0) return null;
+        return Math.min(...this.pending.map((item) => Date.parse(item.nextAttemptAt)));
+    }
+
+    /**
+     * Removes an email from the queue, e.g., after it was delivered.
+     * @param {string} key - The ledger key of the email.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        if (!this.has(key)) return;
+        this.pending = this.pending.filter((item) => item.key !== key);
+        this.deadLetters = this.deadLetters.filter((item) => item.key !== key);
+        await this.save();
+    }
+}
+
+module.exports = RetryQueue;
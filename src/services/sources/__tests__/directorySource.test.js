@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DirectorySource = require('../directorySource');
+
+const rawEmail = (from, subject) => [
+    `From: ${from}`,
+    'To: me@example.com, team@example.com',
+    `Subject: ${subject}`,
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'See attached.',
+    '--b1',
+    'Content-Type: application/octet-stream; name="data.bin"',
+    'Content-Disposition: attachment; filename="data.bin"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from([0, 1, 2, 255]).toString('base64'),
+    '--b1--',
+].join('\r\n');
+
+describe('DirectorySource', () => {
+    let tempDir;
+    let attachmentsDir;
+    let source;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eml-dir-'));
+        attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eml-attachments-'));
+        source = new DirectorySource({ path: tempDir });
+        source.attachmentsDir = attachmentsDir;
+        jest.spyOn(source, 'getSenders').mockReturnValue(['alerts@example.com']);
+    });
+
+    afterEach(() => {
+        source.disconnect();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        fs.rmSync(attachmentsDir, { recursive: true, force: true });
+    });
+
+    it('should process .eml files from the configured senders with their attachments', async () => {
+        fs.writeFileSync(path.join(tempDir, 'b.eml'), rawEmail('alerts@example.com', 'Report'));
+        fs.writeFileSync(path.join(tempDir, 'a.eml'), rawEmail('someone@else.com', 'Other sender'));
+        fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'not an email');
+
+        const emails = await source.checkEmails();
+
+        expect(emails).toHaveLength(1);
+        expect(emails[0]).toMatchObject({
+            source: 'directory',
+            uid: 'b.eml',
+            subject: 'Report',
+            recipients: ['me@example.com', 'team@example.com'],
+        });
+        expect(emails[0].attachments).toHaveLength(1);
+        expect(fs.readFileSync(emails[0].attachments[0].filepath)).toEqual(Buffer.from([0, 1, 2, 255]));
+    });
+
+    it('should save embedded images in body order with their alt text and leave out tracking pixels', async () => {
+        const png = (width, height) => {
+            const buffer = Buffer.alloc(1024);
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+            buffer.writeUInt32BE(width, 16);
+            buffer.writeUInt32BE(height, 20);
+            return buffer;
+        };
+        const imagePart = (cid, content) => [
+            '--rel',
+            `Content-Type: image/png; name="${cid}.png"`,
+            'Content-Transfer-Encoding: base64',
+            `Content-ID: <${cid}>`,
+            `Content-Disposition: inline; filename="${cid}.png"`,
+            '',
+            content.toString('base64'),
+        ];
+        fs.writeFileSync(path.join(tempDir, 'c.eml'), [
+            'From: alerts@example.com',
+            'Subject: Weekly report',
+            'Content-Type: multipart/related; boundary="rel"',
+            '',
+            '--rel',
+            'Content-Type: text/html; charset=utf-8',
+            '',
+            '<p><img src="cid:chart" alt="Sales chart"></p><p><img src="cid:logo" alt="Logo"></p><img src="cid:pixel" width="1" height="1">',
+            ...imagePart('logo', png(200, 50)),
+            ...imagePart('chart', png(400, 300)),
+            ...imagePart('pixel', png(1, 1)),
+            '--rel--',
+        ].join('\r\n'));
+
+        const [email] = await source.checkEmails();
+
+        expect(email.inlineImages.map((image) => [image.filename, image.caption])).toEqual([
+            ['chart.png', 'Sales chart'],
+            ['logo.png', 'Logo'],
+        ]);
+        expect(fs.readFileSync(email.inlineImages[0].filepath)).toEqual(png(400, 300));
+        expect(email.attachments).toEqual([]);
+    });
+
+    it('should move forwarded files to the processed folder', async () => {
+        fs.writeFileSync(path.join(tempDir, 'b.eml'), rawEmail('alerts@example.com', 'Report'));
+        await source.checkEmails();
+
+        await source.markSeen('b.eml');
+        await source.markSeen('b.eml'); // Moving twice is harmless.
+
+        expect(fs.existsSync(path.join(tempDir, 'processed', 'b.eml'))).toBe(true);
+        expect(await source.checkEmails()).toEqual([]);
+    });
+});
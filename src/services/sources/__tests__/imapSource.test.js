@@ -0,0 +1,181 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { simpleParser } = require('mailparser');
+const ImapSource = require('../imapSource');
+
+jest.mock('imap', () => {
+    const { EventEmitter } = require('events');
+    return jest.fn().mockImplementation(() => Object.assign(new EventEmitter(), { connect: jest.fn(), destroy: jest.fn() }));
+});
+
+describe('ImapSource', () => {
+    let source;
+    let imap;
+
+    beforeEach(() => {
+        source = new ImapSource({ user: 'u', password: 'p', host: 'imap.example.com', port: 993, tls: true });
+        imap = {
+            serverSupports: jest.fn().mockReturnValue(false),
+            search: jest.fn((criteria, callback) => callback(null, [11, 12])),
+        };
+        source.imap = imap;
+        source.isConnected = true;
+        source.box = { uidvalidity: 5 };
+    });
+
+    describe('connect', () => {
+        test('should report an error after the connection was established once', async () => {
+            const connecting = source.connect();
+            source.imap.emit('ready');
+            await connecting;
+            const disconnected = jest.fn();
+            source.on('disconnected', disconnected);
+            const error = Object.assign(new Error('read ECONNRESET'), { source: 'socket' });
+
+            source.imap.emit('error', error);
+            source.imap.emit('close', true);
+
+            expect(source.isConnected).toBe(false);
+            expect(disconnected).toHaveBeenCalledTimes(1);
+            expect(disconnected).toHaveBeenCalledWith(error);
+        });
+
+        test('should reject when the connection cannot be established', async () => {
+            const connecting = source.connect();
+            source.imap.emit('error', Object.assign(new Error('Invalid credentials'), { source: 'authentication' }));
+
+            await expect(connecting).rejects.toThrow('Invalid credentials');
+        });
+    });
+
+    describe('ping', () => {
+        test('should resolve when the server answers the NOOP', async () => {
+            imap._enqueue = jest.fn((command, callback) => callback());
+
+            await expect(source.ping(1000)).resolves.toBeUndefined();
+            expect(imap._enqueue).toHaveBeenCalledWith('NOOP', expect.any(Function));
+        });
+
+        test('should destroy a connection that does not answer in time', async () => {
+            jest.useFakeTimers();
+            Object.assign(imap, { _enqueue: jest.fn(), destroy: jest.fn() });
+
+            const pinging = source.ping(1000);
+            jest.advanceTimersByTime(1000);
+
+            await expect(pinging).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+            expect(imap.destroy).toHaveBeenCalled();
+            jest.useRealTimers();
+        });
+    });
+
+    describe('searchUnread', () => {
+        test('should search every sender with OR criteria nested in pairs', async () => {
+            source.setFilter(['a@x.com', 'b@x.com', 'c@x.com'], null);
+
+            await expect(source.searchUnread()).resolves.toEqual([11, 12]);
+            expect(imap.search.mock.calls[0][0]).toEqual([
+                'UNSEEN',
+                ['OR', ['FROM', 'a@x.com'], ['OR', ['FROM', 'b@x.com'], ['FROM', 'c@x.com']]],
+            ]);
+        });
+
+        test('should add the filter expression to the sender criteria', async () => {
+            imap.serverSupports.mockImplementation((capability) => capability === 'X-GM-EXT-1');
+            source.setFilter(['a@x.com'], { label: 'Finance', exclude: { larger: '5MB' } });
+
+            await source.searchUnread();
+
+            expect(imap.search.mock.calls[0][0]).toEqual([
+                'UNSEEN',
+                ['FROM', 'a@x.com'],
+                ['X-GM-LABELS', 'Finance'],
+                ['!LARGER', 5 * 1024 * 1024],
+            ]);
+        });
+
+        test('should not search when gmailRaw is used on a server without Gmail extensions', async () => {
+            source.setFilter([], { gmailRaw: 'category:primary' });
+
+            await expect(source.searchUnread()).resolves.toEqual([]);
+            expect(imap.search).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('fetchEmail', () => {
+        test('should parse the message while it streams in and keep binary attachments intact', async () => {
+            const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imap-attachments-'));
+            source.attachmentsDir = attachmentsDir;
+            const content = Buffer.from([0xff, 0x00, 0xe9, 0x80]);
+            const raw = Buffer.from([
+                'From: alerts@bank.com',
+                'Subject: Statement',
+                'Content-Type: multipart/mixed; boundary="b1"',
+                '',
+                '--b1',
+                'Content-Type: text/plain; charset=ISO-8859-1',
+                'Content-Transfer-Encoding: 8bit',
+                '',
+                'Solde: 5 \u00e9cus',
+                '--b1',
+                'Content-Type: application/octet-stream; name="s.bin"',
+                'Content-Transfer-Encoding: base64',
+                '',
+                content.toString('base64'),
+                '--b1--',
+            ].join('\r\n'), 'latin1');
+
+            imap.fetch = jest.fn(() => {
+                const fetch = new EventEmitter();
+                setImmediate(() => {
+                    const msg = new EventEmitter();
+                    const body = new PassThrough();
+                    fetch.emit('message', msg);
+                    msg.emit('body', body);
+                    msg.emit('attributes', { size: raw.length });
+                    // The server sends the message in chunks that split characters and lines.
+                    for (let offset = 0; offset < raw.length; offset += 5) body.write(raw.subarray(offset, offset + 5));
+                    body.end();
+                    body.on('end', () => setImmediate(() => msg.emit('end')));
+                });
+                return fetch;
+            });
+
+            try {
+                const { email, attributes } = await source.fetchEmail(11);
+
+                expect(attributes).toEqual({ size: raw.length });
+                expect(email.text.trim()).toBe('Solde: 5 \u00e9cus');
+                expect(fs.readFileSync(email.attachments[0].filepath)).toEqual(content);
+            } finally {
+                fs.rmSync(attachmentsDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('checkEmails', () => {
+        test('should forward only emails matching the full filter and not fetch the others again', async () => {
+            source.setFilter([], { from: '*@bank.com', subjectMatches: '^Statement' });
+            const raw = {
+                11: 'From: alerts@bank.com\r\nSubject: Statement March\r\n\r\nHi',
+                12: 'From: promo@bank.com\r\nSubject: Great offers\r\n\r\nHi',
+            };
+            jest.spyOn(source, 'fetchEmail').mockImplementation(async (uid) => ({
+                email: await simpleParser(raw[uid]),
+                attributes: { size: raw[uid].length, date: new Date() },
+            }));
+            jest.spyOn(source, 'processEmail').mockImplementation(async (email, meta) => ({ uid: meta.uid, subject: email.subject }));
+
+            const first = await source.checkEmails();
+            const second = await source.checkEmails();
+
+            expect(imap.search.mock.calls[0][0]).toEqual(['UNSEEN', ['FROM', '@bank.com']]);
+            expect(first).toEqual([{ uid: 11, subject: 'Statement March' }]);
+            expect(second).toEqual([{ uid: 11, subject: 'Statement March' }]);
+            expect(source.fetchEmail).toHaveBeenCalledTimes(3); // UID 12 was only fetched once.
+        });
+    });
+});
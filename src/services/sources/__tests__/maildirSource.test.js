@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MaildirSource = require('../maildirSource');
+
+const rawEmail = (from, subject) => [
+    `From: Alerts <${from}>`,
+    'To: me@example.com',
+    `Subject: ${subject}`,
+    `Message-ID: <${subject.replace(/\s/g, '-')}@example.com>`,
+    'Date: Mon, 05 Feb 2024 10:00:00 +0000',
+    '',
+    'Hello from the Maildir.',
+].join('\r\n');
+
+describe('MaildirSource', () => {
+    let tempDir;
+    let source;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-'));
+        for (const folder of ['new', 'cur', 'tmp']) {
+            fs.mkdirSync(path.join(tempDir, folder));
+        }
+        source = new MaildirSource({ path: tempDir });
+        source.attachmentsDir = tempDir;
+        jest.spyOn(source, 'getSenders').mockReturnValue(['alerts@example.com']);
+    });
+
+    afterEach(() => {
+        source.disconnect();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should process unread emails from new/ and cur/ and skip seen ones', async () => {
+        fs.writeFileSync(path.join(tempDir, 'new', '1700000001.M1.host'), rawEmail('alerts@example.com', 'New one'));
+        fs.writeFileSync(path.join(tempDir, 'cur', '1700000002.M2.host:2,F'), rawEmail('alerts@example.com', 'Flagged one'));
+        fs.writeFileSync(path.join(tempDir, 'cur', '1700000003.M3.host:2,S'), rawEmail('alerts@example.com', 'Read one'));
+        fs.writeFileSync(path.join(tempDir, 'new', '1700000004.M4.host'), rawEmail('someone@else.com', 'Other sender'));
+
+        const emails = await source.checkEmails();
+
+        expect(emails.map((email) => email.subject)).toEqual(['New one', 'Flagged one']);
+        expect(emails[0]).toMatchObject({
+            source: 'maildir',
+            uid: '1700000001.M1.host',
+            uidValidity: tempDir,
+            fromAddress: 'alerts@example.com',
+            recipients: ['me@example.com'],
+            text: 'Hello from the Maildir.',
+        });
+    });
+
+    it('should ask before parsing each email', async () => {
+        fs.writeFileSync(path.join(tempDir, 'new', '1700000001.M1.host'), rawEmail('alerts@example.com', 'Skipped'));
+        const shouldFetch = jest.fn().mockReturnValue(false);
+
+        const emails = await source.checkEmails(shouldFetch);
+
+        expect(emails).toEqual([]);
+        expect(shouldFetch).toHaveBeenCalledWith('1700000001.M1.host', tempDir);
+    });
+
+    it('should mark an email as seen by moving it to cur/ with the S flag', async () => {
+        fs.writeFileSync(path.join(tempDir, 'new', '1700000001.M1.host'), rawEmail('alerts@example.com', 'New one'));
+        fs.writeFileSync(path.join(tempDir, 'cur', '1700000002.M2.host:2,F'), rawEmail('alerts@example.com', 'Flagged one'));
+
+        await source.markSeen('1700000001.M1.host');
+        await source.markSeen('1700000002.M2.host');
+
+        expect(fs.readdirSync(path.join(tempDir, 'new'))).toEqual([]);
+        expect(fs.readdirSync(path.join(tempDir, 'cur')).sort()).toEqual([
+            '1700000001.M1.host:2,S',
+            '1700000002.M2.host:2,FS',
+        ]);
+        expect(await source.checkEmails()).toEqual([]);
+    });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MboxSource = require('../mboxSource');
+
+const mboxMessage = (from, subject, body) => [
+    `From ${from} Mon Feb  5 10:00:00 2024`,
+    `From: ${from}`,
+    'To: me@example.com',
+    `Subject: ${subject}`,
+    `Message-ID: <${subject.replace(/\s/g, '-')}@example.com>`,
+    '',
+    body,
+    '',
+].join('\n');
+
+describe('MboxSource', () => {
+    let tempDir;
+    let mboxPath;
+
+    const createSource = () => {
+        const source = new MboxSource({ path: mboxPath });
+        source.attachmentsDir = tempDir;
+        source.statePath = path.join(tempDir, 'state.json');
+        jest.spyOn(source, 'getSenders').mockReturnValue(['alerts@example.com']);
+        return source;
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mbox-'));
+        mboxPath = path.join(tempDir, 'inbox.mbox');
+        fs.writeFileSync(mboxPath, [
+            mboxMessage('alerts@example.com', 'First', 'Line one\n>From the archive'),
+            mboxMessage('someone@else.com', 'Other sender', 'Ignore me'),
+            mboxMessage('alerts@example.com', 'Third', 'Line three'),
+        ].join(''));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should split the file into messages numbered by position', async () => {
+        const source = createSource();
+        await source.initialize();
+
+        const emails = await source.checkEmails();
+        source.disconnect();
+
+        expect(emails.map((email) => [email.uid, email.subject])).toEqual([[1, 'First'], [3, 'Third']]);
+        expect(emails[0].uidValidity).toBe(fs.statSync(mboxPath).ino);
+        expect(emails[0].text.trim()).toBe('Line one\nFrom the archive');
+    });
+
+    it('should remember seen messages across restarts', async () => {
+        const source = createSource();
+        await source.initialize();
+        await source.checkEmails();
+        await source.markSeen(1);
+        source.disconnect();
+
+        const restarted = createSource();
+        await restarted.initialize();
+        fs.appendFileSync(mboxPath, mboxMessage('alerts@example.com', 'Fourth', 'Appended'));
+        const emails = await restarted.checkEmails();
+        restarted.disconnect();
+
+        expect(emails.map((email) => email.subject)).toEqual(['Third', 'Fourth']);
+    });
+
+    it('should start over when the file is replaced', async () => {
+        const source = createSource();
+        await source.initialize();
+        await source.checkEmails();
+        await source.markSeen(1);
+
+        const replacement = path.join(tempDir, 'new.mbox');
+        fs.writeFileSync(replacement, mboxMessage('alerts@example.com', 'Fresh', 'New file'));
+        fs.renameSync(replacement, mboxPath);
+        const emails = await source.checkEmails();
+        source.disconnect();
+
+        expect(emails.map((email) => [email.uid, email.subject])).toEqual([[1, 'Fresh']]);
+    });
+
+    it('should keep separate state files for mbox files with the same name', () => {
+        const first = new MboxSource({ path: '/a/inbox' });
+        const second = new MboxSource({ path: '/b/inbox' });
+
+        expect(path.basename(first.statePath)).toMatch(/^mbox-inbox-[0-9a-f]{12}\.seen\.json$/);
+        expect(first.statePath).not.toBe(second.statePath);
+        expect(new MboxSource({ path: '/a/inbox' }).statePath).toBe(first.statePath);
+    });
+});
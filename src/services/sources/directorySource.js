@@ -0,0 +1,108 @@
+/**
+ * @file Reads emails from a watched folder of `.eml` files.
+ * @module services/sources/directorySource
+ * @requires fs
+ * @requires path
+ * @requires ./mailSource
+ * @requires ../../utils/logger
+ */
+
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const MailSource = require("./mailSource");
+const logger = require("../../utils/logger");
+
+/**
+ * @class DirectorySource
+ * @description Treats every `.eml` file dropped into a folder as a new email. Forwarded files are moved
+ * to a `processed/` subfolder. The file name serves as the email's UID.
+ * Useful for testing and for on-premises relays that write messages to disk.
+ * @extends MailSource
+ */
+class DirectorySource extends MailSource {
+    /**
+     * Initializes a new instance of the DirectorySource.
+     * @param {object} options - The source settings.
+     * @param {string} options.path - The folder to read `.eml` files from.
+     * @param {string} [name="directory"] - The name of the source.
+     */
+    constructor(options, name = "directory") {
+        super(name, "Directory Source");
+        /** @type {string} The absolute path to the watched folder. */
+        this.directory = path.resolve(options.path);
+        /** @type {string} The folder forwarded files are moved to. */
+        this.processedDir = path.join(this.directory, "processed");
+    }
+
+    /**
+     * Prepares the folders and starts watching for new files.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        await fs.mkdir(this.processedDir, { recursive: true });
+        this.isConnected = true;
+        this.watch(this.directory);
+    }
+
+    /**
+     * Checks the folder for `.eml` files that match the filter.
+     * @param {function(string, string): (boolean|Promise<boolean>)} [shouldFetch] - Called with each file name and
+     *   the folder path before parsing; returning `false` skips the file.
+     * @returns {Promise<import("./mailSource").ProcessedEmail[]>} The processed emails.
+     */
+    async checkEmails(shouldFetch = () => true) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        const filenames = (await fs.readdir(this.directory, { withFileTypes: true }))
+            .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".eml"))
+            .map((entry) => entry.name)
+            .sort();
+
+        const processedEmails = [];
+        for (const filename of filenames) {
+            if (this.ignored.has(filename)) continue;
+            try {
+                if (!(await shouldFetch(filename, this.directory))) continue;
+
+                const filepath = path.join(this.directory, filename);
+                const email = await this.parseIfMatching(fsSync.createReadStream(filepath), {
+                    size: (await fs.stat(filepath)).size,
+                    mailbox: path.basename(this.directory),
+                });
+                if (!email) {
+                    this.ignored.add(filename);
+                    continue;
+                }
+                const processedEmail = await this.processEmail(email, {
+                    uid: filename,
+                    uidValidity: this.directory,
+                    mailbox: path.basename(this.directory),
+                });
+                processedEmails.push(processedEmail);
+                logger.info(`${this.logLabel}: Successfully processed "${filename}" with subject "${processedEmail.subject}".`);
+            } catch (error) {
+                logger.error(`${this.logLabel}: Failed to process "${filename}".`, { error });
+            }
+        }
+        return processedEmails;
+    }
+
+    /**
+     * Marks a file as read by moving it to the `processed/` subfolder.
+     * @param {string} uid - The file name.
+     * @returns {Promise<void>}
+     */
+    async markSeen(uid) {
+        try {
+            await fs.rename(path.join(this.directory, uid), path.join(this.processedDir, uid));
+            logger.debug(`${this.logLabel}: Moved "${uid}" to the processed folder.`);
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error; // Already moved or deleted.
+        }
+    }
+}
+
+module.exports = DirectorySource;
@@ -0,0 +1,362 @@
+/**
+ * @file Reads emails from any IMAP server (Outlook, self-hosted, ...).
+ * @module services/sources/imapSource
+ * @requires imap
+ * @requires ./mailSource
+ * @requires ../../utils/mailStream
+ * @requires ../../utils/config
+ * @requires ../../utils/logger
+ */
+
+const Imap = require("imap");
+const MailSource = require("./mailSource");
+const { discardAttachments } = require("../../utils/mailStream");
+const { config } = require("../../utils/config");
+const logger = require("../../utils/logger");
+
+/**
+ * Connection settings for an IMAP server.
+ *
+ * @typedef {object} ImapOptions
+ * @property {string} user - The account username.
+ * @property {string} password - The account password (or app password).
+ * @property {string} host - The IMAP server host.
+ * @property {number} port - The IMAP server port (993 for TLS).
+ * @property {boolean} tls - Whether to use a secure TLS connection.
+ * @property {string} [mailbox="INBOX"] - The mailbox to watch.
+ */
+
+/**
+ * @class ImapSource
+ * @description Handles connecting to an IMAP server, searching, fetching and parsing emails.
+ * Emits `mail` (with the number of new messages) when the server reports new mail in the open mailbox,
+ * which happens within seconds while the connection is idling (IMAP IDLE), and `disconnected` (with the
+ * error, if any) when an established connection ends or fails.
+ * @extends MailSource
+ */
+class ImapSource extends MailSource {
+    /**
+     * Initializes a new instance of the ImapSource.
+     * @param {ImapOptions} options - The connection settings.
+     * @param {string} [name="imap"] - The name of the source.
+     * @param {string} [logLabel="IMAP Source"] - The prefix used for log messages.
+     */
+    constructor(options, name = "imap", logLabel = "IMAP Source") {
+        super(name, logLabel);
+        /** @type {ImapOptions} The connection settings. */
+        this.options = options;
+        /** @type {string} The mailbox to watch. */
+        this.mailbox = options.mailbox || "INBOX";
+        /** @type {Imap|null} The IMAP connection instance. */
+        this.imap = null;
+        /** @type {object|null} The currently open mailbox, as returned by `openBox`. */
+        this.box = null;
+        /** @type {boolean} Whether the warning about a search the server cannot narrow down was logged. */
+        this.warnedBroadSearch = false;
+    }
+
+    /**
+     * Establishes a connection to the IMAP server.
+     * @returns {Promise<void>} A promise that resolves on successful connection or rejects on error.
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.imap = new Imap({
+                user: this.options.user,
+                password: this.options.password,
+                host: this.options.host,
+                port: this.options.port,
+                tls: this.options.tls,
+                tlsOptions: { rejectUnauthorized: false }, // Necessary for some environments
+                // While idle, node-imap keeps an IDLE command open and re-issues it periodically,
+                // since servers drop IDLE sessions after a while (Gmail after about 10 minutes).
+                keepalive: {
+                    interval: 10000,
+                    idleInterval: config.app.idleRefreshSeconds * 1000,
+                    forceNoop: false,
+                },
+            });
+            this.box = null;
+
+            const imap = this.imap;
+            let ready = false;
+            // Reports the loss of an established connection once, whether it ended, closed or failed.
+            const lost = (error = null) => {
+                // Ignore the end of a previous connection that was replaced by a reconnect.
+                if (this.imap !== imap || !this.isConnected) return;
+                this.isConnected = false;
+                this.box = null;
+                this.emit("disconnected", error);
+            };
+
+            // --- IMAP Event Handlers ---
+            this.imap.once("ready", () => {
+                ready = true;
+                this.isConnected = true;
+                logger.info(`${this.logLabel}: Successfully connected to IMAP server.`);
+                resolve();
+            });
+
+            // Errors can also occur long after "ready" (e.g., a reset socket), so the handler stays registered.
+            this.imap.on("error", (err) => {
+                if (!ready) {
+                    logger.error(`${this.logLabel}: IMAP connection error.`, { error: err });
+                    this.isConnected = false;
+                    reject(err);
+                    return;
+                }
+                logger.error(`${this.logLabel}: The IMAP connection failed.`, { error: err });
+                lost(err);
+            });
+
+            this.imap.once("end", () => {
+                if (this.imap === imap) logger.info(`${this.logLabel}: IMAP connection has ended.`);
+                lost();
+            });
+            this.imap.once("close", () => lost());
+
+            // New mail in the open mailbox, reported immediately by the server while idling.
+            this.imap.on("mail", (count) => {
+                logger.debug(`${this.logLabel}: Server reported ${count} new message(s).`);
+                this.emit("mail", count);
+            });
+
+            // Initiate the connection.
+            this.imap.connect();
+        });
+    }
+
+    /**
+     * Checks that the server still answers by sending a NOOP. A half-open connection, whose server is gone
+     * without the socket being closed, only shows up this way; it is destroyed if the NOOP is not answered.
+     * @param {number} timeoutMs - How long to wait for the answer.
+     * @returns {Promise<void>} A promise that resolves when the server answered.
+     * @throws {Error} An error with code "ETIMEDOUT" if the server did not answer in time, or the server's error.
+     */
+    ping(timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const imap = this.imap;
+            if (!imap || !this.isConnected) {
+                reject(Object.assign(new Error("The IMAP connection is not established."), { code: "ENOTCONN" }));
+                return;
+            }
+            const timer = setTimeout(() => {
+                imap.destroy();
+                reject(Object.assign(new Error(`The IMAP server did not answer a NOOP within ${Math.round(timeoutMs / 1000)}s.`), { code: "ETIMEDOUT" }));
+            }, timeoutMs);
+            // node-imap has no public NOOP command; its own keepalive queues one the same way.
+            imap._enqueue("NOOP", (error) => {
+                clearTimeout(timer);
+                if (error) reject(error);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Checks whether the connected server supports IMAP IDLE push notifications.
+     * @returns {boolean} `true` if connected and the server advertises the IDLE capability.
+     */
+    supportsIdle() {
+        return Boolean(this.imap && this.isConnected && this.imap.serverSupports("IDLE"));
+    }
+
+    /**
+     * Opens the configured mailbox.
+     * @returns {Promise<object>} A promise that resolves with the mailbox object or rejects on error.
+     */
+    openMailbox() {
+        return new Promise((resolve, reject) => {
+            this.imap.openBox(this.mailbox, false, (err, box) => {
+                if (err) {
+                    logger.error(`${this.logLabel}: Failed to open ${this.mailbox}.`, { error: err });
+                    return reject(err);
+                }
+                logger.info(`${this.logLabel}: ${this.mailbox} opened successfully.`);
+                this.box = box;
+                resolve(box);
+            });
+        });
+    }
+
+    /**
+     * Searches for unread emails matching the filter. The server narrows the search down as far as IMAP SEARCH
+     * can express the filter (Gmail's X-GM-RAW and X-GM-LABELS extensions included); the rest of the filter is
+     * checked on each fetched email.
+     * @param {import("../../utils/filter").CompiledFilter|null} [filter] - The filter. Defaults to the account's filter.
+     * @returns {Promise<number[]>} A promise that resolves with an array of email UIDs.
+     */
+    searchUnread(filter = this.getFilter()) {
+        return new Promise((resolve, reject) => {
+            if (!filter) {
+                logger.warn(`${this.logLabel}: No sender emails or filter configured. Skipping search.`);
+                return resolve([]);
+            }
+
+            const gmail = this.imap.serverSupports("X-GM-EXT-1");
+            if (filter.serverOnly && !gmail) {
+                logger.error(`${this.logLabel}: The filter uses gmailRaw, which only Gmail supports. Skipping search.`);
+                return resolve([]);
+            }
+
+            // Construct the IMAP search criteria.
+            const filterCriteria = filter.imapCriteria({ gmail });
+            if (filterCriteria.length === 0 && !this.warnedBroadSearch) {
+                logger.warn(
+                    `${this.logLabel}: The filter cannot be narrowed down on the server; every unread email is fetched and checked.`,
+                );
+                this.warnedBroadSearch = true;
+            }
+            const searchCriteria = ["UNSEEN", ...filterCriteria];
+
+            this.imap.search(searchCriteria, (err, results) => {
+                if (err) {
+                    logger.error(`${this.logLabel}: Email search failed.`, { error: err });
+                    return reject(err);
+                }
+                if (results.length > 0) {
+                    logger.info(`${this.logLabel}: Found ${results.length} unread email(s) that may match the filter.`);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Fetches the full content of an email by its UID and parses it while it is downloaded, so that the
+     * message is never held in memory as a whole and its attachments are written straight to disk.
+     * The email is left unread; it is only marked as seen via `markSeen` once it has been forwarded.
+     * @param {number} uid - The Unique ID of the email to fetch.
+     * @returns {Promise<{email: object, attributes: object}>} A promise that resolves with the parsed email
+     *   object and the message attributes returned by the server.
+     */
+    fetchEmail(uid) {
+        return new Promise((resolve, reject) => {
+            const fetch = this.imap.fetch(uid, {
+                bodies: "", // Fetch the entire message body
+                size: true, // Fetch the message size, used by size filters
+                markSeen: false, // Leave the email unread until it has been forwarded
+            });
+
+            let parsing = null;
+            let attributes = {};
+            fetch.on("message", (msg) => {
+                msg.on("body", (stream) => {
+                    // Pipe the raw bytes into the parser as they arrive.
+                    parsing = this.parseMessage(stream);
+                    parsing.catch(() => {}); // Handled once the message has ended.
+                });
+                msg.once("attributes", (attrs) => {
+                    attributes = attrs;
+                });
+                msg.once("end", async () => {
+                    try {
+                        const email = await (parsing || this.parseMessage(""));
+                        resolve({ email, attributes });
+                    } catch (parseError) {
+                        logger.error(`${this.logLabel}: Failed to parse email.`, { uid, error: parseError });
+                        reject(parseError);
+                    }
+                });
+            });
+
+            fetch.once("error", (err) => {
+                logger.error(`${this.logLabel}: Email fetch error.`, { uid, error: err });
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Marks an email as read in the mailbox.
+     * @param {number} uid - The Unique ID of the email.
+     * @returns {Promise<void>} A promise that resolves once the flag has been set.
+     */
+    markSeen(uid) {
+        return new Promise((resolve, reject) => {
+            this.imap.addFlags(uid, "\\Seen", (err) => {
+                if (err) {
+                    logger.error(`${this.logLabel}: Failed to mark email as seen.`, { uid, error: err });
+                    return reject(err);
+                }
+                logger.debug(`${this.logLabel}: Marked email UID ${uid} as seen.`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * The main workflow method to check for and process new emails.
+     * @param {function(number, number): (boolean|Promise<boolean>)} [shouldFetch] - Called with each found UID and the
+     *   mailbox UIDVALIDITY before fetching; returning `false` skips the email (e.g., because it was already forwarded).
+     * @returns {Promise<import("./mailSource").ProcessedEmail[]>} A promise that resolves with an array of all processed emails.
+     */
+    async checkEmails(shouldFetch = () => true) {
+        const processedEmails = [];
+        try {
+            // Connect if not already connected.
+            if (!this.isConnected) {
+                await this.connect();
+            }
+
+            // Keep the mailbox open between cycles; it is only reopened after a reconnect.
+            if (!this.box) {
+                await this.openMailbox();
+            }
+            const filter = this.getFilter();
+            const uids = await this.searchUnread(filter);
+            const uidValidity = this.box?.uidvalidity ?? null;
+
+            // Process each found email UID.
+            for (const uid of uids) {
+                const ignoredKey = `${uidValidity}:${uid}`;
+                if (this.ignored.has(ignoredKey)) continue;
+                try {
+                    if (!(await shouldFetch(uid, uidValidity))) {
+                        logger.debug(`${this.logLabel}: Skipping email UID ${uid}.`);
+                        continue;
+                    }
+                    const { email, attributes } = await this.fetchEmail(uid);
+                    const meta = {
+                        uid,
+                        uidValidity,
+                        mailbox: this.mailbox,
+                        // Gmail exposes its labels as a fetch attribute (X-GM-EXT-1); other servers omit it.
+                        labels: attributes["x-gm-labels"] || [],
+                        size: attributes.size,
+                        receivedAt: attributes.date,
+                    };
+                    // The search may return more than the filter matches; it stays unread, but is not fetched again.
+                    if (!this.matchesFilter(email, meta, filter)) {
+                        logger.debug(`${this.logLabel}: Email UID ${uid} does not match the filter.`);
+                        await discardAttachments(email);
+                        this.ignored.add(ignoredKey);
+                        continue;
+                    }
+                    const processedEmail = await this.processEmail(email, meta);
+                    processedEmails.push(processedEmail);
+                    logger.info(`${this.logLabel}: Successfully processed email UID ${uid} with subject "${processedEmail.subject}".`);
+                } catch (error) {
+                    logger.error(`${this.logLabel}: Failed to process email UID ${uid}.`, { error });
+                }
+            }
+
+            return processedEmails;
+        } catch (error) {
+            logger.error(`${this.logLabel}: A critical error occurred during the email check cycle.`, { error });
+            // Re-throw to allow the main loop to handle reconnection logic.
+            throw error;
+        }
+    }
+
+    /**
+     * Gracefully disconnects from the IMAP server.
+     */
+    disconnect() {
+        if (this.imap && this.isConnected) {
+            this.imap.end();
+        }
+    }
+}
+
+module.exports = ImapSource;
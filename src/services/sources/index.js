@@ -0,0 +1,59 @@
+/**
+ * @file Creates the mail source of an account.
+ * @module services/sources
+ * @requires ../gmailService
+ * @requires ./imapSource
+ * @requires ./maildirSource
+ * @requires ./mboxSource
+ * @requires ./directorySource
+ * @requires ../../utils/accounts
+ */
+
+const GmailService = require("../gmailService");
+const ImapSource = require("./imapSource");
+const MaildirSource = require("./maildirSource");
+const MboxSource = require("./mboxSource");
+const DirectorySource = require("./directorySource");
+const { DEFAULT_ACCOUNT_NAME, defaultAccount } = require("../../utils/accounts");
+
+/**
+ * Creates the mail source of an account, filtering on the account's senders and filter expression.
+ *
+ * @param {import("../../utils/accounts").Account} [account] - The account. Defaults to the account configured
+ *   through the environment.
+ * @returns {import("./mailSource")} The mail source.
+ * @throws {Error} If the account type is unknown.
+ */
+function createMailSource(account = defaultAccount()) {
+    let source;
+    switch (account.type) {
+        case "gmail":
+            source = new GmailService(account.settings);
+            break;
+        case "imap":
+            source = new ImapSource(account.settings);
+            break;
+        case "maildir":
+            source = new MaildirSource(account.settings);
+            break;
+        case "mbox":
+            source = new MboxSource(account.settings);
+            break;
+        case "directory":
+            source = new DirectorySource(account.settings);
+            break;
+        default:
+            throw new Error(`Unknown mail source type "${account.type}".`);
+    }
+
+    source.setFilter(account.senders, account.filter ?? null);
+    // With several accounts, every log line of a source names the account it belongs to.
+    if (account.name !== DEFAULT_ACCOUNT_NAME) {
+        source.logLabel = `${source.logLabel} [${account.name}]`;
+    }
+    return source;
+}
+
+module.exports = {
+    createMailSource,
+};
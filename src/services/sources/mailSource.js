@@ -0,0 +1,463 @@
+/**
+ * @file Defines the interface and shared behaviour of every mail source the forwarder can read from.
+ * @module services/sources/mailSource
+ * @requires events
+ * @requires fs
+ * @requires path
+ * @requires ../../utils/config
+ * @requires ../../utils/filter
+ * @requires ../../utils/logger
+ * @requires ../../utils/inlineImages
+ * @requires ../../utils/mailStream
+ * @requires ../attachmentInspector
+ * @requires ../attachmentTransformer
+ */
+
+const EventEmitter = require("events");
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const { config } = require("../../utils/config");
+const { buildFilterContext, compileFilter } = require("../../utils/filter");
+const logger = require("../../utils/logger");
+const { selectInlineImages } = require("../../utils/inlineImages");
+const { buildAttachmentPath, discardAttachments, isUrgent, parseMessageStream, sanitizeFilename } = require("../../utils/mailStream");
+const AttachmentInspector = require("../attachmentInspector");
+const AttachmentTransformer = require("../attachmentTransformer");
+
+/**
+ * The processed email data produced by every mail source and consumed by the rest of the application.
+ *
+ * @typedef {object} ProcessedEmail
+ * @property {string} source - The name of the mail source the email came from.
+ * @property {number|string|null} uid - The identifier of the email within its source (IMAP UID, file name, ...).
+ * @property {number|string|null} uidValidity - Identifies the "generation" of the UIDs (IMAP UIDVALIDITY, folder path, ...).
+ * @property {string} messageId - The Message-ID header.
+ * @property {string[]} references - The Message-IDs of the References header, for threading replies.
+ * @property {string} from - The formatted sender.
+ * @property {string} fromAddress - The bare, lower-cased sender address.
+ * @property {string} replyTo - The bare, lower-cased Reply-To address, if the email has one.
+ * @property {string} to - The formatted recipients.
+ * @property {string[]} recipients - The bare, lower-cased To and Cc addresses.
+ * @property {string} mailbox - The mailbox or folder the email was found in.
+ * @property {string[]} labels - Gmail labels, if the source supports them.
+ * @property {string} subject - The subject.
+ * @property {Date} date - The date the email was sent.
+ * @property {boolean} urgent - Whether the sender marked the email as urgent (`Importance: high` or `X-Priority: 1`).
+ * @property {string} text - The plain text body.
+ * @property {string} html - The HTML body.
+ * @property {object[]} attachments - Attachments saved to disk, with `filename`, `filepath`, `contentType` and `size`.
+ * @property {object[]} inlineImages - Images embedded in the body, saved to disk in the order they appear in the body,
+ *   with `filename`, `filepath`, `contentType`, `size`, `cid` and `caption` (their alternative text). Tracking pixels are left out.
+ * @property {object[]} skippedAttachments - Attachments that were not saved, with `filename`, `size` and `reason`.
+ */
+
+/**
+ * Metadata about an email that is not part of the parsed message itself.
+ *
+ * @typedef {object} EmailMeta
+ * @property {number|string} [uid] - The identifier of the email within its source.
+ * @property {number|string} [uidValidity] - The generation of the identifier.
+ * @property {string} [mailbox] - The mailbox or folder name.
+ * @property {string[]} [labels] - Gmail labels.
+ * @property {number} [size] - The size of the raw message in bytes.
+ * @property {Date} [receivedAt] - When the email was received, if the source knows (e.g., the IMAP internal date).
+ */
+
+/**
+ * @class MailSource
+ * @description The base class of all mail sources. A mail source finds unread emails matching the account's
+ * filter, parses them into {@link ProcessedEmail} objects, and marks them as read once they were forwarded.
+ *
+ * Subclasses implement `checkEmails` and `markSeen`, and may override `connect`, `disconnect`, `ping` and
+ * `supportsIdle`. Sources that can detect new mail on their own emit `mail` (with the number of new
+ * messages) and `disconnected` when their connection ends.
+ * @extends EventEmitter
+ */
+class MailSource extends EventEmitter {
+    /**
+     * Initializes the shared state of a mail source.
+     * @param {string} name - The name of the source, stored on each processed email.
+     * @param {string} logLabel - The prefix used for this source's log messages (e.g., "Gmail Service").
+     */
+    constructor(name, logLabel) {
+        super();
+        /** @type {string} The name of the source. */
+        this.name = name;
+        /** @type {string} The prefix used for log messages. */
+        this.logLabel = logLabel;
+        /** @type {boolean} Flag indicating the connection status. */
+        this.isConnected = false;
+        /** @type {string} The absolute path to the directory where attachments are stored. */
+        this.attachmentsDir = path.join(process.cwd(), "attachments");
+        /** @type {fsSync.FSWatcher|null} The file system watcher of local sources, if watching. */
+        this.watcher = null;
+        /** @type {string[]|null} The sender addresses of this source's account; `null` uses `SENDER_EMAIL_FILTER`. */
+        this.senders = null;
+        /** @type {object|null|undefined} The filter expression of this source's account; `undefined` uses `FILTER_EXPRESSION`. */
+        this.filterExpression = undefined;
+        /** @type {Set<number|string>} UIDs of emails that did not match the filter, so they are not parsed again. */
+        this.ignored = new Set();
+        /** @type {AttachmentTransformer} Converts, compresses, unpacks and splits saved attachments. */
+        this.transformer = new AttachmentTransformer();
+        /** @type {AttachmentInspector} Blocks unwanted file types and, if configured, scans attachments for malware. */
+        this.inspector = new AttachmentInspector();
+    }
+
+    /**
+     * Ensures the attachments directory exists.
+     * This is called at startup to prepare for saving attachments.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            await fs.mkdir(this.attachmentsDir, { recursive: true });
+            logger.info(`${this.logLabel}: Attachments directory is ready.`);
+        } catch (error) {
+            logger.error(
+                `${this.logLabel}: Failed to create attachments directory.`,
+                { error },
+            );
+            throw error; // Propagate the error to halt startup if necessary.
+        }
+    }
+
+    /**
+     * Opens the source. Local sources have nothing to connect to and are always connected.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.isConnected = true;
+    }
+
+    /**
+     * Closes the source and stops watching for new files.
+     */
+    disconnect() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.isConnected = false;
+    }
+
+    /**
+     * Checks that the source still responds. Local sources have no connection that could silently break.
+     * @param {number} timeoutMs - How long to wait for the answer.
+     * @returns {Promise<void>}
+     */
+    async ping(timeoutMs) {
+        // Nothing to check.
+    }
+
+    /**
+     * Checks whether the source notifies about new mail by itself (IMAP IDLE, file system watcher).
+     * @returns {boolean} `true` if `mail` events are emitted for new emails.
+     */
+    supportsIdle() {
+        return Boolean(this.watcher);
+    }
+
+    /**
+     * Watches a file or directory and emits `mail` when it changes.
+     * Events are debounced, since writing a single email usually triggers several of them.
+     * Only used in IDLE mode; otherwise the source is polled.
+     * @param {string} target - The file or directory to watch.
+     * @param {number} [debounceMs=1000] - How long to wait for changes to settle.
+     */
+    watch(target, debounceMs = 1000) {
+        if (config.app.watchMode !== "idle" || this.watcher) return;
+
+        let timer = null;
+        try {
+            this.watcher = fsSync.watch(target, () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => this.emit("mail", 1), debounceMs);
+            });
+            this.watcher.on("error", (error) => {
+                logger.warn(`${this.logLabel}: Stopped watching "${target}"; falling back to polling.`, { error });
+                this.watcher.close();
+                this.watcher = null;
+            });
+            logger.info(`${this.logLabel}: Watching "${target}" for new emails.`);
+        } catch (error) {
+            logger.warn(`${this.logLabel}: Cannot watch "${target}"; falling back to polling.`, { error });
+        }
+    }
+
+    /**
+     * Finds, fetches and processes unread emails that match the filter.
+     * @abstract
+     * @param {function(number|string, number|string): (boolean|Promise<boolean>)} [shouldFetch] - Called with each
+     *   found email's UID and UID validity before fetching; returning `false` skips the email.
+     * @returns {Promise<ProcessedEmail[]>} The processed emails.
+     */
+    async checkEmails(shouldFetch) {
+        throw new Error(`${this.constructor.name} does not implement checkEmails().`);
+    }
+
+    /**
+     * Marks an email as read in the source, so it is not found again.
+     * @abstract
+     * @param {number|string} uid - The identifier of the email within the source.
+     * @returns {Promise<void>}
+     */
+    async markSeen(uid) {
+        throw new Error(`${this.constructor.name} does not implement markSeen().`);
+    }
+
+    /**
+     * Returns the configured sender addresses to forward emails from.
+     * @returns {string[]} The lower-cased sender addresses.
+     */
+    getSenders() {
+        if (this.senders) return this.senders;
+        return config.filter.senderEmail
+            .split(",")
+            .map((s) => s.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * Replaces the account's senders and filter expression. Emails ignored under the old filter are checked again.
+     * @param {string[]} senders - The lower-cased sender addresses.
+     * @param {object|null} expression - The filter expression, or `null` for none.
+     */
+    setFilter(senders, expression) {
+        this.senders = senders;
+        this.filterExpression = expression;
+        this.ignored.clear();
+    }
+
+    /**
+     * Compiles the filter emails must match: sent by one of the senders (if any are configured) and
+     * matching the filter expression (if one is configured).
+     * @returns {import("../../utils/filter").CompiledFilter|null} The filter, or `null` if neither is configured.
+     */
+    getFilter() {
+        const senders = this.getSenders();
+        const expression = this.filterExpression === undefined ? config.filter.expression : this.filterExpression;
+        const parts = [];
+        if (senders.length > 0) parts.push({ from: senders });
+        if (expression) parts.push(expression);
+
+        if (parts.length === 0) return null;
+        return compileFilter(parts.length === 1 ? parts[0] : { all: parts });
+    }
+
+    /**
+     * Checks a parsed email against the filter.
+     * @param {object} email - The parsed email object from `simpleParser`.
+     * @param {EmailMeta} [meta] - Facts about the email that are not part of the message, such as its size.
+     * @param {import("../../utils/filter").CompiledFilter|null} [filter] - The filter. Defaults to the account's filter.
+     * @returns {boolean} `true` if the email matches the filter.
+     */
+    matchesFilter(email, meta = {}, filter = this.getFilter()) {
+        return Boolean(filter) && filter.matches(buildFilterContext(email, meta));
+    }
+
+    /**
+     * Parses a raw email as a stream. Attachments are written to the attachments directory while the message
+     * is read, and attachments over the size limit are not saved.
+     * @param {NodeJS.ReadableStream|Buffer|string} input - The raw RFC 822 message.
+     * @returns {Promise<object>} The parsed email (see `mailStream.parseMessageStream`).
+     */
+    parseMessage(input) {
+        return parseMessageStream(input, {
+            attachmentsDir: this.attachmentsDir,
+            maxAttachmentBytes: config.app.maxAttachmentSizeMB * 1024 * 1024,
+        });
+    }
+
+    /**
+     * Parses a raw email and checks it against the filter. Used by sources that cannot search on a server.
+     * The saved attachments of an email that does not match are deleted again.
+     * @param {NodeJS.ReadableStream|Buffer|string} input - The raw RFC 822 message.
+     * @param {EmailMeta} [meta] - Facts about the email that are not part of the message, such as its mailbox.
+     *   For streams, `meta.size` should be set so that size filters work.
+     * @returns {Promise<object|null>} The parsed email, or `null` if it does not match the filter.
+     */
+    async parseIfMatching(input, meta = {}) {
+        const email = await this.parseMessage(input);
+        const size = typeof input === "string" || Buffer.isBuffer(input) ? Buffer.byteLength(input) : undefined;
+        if (this.matchesFilter(email, { size, ...meta })) {
+            return email;
+        }
+        await discardAttachments(email);
+        return null;
+    }
+
+    /**
+     * Processes a parsed email object: extracts key information and handles attachments.
+     * @param {object} email - The parsed email object from `parseMessage` (or `simpleParser`).
+     * @param {EmailMeta} [meta] - Source-specific metadata such as the UID and labels.
+     * @returns {Promise<ProcessedEmail>} A structured object containing the email data and attachment details.
+     */
+    async processEmail(email, meta = {}) {
+        // Bare, lower-cased addresses are used by the routing rules.
+        const addressesOf = (field) =>
+            (field?.value || [])
+                .map((entry) => (entry.address || "").toLowerCase())
+                .filter(Boolean);
+
+        const processedData = {
+            source: this.name,
+            uid: meta.uid ?? null,
+            uidValidity: meta.uidValidity ?? null,
+            messageId: email.messageId || "",
+            references: [].concat(email.references || []),
+            from: email.from?.text || "",
+            fromAddress: addressesOf(email.from)[0] || "",
+            replyTo: addressesOf(email.replyTo)[0] || "",
+            to: email.to?.text || "",
+            recipients: [...addressesOf(email.to), ...addressesOf(email.cc)],
+            mailbox: meta.mailbox || "INBOX",
+            labels: (meta.labels || []).map((label) => label.replace(/^\\/, "")),
+            subject: email.subject || "(No Subject)",
+            date: email.date || new Date(),
+            urgent: isUrgent(email),
+            text: email.text || "",
+            html: email.html || "",
+            attachments: [],
+            inlineImages: [],
+            skippedAttachments: [],
+        };
+
+        const attachments = email.attachments || [];
+        const { images, ignored } = selectInlineImages(attachments, processedData.html, processedData.text);
+        if (ignored.length > 0) {
+            logger.debug(`${this.logLabel}: Ignoring ${ignored.length} tracking pixel(s) or spacer image(s).`);
+            await discardAttachments({ attachments: ignored });
+        }
+
+        // Embedded images first, in the order of the body, then the regular attachments.
+        for (const { attachment, alt } of images) {
+            const saved = await this.saveAttachment(attachment, processedData);
+            if (!saved) continue;
+            const checked = await this.inspectAttachment(saved, processedData);
+            if (!checked) continue;
+            const image = await this.transformer.transformImage(checked);
+            processedData.inlineImages.push({ ...image, cid: attachment.cid, caption: alt });
+        }
+        for (const attachment of attachments) {
+            if (ignored.includes(attachment) || images.some((image) => image.attachment === attachment)) continue;
+            const saved = await this.saveAttachment(attachment, processedData);
+            if (!saved) continue;
+            const checked = await this.inspectAttachment(saved, processedData);
+            if (!checked) continue;
+            // Large images are compressed, archives unpacked and oversized files split before they are sent.
+            // Files unpacked from an archive are inspected as well.
+            const { files, skipped } = await this.transformer.transform(checked, (file) => this.inspector.inspect(file));
+            processedData.attachments.push(...files);
+            processedData.skippedAttachments.push(...skipped);
+        }
+
+        return processedData;
+    }
+
+    /**
+     * Checks a saved attachment's type and, if configured, scans it. Blocked attachments are deleted and
+     * recorded as skipped.
+     * @param {object} saved - The saved file from `saveAttachment`.
+     * @param {ProcessedEmail} processedData - The email being processed; blocked attachments are recorded in it.
+     * @returns {Promise<object|null>} The file with its detected content type, or `null` if it is blocked.
+     */
+    async inspectAttachment(saved, processedData) {
+        const { file, reason } = await this.inspector.inspect(saved);
+        if (reason) {
+            processedData.skippedAttachments.push({ filename: saved.filename, size: saved.size, reason });
+            return null;
+        }
+        return file;
+    }
+
+    /**
+     * Saves an attachment to the attachments directory, unless it exceeds the size limit. Attachments parsed
+     * by `parseMessage` were already saved (or skipped) while the message was read.
+     * @param {object} attachment - The attachment object from `parseMessage` or `simpleParser`.
+     * @param {ProcessedEmail} processedData - The email being processed; skipped attachments are recorded in it.
+     * @returns {Promise<object|null>} The saved file's `filename`, `filepath`, `contentType` and `size`, or `null`
+     *   if the attachment was skipped or could not be saved.
+     */
+    async saveAttachment(attachment, processedData) {
+        if (attachment.skipped) {
+            processedData.skippedAttachments.push({
+                filename: attachment.filename,
+                size: attachment.size,
+                reason: attachment.skipped,
+            });
+            return null;
+        }
+        if (attachment.filepath) {
+            return {
+                filename: attachment.filename,
+                filepath: attachment.filepath,
+                contentType: attachment.contentType,
+                size: attachment.size,
+            };
+        }
+
+        try {
+            // Check if the attachment exceeds the configured size limit.
+            const sizeMB = attachment.size / (1024 * 1024);
+            if (sizeMB > config.app.maxAttachmentSizeMB) {
+                logger.warn(
+                    `Skipping attachment "${attachment.filename}" because it exceeds the size limit (${sizeMB.toFixed(2)}MB).`,
+                );
+                processedData.skippedAttachments.push({
+                    filename: attachment.filename,
+                    size: attachment.size,
+                    reason: "Exceeds size limit",
+                });
+                return null;
+            }
+
+            // Save the attachment to the local filesystem.
+            const filepath = buildAttachmentPath(this.attachmentsDir, attachment.filename);
+            await fs.writeFile(filepath, attachment.content);
+            logger.info(`${this.logLabel}: Attachment saved successfully: "${path.basename(filepath)}"`);
+
+            return {
+                filename: sanitizeFilename(attachment.filename),
+                filepath: filepath,
+                contentType: attachment.contentType,
+                size: attachment.size,
+            };
+        } catch (error) {
+            logger.error(
+                `${this.logLabel}: Failed to save attachment "${attachment.filename}".`,
+                { error },
+            );
+            return null;
+        }
+    }
+
+    /**
+     * Cleans up old attachments from the attachments directory.
+     * @param {number} [daysToKeep=7] - The number of days to keep attachment files.
+     * @returns {Promise<void>}
+     */
+    async cleanupAttachments(daysToKeep = 7) {
+        try {
+            const files = await fs.readdir(this.attachmentsDir);
+            const now = Date.now();
+            const cutoffTime = daysToKeep * 24 * 60 * 60 * 1000;
+
+            for (const file of files) {
+                const filepath = path.join(this.attachmentsDir, file);
+                const stats = await fs.stat(filepath);
+
+                // If the file is older than the cutoff time, delete it.
+                if (now - stats.mtimeMs > cutoffTime) {
+                    await fs.unlink(filepath);
+                    logger.info(`${this.logLabel}: Deleted old attachment: "${file}"`);
+                }
+            }
+        } catch (error) {
+            // Log errors but don't throw, as cleanup is a non-critical background task.
+            logger.error(`${this.logLabel}: Failed to cleanup old attachments.`, { error });
+        }
+    }
+}
+
+module.exports = MailSource;
@@ -0,0 +1,137 @@
+/**
+ * @file Reads emails from a local Maildir folder.
+ * @module services/sources/maildirSource
+ * @requires fs
+ * @requires path
+ * @requires ./mailSource
+ * @requires ../../utils/logger
+ */
+
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const MailSource = require("./mailSource");
+const logger = require("../../utils/logger");
+
+/**
+ * Splits a Maildir file name into its unique part and its flags.
+ * File names look like "1700000000.M1P2.host" in `new/` and "1700000000.M1P2.host:2,FS" in `cur/`.
+ *
+ * @param {string} filename - The file name.
+ * @returns {{uid: string, flags: string}} The unique part and the flag letters (e.g., "FS").
+ */
+function parseMaildirName(filename) {
+    const separator = filename.indexOf(":2,");
+    if (separator === -1) {
+        return { uid: filename, flags: "" };
+    }
+    return { uid: filename.slice(0, separator), flags: filename.slice(separator + 3) };
+}
+
+/**
+ * @class MaildirSource
+ * @description Reads unread emails from the `new/` and `cur/` folders of a Maildir. An email is marked as
+ * read by moving it to `cur/` with the "S" (seen) flag, as any Maildir-aware mail client would.
+ * The unique part of the file name serves as the email's UID.
+ * @extends MailSource
+ */
+class MaildirSource extends MailSource {
+    /**
+     * Initializes a new instance of the MaildirSource.
+     * @param {object} options - The source settings.
+     * @param {string} options.path - The path to the Maildir (the folder containing `new/`, `cur/` and `tmp/`).
+     * @param {string} [name="maildir"] - The name of the source.
+     */
+    constructor(options, name = "maildir") {
+        super(name, "Maildir Source");
+        /** @type {string} The absolute path to the Maildir. */
+        this.maildirPath = path.resolve(options.path);
+    }
+
+    /**
+     * Verifies the Maildir layout and starts watching `new/` for incoming emails.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        for (const folder of ["new", "cur"]) {
+            await fs.access(path.join(this.maildirPath, folder));
+        }
+        this.isConnected = true;
+        this.watch(path.join(this.maildirPath, "new"));
+    }
+
+    /**
+     * Lists the unread emails of the Maildir.
+     * @returns {Promise<{uid: string, filepath: string}[]>} The unread emails, oldest file names first.
+     */
+    async listUnread() {
+        const unread = [];
+        for (const folder of ["new", "cur"]) {
+            const files = (await fs.readdir(path.join(this.maildirPath, folder))).sort();
+            for (const filename of files) {
+                if (filename.startsWith(".")) continue;
+                const { uid, flags } = parseMaildirName(filename);
+                // Emails in new/ are always unread; in cur/ only those without the "S" flag.
+                if (folder === "cur" && flags.includes("S")) continue;
+                unread.push({ uid, filepath: path.join(this.maildirPath, folder, filename) });
+            }
+        }
+        return unread;
+    }
+
+    /**
+     * Checks the Maildir for unread emails that match the filter.
+     * @param {function(string, string): (boolean|Promise<boolean>)} [shouldFetch] - Called with each email's UID and
+     *   the Maildir path before parsing; returning `false` skips the email.
+     * @returns {Promise<import("./mailSource").ProcessedEmail[]>} The processed emails.
+     */
+    async checkEmails(shouldFetch = () => true) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        const processedEmails = [];
+        for (const { uid, filepath } of await this.listUnread()) {
+            if (this.ignored.has(uid)) continue;
+            try {
+                if (!(await shouldFetch(uid, this.maildirPath))) continue;
+
+                const email = await this.parseIfMatching(fsSync.createReadStream(filepath), {
+                    size: (await fs.stat(filepath)).size,
+                    mailbox: path.basename(this.maildirPath),
+                });
+                if (!email) {
+                    this.ignored.add(uid);
+                    continue;
+                }
+                const processedEmail = await this.processEmail(email, {
+                    uid,
+                    uidValidity: this.maildirPath,
+                    mailbox: path.basename(this.maildirPath),
+                });
+                processedEmails.push(processedEmail);
+                logger.info(`${this.logLabel}: Successfully processed email "${uid}" with subject "${processedEmail.subject}".`);
+            } catch (error) {
+                logger.error(`${this.logLabel}: Failed to process email "${uid}".`, { error });
+            }
+        }
+        return processedEmails;
+    }
+
+    /**
+     * Marks an email as read by moving it to `cur/` and adding the "S" flag.
+     * @param {string} uid - The unique part of the email's file name.
+     * @returns {Promise<void>}
+     */
+    async markSeen(uid) {
+        const email = (await this.listUnread()).find((entry) => entry.uid === uid);
+        if (!email) return; // Already marked as read (or deleted) by someone else.
+
+        const { flags } = parseMaildirName(path.basename(email.filepath));
+        const newFlags = [...new Set(`${flags}S`)].sort().join("");
+        await fs.rename(email.filepath, path.join(this.maildirPath, "cur", `${uid}:2,${newFlags}`));
+        logger.debug(`${this.logLabel}: Marked email "${uid}" as seen.`);
+    }
+}
+
+module.exports = MaildirSource;
@@ -0,0 +1,173 @@
+/**
+ * @file Reads emails from a local mbox file.
+ * @module services/sources/mboxSource
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires readline
+ * @requires ./mailSource
+ * @requires ../../utils/config
+ * @requires ../../utils/logger
+ */
+
+const crypto = require("crypto");
+const fsSync = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const readline = require("readline");
+const MailSource = require("./mailSource");
+const { config } = require("../../utils/config");
+const logger = require("../../utils/logger");
+
+/**
+ * @class MboxSource
+ * @description Reads emails from an mbox file. The mbox file itself is never modified: the position of each
+ * message (1 for the first) serves as its UID, and the UIDs of forwarded messages are remembered in a state file
+ * in the data directory. If the mbox file is replaced (its inode changes), the state starts over; the
+ * forwarding ledger still prevents messages with a known Message-ID from being forwarded twice.
+ * @extends MailSource
+ */
+class MboxSource extends MailSource {
+    /**
+     * Initializes a new instance of the MboxSource.
+     * @param {object} options - The source settings.
+     * @param {string} options.path - The path to the mbox file.
+     * @param {string} [name="mbox"] - The name of the source.
+     */
+    constructor(options, name = "mbox") {
+        super(name, "Mbox Source");
+        /** @type {string} The absolute path to the mbox file. */
+        this.mboxPath = path.resolve(options.path);
+        // Files with the same name in different directories (e.g., two "inbox" files) must not share a state file.
+        const pathHash = crypto.createHash("sha1").update(this.mboxPath).digest("hex").slice(0, 12);
+        /** @type {string} The file remembering which messages were forwarded. */
+        this.statePath = path.join(config.app.dataDir, `mbox-${path.basename(this.mboxPath)}-${pathHash}.seen.json`);
+        /** @type {{uidValidity: number|null, seen: number[]}} The positions of forwarded messages. */
+        this.state = { uidValidity: null, seen: [] };
+    }
+
+    /**
+     * Prepares the attachments directory and loads the state file.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        await super.initialize();
+        try {
+            this.state = JSON.parse(await fs.readFile(this.statePath, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.warn(`${this.logLabel}: Could not read the state file; starting over.`, { error });
+            }
+        }
+    }
+
+    /**
+     * Verifies that the mbox file exists and starts watching it for appended messages.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        await fs.access(this.mboxPath);
+        this.isConnected = true;
+        this.watch(this.mboxPath);
+    }
+
+    /**
+     * Reads the messages of the mbox file one at a time.
+     * Messages start with a "From " line; ">From " lines in the body are unescaped (mboxrd).
+     * The file is read as Latin-1, which maps every byte to one character, so that messages in other
+     * charsets or with 8-bit binary parts come out byte for byte.
+     * @param {function(number): (boolean|Promise<boolean>)} wanted - Decides per position whether a message is collected.
+     * @returns {AsyncGenerator<{uid: number, raw: Buffer}>} The collected messages.
+     */
+    async *readMessages(wanted) {
+        const lines = readline.createInterface({
+            input: fsSync.createReadStream(this.mboxPath, { encoding: "latin1" }),
+            crlfDelay: Infinity,
+        });
+        const toRaw = (messageLines) => Buffer.from(messageLines.join("\n"), "latin1");
+
+        let uid = 0;
+        let collecting = false;
+        let buffer = [];
+        for await (const line of lines) {
+            if (line.startsWith("From ")) {
+                if (collecting) yield { uid, raw: toRaw(buffer) };
+                uid += 1;
+                buffer = [];
+                collecting = await wanted(uid);
+                continue;
+            }
+            if (collecting) {
+                buffer.push(/^>+From /.test(line) ? line.slice(1) : line);
+            }
+        }
+        if (collecting) yield { uid, raw: toRaw(buffer) };
+    }
+
+    /**
+     * Checks the mbox file for messages that match the filter and were not forwarded yet.
+     * @param {function(number, number): (boolean|Promise<boolean>)} [shouldFetch] - Called with each message's position
+     *   and the file's inode before parsing; returning `false` skips the message.
+     * @returns {Promise<import("./mailSource").ProcessedEmail[]>} The processed emails.
+     */
+    async checkEmails(shouldFetch = () => true) {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+
+        // A different inode means the file was replaced, so positions no longer refer to the same messages.
+        const { ino } = await fs.stat(this.mboxPath);
+        if (this.state.uidValidity !== ino) {
+            this.state = { uidValidity: ino, seen: [] };
+            this.ignored.clear();
+            await this.saveState();
+        }
+        const seen = new Set(this.state.seen);
+
+        const processedEmails = [];
+        const wanted = async (uid) => !seen.has(uid) && !this.ignored.has(uid) && shouldFetch(uid, ino);
+        for await (const { uid, raw } of this.readMessages(wanted)) {
+            try {
+                const email = await this.parseIfMatching(raw, { mailbox: path.basename(this.mboxPath) });
+                if (!email) {
+                    this.ignored.add(uid);
+                    continue;
+                }
+                const processedEmail = await this.processEmail(email, {
+                    uid,
+                    uidValidity: ino,
+                    mailbox: path.basename(this.mboxPath),
+                });
+                processedEmails.push(processedEmail);
+                logger.info(`${this.logLabel}: Successfully processed message #${uid} with subject "${processedEmail.subject}".`);
+            } catch (error) {
+                logger.error(`${this.logLabel}: Failed to process message #${uid}.`, { error });
+            }
+        }
+        return processedEmails;
+    }
+
+    /**
+     * Remembers that a message was forwarded.
+     * @param {number} uid - The position of the message in the mbox file.
+     * @returns {Promise<void>}
+     */
+    async markSeen(uid) {
+        if (this.state.seen.includes(uid)) return;
+        this.state.seen.push(uid);
+        await this.saveState();
+    }
+
+    /**
+     * Writes the state file atomically.
+     * @returns {Promise<void>}
+     */
+    async saveState() {
+        await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+        const tempPath = `${this.statePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.state));
+        await fs.rename(tempPath, this.statePath);
+    }
+}
+
+module.exports = MboxSource;
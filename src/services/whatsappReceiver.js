@@ -0,0 +1,254 @@
+/**
+ * @file Receives incoming WhatsApp messages, either by polling the Green API notification queue or through a
+ * local webhook that Green API posts notifications to.
+ * @module services/whatsappReceiver
+ * @requires http
+ * @requires ../utils/config
+ * @requires ../utils/helpers
+ * @requires ../utils/logger
+ */
+
+const http = require("http");
+const { config } = require("../utils/config");
+const { delay, hasToken } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+/** @type {number} How long polling pauses after Green API could not be reached, in milliseconds. */
+const POLL_ERROR_PAUSE_MS = 5000;
+
+/** @type {number} How often deleting a handled notification from the queue is tried before it is left to expire. */
+const DELETE_ATTEMPTS = 3;
+
+/** @type {number} The largest webhook request accepted, in bytes. */
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An incoming WhatsApp text message.
+ *
+ * @typedef {object} IncomingMessage
+ * @property {string} idMessage - The ID of the message.
+ * @property {string} chatId - The chat the message was sent in (e.g., "6281234567890@c.us" or a group ID).
+ * @property {string} sender - The chat ID of the person who sent it (differs from `chatId` in groups).
+ * @property {string} senderName - The name the sender set in WhatsApp.
+ * @property {string} text - The text of the message.
+ * @property {string|null} quotedId - The ID of the message it replies to, if it quotes one.
+ */
+
+/**
+ * Extracts the text message from a Green API notification.
+ *
+ * @param {object} body - The notification body, as sent to webhooks.
+ * @returns {IncomingMessage|null} The message, or `null` for other notifications (status changes, media, ...).
+ */
+function parseIncomingMessage(body) {
+    if (body?.typeWebhook !== "incomingMessageReceived") return null;
+
+    const { idMessage, senderData = {}, messageData = {} } = body;
+    const extended = messageData.extendedTextMessageData || {};
+    let text;
+    switch (messageData.typeMessage) {
+        case "textMessage":
+            text = messageData.textMessageData?.textMessage;
+            break;
+        case "extendedTextMessage":
+        case "quotedMessage":
+            text = extended.text;
+            break;
+        default:
+            return null;
+    }
+    return {
+        idMessage,
+        chatId: senderData.chatId || "",
+        sender: senderData.sender || senderData.chatId || "",
+        senderName: senderData.senderName || senderData.chatName || "",
+        text: text || "",
+        quotedId: messageData.quotedMessage?.stanzaId || extended.stanzaId || null,
+    };
+}
+
+/**
+ * @class WhatsAppReceiver
+ * @description Passes every incoming text message to a handler. In "poll" mode, the Green API notification
+ * queue is read with `receiveNotification` and each notification is removed with `deleteNotification` once it
+ * was handled. In "webhook" mode, an HTTP server receives the notifications Green API posts. Both modes can
+ * deliver a message more than once, so messages that were already handled are skipped.
+ */
+class WhatsAppReceiver {
+    /**
+     * Initializes a new instance of the WhatsAppReceiver.
+     * @param {import("./whatsappService")} whatsappService - The service used to call Green API.
+     * @param {function(IncomingMessage): Promise<void>} onMessage - Called with every incoming text message.
+     * @param {import("./messageMap")} messageMap - Remembers the incoming messages that were handled.
+     */
+    constructor(whatsappService, onMessage, messageMap) {
+        /** @type {import("./whatsappService")} The service used to call Green API. */
+        this.whatsappService = whatsappService;
+        /** @type {function(IncomingMessage): Promise<void>} The handler of incoming messages. */
+        this.onMessage = onMessage;
+        /** @type {import("./messageMap")} Remembers the incoming messages that were handled. */
+        this.messageMap = messageMap;
+        /** @type {boolean} Whether the receiver is running. */
+        this.isRunning = false;
+        /** @type {Promise<void>|null} The polling loop, while it runs. */
+        this.pollLoop = null;
+        /** @type {http.Server|null} The webhook server, while it runs. */
+        this.server = null;
+        /** @type {Set<Promise<void>>} The webhook notifications that are being handled. */
+        this.pending = new Set();
+    }
+
+    /**
+     * Starts receiving messages in the configured mode.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.isRunning = true;
+        if (config.bridge.receiveMode === "webhook") {
+            await this.startWebhook();
+        } else {
+            this.pollLoop = this.poll();
+            logger.info("WhatsApp Receiver: Polling Green API for incoming messages.");
+        }
+    }
+
+    /**
+     * Stops receiving messages and waits until the messages already received are handled, so that no reply or
+     * command is cut off by the shutdown. A poll in progress ends when its request returns.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.isRunning = false;
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+        await this.pollLoop;
+        this.pollLoop = null;
+        await Promise.all(this.pending);
+    }
+
+    /**
+     * Handles a notification: text messages are passed to the handler, everything else is ignored.
+     * A message is recorded as handled before the handler runs, so that a redelivered copy never sends a
+     * reply twice, even while the first one is still being handled. A failing handler is logged, so that one
+     * bad message does not block the queue.
+     * @param {object} body - The notification body.
+     * @returns {Promise<void>}
+     */
+    async handleNotification(body) {
+        const message = parseIncomingMessage(body);
+        if (!message) return;
+        if (this.messageMap.wasHandled(message.idMessage)) {
+            logger.debug(`WhatsApp Receiver: Skipping message ${message.idMessage}, which was already handled.`);
+            return;
+        }
+        const saving = this.messageMap.markHandled(message.idMessage);
+        try {
+            await this.onMessage(message);
+        } catch (error) {
+            logger.error(`WhatsApp Receiver: Failed to handle message ${message.idMessage} from ${message.chatId}.`, { error });
+        }
+        await saving;
+    }
+
+    /**
+     * Reads the Green API notification queue until the receiver is stopped.
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        while (this.isRunning) {
+            try {
+                const notification = await this.whatsappService.receiveNotification(config.bridge.receiveTimeoutSeconds);
+                if (!notification) continue;
+                await this.handleNotification(notification.body);
+                await this.deleteNotification(notification.receiptId);
+            } catch (error) {
+                logger.warn("WhatsApp Receiver: Failed to receive notifications from Green API; retrying shortly.", {
+                    message: error.message,
+                });
+                await delay(POLL_ERROR_PAUSE_MS);
+            }
+        }
+    }
+
+    /**
+     * Removes a handled notification from the Green API queue, trying again a few times on its own. If it cannot
+     * be removed, Green API delivers it again and it is skipped as already handled.
+     * @param {number} receiptId - The receipt ID of the notification.
+     * @returns {Promise<void>}
+     */
+    async deleteNotification(receiptId) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.whatsappService.deleteNotification(receiptId);
+                return;
+            } catch (error) {
+                if (attempt >= DELETE_ATTEMPTS || !this.isRunning) {
+                    logger.warn(`WhatsApp Receiver: Failed to delete notification ${receiptId}; it will be skipped when it is delivered again.`, {
+                        message: error.message,
+                    });
+                    return;
+                }
+                await delay(POLL_ERROR_PAUSE_MS);
+            }
+        }
+    }
+
+    /**
+     * Starts the webhook server on `bridge.webhookHost` and `bridge.webhookPort`. Requests must carry
+     * `bridge.webhookToken` as a Bearer token, as Green API sends its "webhookUrlToken"; anyone else who can
+     * reach the webhook could otherwise send commands and replies in the name of a chat.
+     * @returns {Promise<void>}
+     */
+    startWebhook() {
+        const { webhookHost, webhookPort, webhookToken } = config.bridge;
+        this.server = http.createServer((request, response) => {
+            if (request.method !== "POST") {
+                response.writeHead(405).end();
+                return;
+            }
+            if (!hasToken(request.headers.authorization, webhookToken)) {
+                logger.warn("WhatsApp Receiver: Rejected a webhook request with a missing or wrong token.");
+                response.writeHead(401).end();
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            request.on("data", (chunk) => {
+                size += chunk.length;
+                if (size > MAX_WEBHOOK_BODY_BYTES) {
+                    response.writeHead(413).end();
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on("end", () => {
+                let body;
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+                } catch {
+                    response.writeHead(400).end();
+                    return;
+                }
+                // Green API only waits a few seconds for the answer, so the message is handled afterwards.
+                response.writeHead(200).end();
+                const handling = this.handleNotification(body).finally(() => this.pending.delete(handling));
+                this.pending.add(handling);
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(webhookPort, webhookHost, () => {
+                logger.info(`WhatsApp Receiver: Listening for Green API webhooks on ${webhookHost}:${this.server.address().port}.`);
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = WhatsAppReceiver;
+module.exports.parseIncomingMessage = parseIncomingMessage;
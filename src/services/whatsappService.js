@@ -4,20 +4,59 @@
  * @requires axios
  * @requires form-data
  * @requires fs
+ * @requires os
  * @requires path
  * @requires ../utils/config
  * @requires ../utils/logger
  * @requires ../utils/formatter
  * @requires ../utils/helpers
+ * @requires ../utils/messageTemplates
+ * @requires ../utils/chunker
+ * @requires ../utils/bodyCleaner
+ * @requires ../utils/contentHash
+ * @requires ../utils/template
+ * @requires ../utils/mailStream
+ * @requires ../utils/metrics
+ * @requires ./attachmentTransformer
+ * @requires ./dedupStore
+ * @requires ./htmlRenderer
+ * @requires ./messageMap
  */
 
 const axios = require("axios");
 const FormData = require("form-data");
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { config } = require("../utils/config");
 const logger = require("../utils/logger");
-const { formatImagePlaceholders, formatFileSize, stripHtml } = require("../utils/formatter");
-const { delay } = require("../utils/helpers");
+const { formatImagePlaceholders, formatFileSize, htmlToWhatsApp } = require("../utils/formatter");
+const { delay, getRetryAfterMs, isTransientError } = require("../utils/helpers");
+const { compileMessageTemplates, renderMessage } = require("../utils/messageTemplates");
+const { splitMessage } = require("../utils/chunker");
+const { cleanBody, compileDisclaimerPatterns } = require("../utils/bodyCleaner");
+const { hashBody, hashFile } = require("../utils/contentHash");
+const { formatDate } = require("../utils/template");
+const { sanitizeFilename } = require("../utils/mailStream");
+const { counter, histogram } = require("../utils/metrics");
+const AttachmentTransformer = require("./attachmentTransformer");
+const DedupStore = require("./dedupStore");
+const HtmlRenderer = require("./htmlRenderer");
+const MessageMap = require("./messageMap");
+
+/** The longest time a send waits for a rate limit to expire before failing so it can be retried later. */
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+/** The pause applied after a 429 response without a `Retry-After` header. */
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 30 * 1000;
+
+/** @type {import("../utils/metrics").Counter} Green API requests, by method and HTTP status code. */
+const greenApiRequests = counter("forwarder_green_api_requests_total", "Green API requests by method and HTTP status code (\"error\" if there was no response).");
+/** @type {import("../utils/metrics").Histogram} The latency of Green API requests, by method. */
+const greenApiDuration = histogram("forwarder_green_api_request_duration_seconds", "The latency of Green API requests in seconds.");
+/** @type {import("../utils/metrics").Counter} Attachments, by outcome: sent, skipped or failed. */
+const attachmentsTotal = counter("forwarder_attachments_total", "Attachments by outcome: sent, skipped or failed.");
+/** @type {import("../utils/metrics").Counter} The bytes of the attachments uploaded to Green API. */
+const attachmentBytes = counter("forwarder_attachment_bytes_uploaded_total", "Bytes of attachments uploaded to Green API.");
 
 /**
  * @class WhatsAppService
@@ -51,14 +90,121 @@ class WhatsAppService {
             baseURL: `${config.greenApi.mediaUrl}/waInstance${this.idInstance}`,
             timeout: 60000, // 60-second timeout to accommodate larger file uploads
         });
+
+        /** @type {number} Timestamp (ms) before which no request may be sent, e.g., after a 429 response. */
+        this.nextSendAt = 0;
+
+        /** @type {{section: object, templates: import("../utils/messageTemplates").MessageTemplates}|null} The compiled templates of the current `message` config. */
+        this.templateCache = null;
+
+        /** @type {HtmlRenderer} Renders HTML emails to a PDF or images for rules that ask for it. */
+        this.renderer = new HtmlRenderer();
+
+        /** @type {DedupStore} Remembers the attachments and bodies sent to each chat, to replace repeats with a note. */
+        this.dedupStore = new DedupStore();
+
+        /** @type {AttachmentTransformer} Bundles the attachments of digests into a ZIP archive. */
+        this.transformer = new AttachmentTransformer();
+
+        /** @type {MessageMap} Remembers the email behind each forwarded message, so replies can be sent by email. */
+        this.messageMap = new MessageMap();
+    }
+
+    /**
+     * Returns the compiled message templates, compiling them again after the `message` config was reloaded.
+     * @returns {import("../utils/messageTemplates").MessageTemplates} The compiled templates.
+     */
+    getMessageTemplates() {
+        if (this.templateCache?.section !== config.message) {
+            this.templateCache = { section: config.message, templates: compileMessageTemplates(config.message) };
+        }
+        return this.templateCache.templates;
+    }
+
+    /**
+     * Combines the body cleaning settings of the `message` config with the overrides of the routing rule.
+     * @param {import("../utils/router").CleaningOverrides|null} [overrides] - The stages the rule turns on or off.
+     * @returns {import("../utils/bodyCleaner").CleaningOptions} The cleaning options.
+     */
+    getCleaningOptions(overrides) {
+        const { stripQuotedReplies, stripSignatures, disclaimerPatterns } = config.message;
+        const enabled = (stage, setting) => overrides?.[stage] ?? setting;
+        return {
+            quotedReplies: enabled("quotedReplies", stripQuotedReplies),
+            signatures: enabled("signatures", stripSignatures),
+            disclaimers: enabled("disclaimers", true) ? compileDisclaimerPatterns(disclaimerPatterns) : [],
+        };
+    }
+
+    /**
+     * Combines the `render` config with the overrides of the routing rule.
+     * @param {import("../utils/router").RenderOverrides|null} [overrides] - The format and mode the rule sets.
+     * @returns {{format: "none"|"pdf"|"png", mode: "alongside"|"instead"}} The render options.
+     */
+    getRenderOptions(overrides) {
+        return {
+            format: overrides?.format ?? config.render.format,
+            mode: overrides?.mode ?? config.render.mode,
+        };
+    }
+
+    /**
+     * Waits until the next request may be sent, keeping a minimum interval between sends
+     * and honouring any pause requested by Green API through `Retry-After`.
+     * @returns {Promise<void>}
+     * @throws {Error} An error with code "ERR_RATE_LIMITED" if the pause is too long to wait for now.
+     */
+    async waitForSendSlot() {
+        const now = Date.now();
+        const waitMs = this.nextSendAt - now;
+        if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+            const error = new Error(`Green API rate limit is active for another ${Math.ceil(waitMs / 1000)}s.`);
+            error.code = "ERR_RATE_LIMITED";
+            error.retryAfterMs = waitMs;
+            throw error;
+        }
+        // Reserve the slot before waiting, so that concurrent senders (one per account) queue up behind each other.
+        this.nextSendAt = Math.max(now, this.nextSendAt) + config.whatsapp.sendIntervalMs;
+        if (waitMs > 0) {
+            await delay(waitMs);
+        }
+    }
+
+    /**
+     * Pauses all sends after Green API answered with 429 Too Many Requests.
+     * @param {Error} error - The error thrown by Axios.
+     */
+    handleRateLimit(error) {
+        if (error.response?.status !== 429) return;
+
+        const pauseMs = getRetryAfterMs(error) ?? DEFAULT_RATE_LIMIT_PAUSE_MS;
+        this.nextSendAt = Math.max(this.nextSendAt, Date.now() + pauseMs);
+        logger.warn(`WhatsApp Service: Rate limited by Green API; pausing sends for ${Math.ceil(pauseMs / 1000)}s.`);
+    }
+
+    /**
+     * Records the latency and HTTP status code of a Green API request.
+     * @param {string} method - The Green API method, e.g., "sendMessage".
+     * @param {function(object=): number} endTimer - Ends the latency measurement started before the request.
+     * @param {number} [status] - The HTTP status code; missing if no response was received.
+     */
+    recordRequest(method, endTimer, status) {
+        endTimer();
+        greenApiRequests.inc({ method, status: status ? String(status) : "error" });
     }
 
     /**
      * Formats a standard phone number into the WhatsApp-specific format (e.g., "6281234567890@c.us").
-     * @param {string} phoneNumber - The phone number to format.
+     * Values that are already chat IDs, such as group chats ending in "@g.us", are returned unchanged.
+     * @param {string} phoneNumber - The phone number or chat ID to format.
      * @returns {string} The formatted WhatsApp chat ID.
      */
     formatPhoneNumber(phoneNumber) {
+        // Keep existing chat IDs (individual "@c.us" or group "@g.us") as they are.
+        if (/@(c|g)\.us$/.test(phoneNumber.trim())) {
+            return phoneNumber.trim();
+        }
+
         // Remove all non-numeric characters.
         let cleaned = phoneNumber.replace(/\D/g, "");
 
@@ -92,6 +238,30 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Receives the next incoming notification (a message, a status change, ...) from the Green API queue,
+     * waiting up to `timeoutSeconds` for one to arrive.
+     * @param {number} timeoutSeconds - How long to wait for a notification.
+     * @returns {Promise<{receiptId: number, body: object}|null>} The notification, or `null` if none arrived.
+     */
+    async receiveNotification(timeoutSeconds) {
+        const response = await this.apiClient.get(`/receiveNotification/${this.apiToken}`, {
+            params: { receiveTimeout: timeoutSeconds },
+            // The request stays open while Green API waits for a notification.
+            timeout: (timeoutSeconds + 10) * 1000,
+        });
+        return response.data || null;
+    }
+
+    /**
+     * Removes a received notification from the Green API queue, so that the next one can be received.
+     * @param {number} receiptId - The receipt ID of the notification.
+     * @returns {Promise<void>}
+     */
+    async deleteNotification(receiptId) {
+        await this.apiClient.delete(`/deleteNotification/${this.apiToken}/${receiptId}`);
+    }
+
     /**
      * Sends a plain text message to a specified recipient.
      * @param {string} recipient - The recipient's phone number.
@@ -99,8 +269,11 @@ class WhatsAppService {
      * @returns {Promise<object>} A promise that resolves with the API response.
      */
     async sendTextMessage(recipient, message) {
+        let endTimer = null;
         try {
+            await this.waitForSendSlot();
             const formattedRecipient = this.formatPhoneNumber(recipient);
+            endTimer = greenApiDuration.startTimer({ method: "sendMessage" });
             const response = await this.apiClient.post(
                 `/sendMessage/${this.apiToken}`,
                 {
@@ -108,14 +281,17 @@ class WhatsAppService {
                     message: message,
                 },
             );
+            this.recordRequest("sendMessage", endTimer, response.status);
             logger.info(
                 `WhatsApp Service: Text message sent successfully to ${recipient}.`,
             );
             return response.data;
         } catch (error) {
+            if (endTimer) this.recordRequest("sendMessage", endTimer, error.response?.status);
+            this.handleRateLimit(error);
             logger.error(
                 `WhatsApp Service: Failed to send text message to ${recipient}.`,
-                { message: error.message },
+                { message: error.message, status: error.response?.status },
             );
             throw error;
         }
@@ -130,7 +306,9 @@ class WhatsAppService {
      * @returns {Promise<object>} A promise that resolves with the API response.
      */
     async sendFile(recipient, filePath, caption, filename) {
+        let endTimer = null;
         try {
+            await this.waitForSendSlot();
             const formattedRecipient = this.formatPhoneNumber(recipient);
 
             // Use FormData to construct a multipart/form-data request.
@@ -140,19 +318,24 @@ class WhatsAppService {
             form.append("caption", caption || "");
             form.append("fileName", filename);
 
+            endTimer = greenApiDuration.startTimer({ method: "sendFileByUpload" });
             const response = await this.mediaApiClient.post(
                 `/sendFileByUpload/${this.apiToken}`,
                 form,
                 { headers: form.getHeaders() }, // Let FormData set the correct headers.
             );
+            this.recordRequest("sendFileByUpload", endTimer, response.status);
 
             logger.info(
                 `WhatsApp Service: File sent successfully to ${recipient}: ${filename}`,
             );
             return response.data;
         } catch (error) {
+            if (endTimer) this.recordRequest("sendFileByUpload", endTimer, error.response?.status);
+            this.handleRateLimit(error);
             logger.error(`WhatsApp Service: Failed to send file.`, {
                 message: error.message,
+                status: error.response?.status,
                 fileName: filename,
                 recipient: recipient,
             });
@@ -161,84 +344,436 @@ class WhatsAppService {
     }
 
     /**
-     * Formats and forwards a processed email data object to the target WhatsApp number.
+     * Options for resuming an interrupted forward.
+     *
+     * @typedef {object} ForwardOptions
+     * @property {string[]} [completedSteps] - Keys of messages that were already delivered and must not be sent again.
+     * @property {function(string): Promise<void>} [onStepDelivered] - Called with the key of each newly delivered message.
+     * @property {function(string): Promise<void>} [onMessageSent] - Called with the WhatsApp message ID of each sent message.
+     * @property {string|null} [template] - The message template selected by the routing rule, if any.
+     * @property {import("../utils/router").CleaningOverrides|null} [clean] - The body cleaning stages the routing rule turns on or off.
+     * @property {import("../utils/router").RenderOverrides|null} [render] - How the routing rule renders HTML emails.
+     */
+
+    /**
+     * An HTML email rendered once for all targets.
+     *
+     * @typedef {object} Snapshot
+     * @property {string[]} files - The rendered PDF, or the PNG pages in order.
+     * @property {"alongside"|"instead"} mode - Whether the render is sent after the text message or replaces it.
+     */
+
+    /**
+     * Formats and forwards a processed email data object to one or more WhatsApp chats.
+     * A failure for one target does not prevent delivery to the others.
      * @param {object} emailData - The processed email data from GmailService.
+     * @param {string[]} [targets] - Phone numbers or chat IDs to forward to. Defaults to the configured target number.
+     * @param {ForwardOptions} [options] - Options for skipping already delivered messages.
      * @returns {Promise<void>}
+     * @throws {Error} If forwarding to any of the targets failed.
      */
-    async forwardEmail(emailData) {
+    async forwardEmail(emailData, targets = [config.whatsapp.targetNumber], options = {}) {
+        const failures = [];
+        const snapshot = await this.renderSnapshot(emailData, options.render);
+
         try {
-            const separator = "───";
-
-            // --- Assemble the main message body ---
-            const header = `⌬  >>  𝗘𝗠𝗔𝗜𝗟 𝗙𝗢𝗥𝗪𝗔𝗥𝗗𝗘𝗥`;
-            const infoHeader = `*ℹ️ - EMAIL INFORMATION*`;
-            const from = `*From:* ${emailData.from}`;
-            const date = `*Date:* ${new Date(emailData.date).toLocaleString()}`;
-            const contentHeader = `*📝 - EMAIL CONTENT*`;
-            const subject = `*Subject:* ${emailData.subject}`;
-            let rawBodyText;
-            if (emailData.text) {
-                rawBodyText = emailData.text;
-            } else if (emailData.html) {
-                rawBodyText = stripHtml(emailData.html);
-            } else {
-                rawBodyText = '';
+            for (const target of targets) {
+                try {
+                    await this.forwardEmailToTarget(emailData, target, options, snapshot);
+                } catch (error) {
+                    failures.push({ target, error });
+                }
             }
-            const body = formatImagePlaceholders(rawBodyText);
+        } finally {
+            if (snapshot) this.renderer.cleanup(snapshot.files);
+        }
 
-            // --- Attachment Information ---
-            const totalAttachments = (emailData.attachments?.length || 0) + (emailData.skippedAttachments?.length || 0);
-            let attachmentText = "";
-            if (totalAttachments > 0) {
-                attachmentText = `*📎 Attachments (${emailData.attachments.length} sent, ${emailData.skippedAttachments.length} skipped)*`;
-            }
+        if (failures.length > 0) {
+            const failedTargets = failures.map((failure) => failure.target).join(", ");
+            logger.error(`WhatsApp Service: Failed to forward email with subject "${emailData.subject}" to ${failedTargets}.`, {
+                error: failures[0].error,
+            });
+            // Keep the first underlying error as the cause so callers can inspect it.
+            throw new Error(`Forwarding failed for ${failedTargets}: ${failures[0].error.message}`, {
+                cause: failures[0].error,
+            });
+        }
 
-            // --- Construct the final message ---
-            let message = `${header}\n\n${separator}\n\n${infoHeader}\n\n${from}\n${date}\n\n${separator}\n\n${contentHeader}\n\n${subject}\n\n${body}`;
-            if (attachmentText) {
-                message += `\n${separator}\n\n${attachmentText}`;
-            }
+        logger.info(`WhatsApp Service: Email with subject "${emailData.subject}" was forwarded successfully.`);
+    }
 
-            // Send the consolidated text message.
-            await this.sendTextMessage(config.whatsapp.targetNumber, message);
+    /**
+     * Renders the HTML body of an email if the routing rule or the `render` config asks for it.
+     * Emails that cannot be rendered are forwarded as text.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {import("../utils/router").RenderOverrides|null} [overrides] - The format and mode the rule sets.
+     * @returns {Promise<Snapshot|null>} The render, or `null` if the email is forwarded as text only.
+     */
+    async renderSnapshot(emailData, overrides) {
+        const { format, mode } = this.getRenderOptions(overrides);
+        if (format === "none" || !emailData.html || !this.renderer.isAvailable()) {
+            return null;
+        }
 
-            // --- Send Attachments ---
-            for (const attachment of emailData.attachments) {
-                try {
-                    const caption = `📄 ${attachment.filename}\n💾 Size: ${formatFileSize(attachment.size)}`;
-                    await this.sendFile(
-                        config.whatsapp.targetNumber,
-                        attachment.filepath,
-                        caption,
-                        attachment.filename,
-                    );
-                    await delay(2000); // Add a delay to avoid rate-limiting issues.
-                } catch (error) {
-                    logger.error(`WhatsApp Service: Failed to send attachment.`, {
-                        message: error.message,
-                        fileName: attachment.filename,
-                    });
-                    // Send a failure notification to WhatsApp for the specific attachment.
-                    const errorMessage = `❌ Failed to send attachment: ${attachment.filename}`;
-                    await this.sendTextMessage(config.whatsapp.targetNumber, errorMessage);
+        try {
+            const files = await this.renderer.render(emailData.html, { format, images: emailData.inlineImages || [] });
+            logger.info(`WhatsApp Service: Rendered email "${emailData.subject}" to ${files.length} ${format.toUpperCase()} file(s).`);
+            return { files, mode };
+        } catch (error) {
+            logger.error(`WhatsApp Service: Failed to render email "${emailData.subject}"; forwarding it as text.`, { error });
+            return null;
+        }
+    }
+
+    /**
+     * Runs one delivery step of a forward, unless it was already completed in an earlier attempt.
+     * @param {string} stepKey - A key that identifies the message within the forward (e.g., "0812:message").
+     * @param {function(): Promise<object|void>} send - The function that delivers the message. It resolves with the
+     *   API response, if any, whose `idMessage` is passed to `onMessageSent`.
+     * @param {ForwardOptions} options - The options passed to `forwardEmail`.
+     * @returns {Promise<void>}
+     */
+    async runStep(stepKey, send, options) {
+        if (options.completedSteps?.includes(stepKey)) {
+            logger.debug(`WhatsApp Service: Skipping already delivered step "${stepKey}".`);
+            return;
+        }
+        const result = await send();
+        if (result?.idMessage && options.onMessageSent) {
+            await options.onMessageSent(result.idMessage);
+        }
+        if (options.onStepDelivered) {
+            await options.onStepDelivered(stepKey);
+        }
+    }
+
+    /**
+     * Formats and forwards a processed email data object to a single WhatsApp chat.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {string} target - The phone number or chat ID to forward to.
+     * @param {ForwardOptions} [options] - Options for skipping already delivered messages.
+     * @param {Snapshot|null} [snapshot] - The rendered HTML body to send, if any.
+     * @returns {Promise<void>}
+     */
+    async forwardEmailToTarget(emailData, target, options = {}, snapshot = null) {
+        if (config.bridge.enabled) {
+            // Replies to the forwarded messages are sent to the email's sender.
+            const chatId = this.formatPhoneNumber(target);
+            options = { ...options, onMessageSent: (idMessage) => this.messageMap.remember(idMessage, chatId, emailData) };
+        }
+
+        // --- Assemble the main message from its template ---
+        let rawBodyText;
+        if (emailData.text) {
+            rawBodyText = emailData.text;
+        } else if (emailData.html) {
+            rawBodyText = htmlToWhatsApp(emailData.html);
+        } else {
+            rawBodyText = '';
+        }
+        const body = formatImagePlaceholders(cleanBody(rawBodyText, this.getCleaningOptions(options.clean)));
+        const message = renderMessage(this.getMessageTemplates(), emailData, body, options.template);
+
+        // A body this chat received recently is replaced by a note, together with its rendered pages.
+        const bodyHash = config.dedup.bodies ? hashBody(body) : null;
+        const resumed = options.completedSteps?.some((step) => step.startsWith(`${target}:`));
+        const sentBody = bodyHash && !resumed ? this.dedupStore.find(target, bodyHash) : undefined;
+        if (sentBody) {
+            const note = `*📧 ${emailData.subject || "(no subject)"}*\n*From:* ${emailData.from || ""}\n\n♻️ _Same message as sent on ${this.formatSentDate(sentBody)}._`;
+            await this.runStep(`${target}:message`, () => this.sendTextMessage(target, note), options);
+        } else {
+            // Send the message, unless the rendered email replaces it.
+            if (snapshot?.mode !== "instead") {
+                await this.sendMessage(emailData, target, message, { body, rawBodyText }, options);
+            }
+
+            // --- Send the Rendered Email ---
+            if (snapshot) {
+                for (const [index, filePath] of snapshot.files.entries()) {
+                    const caption = this.buildSnapshotCaption(emailData, snapshot, index);
+                    await this.runStep(`${target}:render:${index}`, () => this.sendFile(target, filePath, caption, path.basename(filePath)), options);
                 }
             }
+            if (bodyHash) await this.dedupStore.remember(target, bodyHash, emailData.subject || "");
+        }
+
+        // --- Send Inline Images, in the order they appear in the body ---
+        const repeated = [];
+        for (const [index, image] of (emailData.inlineImages || []).entries()) {
+            await this.sendUnlessRepeated(target, image, `${target}:inline:${index}`, image.caption, repeated, options);
+        }
+
+        // --- Send Attachments ---
+        for (const [index, attachment] of emailData.attachments.entries()) {
+            const caption = `📄 ${attachment.filename}\n💾 Size: ${formatFileSize(attachment.size)}`;
+            await this.sendUnlessRepeated(target, attachment, `${target}:attachment:${index}`, caption, repeated, options);
+        }
 
-            // --- Notify about Skipped Attachments ---
-            if (emailData.skippedAttachments.length > 0) {
+        // --- Point to Files Sent Before ---
+        if (repeated.length > 0) {
+            await this.runStep(`${target}:repeated`, async () => {
+                const lines = repeated.map(({ file, sent }) => `- ${file.filename} - same attachment as sent on ${this.formatSentDate(sent)}`);
+                return this.sendTextMessage(target, `*♻️ Sent Before:*\n${lines.join("\n")}`);
+            }, options);
+        }
+
+        // --- Notify about Skipped Attachments ---
+        if (emailData.skippedAttachments.length > 0) {
+            await this.runStep(`${target}:skipped`, async () => {
                 let skippedMessage = "*⚠️ Skipped Attachments:*\n";
                 for (const skipped of emailData.skippedAttachments) {
                     skippedMessage += `- ${skipped.filename} (${formatFileSize(skipped.size)}) - ${skipped.reason}\n`;
                 }
-                await this.sendTextMessage(config.whatsapp.targetNumber, skippedMessage.trim());
-                await delay(1000);
+                const response = await this.sendTextMessage(target, skippedMessage.trim());
+                attachmentsTotal.inc({ outcome: "skipped" }, emailData.skippedAttachments.length);
+                return response;
+            }, options);
+        }
+    }
+
+    /**
+     * Sends the main message, split into numbered parts if it is too long for one WhatsApp message, or
+     * as a document if it needs more than `maxMessages` parts.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {string} target - The phone number or chat ID to forward to.
+     * @param {string} message - The rendered message template.
+     * @param {{body: string, rawBodyText: string}} bodies - The body as WhatsApp text and as plain text.
+     * @param {ForwardOptions} options - The options passed to `forwardEmail`.
+     * @returns {Promise<void>}
+     */
+    async sendMessage(emailData, target, message, bodies, options) {
+        const chunks = splitMessage(message, { maxLength: config.whatsapp.maxMessageLength });
+        if (chunks.length === 1) {
+            await this.runStep(`${target}:message`, () => this.sendTextMessage(target, message), options);
+        } else if (chunks.length <= config.whatsapp.maxMessages) {
+            for (const [index, chunk] of chunks.entries()) {
+                await this.runStep(`${target}:message:${index + 1}`, () => this.sendTextMessage(target, chunk), options);
+            }
+        } else {
+            await this.sendBodyAsDocument(emailData, target, bodies, options);
+        }
+    }
+
+    /**
+     * Builds the caption of a rendered page. When the render replaces the text message, the first page
+     * carries the sender and subject instead.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {Snapshot} snapshot - The rendered email.
+     * @param {number} index - The position of the page.
+     * @returns {string} The caption.
+     */
+    buildSnapshotCaption(emailData, snapshot, index) {
+        const subject = emailData.subject || "(no subject)";
+        const page = snapshot.files.length > 1 ? ` (${index + 1}/${snapshot.files.length})` : "";
+        if (snapshot.mode === "instead" && index === 0) {
+            return `*📧 ${subject}*\n*From:* ${emailData.from || ""}${page}`;
+        }
+        return `🖼️ ${subject}${page}`;
+    }
+
+    /**
+     * Sends an attachment or inline image, unless the chat received the same content within the
+     * deduplication window. Repeated files are collected for a single note instead.
+     * @param {string} target - The phone number or chat ID to send to.
+     * @param {{filename: string, filepath: string, hash?: string}} file - The saved file. Its content hash is
+     *   stored in `hash` once computed, so that it is computed only once for all targets and retries.
+     * @param {string} stepKey - The key of the delivery step.
+     * @param {string} caption - The caption of the file.
+     * @param {{file: object, sent: import("./dedupStore").SentContent}[]} repeated - Collects the repeated files.
+     * @param {ForwardOptions} options - The options passed to `forwardEmail`.
+     * @returns {Promise<void>}
+     */
+    async sendUnlessRepeated(target, file, stepKey, caption, repeated, options) {
+        // Files delivered in an earlier attempt are skipped by `runStep` and must not count as repeats.
+        if (config.dedup.attachments && !options.completedSteps?.includes(stepKey)) {
+            try {
+                file.hash ??= await hashFile(file.filepath);
+            } catch (error) {
+                logger.warn(`WhatsApp Service: Failed to hash "${file.filename}"; sending it without checking for repeats.`, { error });
             }
+            const sent = file.hash && this.dedupStore.find(target, file.hash);
+            if (sent) {
+                logger.info(`WhatsApp Service: "${file.filename}" was already sent to ${target} on ${sent.sentAt}; not sending it again.`);
+                repeated.push({ file, sent });
+                return;
+            }
+        }
 
-            logger.info(`WhatsApp Service: Email with subject "${emailData.subject}" was forwarded successfully.`);
+        await this.runStep(stepKey, async () => {
+            const response = await this.sendAttachment(target, file, caption);
+            if (response !== null && config.dedup.attachments && file.hash) {
+                await this.dedupStore.remember(target, file.hash, file.filename);
+            }
+            return response;
+        }, options);
+    }
+
+    /**
+     * Formats when content was sent before, in the locale and time zone of the `message` config.
+     * @param {import("./dedupStore").SentContent} sent - The sent content.
+     * @returns {string} The formatted date.
+     */
+    formatSentDate(sent) {
+        const { locale, timeZone } = config.message;
+        return formatDate(sent.sentAt, "medium", { locale, timeZone });
+    }
+
+    /**
+     * Sends a saved attachment or inline image. If it cannot be sent for a permanent reason, a failure
+     * notice is sent in its place.
+     * @param {string} target - The phone number or chat ID to send to.
+     * @param {{filename: string, filepath: string}} attachment - The saved file.
+     * @param {string} caption - The caption of the file.
+     * @returns {Promise<object|null>} The API response if the file was sent, `null` if the failure notice was sent instead.
+     * @throws {Error} If sending failed with a transient error, so that the forward can be retried later.
+     */
+    async sendAttachment(target, attachment, caption) {
+        try {
+            const response = await this.sendFile(
+                target,
+                attachment.filepath,
+                caption,
+                attachment.filename,
+            );
+            attachmentsTotal.inc({ outcome: "sent" });
+            attachmentBytes.inc({}, attachment.size || 0);
+            return response;
         } catch (error) {
-            logger.error(`WhatsApp Service: Failed to forward email with subject "${emailData.subject}".`, { error });
-            throw error;
+            attachmentsTotal.inc({ outcome: "failed" });
+            // Transient failures (429, 5xx, network) fail the forward so it can be retried later.
+            if (isTransientError(error)) throw error;
+
+            logger.error(`WhatsApp Service: Failed to send attachment.`, {
+                message: error.message,
+                fileName: attachment.filename,
+                recipient: target,
+            });
+            // Send a failure notification to WhatsApp for the specific attachment.
+            const errorMessage = `❌ Failed to send attachment: ${attachment.filename}`;
+            await this.sendTextMessage(target, errorMessage);
+            return null;
+        }
+    }
+
+    /**
+     * Sends a digest to a chat: one summary of the collected emails, split into several messages if it is long,
+     * followed by their attachments if the digest keeps them.
+     * @param {string} target - The phone number or chat ID to send to.
+     * @param {import("./digestQueue").Digest} digest - The digest.
+     * @param {import("./digestQueue").DigestItem[]} items - The emails routed to this chat.
+     * @returns {Promise<void>}
+     * @throws {Error} If a message could not be sent.
+     */
+    async sendDigest(target, digest, items) {
+        for (const chunk of splitMessage(this.buildDigestMessage(digest, items), { maxLength: config.whatsapp.maxMessageLength })) {
+            await this.sendTextMessage(target, chunk);
         }
+
+        // Emails collected before the rule changed to "none" may still have attachments; they are left out too.
+        const files = items.flatMap((item) => item.attachments.map((file) => ({ file, item })));
+        if (files.length === 0 || digest.attachments === "none") return;
+
+        if (digest.attachments === "bundle") {
+            const filePath = path.join(os.tmpdir(), `digest-${process.pid}-${Date.now()}.zip`);
+            try {
+                const bundle = await this.transformer.bundleFiles(files.map(({ file }) => file), filePath);
+                if (bundle) {
+                    const filename = `${sanitizeFilename(digest.name)}.zip`;
+                    await this.sendAttachment(target, { ...bundle, filename }, `🗜️ ${files.length} attachment(s) of the "${digest.name}" digest`);
+                    return;
+                }
+            } finally {
+                fs.rmSync(filePath, { force: true });
+            }
+        }
+        // Without JSZip, bundled attachments are sent one by one.
+        for (const { file, item } of files) {
+            await this.sendAttachment(target, file, `📄 ${file.filename}\n✉️ ${item.subject}`);
+        }
+    }
+
+    /**
+     * Builds the summary message of a digest, listing the sender, subject and a snippet of each email.
+     * @param {import("./digestQueue").Digest} digest - The digest.
+     * @param {import("./digestQueue").DigestItem[]} items - The emails to list.
+     * @returns {string} The message.
+     */
+    buildDigestMessage(digest, items) {
+        const { locale, timeZone } = config.message;
+        const entries = items.map((item, index) => {
+            const lines = [
+                `*${index + 1}. ${item.subject}*`,
+                `👤 ${item.from} · ${formatDate(item.date, "short", { locale, timeZone })}`,
+            ];
+            if (item.snippet) lines.push(`_${item.snippet}_`);
+            if (item.attachmentNames.length > 0) lines.push(`📎 ${item.attachmentNames.join(", ")}`);
+            return lines.join("\n");
+        });
+        return `*📬 Digest: ${digest.name}* (${items.length} email${items.length === 1 ? "" : "s"})\n\n${entries.join("\n\n")}`;
+    }
+
+    /**
+     * Sends an email that is too long for `maxMessages` messages as a single message with the start of the
+     * body, followed by the full body as a .txt or .html document.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {string} target - The phone number or chat ID to forward to.
+     * @param {{body: string, rawBodyText: string}} bodies - The body as WhatsApp text and as plain text.
+     * @param {ForwardOptions} options - The options passed to `forwardEmail`.
+     * @returns {Promise<void>}
+     */
+    async sendBodyAsDocument(emailData, target, { body, rawBodyText }, options) {
+        const { maxMessageLength, maxMessages, overflowDocument } = config.whatsapp;
+        const templates = this.getMessageTemplates();
+        const filename = `email.${overflowDocument}`;
+        const note = `_The email is too long for ${maxMessages} messages; the full text is in ${filename}._`;
+
+        // Fit as much of the body as possible around the rest of the template and the note.
+        const overhead = renderMessage(templates, emailData, "", options.template).length;
+        const room = maxMessageLength - overhead - note.length - "…\n\n".length;
+        const preview = room > 0 ? `${splitMessage(body, { maxLength: room, numbered: false })[0]}…\n\n` : "";
+        const message = renderMessage(templates, emailData, `${preview}${note}`, options.template);
+        await this.runStep(`${target}:message`, () => this.sendTextMessage(target, message), options);
+
+        await this.runStep(`${target}:document`, async () => {
+            const filePath = path.join(os.tmpdir(), `email-${process.pid}-${Date.now()}.${overflowDocument}`);
+            fs.writeFileSync(filePath, this.buildBodyDocument(emailData, rawBodyText, overflowDocument));
+            try {
+                return await this.sendFile(target, filePath, `📄 ${emailData.subject || "(no subject)"}`, filename);
+            } finally {
+                fs.rmSync(filePath, { force: true });
+            }
+        }, options);
+    }
+
+    /**
+     * Builds the document sent for emails that are too long to forward as messages.
+     * @param {object} emailData - The processed email data from GmailService.
+     * @param {string} rawBodyText - The body as plain text.
+     * @param {"txt"|"html"} format - The document format.
+     * @returns {string} The document content.
+     */
+    buildBodyDocument(emailData, rawBodyText, format) {
+        const headers = [
+            `From: ${emailData.from || ""}`,
+            `To: ${emailData.to || ""}`,
+            `Date: ${emailData.date ? new Date(emailData.date).toLocaleString() : ""}`,
+            `Subject: ${emailData.subject || ""}`,
+        ];
+        if (format === "txt") {
+            return `${headers.join("\n")}\n\n${rawBodyText}\n`;
+        }
+        if (emailData.html) {
+            return emailData.html;
+        }
+
+        const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        return [
+            "<!DOCTYPE html>",
+            `<html><head><meta charset="utf-8"><title>${escapeHtml(emailData.subject || "")}</title></head><body>`,
+            `<pre>${escapeHtml(headers.join("\n"))}</pre><hr>`,
+            `<pre style="white-space: pre-wrap">${escapeHtml(rawBodyText)}</pre>`,
+            "</body></html>",
+        ].join("\n");
     }
 
     /**
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildAccounts, defaultAccount, loadAccounts } = require('../accounts');
+const { config } = require('../config');
+
+describe('account utilities', () => {
+    describe('buildAccounts', () => {
+        test('should normalize accounts and apply source defaults', () => {
+            const [support, archive] = buildAccounts({
+                accounts: [
+                    {
+                        name: 'support',
+                        type: 'imap',
+                        imap: { user: 'support@company.com', password: 'secret', host: 'outlook.office365.com' },
+                        senders: 'Customer@Example.com, vip@example.com',
+                        targets: ['120363000000000000@g.us'],
+                    },
+                    { name: 'archive', type: 'maildir', maildir: { path: '/var/mail/archive' }, senders: ['a@b.com'] },
+                ],
+            });
+
+            expect(support).toMatchObject({
+                name: 'support',
+                type: 'imap',
+                settings: { host: 'outlook.office365.com', port: 993, tls: true, mailbox: 'INBOX' },
+                senders: ['customer@example.com', 'vip@example.com'],
+                targets: ['120363000000000000@g.us'],
+                rulesFile: config.routing.rulesFile,
+            });
+            expect(archive.targets).toBeNull();
+        });
+
+        test('should default to Gmail', () => {
+            const [account] = buildAccounts({
+                accounts: [{ name: 'billing', gmail: { user: 'billing@gmail.com', password: 'app-password' }, senders: 'a@b.com' }],
+            });
+            expect(account.type).toBe('gmail');
+            expect(account.settings.host).toBe('imap.gmail.com');
+        });
+
+        test('should accept a filter instead of senders', () => {
+            const filter = { from: '*@bank.com', exclude: { subject: 'newsletter' } };
+            const [account] = buildAccounts({ accounts: [{ name: 'bank', type: 'mbox', mbox: { path: '/m' }, filter }] });
+
+            expect(account.senders).toEqual([]);
+            expect(account.filter).toEqual(filter);
+        });
+
+        test('should reject invalid accounts with a clear message', () => {
+            expect(() => buildAccounts({})).toThrow('non-empty "accounts" array');
+            expect(() => buildAccounts({ accounts: [{ type: 'mbox' }] })).toThrow('Account #1 must have a name');
+            expect(() => buildAccounts({ accounts: [{ name: 'a', type: 'pop3' }] })).toThrow('unknown type "pop3"');
+            expect(() => buildAccounts({ accounts: [{ name: 'a', type: 'imap', imap: { user: 'u' }, senders: 'x@y.z' }] }))
+                .toThrow('missing imap.password, imap.host');
+            expect(() => buildAccounts({ accounts: [{ name: 'a', type: 'mbox', mbox: { path: '/m' } }] })).toThrow('at least one sender');
+
+            expect(() => buildAccounts({ accounts: [{ name: 'a', type: 'mbox', mbox: { path: '/m' }, filter: { size: 1 } }] }))
+                .toThrow('Account "a" has an invalid filter: filter.size: unknown filter condition');
+            expect(() => buildAccounts({ accounts: [{ name: 'a', type: 'mbox', mbox: { path: '/m' }, filter: { gmailRaw: 'x' } }] }))
+                .toThrow('gmailRaw needs a Gmail mail source');
+
+            const duplicate = { name: 'a', type: 'mbox', mbox: { path: '/m' }, senders: 'x@y.z' };
+            expect(() => buildAccounts({ accounts: [duplicate, duplicate] })).toThrow('used more than once');
+        });
+    });
+
+    describe('loadAccounts', () => {
+        test('should return null when the file does not exist', () => {
+            expect(loadAccounts(path.join(os.tmpdir(), 'does-not-exist-accounts.json'))).toBeNull();
+        });
+
+        test('should load accounts from a JSON file', () => {
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+            const filePath = path.join(tempDir, 'accounts.json');
+            fs.writeFileSync(filePath, JSON.stringify({
+                accounts: [{ name: 'drop', type: 'directory', directory: { path: tempDir }, senders: ['a@b.com'] }],
+            }));
+            try {
+                expect(loadAccounts(filePath).map((account) => account.name)).toEqual(['drop']);
+            } finally {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('defaultAccount', () => {
+        test('should describe the account configured through the environment', () => {
+            const account = defaultAccount();
+            expect(account.name).toBe('default');
+            expect(account.type).toBe(config.mailSource.type);
+            expect(account.targets).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const { cleanBody, compileDisclaimerPatterns } = require('../bodyCleaner');
+
+describe('body cleaner', () => {
+    const gmailThread = [
+        'Hi Sarah,',
+        '',
+        'The invoice is attached. Let me know if anything is missing.',
+        '',
+        'Thanks,',
+        'John Doe',
+        'Finance Team | Example Corp',
+        '+62 812 3456 7890',
+        '',
+        'On Mon, 4 Mar 2024 at 10:00, Sarah Lee <sarah@example.com>',
+        'wrote:',
+        '',
+        '> Hi John,',
+        '> Could you send me the invoice for February?',
+        '>',
+        '> On Sun, 3 Mar 2024 at 09:00, John Doe <john@example.com> wrote:',
+        '>> Earlier message',
+    ].join('\r\n');
+
+    const outlookThread = [
+        'Hello team,',
+        '',
+        'Please find the updated schedule below.',
+        '',
+        'Best regards,',
+        'Jane Smith',
+        'Senior Manager',
+        'www.example.com',
+        '',
+        'CONFIDENTIALITY NOTICE: This e-mail, including any attachments, is intended only for the named recipient.',
+        'If you received it in error, please delete it.',
+        '',
+        '________________________________',
+        'From: Bob Brown <bob@example.com>',
+        'Sent: Monday, March 4, 2024 10:00 AM',
+        'To: Jane Smith <jane@example.com>',
+        'Subject: RE: Schedule',
+        '',
+        'Can you share the schedule?',
+    ].join('\n');
+
+    const appleMailThread = [
+        'Sounds good, see you then.',
+        '',
+        'Sent from my iPhone',
+        '',
+        '> On 4 Mar 2024, at 10:00, Sarah Lee <sarah@example.com> wrote:',
+        '>',
+        '> Lunch on Friday?',
+    ].join('\n');
+
+    test('should strip the quoted history and signature details of a Gmail reply', () => {
+        expect(cleanBody(gmailThread)).toBe('Hi Sarah,\n\nThe invoice is attached. Let me know if anything is missing.\n\nThanks,\nJohn Doe');
+    });
+
+    test('should strip the Outlook header block, signature and configured disclaimers', () => {
+        const disclaimers = compileDisclaimerPatterns(['^confidentiality notice']);
+
+        expect(cleanBody(outlookThread, { disclaimers })).toBe('Hello team,\n\nPlease find the updated schedule below.\n\nBest regards,\nJane Smith');
+        expect(cleanBody(outlookThread, { signatures: false, disclaimers }))
+            .toBe('Hello team,\n\nPlease find the updated schedule below.\n\nBest regards,\nJane Smith\nSenior Manager\nwww.example.com');
+    });
+
+    test('should strip an Apple Mail quote and mobile signature', () => {
+        expect(cleanBody(appleMailThread)).toBe('Sounds good, see you then.');
+    });
+
+    test('should recognize reply headers formatted by the HTML conversion', () => {
+        const text = 'Done.\n\n*From:* Bob <bob@example.com>\n*Sent:* Monday\n*Subject:* Task\n\nPlease do it.';
+        expect(cleanBody(text)).toBe('Done.');
+    });
+
+    test('should cut everything below a "-- " signature delimiter', () => {
+        expect(cleanBody('See you tomorrow.\n-- \nJohn\nhttps://example.com')).toBe('See you tomorrow.');
+    });
+
+    test('should keep sign-offs followed by running text', () => {
+        const text = 'Thanks,\nthis is the part of the message that explains in a rather long sentence what happened yesterday.';
+        expect(cleanBody(text)).toBe(text);
+    });
+
+    test('should leave the body unchanged when every stage is disabled or nothing would remain', () => {
+        expect(cleanBody(gmailThread, { quotedReplies: false, signatures: false })).toBe(gmailThread.replace(/\r\n/g, '\n'));
+        expect(cleanBody('> only a quote')).toBe('> only a quote');
+        expect(cleanBody('')).toBe('');
+    });
+
+    test('should reject invalid disclaimer patterns', () => {
+        expect(() => compileDisclaimerPatterns(['ok', '(unclosed'])).toThrow('message.disclaimerPatterns[1]: "(unclosed" is not a valid regular expression');
+    });
+});
@@ -0,0 +1,61 @@
+const { splitMessage } = require('../chunker');
+
+describe('splitMessage', () => {
+    const paragraph = (word, count) => Array(count).fill(word).join(' ') + '.';
+
+    test('should return short messages unchanged', () => {
+        expect(splitMessage('Hello *world*', { maxLength: 200 })).toEqual(['Hello *world*']);
+    });
+
+    test('should split on paragraph boundaries and number the chunks', () => {
+        const text = [paragraph('alpha', 20), paragraph('beta', 20), paragraph('gamma', 20)].join('\n\n');
+
+        const chunks = splitMessage(text, { maxLength: 200 });
+
+        expect(chunks).toHaveLength(3);
+        expect(chunks[0]).toBe(`${paragraph('alpha', 20)}\n\n(1/3)`);
+        expect(chunks[2]).toBe(`${paragraph('gamma', 20)}\n\n(3/3)`);
+        chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(200));
+    });
+
+    test('should fall back to sentence and word boundaries for long paragraphs', () => {
+        const sentences = Array.from({ length: 12 }, (_, index) => `Sentence number ${index} is here.`).join(' ');
+
+        const chunks = splitMessage(sentences, { maxLength: 120, numbered: false });
+
+        chunks.forEach((chunk) => {
+            expect(chunk.length).toBeLessThanOrEqual(120);
+            expect(chunk).toMatch(/^Sentence number \d+ is here\..*\.$/);
+        });
+        expect(chunks.join(' ')).toBe(sentences);
+
+        const words = splitMessage(Array(60).fill('word').join(' '), { maxLength: 100, numbered: false });
+        words.forEach((chunk) => expect(chunk).toMatch(/^word( word)*$/));
+    });
+
+    test('should close and reopen bold text cut in the middle', () => {
+        const text = `*${paragraph('bold', 15)} ${paragraph('still', 15)}* and plain text.`;
+
+        const chunks = splitMessage(text, { maxLength: 120, numbered: false });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks[0]).toMatch(/^\*bold .*\.\*$/);
+        expect(chunks[1]).toMatch(/^\*/);
+        // Asterisks used as bullets or operators are not formatting.
+        expect(splitMessage(`* item one. ${paragraph('x', 80)}`, { maxLength: 120, numbered: false })[0]).not.toMatch(/\*$/);
+    });
+
+    test('should keep code blocks balanced across chunks', () => {
+        const code = Array.from({ length: 20 }, (_, index) => `line ${index};`).join('\n');
+        const text = `Output:\n\`\`\`\n${code}\n\`\`\`\nDone.`;
+
+        const chunks = splitMessage(text, { maxLength: 100 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach((chunk) => {
+            expect(chunk.length).toBeLessThanOrEqual(100);
+            expect(chunk.split('```').length % 2).toBe(1);
+        });
+        expect(chunks[1]).toMatch(/^```\nline/);
+    });
+});
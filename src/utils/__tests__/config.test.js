@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyConfig, config, loadConfig, reloadConfig, validateConfig } = require('../config');
+
+describe('config', () => {
+    let tempDir;
+    let snapshot;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+        snapshot = { ...config };
+    });
+
+    afterEach(() => {
+        applyConfig(snapshot);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('loadConfig', () => {
+        test('should read a YAML config file', () => {
+            const filePath = path.join(tempDir, 'config.yaml');
+            fs.writeFileSync(filePath, [
+                'filter:',
+                '  senderEmail:',
+                '    - boss@work.com',
+                '    - client@company.com',
+                'app:',
+                '  checkIntervalSeconds: 45',
+            ].join('\n'));
+
+            const loaded = loadConfig(filePath, {});
+            expect(loaded.filter.senderEmail).toBe('boss@work.com,client@company.com');
+            expect(loaded.app.checkIntervalSeconds).toBe(45);
+        });
+
+        test('should read a JSON config file', () => {
+            const filePath = path.join(tempDir, 'config.json');
+            fs.writeFileSync(filePath, JSON.stringify({ whatsapp: { targetNumber: '6281234567890' } }));
+            expect(loadConfig(filePath, {}).whatsapp.targetNumber).toBe('6281234567890');
+        });
+
+        test('should treat an empty YAML file as having no settings', () => {
+            const filePath = path.join(tempDir, 'config.yaml');
+            fs.writeFileSync(filePath, '# nothing here yet\n');
+            expect(loadConfig(filePath, {}).app.watchMode).toBe('idle');
+        });
+
+        test('should name the file when it cannot be parsed', () => {
+            const filePath = path.join(tempDir, 'config.yaml');
+            fs.writeFileSync(filePath, 'app: [unclosed');
+            expect(() => loadConfig(filePath, {})).toThrow(`Failed to parse config file "${filePath}"`);
+        });
+    });
+
+    describe('reloadConfig', () => {
+        test('should replace the frozen sections and report what changed', () => {
+            const filePath = path.join(tempDir, 'config.yaml');
+            fs.writeFileSync(filePath, 'filter:\n  senderEmail: new@sender.com\n');
+            const previousFilter = config.filter;
+
+            const changed = reloadConfig(filePath);
+
+            expect(changed).toContain('filter.senderEmail');
+            expect(config.filter.senderEmail).toBe('new@sender.com');
+            expect(previousFilter.senderEmail).not.toBe('new@sender.com');
+            expect(Object.isFrozen(config.filter)).toBe(true);
+        });
+
+        test('should leave the configuration unchanged when the file is invalid', () => {
+            const filePath = path.join(tempDir, 'config.yaml');
+            fs.writeFileSync(filePath, 'app:\n  checkIntervalSeconds: soon\n');
+            const previousApp = config.app;
+
+            expect(() => reloadConfig(filePath)).toThrow('app.checkIntervalSeconds: expected an integer');
+            expect(config.app).toBe(previousApp);
+        });
+    });
+
+    describe('validateConfig', () => {
+        test('should require a webhook token when messages are received through the webhook', () => {
+            applyConfig({
+                ...config,
+                greenApi: { ...config.greenApi, idInstance: '1101', apiToken: 'token' },
+                whatsapp: { ...config.whatsapp, targetNumber: '6281234567890' },
+                bridge: { ...config.bridge, receiveMode: 'webhook', webhookToken: '' },
+            });
+            expect(() => validateConfig({ requireMailSource: false })).toThrow('bridge.webhookToken');
+
+            applyConfig({ ...config, bridge: { ...config.bridge, webhookToken: 'secret' } });
+            expect(() => validateConfig({ requireMailSource: false })).not.toThrow();
+        });
+    });
+});
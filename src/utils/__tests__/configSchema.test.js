@@ -0,0 +1,87 @@
+const { buildConfig } = require('../configSchema');
+
+describe('config schema', () => {
+    test('should use the defaults when nothing is set', () => {
+        const config = buildConfig({}, {});
+        expect(config.gmail).toMatchObject({ host: 'imap.gmail.com', port: 993, tls: true, mailbox: 'INBOX' });
+        expect(config.app.checkIntervalSeconds).toBe(30);
+        expect(config.app.watchMode).toBe('idle');
+        expect(config.filter.senderEmail).toBe('');
+    });
+
+    test('should read values from the config file', () => {
+        const config = buildConfig({
+            gmail: { user: 'me@gmail.com', port: 1993, tls: false },
+            filter: { senderEmail: ['boss@work.com', 'client@company.com'] },
+            app: { watchMode: 'poll' },
+        }, {});
+
+        expect(config.gmail).toMatchObject({ user: 'me@gmail.com', port: 1993, tls: false });
+        expect(config.filter.senderEmail).toBe('boss@work.com,client@company.com');
+        expect(config.app.watchMode).toBe('poll');
+    });
+
+    test('should let environment variables override the config file', () => {
+        const config = buildConfig(
+            { gmail: { password: 'from-file' }, app: { checkIntervalSeconds: 60 } },
+            { GMAIL_APP_PASSWORD: 'from-env', CHECK_INTERVAL_SECONDS: '15', GMAIL_TLS: 'false', GMAIL_HOST: '' },
+        );
+
+        expect(config.gmail.password).toBe('from-env');
+        expect(config.gmail.tls).toBe(false);
+        expect(config.gmail.host).toBe('imap.gmail.com'); // Empty variables count as unset.
+        expect(config.app.checkIntervalSeconds).toBe(15);
+    });
+
+    test('should read object settings from the config file or as JSON from the environment', () => {
+        const expression = { from: '*@bank.com', larger: '1MB' };
+
+        expect(buildConfig({ filter: { expression } }, {}).filter.expression).toEqual(expression);
+        expect(buildConfig({}, { FILTER_EXPRESSION: JSON.stringify(expression) }).filter.expression).toEqual(expression);
+        expect(buildConfig({}, {}).filter.expression).toBeNull();
+        expect(() => buildConfig({}, { FILTER_EXPRESSION: '{from:' }))
+            .toThrow('filter.expression (from FILTER_EXPRESSION): expected an object (JSON in the environment), got "{from:"');
+        expect(() => buildConfig({ filter: { expression: ['a'] } }, {}))
+            .toThrow('filter.expression: expected an object (JSON in the environment), got a list');
+    });
+
+    test('should keep the items of array settings apart, even when they contain commas', () => {
+        const patterns = ['^This e-?mail, including attachments', '^DISCLAIMER'];
+
+        expect(buildConfig({ message: { disclaimerPatterns: patterns } }, {}).message.disclaimerPatterns).toEqual(patterns);
+        expect(buildConfig({}, { MESSAGE_DISCLAIMER_PATTERNS: JSON.stringify(patterns) }).message.disclaimerPatterns).toEqual(patterns);
+        expect(buildConfig({ message: { disclaimerPatterns: '^Confidential' } }, {}).message.disclaimerPatterns).toEqual(['^Confidential']);
+        expect(() => buildConfig({ message: { disclaimerPatterns: [1] } }, {}))
+            .toThrow('message.disclaimerPatterns: expected a list of strings (JSON in the environment), got a list');
+    });
+
+    test('should report every invalid setting with its key path and expected type', () => {
+        let message = '';
+        try {
+            buildConfig(
+                {
+                    gmail: { port: '993', tls: 'yes' },
+                    app: { watchMode: 'push', chekIntervalSeconds: 10 },
+                    retry: 'often',
+                },
+                { CHECK_INTERVAL_SECONDS: 'abc', MAX_ATTACHMENT_SIZE_MB: '0' },
+            );
+        } catch (error) {
+            message = error.message;
+        }
+
+        expect(message).toContain('gmail.port: expected an integer between 1 and 65535, got string "993"');
+        expect(message).toContain('gmail.tls: expected true or false, got string "yes"');
+        expect(message).toContain('app.watchMode: expected one of "idle", "poll", got string "push"');
+        expect(message).toContain('app.chekIntervalSeconds: unknown setting');
+        expect(message).toContain('retry: expected an object, got string "often"');
+        expect(message).toContain('app.checkIntervalSeconds (from CHECK_INTERVAL_SECONDS): expected an integer of at least 1, got "abc"');
+        expect(message).toContain('app.maxAttachmentSizeMB (from MAX_ATTACHMENT_SIZE_MB): expected an integer of at least 1, got "0"');
+    });
+
+    test('should never include secret values in error messages', () => {
+        expect(() => buildConfig({ greenApi: { apiToken: 12345 } }, {}))
+            .toThrow('greenApi.apiToken: expected a string, got a number');
+        expect(() => buildConfig({}, { GMAIL_PORT: 'hunter2', GREEN_API_TOKEN: 'x' })).toThrow('got "hunter2"');
+    });
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashBody, hashFile } = require('../contentHash');
+
+describe('contentHash', () => {
+    it('should hash a file by its content', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-hash-'));
+        fs.writeFileSync(path.join(dir, 'a.pdf'), '%PDF-1.4 invoice');
+        fs.writeFileSync(path.join(dir, 'b.pdf'), '%PDF-1.4 invoice');
+
+        try {
+            const [first, second] = await Promise.all([hashFile(path.join(dir, 'a.pdf')), hashFile(path.join(dir, 'b.pdf'))]);
+            expect(first).toMatch(/^[0-9a-f]{64}$/);
+            expect(second).toBe(first);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should ignore case, spacing and emphasis when hashing bodies', () => {
+        expect(hashBody('Your *daily* report\n\nis  ready.')).toBe(hashBody('your daily report is ready.\u200b'));
+        expect(hashBody('Your daily report is ready.')).not.toBe(hashBody('Your weekly report is ready.'));
+        expect(hashBody(' \n ')).toBeNull();
+    });
+});
@@ -0,0 +1,60 @@
+const { checkFileType, detectFileType } = require('../fileType');
+
+const lists = { allow: '', deny: 'exe,js,docm,xlsm,application/x-executable' };
+
+// The start of a ZIP archive whose first entry has the given name.
+const zipWith = (...names) => Buffer.concat(names.map((name) => Buffer.concat([
+    Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    Buffer.alloc(26),
+    Buffer.from(name, 'latin1'),
+])));
+
+describe('fileType', () => {
+    describe('detectFileType', () => {
+        it('should recognize files by their first bytes', () => {
+            expect(detectFileType(Buffer.from('%PDF-1.7\n'))).toEqual({ extension: 'pdf', contentType: 'application/pdf' });
+            expect(detectFileType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toEqual({ extension: 'png', contentType: 'image/png' });
+            expect(detectFileType(Buffer.from('MZ\x90\x00', 'latin1'))).toEqual({ extension: 'exe', contentType: 'application/x-msdownload' });
+            expect(detectFileType(Buffer.from('\x7fELF\x02', 'latin1'))).toEqual({ extension: 'elf', contentType: 'application/x-executable' });
+            expect(detectFileType(Buffer.from('Name,Amount\n'))).toBeNull();
+            expect(detectFileType(Buffer.alloc(0))).toBeNull();
+        });
+
+        it('should tell Office documents with macros apart from other ZIP archives', () => {
+            expect(detectFileType(zipWith('[Content_Types].xml', 'word/document.xml')).extension).toBe('docx');
+            expect(detectFileType(zipWith('[Content_Types].xml', 'xl/vbaProject.bin')).extension).toBe('xlsm');
+            expect(detectFileType(zipWith('photos/1.jpg')).extension).toBe('zip');
+        });
+    });
+
+    describe('checkFileType', () => {
+        it('should block files whose name or content is on the deny-list', () => {
+            const exe = detectFileType(Buffer.from('MZ'));
+
+            expect(checkFileType('setup.exe', null, lists)).toBe('Blocked file type (exe)');
+            expect(checkFileType('invoice.pdf', exe, lists)).toBe('Blocked file type (exe)');
+            expect(checkFileType('run', detectFileType(Buffer.from('\x7fELF', 'latin1')), lists)).toBe('Blocked file type (application/x-executable)');
+            expect(checkFileType('report.docx', detectFileType(zipWith('word/vbaProject.bin')), lists)).toBe('Blocked file type (docm)');
+            expect(checkFileType('notes.txt', null, lists)).toBeNull();
+        });
+
+        it('should only let types on the allow-list through when there is one', () => {
+            const allowOnly = { allow: 'pdf, .JPEG, image/png, text/*', deny: '' };
+            const pdf = detectFileType(Buffer.from('%PDF-'));
+
+            expect(checkFileType('scan.pdf', pdf, allowOnly)).toBeNull();
+            expect(checkFileType('photo', detectFileType(Buffer.from([0xff, 0xd8, 0xff])), allowOnly)).toBeNull();
+            expect(checkFileType('archive.pdf', detectFileType(zipWith('a.txt')), allowOnly)).toBe('File type not allowed (zip)');
+            expect(checkFileType('data.csv', null, allowOnly)).toBe('File type not allowed (csv)');
+            expect(checkFileType('scan.PDF', null, allowOnly)).toBeNull();
+        });
+
+        it('should take the name of a shared container format into account', () => {
+            const ole = detectFileType(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]));
+
+            expect(checkFileType('letter.doc', ole, { allow: 'doc', deny: '' })).toBeNull();
+            expect(checkFileType('setup.msi', ole, { allow: '', deny: 'msi' })).toBe('Blocked file type (msi)');
+            expect(checkFileType('letter.pdf', ole, { allow: 'pdf', deny: '' })).toBe('File type not allowed (ole)');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+const { simpleParser } = require('mailparser');
+const { buildFilterContext, compileFilter, parseSize } = require('../filter');
+
+const context = (overrides = {}) => ({
+    from: ['alerts@bank.com'],
+    to: ['me@example.com'],
+    cc: ['team@example.com'],
+    subject: 'Your Invoice #123',
+    date: new Date('2024-03-10T12:00:00Z'),
+    size: 20000,
+    hasAttachment: true,
+    labels: ['inbox', 'finance'],
+    headers: new Map([['x-mailer', ['Bank Mailer 2.0']]]),
+    ...overrides,
+});
+
+describe('filter', () => {
+    describe('compileFilter / matches', () => {
+        test('should match addresses with wildcards and keep list values as alternatives', () => {
+            expect(compileFilter({ from: '*@bank.com' }).matches(context())).toBe(true);
+            expect(compileFilter({ from: ['boss@work.com', 'ALERTS@bank.com'] }).matches(context())).toBe(true);
+            expect(compileFilter({ from: '*@bank.co' }).matches(context())).toBe(false);
+            expect(compileFilter({ to: 'team@*' }).matches(context())).toBe(true); // "to" covers Cc as well.
+            expect(compileFilter({ cc: 'me@example.com' }).matches(context())).toBe(false);
+        });
+
+        test('should match subject keywords case-insensitively and subject regular expressions', () => {
+            expect(compileFilter({ subject: 'invoice' }).matches(context())).toBe(true);
+            expect(compileFilter({ subjectMatches: 'invoice #\\d+$' }).matches(context())).toBe(true);
+            expect(compileFilter({ subjectMatches: '^invoice' }).matches(context())).toBe(false);
+        });
+
+        test('should check attachments, size, labels and headers', () => {
+            expect(compileFilter({ hasAttachment: false }).matches(context())).toBe(false);
+            expect(compileFilter({ larger: '10KB', smaller: '1MB' }).matches(context())).toBe(true);
+            expect(compileFilter({ larger: 20000 }).matches(context())).toBe(false);
+            expect(compileFilter({ label: 'Finance' }).matches(context())).toBe(true);
+            expect(compileFilter({ header: { name: 'X-Mailer', contains: 'bank' } }).matches(context())).toBe(true);
+            expect(compileFilter({ header: { name: 'X-Mailer', matches: '^Outlook' } }).matches(context())).toBe(false);
+            expect(compileFilter({ header: { name: 'List-Id' } }).matches(context())).toBe(false);
+        });
+
+        test('should compare dates and relative ages with the given time', () => {
+            const now = new Date('2024-03-12T12:00:00Z');
+            expect(compileFilter({ since: '3d' }).matches(context(), now)).toBe(true);
+            expect(compileFilter({ since: '1d' }).matches(context(), now)).toBe(false);
+            expect(compileFilter({ since: '2024-03-01', before: '2024-03-11' }).matches(context(), now)).toBe(true);
+            expect(compileFilter({ before: '2024-03-10' }).matches(context(), now)).toBe(false);
+        });
+
+        test('should combine conditions with all, any, not and exclude', () => {
+            const filter = compileFilter({
+                any: [{ from: '*@bank.com', subject: 'invoice' }, { label: 'urgent' }],
+                exclude: [{ subject: 'newsletter' }, { header: { name: 'List-Unsubscribe' } }],
+            });
+
+            expect(filter.matches(context())).toBe(true);
+            expect(filter.matches(context({ subject: 'Invoice newsletter' }))).toBe(false);
+            expect(filter.matches(context({ from: ['other@shop.com'] }))).toBe(false);
+            expect(filter.matches(context({ from: ['other@shop.com'], labels: ['urgent'] }))).toBe(true);
+            expect(compileFilter({ not: { all: [{ from: '*@bank.com' }, { hasAttachment: true }] } }).matches(context())).toBe(false);
+        });
+
+        test('should reject invalid expressions naming the offending key path', () => {
+            expect(() => compileFilter({ any: [{ subjet: 'x' }] })).toThrow('filter.any[0].subjet: unknown filter condition "subjet"');
+            expect(() => compileFilter({ larger: 'big' })).toThrow('filter.larger: expected a size');
+            expect(() => compileFilter({ since: 'yesterday' })).toThrow('filter.since: expected a date');
+            expect(() => compileFilter({ subjectMatches: '(' })).toThrow('filter.subjectMatches: invalid regular expression');
+            expect(() => compileFilter({ any: [] })).toThrow('filter.any: expected a non-empty list');
+            expect(() => compileFilter({ any: [{ gmailRaw: 'x' }, { from: 'a@b.c' }] })).toThrow('gmailRaw cannot be used inside');
+            expect(() => compileFilter({}, 'accounts[0].filter')).toThrow('accounts[0].filter: expected at least one condition');
+        });
+    });
+
+    describe('imapCriteria', () => {
+        const now = new Date('2024-03-12T12:00:00Z');
+
+        test('should nest OR criteria in pairs, as IMAP requires', () => {
+            expect(compileFilter({ from: ['a@x.com', 'b@x.com', 'c@x.com'] }).imapCriteria()).toEqual([
+                ['OR', ['FROM', 'a@x.com'], ['OR', ['FROM', 'b@x.com'], ['FROM', 'c@x.com']]],
+            ]);
+        });
+
+        test('should search wildcard addresses by their longest literal part', () => {
+            expect(compileFilter({ from: '*@bank.com', to: 'me@example.com' }).imapCriteria()).toEqual([
+                ['FROM', '@bank.com'],
+                ['OR', ['TO', 'me@example.com'], ['CC', 'me@example.com']],
+            ]);
+        });
+
+        test('should push down sizes, dates, headers and exact negations', () => {
+            const criteria = compileFilter({
+                larger: '1KB',
+                since: '2d',
+                header: { name: 'X-Mailer', contains: 'Bank' },
+                exclude: { smaller: 100 },
+            }).imapCriteria({ now });
+
+            expect(criteria).toEqual([
+                ['LARGER', 1024],
+                ['SINCE', new Date('2024-03-09T12:00:00Z')], // A day earlier, since IMAP only compares days.
+                ['HEADER', 'x-mailer', 'Bank'],
+                ['!SMALLER', 100],
+            ]);
+        });
+
+        test('should leave out what IMAP cannot express, keeping the search broad enough', () => {
+            expect(compileFilter({ subjectMatches: 'x' }).imapCriteria()).toEqual([]);
+            expect(compileFilter({ not: { subject: 'newsletter' } }).imapCriteria()).toEqual([]);
+            expect(compileFilter({ any: [{ from: 'a@x.com' }, { subjectMatches: 'x' }] }).imapCriteria()).toEqual([]);
+            // An AND inside an OR is narrowed down to its first criterion.
+            expect(compileFilter({ any: [{ from: 'a@x.com', subject: 'hi' }, { larger: 10 }] }).imapCriteria()).toEqual([
+                ['OR', ['FROM', 'a@x.com'], ['LARGER', 10]],
+            ]);
+        });
+
+        test('should use Gmail extensions only when the server supports them', () => {
+            const filter = compileFilter({ label: 'Finance', hasAttachment: true, gmailRaw: 'category:primary' });
+
+            expect(filter.serverOnly).toBe(true);
+            expect(filter.imapCriteria({ gmail: true })).toEqual([
+                ['X-GM-LABELS', 'Finance'],
+                ['X-GM-RAW', 'has:attachment'],
+                ['X-GM-RAW', 'category:primary'],
+            ]);
+            expect(compileFilter({ label: 'Finance' }).imapCriteria({ gmail: false })).toEqual([]);
+        });
+
+        test('should search Gmail system labels by their backslash names', () => {
+            const filter = compileFilter({ label: ['important', 'Finance'] });
+
+            expect(filter.imapCriteria({ gmail: true })).toEqual([['OR', ['X-GM-LABELS', '\\Important'], ['X-GM-LABELS', 'Finance']]]);
+            expect(compileFilter({ label: '\\Starred' }).imapCriteria({ gmail: true })).toEqual([['X-GM-LABELS', '\\Starred']]);
+            expect(compileFilter({ label: '\\Inbox' }).matches(context())).toBe(true);
+        });
+    });
+
+    describe('buildFilterContext', () => {
+        test('should collect addresses, headers and attachments from a parsed email', async () => {
+            const email = await simpleParser([
+                'From: Bank <Alerts@Bank.com>',
+                'To: me@example.com',
+                'Cc: team@example.com',
+                'Subject: Statement',
+                'X-Mailer: Bank Mailer',
+                'Date: Sun, 10 Mar 2024 12:00:00 +0000',
+                'Content-Type: multipart/mixed; boundary="b1"',
+                '',
+                '--b1',
+                'Content-Type: text/plain',
+                '',
+                'Hi',
+                '--b1',
+                'Content-Type: application/pdf; name="s.pdf"',
+                'Content-Disposition: attachment; filename="s.pdf"',
+                '',
+                'x',
+                '--b1--',
+            ].join('\r\n'));
+
+            const built = buildFilterContext(email, { size: 512, mailbox: 'INBOX', labels: ['\\Important'] });
+
+            expect(built).toMatchObject({
+                from: ['alerts@bank.com'],
+                to: ['me@example.com'],
+                cc: ['team@example.com'],
+                subject: 'Statement',
+                size: 512,
+                hasAttachment: true,
+                labels: ['inbox', 'important'],
+            });
+            expect(built.date).toEqual(new Date('2024-03-10T12:00:00Z'));
+            expect(built.headers.get('x-mailer')).toEqual(['Bank Mailer']);
+        });
+    });
+
+    describe('parseSize', () => {
+        test('should parse byte counts and units', () => {
+            expect(parseSize(100)).toBe(100);
+            expect(parseSize('2KB')).toBe(2048);
+            expect(parseSize('1.5 mb')).toBe(1572864);
+            expect(parseSize('lots')).toBeNull();
+        });
+    });
+});
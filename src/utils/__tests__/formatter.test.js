@@ -1,4 +1,4 @@
-const { formatFileSize, stripHtml, formatImagePlaceholders } = require('../formatter');
+const { formatFileSize, stripHtml, htmlToWhatsApp, formatImagePlaceholders } = require('../formatter');
 
 describe('formatter utilities', () => {
     // Tests for formatFileSize
@@ -51,6 +51,61 @@ describe('formatter utilities', () => {
             const html = '<p>Extra   spaces</p>';
             expect(stripHtml(html)).toBe('Extra spaces');
         });
+
+        test('should decode all entities and keep list bullets and link URLs', () => {
+            const html = '<p>Caf&eacute; &#8364;5 &#x2713;&nbsp;ok</p><ul><li>One</li><li><a href="https://example.com/a">Two</a></li></ul>';
+            expect(stripHtml(html)).toBe('Café €5 ✓ ok\n• One\n• Two (https://example.com/a)');
+        });
+    });
+
+    // Tests for htmlToWhatsApp
+    describe('htmlToWhatsApp', () => {
+        test('should return an empty string if no html is provided', () => {
+            expect(htmlToWhatsApp(null)).toBe('');
+        });
+
+        test('should convert inline formatting to WhatsApp markers', () => {
+            const html = '<p>A <b>bold</b>, <em>italic</em>, <del>old</del> and <code>x = 1</code> word. <strong><b>Once</b></strong></p>';
+            expect(htmlToWhatsApp(html)).toBe('A *bold*, _italic_, ~old~ and ```x = 1``` word. *Once*');
+        });
+
+        test('should keep markers next to the text and on every line', () => {
+            expect(htmlToWhatsApp('<p>Total:<b> 5 </b>items</p>')).toBe('Total: *5* items');
+            expect(htmlToWhatsApp('<b>one<br>two</b>')).toBe('*one*\n*two*');
+        });
+
+        test('should render headings, paragraphs and preformatted text as blocks', () => {
+            const html = '<h1>Report</h1><div><p>First.</p></div><div><p>Second.</p></div><pre>  a\n    b</pre>';
+            expect(htmlToWhatsApp(html)).toBe('*Report*\n\nFirst.\n\nSecond.\n\n```\n  a\n    b\n```');
+        });
+
+        test('should render bullet, numbered and nested lists', () => {
+            const html = '<ul><li>Fruit<ul><li>Apple</li></ul></li><li>Bread</li></ul><ol start="3"><li>Three</li><li>Four</li></ol>';
+            expect(htmlToWhatsApp(html)).toBe('• Fruit\n  ◦ Apple\n• Bread\n\n3. Three\n4. Four');
+        });
+
+        test('should prefix quoted lines', () => {
+            const html = '<p>Reply</p><blockquote><p>Original <b>text</b></p><p>More</p></blockquote>';
+            expect(htmlToWhatsApp(html)).toBe('Reply\n\n> Original *text*\n>\n> More');
+        });
+
+        test('should show links as text followed by their URL', () => {
+            const html = '<p><a href="https://example.com/pay">Pay now</a>, <a href="https://example.com">example.com</a>, '
+                + '<a href="mailto:help@example.com">help@example.com</a> and <a href="#top">top</a></p>';
+            expect(htmlToWhatsApp(html)).toBe('Pay now (https://example.com/pay), example.com, help@example.com and top');
+        });
+
+        test('should align tables of data in a monospace block', () => {
+            const html = '<table><thead><tr><th>Item</th><th>Qty</th></tr></thead>'
+                + '<tbody><tr><td>Apple</td><td>2</td></tr><tr><td>Watermelon</td><td>10</td></tr></tbody></table>';
+            expect(htmlToWhatsApp(html)).toBe('```\nItem       | Qty\n-----------+----\nApple      | 2\nWatermelon | 10\n```');
+        });
+
+        test('should render layout tables as the paragraphs they contain', () => {
+            const html = '<table role="presentation"><tr><td><img src="logo.png"></td><td><p>Hello &amp; welcome</p></td></tr></table>'
+                + '<table><tr><td><div>Left</div></td><td><div>Right</div></td></tr></table>';
+            expect(htmlToWhatsApp(html)).toBe('Hello & welcome\n\nLeft\nRight');
+        });
     });
 
     // Tests for formatImagePlaceholders
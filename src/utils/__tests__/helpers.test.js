@@ -1,4 +1,4 @@
-const { delay } = require('../helpers');
+const { delay, computeBackoff, parseRetryAfter, isTransientError, getRetryAfterMs, formatDuration, hasToken } = require('../helpers');
 
 describe('helpers utilities', () => {
     describe('delay', () => {
@@ -31,4 +31,103 @@ describe('helpers utilities', () => {
             expect(nonBlockingCheck).toBe(true);
         });
     });
+
+    describe('computeBackoff', () => {
+        test('should double the delay with every attempt', () => {
+            const noJitter = { baseMs: 1000, maxMs: 60000, random: () => 1 };
+            expect(computeBackoff(1, noJitter)).toBe(1000);
+            expect(computeBackoff(2, noJitter)).toBe(2000);
+            expect(computeBackoff(3, noJitter)).toBe(4000);
+        });
+
+        test('should not exceed the maximum delay', () => {
+            expect(computeBackoff(20, { baseMs: 1000, maxMs: 60000, random: () => 1 })).toBe(60000);
+        });
+
+        test('should apply up to half of the delay as jitter', () => {
+            expect(computeBackoff(3, { baseMs: 1000, maxMs: 60000, random: () => 0 })).toBe(2000);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        test('should parse a number of seconds', () => {
+            expect(parseRetryAfter('120')).toBe(120000);
+            expect(parseRetryAfter(5)).toBe(5000);
+        });
+
+        test('should parse an HTTP date', () => {
+            const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+            expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now)).toBe(30000);
+        });
+
+        test('should return null for missing or invalid values', () => {
+            expect(parseRetryAfter(undefined)).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    describe('isTransientError', () => {
+        const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+        test('should treat 429 and 5xx responses as transient', () => {
+            expect(isTransientError(httpError(429))).toBe(true);
+            expect(isTransientError(httpError(503))).toBe(true);
+        });
+
+        test('should treat other client errors as permanent', () => {
+            expect(isTransientError(httpError(400))).toBe(false);
+            expect(isTransientError(httpError(401))).toBe(false);
+            expect(isTransientError(new Error('ENOENT: no such file'))).toBe(false);
+        });
+
+        test('should treat network errors as transient', () => {
+            expect(isTransientError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+        });
+
+        test('should look through the cause chain', () => {
+            const wrapped = new Error('Forwarding failed', { cause: httpError(502) });
+            expect(isTransientError(wrapped)).toBe(true);
+        });
+    });
+
+    describe('getRetryAfterMs', () => {
+        test('should read the Retry-After header of a wrapped response', () => {
+            const cause = Object.assign(new Error('HTTP 429'), { response: { status: 429, headers: { 'retry-after': '15' } } });
+            expect(getRetryAfterMs(new Error('Forwarding failed', { cause }))).toBe(15000);
+        });
+
+        test('should prefer an explicit retryAfterMs property', () => {
+            expect(getRetryAfterMs(Object.assign(new Error('limited'), { retryAfterMs: 90000 }))).toBe(90000);
+        });
+
+        test('should return null when no delay was requested', () => {
+            expect(getRetryAfterMs(new Error('boom'))).toBeNull();
+        });
+    });
+
+    describe('formatDuration', () => {
+        test('should show the two largest units', () => {
+            expect(formatDuration(26 * 60 * 60 * 1000 + 5 * 60 * 1000)).toBe('1d 2h');
+            expect(formatDuration(61 * 60 * 1000)).toBe('1h 1m');
+        });
+
+        test('should round durations under a minute, and negative ones', () => {
+            expect(formatDuration(10 * 1000)).toBe('less than a minute');
+            expect(formatDuration(-5 * 60 * 1000)).toBe('less than a minute');
+        });
+    });
+
+    describe('hasToken', () => {
+        test('should only accept the configured token as a Bearer token', () => {
+            expect(hasToken('Bearer secret', 'secret')).toBe(true);
+            expect(hasToken('Bearer secreT', 'secret')).toBe(false);
+            expect(hasToken('secret', 'secret')).toBe(false);
+            expect(hasToken(undefined, 'secret')).toBe(false);
+        });
+
+        test('should reject every request when no token is configured', () => {
+            expect(hasToken('Bearer ', '')).toBe(false);
+            expect(hasToken(undefined, '')).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,73 @@
+const { findImageReferences, readImageSize, selectInlineImages } = require('../inlineImages');
+
+// A PNG header of the given size, padded so it is not mistaken for a tracking pixel by its byte size.
+const png = (width, height, bytes = 1024) => {
+    const buffer = Buffer.alloc(bytes);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+    buffer.write('IHDR', 12, 'ascii');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+};
+
+const image = (cid, content, extra = {}) => ({
+    cid,
+    filename: `${cid}.png`,
+    contentType: 'image/png',
+    content,
+    size: content.length,
+    related: true,
+    ...extra,
+});
+
+describe('inline images', () => {
+    test('should list cid images in body order with their alt text and dimensions', () => {
+        const html = '<p><img src="cid:logo@x" alt="Logo" width="120"></p><img src="https://x.com/a.png">'
+            + '<img src="cid:chart@x" title="Chart" style="width: 1px; height:1px">';
+
+        expect(findImageReferences(html)).toEqual([
+            { cid: 'logo@x', alt: 'Logo', width: 120, height: null },
+            { cid: 'chart@x', alt: 'Chart', width: 1, height: 1 },
+        ]);
+    });
+
+    test('should read the size of PNG, GIF and JPEG images', () => {
+        const gif = Buffer.from('GIF89a\x02\x00\x03\x00\x00\x00', 'latin1');
+        const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x20, 0x00, 0x40, 0x03]);
+
+        expect(readImageSize(png(640, 480))).toEqual({ width: 640, height: 480 });
+        expect(readImageSize(gif)).toEqual({ width: 2, height: 3 });
+        expect(readImageSize(jpeg)).toEqual({ width: 64, height: 32 });
+        expect(readImageSize(Buffer.from('not an image'))).toBeNull();
+    });
+
+    test('should select referenced images in body order and drop tracking pixels and spacers', () => {
+        const chart = image('chart', png(400, 300));
+        const logo = image('logo', png(200, 50));
+        const pixel = image('pixel', png(1, 1));
+        const spacer = image('spacer', png(600, 20));
+        const tiny = image('tiny', Buffer.alloc(43));
+        const extra = image('extra', png(100, 100));
+        const report = { filename: 'report.pdf', contentType: 'application/pdf', content: Buffer.alloc(500), size: 500 };
+        const html = '<img src="cid:logo" alt="Logo"><img src="cid:spacer" height="2"><p>Text</p>'
+            + '<img src="cid:chart" alt="Sales chart"><img src="cid:pixel"><img src="cid:tiny">';
+
+        const { images, ignored } = selectInlineImages([chart, report, pixel, extra, logo, spacer, tiny], html);
+
+        expect(images).toEqual([
+            { attachment: logo, alt: 'Logo' },
+            { attachment: chart, alt: 'Sales chart' },
+            { attachment: extra, alt: '' },
+        ]);
+        expect(ignored).toEqual([spacer, pixel, tiny]);
+    });
+
+    test('should order images by the placeholders of the text body when there is no HTML body', () => {
+        const first = image('a', png(100, 100), { filename: 'first.png' });
+        const second = image('b', png(100, 100), { filename: 'second.png' });
+
+        const { images } = selectInlineImages([second, first], '', 'Hi\n[image: first.png]\nand\n[image: second.png]');
+
+        expect(images.map((selected) => selected.alt)).toEqual(['first.png', 'second.png']);
+    });
+});
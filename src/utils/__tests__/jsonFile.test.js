@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonFile } = require('../jsonFile');
+
+describe('writeJsonFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should queue overlapping writes of a file and keep the last one', async () => {
+        const filePath = path.join(tempDir, 'queue.json');
+
+        await Promise.all(Array.from({ length: 20 }, (_, index) => writeJsonFile(filePath, { index })));
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ index: 19 });
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    it('should store the value as it was when the write was requested', async () => {
+        const filePath = path.join(tempDir, 'snapshot.json');
+        const items = ['a'];
+
+        const write = writeJsonFile(filePath, items);
+        items.push('b');
+        await write;
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(['a']);
+    });
+
+    it('should keep writing after a failed write', async () => {
+        const filePath = path.join(tempDir, 'missing', 'state.json');
+
+        await expect(writeJsonFile(filePath, 1)).rejects.toMatchObject({ code: 'ENOENT' });
+        fs.mkdirSync(path.dirname(filePath));
+        await writeJsonFile(filePath, 2);
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toBe(2);
+    });
+});
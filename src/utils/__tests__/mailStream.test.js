@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { discardAttachments, isUrgent, parseMessageStream, sanitizeFilename } = require('../mailStream');
+
+const binary = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x0d, 0x0a, 0xc3, 0x28]);
+
+// A Latin-1 message with an 8-bit body and a binary attachment, as raw bytes.
+const rawMessage = (attachmentSize) => Buffer.concat([
+    Buffer.from([
+        'From: Zoë <zoe@example.com>',
+        'Subject: =?ISO-8859-1?Q?R=E9sum=E9?=',
+        'Content-Type: multipart/mixed; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=ISO-8859-1',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Café crème',
+        '--b1',
+        'Content-Type: application/octet-stream; name="big.bin"',
+        'Content-Disposition: attachment; filename="big.bin"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.alloc(attachmentSize, 7).toString('base64').replace(/.{76}/g, '$&\r\n'),
+        '--b1',
+        'Content-Type: application/octet-stream; name="data.bin"',
+        'Content-Disposition: attachment; filename="data.bin"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        binary.toString('base64'),
+        '--b1--',
+        '',
+    ].join('\r\n'), 'latin1'),
+]);
+
+// Delivers a buffer in small chunks, as a network or file stream would.
+const chunked = (buffer, size = 7) => Readable.from(
+    Array.from({ length: Math.ceil(buffer.length / size) }, (_, index) => buffer.subarray(index * size, (index + 1) * size)),
+);
+
+describe('mail stream', () => {
+    let attachmentsDir;
+
+    beforeEach(() => {
+        attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-stream-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(attachmentsDir, { recursive: true, force: true });
+    });
+
+    test('should decode non-UTF-8 text and save binary attachments byte for byte', async () => {
+        const email = await parseMessageStream(chunked(rawMessage(100)), { attachmentsDir, maxAttachmentBytes: 1024 });
+
+        expect(email.subject).toBe('Résumé');
+        expect(email.from.value[0].address).toBe('zoe@example.com');
+        expect(email.text.trim()).toBe('Café crème');
+        expect(email.attachments.map((attachment) => [attachment.filename, attachment.size, attachment.skipped])).toEqual([
+            ['big.bin', 100, null],
+            ['data.bin', binary.length, null],
+        ]);
+        expect(fs.readFileSync(email.attachments[1].filepath)).toEqual(binary);
+        expect(email.attachments[1].head).toEqual(binary);
+        expect(email.attachments[1].checksum).toHaveLength(32);
+        expect(email.attachments[1]).not.toHaveProperty('content');
+    });
+
+    test('should stop saving an attachment once it passes the size limit and keep parsing', async () => {
+        const email = await parseMessageStream(chunked(rawMessage(200 * 1024), 4096), { attachmentsDir, maxAttachmentBytes: 64 * 1024 });
+
+        const [big, data] = email.attachments;
+        expect(big).toMatchObject({ filename: 'big.bin', size: 200 * 1024, filepath: null, skipped: 'Exceeds size limit' });
+        expect(big.head).toHaveLength(64 * 1024);
+        expect(fs.readFileSync(data.filepath)).toEqual(binary);
+        expect(fs.readdirSync(attachmentsDir)).toEqual([path.basename(data.filepath)]);
+    });
+
+    test('should delete saved attachments when they are discarded or the input fails', async () => {
+        const email = await parseMessageStream(rawMessage(10), { attachmentsDir, maxAttachmentBytes: 1024 });
+        await discardAttachments(email);
+        expect(fs.readdirSync(attachmentsDir)).toEqual([]);
+
+        const broken = new Readable({ read() {} });
+        const parsing = parseMessageStream(broken, { attachmentsDir, maxAttachmentBytes: 1024 });
+        broken.push(rawMessage(10).subarray(0, 300));
+        broken.destroy(new Error('Connection reset'));
+        await expect(parsing).rejects.toThrow('Connection reset');
+    });
+
+    test('should keep attachments with crafted file names inside the attachments directory', async () => {
+        const raw = rawMessage(10).toString('latin1').replace('filename="data.bin"', 'filename="../../etc/cron.d/evil"');
+        const email = await parseMessageStream(Buffer.from(raw, 'latin1'), { attachmentsDir, maxAttachmentBytes: 1024 });
+
+        expect(email.attachments[1].filename).toBe('evil');
+        expect(path.dirname(email.attachments[1].filepath)).toBe(attachmentsDir);
+    });
+
+    test('should save parts with the same file name to separate files', async () => {
+        const raw = rawMessage(10).toString('latin1').replace(/big\.bin/g, 'data.bin');
+        const email = await parseMessageStream(Buffer.from(raw, 'latin1'), { attachmentsDir, maxAttachmentBytes: 1024 });
+
+        const [first, second] = email.attachments;
+        expect([first.filename, second.filename]).toEqual(['data.bin', 'data.bin']);
+        expect(first.filepath).not.toBe(second.filepath);
+        expect(fs.readFileSync(first.filepath)).toEqual(Buffer.alloc(10, 7));
+        expect(fs.readFileSync(second.filepath)).toEqual(binary);
+    });
+
+    test('should remove folders, control characters and direction overrides from file names', () => {
+        expect(sanitizeFilename('..\\..\\Windows\\win.ini')).toBe('win.ini');
+        expect(sanitizeFilename('invoice\u202Efdp.exe')).toBe('invoicefdp.exe');
+        expect(sanitizeFilename('re: "report"?.pdf\r\n')).toBe('re_ _report__.pdf');
+        expect(sanitizeFilename('..')).toBe('attachment');
+        expect(sanitizeFilename(undefined)).toBe('attachment');
+        expect(sanitizeFilename(`${'a'.repeat(300)}.pdf`)).toBe(`${'a'.repeat(146)}.pdf`);
+    });
+
+    test('should recognize emails the sender marked as urgent', async () => {
+        const parse = (header) => parseMessageStream(`From: a@example.com\r\n${header}\r\nSubject: Hi\r\n\r\nBody`, { attachmentsDir, maxAttachmentBytes: 1024 });
+
+        expect(isUrgent(await parse('Importance: High'))).toBe(true);
+        expect(isUrgent(await parse('X-Priority: 1 (Highest)'))).toBe(true);
+        expect(isUrgent(await parse('X-Priority: 3 (Normal)'))).toBe(false);
+        expect(isUrgent(await parse('Importance: normal'))).toBe(false);
+    });
+});
@@ -0,0 +1,46 @@
+const { compileMessageTemplates, renderMessage } = require('../messageTemplates');
+
+describe('message templates', () => {
+    const messageConfig = {
+        locale: 'en-US',
+        timeZone: 'Asia/Jakarta',
+        template: 'default',
+        templates: {
+            brief: '🔔 {{subject}} — {{date | date "d MMM HH:mm"}}',
+            bank: '🏦 {{subject}}{{#if hasAttachments}} 📎{{/if}}',
+        },
+        senderTemplates: { '*@bank.com': 'bank' },
+    };
+    const email = {
+        from: 'Bank <alerts@bank.com>',
+        fromAddress: 'alerts@bank.com',
+        subject: 'Statement',
+        date: '2024-03-05T01:07:09.000Z',
+        attachments: [{ filename: 's.pdf' }],
+        skippedAttachments: [],
+    };
+
+    test('should prefer the routing rule template, then the sender template, then the default', () => {
+        const templates = compileMessageTemplates(messageConfig);
+
+        expect(renderMessage(templates, email, 'body', 'brief')).toBe('🔔 Statement — 5 Mar 08:07');
+        expect(renderMessage(templates, email, 'body')).toBe('🏦 Statement 📎');
+        expect(renderMessage(templates, { ...email, fromAddress: 'a@b.com' }, 'Hello')).toContain('*Subject:* Statement\n\nHello');
+    });
+
+    test('should let a template named "default" replace the built-in layout', () => {
+        const templates = compileMessageTemplates({ ...messageConfig, templates: { default: '{{subject}}: {{body}}' }, senderTemplates: null });
+
+        expect(renderMessage(templates, email, 'Hello')).toBe('Statement: Hello');
+    });
+
+    test('should reject unknown template names, invalid locales and broken templates', () => {
+        expect(() => compileMessageTemplates({ ...messageConfig, template: 'missing' }))
+            .toThrow('message.template: unknown template "missing". Defined templates: default, brief, bank.');
+        expect(() => compileMessageTemplates({ ...messageConfig, senderTemplates: { '*@x.com': 'nope' } }))
+            .toThrow('message.senderTemplates["*@x.com"]: unknown template "nope"');
+        expect(() => compileMessageTemplates({ ...messageConfig, timeZone: 'Mars/Olympus' })).toThrow('message.timeZone');
+        expect(() => compileMessageTemplates({ ...messageConfig, templates: { brief: '{{#if x}}' } }))
+            .toThrow('Template "brief", line 1: {{#if}} is never closed');
+    });
+});
@@ -0,0 +1,70 @@
+const { counter, histogram, formatMetric, renderMetrics, resetMetrics } = require('../metrics');
+
+describe('metrics', () => {
+    beforeEach(() => {
+        resetMetrics();
+    });
+
+    it('should count per label set, independent of the label order', () => {
+        const emails = counter('test_emails_total', 'Test emails.');
+        emails.inc({ sender: 'a@example.com', route: 'default' });
+        emails.inc({ route: 'default', sender: 'a@example.com' }, 2);
+        emails.inc({ sender: 'b@example.com', route: 'vip' });
+        emails.inc({ sender: 'b@example.com', route: 'vip' }, 0);
+
+        expect(emails.get({ sender: 'a@example.com', route: 'default' })).toBe(3);
+        expect(emails.get({ sender: 'b@example.com', route: 'vip' })).toBe(1);
+        expect(emails.get({ sender: 'c@example.com', route: 'vip' })).toBe(0);
+    });
+
+    it('should return the registered metric for a known name', () => {
+        expect(counter('test_same_total', 'Same.')).toBe(counter('test_same_total', 'Same.'));
+        expect(histogram('test_same_seconds', 'Same.')).toBe(histogram('test_same_seconds', 'Same.'));
+    });
+
+    it('should render histograms with cumulative buckets, a sum and a count', () => {
+        const durations = histogram('test_duration_seconds', 'Test durations.', [1, 5]);
+        durations.observe({ method: 'send' }, 0.5);
+        durations.observe({ method: 'send' }, 3);
+        durations.observe({ method: 'send' }, 10);
+
+        expect(durations.render()).toBe([
+            '# HELP test_duration_seconds Test durations.',
+            '# TYPE test_duration_seconds histogram',
+            'test_duration_seconds_bucket{method="send",le="1"} 1',
+            'test_duration_seconds_bucket{method="send",le="5"} 2',
+            'test_duration_seconds_bucket{method="send",le="+Inf"} 3',
+            'test_duration_seconds_sum{method="send"} 13.5',
+            'test_duration_seconds_count{method="send"} 3',
+            '',
+        ].join('\n'));
+    });
+
+    it('should time durations with labels known at the end', () => {
+        const durations = histogram('test_timer_seconds', 'Test timer.');
+        const end = durations.startTimer({ method: 'send' });
+
+        const seconds = end({ status: '200' });
+
+        expect(seconds).toBeGreaterThanOrEqual(0);
+        expect(durations.get({ method: 'send', status: '200' })).toEqual({ count: 1, sum: seconds });
+    });
+
+    it('should render all registered metrics and forget their values on reset', () => {
+        counter('test_rendered_total', 'Rendered.').inc({ outcome: 'sent' });
+
+        expect(renderMetrics()).toContain('# TYPE test_rendered_total counter\ntest_rendered_total{outcome="sent"} 1\n');
+
+        resetMetrics();
+
+        expect(renderMetrics()).not.toContain('test_rendered_total{');
+    });
+});
+
+describe('formatMetric', () => {
+    it('should escape label values', () => {
+        expect(formatMetric('up', 'Whether it is up.', 'gauge', [{ labels: { name: 'a "b"\\c' }, value: 1 }])).toBe(
+            '# HELP up Whether it is up.\n# TYPE up gauge\nup{name="a \\"b\\"\\\\c"} 1\n',
+        );
+    });
+});
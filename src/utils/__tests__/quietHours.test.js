@@ -0,0 +1,41 @@
+const { checkQuietHours, parseQuietHours, quietHoursFor, quietUntil } = require('../quietHours');
+
+describe('quiet hours', () => {
+    const settings = {
+        window: '22:00-07:00',
+        timeZone: '',
+        targets: { '0822': false, '0833': { window: '13:00-14:00', timeZone: 'Europe/Berlin' } },
+    };
+
+    it('should use the entry of a chat, or the default window', () => {
+        expect(quietHoursFor('0811', settings, 'Asia/Jakarta')).toEqual({ start: '22:00', end: '07:00', timeZone: 'Asia/Jakarta' });
+        expect(quietHoursFor('0822', settings, 'Asia/Jakarta')).toBeNull();
+        expect(quietHoursFor('0833', settings, 'Asia/Jakarta')).toEqual({ start: '13:00', end: '14:00', timeZone: 'Europe/Berlin' });
+        expect(quietHoursFor('0811', { window: '', targets: null })).toBeNull();
+    });
+
+    it('should find the end of quiet hours that run past midnight', () => {
+        const quietHours = parseQuietHours('22:00-07:00', 'Asia/Jakarta', 'test');
+
+        expect(quietUntil(quietHours, new Date('2024-05-06T16:00:00Z'))).toEqual(new Date('2024-05-07T00:00:00Z')); // 23:00
+        expect(quietUntil(quietHours, new Date('2024-05-06T22:30:00Z'))).toEqual(new Date('2024-05-07T00:00:00Z')); // 05:30
+        expect(quietUntil(quietHours, new Date('2024-05-07T00:00:00Z'))).toBeNull(); // 07:00
+        expect(quietUntil(quietHours, new Date('2024-05-06T05:00:00Z'))).toBeNull(); // 12:00
+    });
+
+    it('should find the end of quiet hours within a day', () => {
+        const quietHours = parseQuietHours({ window: '13:00-14:00', timeZone: 'Europe/Berlin' }, '', 'test');
+
+        // Berlin is two hours ahead of UTC in summer.
+        expect(quietUntil(quietHours, new Date('2024-07-01T11:30:00Z'))).toEqual(new Date('2024-07-01T12:00:00Z'));
+        expect(quietUntil(quietHours, new Date('2024-07-01T10:59:00Z'))).toBeNull();
+    });
+
+    it('should reject invalid windows and time zones', () => {
+        expect(() => checkQuietHours(settings, 'Asia/Jakarta')).not.toThrow();
+        expect(() => checkQuietHours({ ...settings, window: '22:00' })).toThrow('quietHours.window: Invalid quiet hours "22:00"');
+        expect(() => checkQuietHours({ ...settings, targets: { '0811': { window: '22:00-07:00', timeZone: 'Mars/Base' } } }))
+            .toThrow('quietHours.targets["0811"]: Unknown time zone "Mars/Base".');
+        expect(() => checkQuietHours({ ...settings, targets: ['0811'] })).toThrow('quietHours.targets: Expected an object');
+    });
+});
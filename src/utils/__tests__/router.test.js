@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildRoutingTable, loadRoutingTable, matchesRule, resolveRoute } = require('../router');
+
+describe('router utilities', () => {
+    const email = {
+        subject: 'Invoice #1234 for July',
+        fromAddress: 'billing@bank.com',
+        recipients: ['support@company.com', 'cc@company.com'],
+        mailbox: 'INBOX',
+        labels: ['Important', 'Finance'],
+    };
+
+    describe('buildRoutingTable', () => {
+        test('should fall back to the given targets when no default is defined', () => {
+            const table = buildRoutingTable({}, ['081234567890']);
+            expect(table.rules).toEqual([]);
+            expect(table.defaultTargets).toEqual(['081234567890']);
+        });
+
+        test('should prefer the default route defined in the table', () => {
+            const table = buildRoutingTable({ default: '120363000000000000@g.us' }, ['081234567890']);
+            expect(table.defaultTargets).toEqual(['120363000000000000@g.us']);
+        });
+
+        test('should reject rules without conditions or targets', () => {
+            expect(() => buildRoutingTable({ rules: [{ name: 'empty', targets: ['0812'] }] }, [])).toThrow('at least one of');
+            expect(() => buildRoutingTable({ rules: [{ name: 'nowhere', match: { from: 'a@b.com' } }] }, [])).toThrow('at least one target');
+        });
+
+        test('should reject invalid subject patterns', () => {
+            expect(() => buildRoutingTable({ rules: [{ match: { subject: '(' }, targets: ['0812'] }] }, [])).toThrow('invalid subject pattern');
+        });
+    });
+
+    describe('loadRoutingTable', () => {
+        test('should use the fallback targets when the file does not exist', () => {
+            const table = loadRoutingTable(path.join(os.tmpdir(), 'does-not-exist.json'), '081234567890');
+            expect(table.defaultTargets).toEqual(['081234567890']);
+        });
+
+        test('should load rules from a JSON file', () => {
+            const filePath = path.join(os.tmpdir(), `routes-${Date.now()}.json`);
+            fs.writeFileSync(filePath, JSON.stringify({ rules: [{ name: 'bank', match: { from: '*@bank.com' }, targets: ['0811'] }] }));
+            try {
+                const table = loadRoutingTable(filePath, '0812');
+                expect(table.rules).toHaveLength(1);
+                expect(table.rules[0].name).toBe('bank');
+            } finally {
+                fs.unlinkSync(filePath);
+            }
+        });
+    });
+
+    describe('matchesRule', () => {
+        const ruleFor = (match) => buildRoutingTable({ rules: [{ match, targets: ['0811'] }] }, []).rules[0];
+
+        test('should match senders exactly and with wildcards', () => {
+            expect(matchesRule(ruleFor({ from: 'BILLING@bank.com' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ from: '*@bank.com' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ from: '*@other.com' }), email)).toBe(false);
+        });
+
+        test('should match recipient addresses including Cc', () => {
+            expect(matchesRule(ruleFor({ to: 'cc@company.com' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ to: 'sales@company.com' }), email)).toBe(false);
+        });
+
+        test('should match the subject as a case-insensitive regex', () => {
+            expect(matchesRule(ruleFor({ subject: '^invoice #\\d+' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ subject: 'receipt' }), email)).toBe(false);
+        });
+
+        test('should match mailbox names and labels', () => {
+            expect(matchesRule(ruleFor({ label: 'finance' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ label: 'inbox' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ label: 'Spam' }), email)).toBe(false);
+        });
+
+        test('should require every condition to match', () => {
+            expect(matchesRule(ruleFor({ from: '*@bank.com', subject: 'invoice' }), email)).toBe(true);
+            expect(matchesRule(ruleFor({ from: '*@bank.com', subject: 'receipt' }), email)).toBe(false);
+        });
+    });
+
+    describe('resolveRoute', () => {
+        const table = buildRoutingTable({
+            default: '0800',
+            rules: [
+                { name: 'finance', match: { label: 'Finance' }, targets: ['0811', '120363000000000000@g.us'], continue: true },
+                { name: 'bank', match: { from: '*@bank.com' }, targets: ['0811', '0822'] },
+                { name: 'never', match: { from: '*@bank.com' }, targets: ['0833'] },
+            ],
+        }, []);
+
+        test('should combine targets of continuing rules and stop at the first final match', () => {
+            expect(resolveRoute(email, table)).toEqual({
+                targets: ['0811', '120363000000000000@g.us', '0822'],
+                rules: ['finance', 'bank'],
+                urgent: false,
+                template: null,
+                clean: null,
+                render: null,
+                digest: null,
+            });
+        });
+
+        test('should select the template of the first matched rule that sets one', () => {
+            const withTemplates = buildRoutingTable({
+                rules: [
+                    { name: 'finance', match: { label: 'Finance' }, targets: ['0811'], continue: true },
+                    { name: 'bank', match: { from: '*@bank.com' }, targets: ['0822'], template: 'brief', continue: true },
+                    { name: 'all', match: { from: '*' }, targets: ['0833'], template: 'full' },
+                ],
+            }, []);
+
+            expect(resolveRoute(email, withTemplates).template).toBe('brief');
+            expect(() => buildRoutingTable({ rules: [{ match: { from: 'a@b.c' }, targets: ['0811'], template: 3 }] }, []))
+                .toThrow('Routing rule "rule #1" has an invalid template');
+        });
+
+        test('should return the body cleaning overrides of the first matched rule that sets them', () => {
+            const withCleaning = buildRoutingTable({
+                rules: [
+                    { name: 'finance', match: { label: 'Finance' }, targets: ['0811'], clean: { signatures: false }, continue: true },
+                    { name: 'bank', match: { from: '*@bank.com' }, targets: ['0822'], clean: false },
+                ],
+            }, []);
+
+            expect(resolveRoute(email, withCleaning).clean).toEqual({ signatures: false });
+            expect(resolveRoute({ ...email, labels: [] }, withCleaning).clean)
+                .toEqual({ quotedReplies: false, signatures: false, disclaimers: false });
+            expect(() => buildRoutingTable({ rules: [{ match: { from: 'a@b.c' }, targets: ['0811'], clean: { quotes: false } }] }, []))
+                .toThrow('Routing rule "rule #1" has an invalid "clean" option');
+        });
+
+        test('should return the render overrides of the first matched rule that sets them', () => {
+            const withRendering = buildRoutingTable({
+                rules: [
+                    { name: 'finance', match: { label: 'Finance' }, targets: ['0811'], render: { format: 'png', mode: 'instead' }, continue: true },
+                    { name: 'bank', match: { from: '*@bank.com' }, targets: ['0822'], render: 'pdf' },
+                    { name: 'plain', match: { from: 'plain@x.com' }, targets: ['0833'], render: false },
+                ],
+            }, []);
+
+            expect(resolveRoute(email, withRendering).render).toEqual({ format: 'png', mode: 'instead' });
+            expect(resolveRoute({ ...email, labels: [] }, withRendering).render).toEqual({ format: 'pdf' });
+            expect(resolveRoute({ fromAddress: 'plain@x.com' }, withRendering).render).toEqual({ format: 'none' });
+            expect(() => buildRoutingTable({ rules: [{ match: { from: 'a@b.c' }, targets: ['0811'], render: 'jpeg' }] }, []))
+                .toThrow('Routing rule "rule #1" has an invalid "render" option');
+        });
+
+        test('should collect emails of a digest rule under the rule name', () => {
+            const withDigest = buildRoutingTable({
+                rules: [
+                    { name: 'alerts', match: { label: 'Finance' }, targets: ['0811'], digest: 'hourly', continue: true },
+                    { name: 'bank', match: { from: '*@bank.com' }, targets: ['0822'], digest: { schedule: 'daily', at: '07:30', attachments: 'bundle' } },
+                ],
+            }, []);
+
+            expect(resolveRoute(email, withDigest).digest).toEqual({ name: 'alerts', schedule: 'hourly', at: '08:00', attachments: 'none' });
+            expect(resolveRoute({ ...email, labels: [] }, withDigest).digest)
+                .toEqual({ name: 'bank', schedule: 'daily', at: '07:30', attachments: 'bundle' });
+            expect(() => buildRoutingTable({ rules: [{ match: { from: 'a@b.c' }, targets: ['0811'], digest: { schedule: 'daily', at: '8am' } }] }, []))
+                .toThrow('Routing rule "rule #1" has an invalid "digest" option');
+        });
+
+        test('should mark the route as urgent if any matched rule is urgent', () => {
+            const withUrgent = buildRoutingTable({
+                rules: [
+                    { name: 'finance', match: { label: 'Finance' }, targets: ['0811'], continue: true },
+                    { name: 'bank', match: { from: '*@bank.com' }, targets: ['0822'], urgent: true },
+                ],
+            }, []);
+
+            expect(resolveRoute(email, withUrgent).urgent).toBe(true);
+            expect(resolveRoute({ ...email, fromAddress: 'someone@else.com' }, withUrgent).urgent).toBe(false);
+        });
+
+        test('should use the default route when no rule matches', () => {
+            const other = { ...email, fromAddress: 'someone@else.com', labels: [] };
+            expect(resolveRoute(other, table)).toEqual({ targets: ['0800'], rules: [], urgent: false, template: null, clean: null, render: null, digest: null });
+        });
+    });
+});
@@ -0,0 +1,37 @@
+const { isTimeOfDay, minutesOfDay, nextHour, nextTimeOfDay, zonedParts, zonedTimeToDate } = require('../schedule');
+
+describe('schedule', () => {
+    it('should accept only 24-hour times of day', () => {
+        expect(isTimeOfDay('08:00')).toBe(true);
+        expect(isTimeOfDay('23:59')).toBe(true);
+        expect(isTimeOfDay('24:00')).toBe(false);
+        expect(isTimeOfDay('8:00')).toBe(false);
+        expect(minutesOfDay('08:30')).toBe(510);
+    });
+
+    it('should read the wall clock of a time zone', () => {
+        // 2024-05-06 is a Monday.
+        expect(zonedParts(new Date('2024-05-06T23:30:00Z'), 'Asia/Jakarta')).toEqual({
+            year: 2024, month: 5, day: 7, hour: 6, minute: 30, second: 0, weekday: 2,
+        });
+        expect(zonedTimeToDate({ year: 2024, month: 5, day: 7, hour: 6, minute: 30 }, 'Asia/Jakarta'))
+            .toEqual(new Date('2024-05-06T23:30:00Z'));
+    });
+
+    it('should find the next time of day in a time zone', () => {
+        const now = new Date('2024-05-06T02:00:00Z'); // 09:00 in Jakarta
+        expect(nextTimeOfDay('08:00', now, 'Asia/Jakarta')).toEqual(new Date('2024-05-07T01:00:00Z'));
+        expect(nextTimeOfDay('17:00', now, 'Asia/Jakarta')).toEqual(new Date('2024-05-06T10:00:00Z'));
+    });
+
+    it('should keep the wall-clock time across a daylight saving change', () => {
+        // Clocks in New York move forward on 2024-03-10 at 02:00.
+        const now = new Date('2024-03-09T14:00:00Z'); // 09:00 EST
+        expect(nextTimeOfDay('08:00', now, 'America/New_York')).toEqual(new Date('2024-03-10T12:00:00Z'));
+    });
+
+    it('should find the start of the next hour, also in half-hour time zones', () => {
+        expect(nextHour(new Date('2024-05-06T02:15:30.250Z'), 'UTC')).toEqual(new Date('2024-05-06T03:00:00Z'));
+        expect(nextHour(new Date('2024-05-06T02:15:00Z'), 'Asia/Kolkata')).toEqual(new Date('2024-05-06T02:30:00Z'));
+    });
+});
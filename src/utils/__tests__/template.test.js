@@ -0,0 +1,80 @@
+const { compileTemplate, formatDate } = require('../template');
+
+describe('template engine', () => {
+    describe('compileTemplate', () => {
+        test('should replace placeholders, including nested fields', () => {
+            const template = compileTemplate('*{{ subject }}* from {{from}} ({{attachments.length}} files)');
+
+            expect(template.render({ subject: 'Invoice', from: 'Bank', attachments: [1, 2] })).toBe('*Invoice* from Bank (2 files)');
+            expect(template.render({})).toBe('** from  ( files)');
+        });
+
+        test('should render if, unless and else blocks, treating empty lists and strings as false', () => {
+            const template = compileTemplate('{{#if attachments}}has files{{else}}no files{{/if}}|{{#unless body}}(empty){{/unless}}');
+
+            expect(template.render({ attachments: [{}], body: 'x' })).toBe('has files|');
+            expect(template.render({ attachments: [], body: '' })).toBe('no files|(empty)');
+        });
+
+        test('should loop over lists with item fields, this and the item number', () => {
+            const template = compileTemplate('{{#each attachments}}{{@number}}. {{filename}} ({{size | fileSize}}) {{subject}}\n{{/each}}');
+
+            expect(template.render({ subject: 'S', attachments: [{ filename: 'a.pdf', size: 2048 }, { filename: 'b.txt', size: 0 }] }))
+                .toBe('1. a.pdf (2 KB) S\n2. b.txt (0 Bytes) S\n');
+            expect(compileTemplate('{{#each labels}}[{{this}}]{{/each}}').render({ labels: ['a', 'b'] })).toBe('[a][b]');
+        });
+
+        test('should remove the lines of block tags that stand on their own', () => {
+            const template = compileTemplate([
+                'Subject: {{subject}}',
+                '{{#if attachments}}',
+                'Files:',
+                '  {{#each attachments}}',
+                '- {{filename}}',
+                '  {{/each}}',
+                '{{/if}}',
+                'End',
+            ].join('\n'));
+
+            expect(template.render({ subject: 'S', attachments: [{ filename: 'a' }, { filename: 'b' }] }))
+                .toBe('Subject: S\nFiles:\n- a\n- b\nEnd');
+            expect(template.render({ subject: 'S', attachments: [] })).toBe('Subject: S\nEnd');
+        });
+
+        test('should chain helpers with literal arguments', () => {
+            const template = compileTemplate('{{ body | truncate 10 }}|{{ subject | default "(none)" | upper }}|{{ labels | join " / " }}');
+
+            expect(template.render({ body: 'A rather long body', subject: '', labels: ['a', 'b'] })).toBe('A rather…|(NONE)|a / b');
+        });
+
+        test('should ignore comments', () => {
+            expect(compileTemplate('a{{! a comment }}b').render({})).toBe('ab');
+        });
+
+        test('should report syntax errors with the template name and line', () => {
+            expect(() => compileTemplate('x\n{{#if a}}', 'brief')).toThrow('Template "brief", line 2: {{#if}} is never closed');
+            expect(() => compileTemplate('{{#if a}}{{/each}}', 'brief')).toThrow('{{/each}} closes {{#if}} from line 1');
+            expect(() => compileTemplate('{{ subject | uper }}', 'brief')).toThrow('unknown helper "uper"');
+            expect(() => compileTemplate('{{else}}', 'brief')).toThrow('{{else}} outside of a block');
+            expect(() => compileTemplate('{{#with a}}{{/with}}', 'brief')).toThrow('unknown block "#with a"');
+            expect(() => compileTemplate(42, 'brief')).toThrow('Template "brief" must be a string.');
+        });
+    });
+
+    describe('formatDate', () => {
+        const date = new Date('2024-03-05T01:07:09Z');
+
+        test('should format custom patterns in the given locale and time zone', () => {
+            expect(formatDate(date, 'dd/MM/yyyy HH:mm:ss', { timeZone: 'Asia/Jakarta' })).toBe('05/03/2024 08:07:09');
+            expect(formatDate(date, 'EEEE, d MMMM yyyy', { locale: 'en-US', timeZone: 'UTC' })).toBe('Tuesday, 5 March 2024');
+            expect(formatDate(date, 'h:mm a', { locale: 'en-US', timeZone: 'UTC' })).toBe('1:07 AM');
+            expect(formatDate(date, "d MMM 'at' HH:mm", { locale: 'en-US', timeZone: 'America/New_York' })).toBe('4 Mar at 20:07');
+        });
+
+        test('should use the locale presets and accept ISO strings', () => {
+            expect(formatDate(date.toISOString(), 'long', { locale: 'en-US', timeZone: 'UTC' })).toMatch(/^March 5, 2024.*1:07/);
+            expect(formatDate(date, undefined, { locale: 'en-US', timeZone: 'UTC' })).toBe(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+            expect(formatDate('not a date')).toBe('');
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * @file Loads the list of mail accounts the forwarder monitors.
+ * @module utils/accounts
+ * @requires fs
+ * @requires ./config
+ */
+
+const fs = require("fs");
+const { checkFilterExpression, config, requiredSourceFields } = require("./config");
+
+/**
+ * The name of the account configured through the environment, used when there is no accounts file.
+ * @type {string}
+ */
+const DEFAULT_ACCOUNT_NAME = "default";
+
+/**
+ * Default connection settings per source type, applied below the settings given for an account.
+ * @type {Object<string, object>}
+ */
+const SOURCE_DEFAULTS = {
+    gmail: { host: "imap.gmail.com", port: 993, tls: true, mailbox: "INBOX" },
+    imap: { port: 993, tls: true, mailbox: "INBOX" },
+};
+
+/**
+ * A mail account to monitor.
+ *
+ * @typedef {object} Account
+ * @property {string} name - A unique name, used in logs and stored with each email.
+ * @property {string} type - The mail source type: "gmail", "imap", "maildir", "mbox" or "directory".
+ * @property {object} settings - The settings of the mail source (credentials, host, path, ...).
+ * @property {string[]} senders - The sender addresses to forward emails from.
+ * @property {object|null} filter - A filter expression emails must match as well, or `null` for none.
+ * @property {string[]|null} targets - The account's default WhatsApp targets, or `null` to use the routing table's.
+ * @property {string} rulesFile - The routing table file used for this account's emails.
+ */
+
+/**
+ * Normalizes a list of addresses given as an array or a comma-separated string.
+ *
+ * @param {string|string[]|undefined} value - The addresses.
+ * @returns {string[]} The trimmed, non-empty addresses.
+ */
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validates and normalizes a raw account from the accounts file.
+ *
+ * @param {object} rawAccount - The account as it appears in the JSON file.
+ * @param {number} index - The position of the account, used in error messages.
+ * @returns {Account} The normalized account.
+ * @throws {Error} If the account is malformed.
+ */
+function normalizeAccount(rawAccount, index) {
+    const name = rawAccount.name;
+    if (!name || typeof name !== "string") {
+        throw new Error(`Account #${index + 1} must have a name.`);
+    }
+
+    const type = rawAccount.type || "gmail";
+    if (!requiredSourceFields[type]) {
+        throw new Error(
+            `Account "${name}" has an unknown type "${type}". Expected one of: ${Object.keys(requiredSourceFields).join(", ")}.`,
+        );
+    }
+
+    const settings = { ...SOURCE_DEFAULTS[type], ...rawAccount[type] };
+    const missing = requiredSourceFields[type].filter((key) => !settings[key]);
+    if (missing.length > 0) {
+        throw new Error(`Account "${name}" is missing ${missing.map((key) => `${type}.${key}`).join(", ")}.`);
+    }
+
+    const senders = toList(rawAccount.senders).map((sender) => sender.toLowerCase());
+    const filter = rawAccount.filter ?? null;
+    if (filter !== null) {
+        try {
+            checkFilterExpression(filter, type, "filter");
+        } catch (error) {
+            throw new Error(`Account "${name}" has an invalid filter: ${error.message}`);
+        }
+    } else if (senders.length === 0) {
+        throw new Error(`Account "${name}" must define at least one sender in "senders", or a "filter".`);
+    }
+
+    const targets = toList(rawAccount.targets);
+    return {
+        name,
+        type,
+        settings,
+        senders,
+        filter,
+        targets: targets.length > 0 ? targets : null,
+        rulesFile: rawAccount.rulesFile || config.routing.rulesFile,
+    };
+}
+
+/**
+ * Builds the account list from its raw (parsed JSON) representation.
+ *
+ * @param {object} rawFile - The parsed accounts file, with an `accounts` array.
+ * @returns {Account[]} The normalized accounts.
+ * @throws {Error} If the list is empty, a name is used twice, or any account is malformed.
+ */
+function buildAccounts(rawFile) {
+    const rawAccounts = rawFile.accounts;
+    if (!Array.isArray(rawAccounts) || rawAccounts.length === 0) {
+        throw new Error("The accounts file must contain a non-empty \"accounts\" array.");
+    }
+
+    const accounts = rawAccounts.map(normalizeAccount);
+    const names = new Set();
+    for (const account of accounts) {
+        if (names.has(account.name)) {
+            throw new Error(`Account name "${account.name}" is used more than once.`);
+        }
+        names.add(account.name);
+    }
+    return accounts;
+}
+
+/**
+ * Loads the accounts from a JSON file.
+ *
+ * @param {string} filePath - The path to the accounts file.
+ * @returns {Account[]|null} The accounts, or `null` if the file does not exist.
+ * @throws {Error} If the file exists but cannot be parsed or contains invalid accounts.
+ */
+function loadAccounts(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let rawFile;
+    try {
+        rawFile = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to read accounts file "${filePath}": ${error.message}`);
+    }
+    return buildAccounts(rawFile);
+}
+
+/**
+ * Builds the single account configured through the environment (`MAIL_SOURCE`, `GMAIL_*`, `SENDER_EMAIL_FILTER`,
+ * `FILTER_EXPRESSION`) or the config file.
+ *
+ * @returns {Account} The default account.
+ */
+function defaultAccount() {
+    const { type } = config.mailSource;
+    return {
+        name: DEFAULT_ACCOUNT_NAME,
+        type,
+        settings: type === "gmail" ? config.gmail : config.mailSource[type],
+        senders: toList(config.filter.senderEmail).map((sender) => sender.toLowerCase()),
+        filter: config.filter.expression,
+        targets: null,
+        rulesFile: config.routing.rulesFile,
+    };
+}
+
+// Export the account functions for use in other modules.
+module.exports = {
+    DEFAULT_ACCOUNT_NAME,
+    buildAccounts,
+    defaultAccount,
+    loadAccounts,
+};
@@ -0,0 +1,191 @@
+/**
+ * @file Removes quoted replies, signatures and disclaimers from email bodies before they are forwarded.
+ * @module utils/bodyCleaner
+ */
+
+/**
+ * Lines that introduce the quoted message in a reply, e.g. "On Mon, 4 Mar 2024 at 10:00, John <j@x.com> wrote:".
+ * @type {RegExp[]}
+ */
+const REPLY_HEADER_PATTERNS = [
+    /^On\b.{0,250}\bwrote:$/i, // Gmail, Apple Mail, Thunderbird
+    /^Pada\b.{0,250}\bmenulis:$/i,
+    /^Am\b.{0,250}\bschrieb:$/i,
+    /^Le\b.{0,250}\ba écrit ?:$/i,
+    /^El\b.{0,250}\bescribió:$/i,
+    /^-{2,} ?(Original Message|Pesan Asli|Ursprüngliche Nachricht|Message d'origine) ?-{2,}$/i, // Outlook and older clients
+];
+
+/** @type {RegExp} The first line of the header block Outlook puts above the quoted message. */
+const OUTLOOK_FROM = /^(From|Dari|Von|De) ?:\s*\S/i;
+
+/** @type {RegExp} A line of the Outlook header block that confirms it, such as "Sent: Monday, March 4, 2024". */
+const OUTLOOK_SENT = /^(Sent|Date|Dikirim|Tanggal|Gesendet|Envoyé) ?:\s*\S/i;
+
+/** @type {RegExp} The line Outlook draws above its header block. */
+const OUTLOOK_SEPARATOR = /^_{10,}$/;
+
+/** @type {RegExp} Signatures added by mobile mail apps. */
+const MOBILE_SIGNATURE = /^(Sent from my \S+.*|Sent from (Outlook|Mail|Yahoo Mail)\b.*|Get Outlook for (iOS|Android)|Dikirim dari \S+ saya)$/i;
+
+/** @type {RegExp} Sign-offs that are followed by the sender's name and contact details. */
+const SIGN_OFF = /^((best|kind|warm|warmest)\s+)?regards[,.!]?$|^(thanks|thank you|many thanks|cheers|sincerely|best|best wishes|salam|hormat saya|terima kasih)[,.!]?$/i;
+
+/** @type {number} The most lines a signature below a sign-off may have. */
+const MAX_SIGNATURE_LINES = 8;
+
+/** @type {number} Lines longer than this are running text rather than part of a signature. */
+const MAX_SIGNATURE_LINE_LENGTH = 80;
+
+/**
+ * Which parts of a body to remove.
+ *
+ * @typedef {object} CleaningOptions
+ * @property {boolean} [quotedReplies=true] - Whether to remove the quoted message of replies and `>` lines.
+ * @property {boolean} [signatures=true] - Whether to remove signatures.
+ * @property {RegExp[]} [disclaimers=[]] - Paragraphs matching any of these patterns are removed.
+ */
+
+/**
+ * Removes the formatting markers that HTML conversion adds, so that "*From:* John" is recognized as well.
+ *
+ * @param {string} line - A line of the body.
+ * @returns {string} The bare, trimmed line.
+ */
+function bareLine(line) {
+    return line.replace(/[*_~]/g, "").trim();
+}
+
+/**
+ * Finds the line that introduces the quoted message of a reply.
+ *
+ * @param {string[]} lines - The lines of the body.
+ * @returns {number} The index of the first line to remove, or -1 if there is no quoted message.
+ */
+function findReplyHeader(lines) {
+    const bare = lines.map(bareLine);
+
+    for (let index = 0; index < bare.length; index++) {
+        // Long "On … wrote:" lines are often wrapped onto a second line.
+        const candidates = [bare[index], `${bare[index]} ${bare[index + 1] || ""}`.trim()];
+        if (candidates.some((line) => REPLY_HEADER_PATTERNS.some((pattern) => pattern.test(line)))) {
+            return index;
+        }
+
+        if (OUTLOOK_FROM.test(bare[index]) && bare.slice(index + 1, index + 5).some((line) => OUTLOOK_SENT.test(line))) {
+            let start = index;
+            while (start > 0 && lines[start - 1].trim() === "") start--;
+            return start > 0 && OUTLOOK_SEPARATOR.test(lines[start - 1].trim()) ? start - 1 : index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Removes the quoted message of a reply, and every line quoted with `>`.
+ *
+ * @param {string} text - The body.
+ * @returns {string} The body without quotes.
+ */
+function stripQuotedReplies(text) {
+    let lines = text.split("\n");
+
+    const header = findReplyHeader(lines);
+    if (header > 0 && lines.slice(0, header).some((line) => line.trim())) {
+        lines = lines.slice(0, header);
+    }
+    return lines.filter((line) => !/^\s*>/.test(line)).join("\n");
+}
+
+/**
+ * Removes the signature of a body: everything below a "-- " delimiter, the signatures of mobile apps,
+ * and the contact details below a sign-off such as "Best regards," (the sign-off and the name are kept).
+ *
+ * @param {string} text - The body.
+ * @returns {string} The body without its signature.
+ */
+function stripSignature(text) {
+    let lines = text.split("\n");
+
+    const delimiter = lines.findIndex((line, index) => index > 0 && /^--\s?$/.test(line));
+    if (delimiter > 0) {
+        lines = lines.slice(0, delimiter);
+    }
+    lines = lines.filter((line) => !MOBILE_SIGNATURE.test(bareLine(line)));
+
+    const filled = lines.map((line, index) => ({ line: line.trim(), index })).filter(({ line }) => line);
+    for (let position = filled.length - 2; position >= Math.max(0, filled.length - MAX_SIGNATURE_LINES - 1); position--) {
+        if (!SIGN_OFF.test(bareLine(filled[position].line))) continue;
+
+        const below = filled.slice(position + 1);
+        if (below.every(({ line }) => line.length <= MAX_SIGNATURE_LINE_LENGTH)) {
+            // Keep the sign-off and the name on the line below it.
+            lines = lines.slice(0, below[0].index + 1);
+        }
+        break;
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Removes every paragraph that matches one of the disclaimer patterns.
+ *
+ * @param {string} text - The body.
+ * @param {RegExp[]} patterns - The disclaimer patterns.
+ * @returns {string} The body without disclaimers.
+ */
+function stripDisclaimers(text, patterns) {
+    if (patterns.length === 0) return text;
+    return text
+        .split(/\n[ \t]*\n/)
+        .filter((paragraph) => !patterns.some((pattern) => pattern.test(paragraph)))
+        .join("\n\n");
+}
+
+/**
+ * Compiles the configured disclaimer patterns. Patterns are case-insensitive, and `^`/`$` match at the
+ * start and end of every line.
+ *
+ * @param {string[]} sources - The patterns.
+ * @param {string} [keyPath="message.disclaimerPatterns"] - The setting that holds them, for error messages.
+ * @returns {RegExp[]} The compiled patterns.
+ * @throws {Error} If a pattern is not a valid regular expression.
+ */
+function compileDisclaimerPatterns(sources, keyPath = "message.disclaimerPatterns") {
+    return (sources || []).map((source, index) => {
+        try {
+            return new RegExp(source, "im");
+        } catch (error) {
+            throw new Error(`${keyPath}[${index}]: "${source}" is not a valid regular expression: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Cleans a plain-text body: removes quoted replies, then disclaimers, then the signature. A body that
+ * would end up empty, such as a message that only forwards another one, is returned unchanged.
+ *
+ * @param {string} text - The body.
+ * @param {CleaningOptions} [options] - Which parts to remove.
+ * @returns {string} The cleaned body.
+ */
+function cleanBody(text, { quotedReplies = true, signatures = true, disclaimers = [] } = {}) {
+    if (!text) return "";
+
+    let cleaned = text.replace(/\r\n?/g, "\n");
+    if (quotedReplies) cleaned = stripQuotedReplies(cleaned);
+    cleaned = stripDisclaimers(cleaned, disclaimers);
+    if (signatures) cleaned = stripSignature(cleaned);
+
+    cleaned = cleaned.replace(/\n[ \t]*(\n[ \t]*)+\n/g, "\n\n").trim();
+    return cleaned ? cleaned : text;
+}
+
+// Export the cleaning functions for use in other modules.
+module.exports = {
+    cleanBody,
+    compileDisclaimerPatterns,
+    stripDisclaimers,
+    stripQuotedReplies,
+    stripSignature,
+};
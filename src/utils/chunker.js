@@ -0,0 +1,125 @@
+/**
+ * @file Splits long WhatsApp messages into numbered chunks without breaking their formatting.
+ * @module utils/chunker
+ */
+
+/** @type {string} The WhatsApp code block fence. */
+const CODE_FENCE = "```";
+
+/** @type {string[]} The WhatsApp inline formatting markers: bold, italic and strikethrough. */
+const MARKERS = ["*", "_", "~"];
+
+/** @type {number} The room kept for the chunk number, e.g. "\n\n(12/15)". */
+const NUMBER_RESERVE = "\n\n(99/99)".length;
+
+/** @type {number} The room kept for closing and reopening formatting at a cut. */
+const FORMAT_RESERVE = 2 * (CODE_FENCE.length + 1) + MARKERS.length;
+
+/**
+ * Finds the best place to cut a text that is too long: the last paragraph break, otherwise the last
+ * sentence end, line break or space, and only as a last resort in the middle of a word.
+ *
+ * @param {string} text - The remaining text.
+ * @param {number} limit - The maximum length of the piece before the cut.
+ * @returns {number} The index to cut at.
+ */
+function findCut(text, limit) {
+    const window = text.slice(0, limit + 1);
+    // A cut too close to the start would produce tiny chunks; prefer a less natural boundary instead.
+    const minimum = Math.floor(limit / 3);
+
+    const lastMatchEnd = (pattern) => {
+        let cut = -1;
+        for (const match of window.matchAll(pattern)) {
+            const end = match.index + match[0].length;
+            if (end <= limit) cut = end;
+        }
+        return cut >= minimum ? cut : -1;
+    };
+
+    for (const pattern of [/\n[ \t]*\n/g, /[.!?…](?=\s)/g, /\n/g, /[ \t]/g]) {
+        const cut = lastMatchEnd(pattern);
+        if (cut !== -1) return cut;
+    }
+    return limit;
+}
+
+/**
+ * Follows the formatting state through a piece of text: whether a code block is open, and which inline
+ * markers are open. Inline formatting never spans lines in WhatsApp, so markers are reset at line breaks.
+ *
+ * @param {string} text - The piece of text.
+ * @param {{code: boolean, open: string[]}} state - The state at the start of the piece.
+ * @returns {{code: boolean, open: string[]}} The state at the end of the piece.
+ */
+function scanFormatting(text, state) {
+    let { code } = state;
+    let open = [...state.open];
+
+    for (let index = 0; index < text.length; index++) {
+        if (text.startsWith(CODE_FENCE, index)) {
+            code = !code;
+            open = [];
+            index += CODE_FENCE.length - 1;
+            continue;
+        }
+        const char = text[index];
+        if (char === "\n") {
+            open = [];
+            continue;
+        }
+        if (code || !MARKERS.includes(char)) continue;
+
+        const before = index === 0 ? " " : text[index - 1];
+        const after = index === text.length - 1 ? " " : text[index + 1];
+        if (open.includes(char)) {
+            // A closing marker directly follows the formatted text.
+            if (!/\s/.test(before)) open = open.filter((marker) => marker !== char);
+        } else if (!/\s/.test(after) && /[\s([{"'.,:;!?]/.test(before)) {
+            // An opening marker directly precedes the formatted text, after a space or punctuation.
+            open.push(char);
+        }
+    }
+    return { code, open };
+}
+
+/**
+ * Splits a message into chunks of at most `maxLength` characters. Cuts are made on paragraph or sentence
+ * boundaries where possible. Formatting that is open at a cut is closed at the end of the chunk and reopened
+ * at the start of the next one, so that bold text and code blocks render correctly in every chunk.
+ *
+ * @param {string} text - The message.
+ * @param {object} options - The chunking options.
+ * @param {number} options.maxLength - The maximum length of a chunk, including its number.
+ * @param {boolean} [options.numbered=true] - Whether to add "(1/3)" to the end of each chunk.
+ * @returns {string[]} The chunks; a single chunk if the message is short enough.
+ */
+function splitMessage(text, { maxLength, numbered = true }) {
+    if (text.length <= maxLength) return [text];
+
+    const limit = Math.max(1, maxLength - FORMAT_RESERVE - (numbered ? NUMBER_RESERVE : 0));
+    const chunks = [];
+    let state = { code: false, open: [] };
+    let remaining = text;
+
+    while (remaining.length > 0) {
+        const cut = remaining.length <= limit ? remaining.length : findCut(remaining, limit);
+        const piece = remaining.slice(0, cut).replace(/\s+$/, "");
+        remaining = remaining.slice(cut).replace(/^\s*\n/, "").replace(/^[ \t]+/, "");
+
+        const prefix = (state.code ? `${CODE_FENCE}\n` : "") + state.open.join("");
+        state = scanFormatting(piece, state);
+        const suffix = remaining.length > 0
+            ? [...state.open].reverse().join("") + (state.code ? `\n${CODE_FENCE}` : "")
+            : "";
+        chunks.push(`${prefix}${piece}${suffix}`);
+    }
+
+    if (!numbered || chunks.length === 1) return chunks;
+    return chunks.map((chunk, index) => `${chunk}\n\n(${index + 1}/${chunks.length})`);
+}
+
+// Export the chunking functions for use in other modules.
+module.exports = {
+    splitMessage,
+};
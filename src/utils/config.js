@@ -1,16 +1,33 @@
 /**
  * @file Manages and validates the application's configuration.
  * @module utils/config
+ * @requires fs
+ * @requires path
  * @requires dotenv
+ * @requires js-yaml
+ * @requires ./configSchema
+ * @requires ./filter
+ * @requires ./messageTemplates
+ * @requires ./bodyCleaner
+ * @requires ./quietHours
  */
 
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { buildConfig } = require("./configSchema");
+const { compileFilter } = require("./filter");
+const { compileMessageTemplates } = require("./messageTemplates");
+const { compileDisclaimerPatterns } = require("./bodyCleaner");
+const { checkQuietHours } = require("./quietHours");
+
 // Load environment variables from a .env.local file into process.env
 // This allows for easy configuration management without hardcoding credentials.
 require("dotenv").config({ path: `${process.cwd()}/.env.local` });
 
 /**
- * A frozen object containing all application configurations, loaded from environment variables.
- * Freezing the object prevents accidental modifications during runtime.
+ * An object containing all application configurations, loaded from the config file and environment variables.
+ * See `configSchema.js` for the environment variable and default of each setting.
  *
  * @typedef {object} AppConfig
  *
@@ -20,9 +37,26 @@ require("dotenv").config({ path: `${process.cwd()}/.env.local` });
  * @property {string} gmail.host - The IMAP server host for Gmail.
  * @property {number} gmail.port - The port for the IMAP connection (993 for TLS).
  * @property {boolean} gmail.tls - Whether to use a secure TLS connection.
+ * @property {string} gmail.mailbox - The mailbox to watch (e.g., "INBOX").
+ *
+ * @property {object} mailSource - Selects where emails are read from.
+ * @property {string} mailSource.type - The source type: "gmail", "imap", "maildir", "mbox" or "directory".
+ * @property {object} mailSource.imap - The connection settings of a generic IMAP server (type "imap").
+ * @property {object} mailSource.maildir - The settings of a local Maildir (type "maildir").
+ * @property {string} mailSource.maildir.path - The path to the Maildir.
+ * @property {object} mailSource.mbox - The settings of a local mbox file (type "mbox").
+ * @property {string} mailSource.mbox.path - The path to the mbox file.
+ * @property {object} mailSource.directory - The settings of a folder of `.eml` files (type "directory").
+ * @property {string} mailSource.directory.path - The path to the folder.
+ *
+ * @property {object} accounts - Configuration for monitoring several mail accounts at once.
+ * @property {string} accounts.file - The path to the JSON accounts file. If it does not exist, the single account
+ *   configured by `mailSource` and `filter` is used.
  *
  * @property {object} filter - Configuration for filtering incoming emails.
  * @property {string} filter.senderEmail - A comma-separated list of sender emails to forward.
+ * @property {object|null} filter.expression - A filter expression (see `filter.js`) that emails must match as well.
+ *   If set, `filter.senderEmail` may be left empty.
  *
  * @property {object} greenApi - Configuration for the Green API service.
  * @property {string} greenApi.idInstance - The ID of your Green API instance.
@@ -32,81 +66,330 @@ require("dotenv").config({ path: `${process.cwd()}/.env.local` });
  *
  * @property {object} whatsapp - Configuration for WhatsApp messaging.
  * @property {string} whatsapp.targetNumber - The destination WhatsApp number to forward emails to.
+ *   Also used as the default route when no routing rule matches.
+ * @property {number} whatsapp.sendIntervalMs - The minimum time in milliseconds between two messages sent to Green API.
+ * @property {number} whatsapp.maxMessageLength - The longest message sent; longer emails are split into several messages.
+ * @property {number} whatsapp.maxMessages - The most messages one email is split into before it is sent as a document.
+ * @property {"txt"|"html"} whatsapp.overflowDocument - The format of the document for emails that need too many messages.
+ *
+ * @property {object} message - Configuration for the layout of forwarded messages.
+ * @property {string} message.locale - The locale dates are formatted in (e.g., "id-ID"); empty for the server's.
+ * @property {string} message.timeZone - The time zone dates are shown in (e.g., "Asia/Jakarta"); empty for the server's.
+ * @property {string} message.template - The name of the template used when no routing rule or sender selects one.
+ * @property {Object<string, string>|null} message.templates - Message templates by name (see `template.js`).
+ * @property {Object<string, string>|null} message.senderTemplates - Template names by sender address pattern.
+ * @property {boolean} message.stripQuotedReplies - Whether to remove the quoted history of replies from forwarded bodies.
+ * @property {boolean} message.stripSignatures - Whether to remove signatures from forwarded bodies.
+ * @property {string[]} message.disclaimerPatterns - Regular expressions; body paragraphs matching one are removed.
+ *
+ * @property {object} attachments - Configuration for converting and compressing attachments before they are sent.
+ * @property {boolean} attachments.convertImages - Whether HEIC and TIFF images are converted to JPEG.
+ * @property {number} attachments.maxImageKB - Images larger than this are re-compressed as JPEG to fit; 0 turns compression off.
+ * @property {"keep"|"extract"|"repack"} attachments.zipMode - Whether ZIP archives are sent as they are, unpacked, or re-packed.
+ * @property {number} attachments.maxZipEntries - Archives with more files than this are sent as they are.
+ * @property {number} attachments.maxUploadMB - The largest file Green API accepts; larger files are split or skipped.
+ * @property {boolean} attachments.splitLargeFiles - Whether files over `maxUploadMB` are split into numbered parts.
+ * @property {string} attachments.allowTypes - Comma-separated extensions or MIME types; if set, only these are forwarded.
+ * @property {string} attachments.denyTypes - Comma-separated extensions or MIME types that are never forwarded.
+ * @property {"none"|"clamd"|"command"} attachments.scanner - How attachments are scanned for malware, if at all.
+ * @property {string} attachments.scannerSocket - The clamd Unix socket path, or "host:port" for TCP.
+ * @property {string} attachments.scannerCommand - The scanner command; `{file}` is replaced by the file's path.
+ * @property {number} attachments.scannerTimeoutSeconds - How long a single scan may take.
+ *
+ * @property {object} dedup - Configuration for replacing content a chat received recently with a short note.
+ * @property {boolean} dedup.attachments - Whether attachments and inline images sent before are replaced by a note.
+ * @property {boolean} dedup.bodies - Whether email bodies sent before are replaced by a note.
+ * @property {number} dedup.windowHours - How long sent content is remembered.
+ *
+ * @property {object} quietHours - Configuration for holding non-urgent emails while a chat is in its quiet hours.
+ * @property {string} quietHours.window - The default quiet hours, e.g. "22:00-07:00"; empty for none.
+ * @property {string} quietHours.timeZone - The time zone of the quiet hours; empty for `message.timeZone`.
+ * @property {Object<string, string|object|false>|null} quietHours.targets - Quiet hours by phone number or chat ID:
+ *   a window, an object with `window` and `timeZone`, or `false` for none.
+ *
+ * @property {object} render - Configuration for rendering HTML emails to a PDF or images (requires Puppeteer).
+ * @property {"none"|"pdf"|"png"} render.format - The format HTML emails are rendered to; "none" turns rendering off.
+ * @property {"alongside"|"instead"} render.mode - Whether the render is sent after the text message or replaces it.
+ * @property {boolean} render.allowRemoteImages - Whether remote images are loaded while rendering; other remote resources never are.
+ * @property {number} render.pageWidth - The width of the rendered page in pixels.
+ * @property {number} render.maxPages - The most PNG pages sent for one email.
+ * @property {number} render.timeoutSeconds - How long loading the page and rendering it may take.
+ * @property {string} render.browserPath - The path to a Chrome or Chromium executable; empty for the one bundled with Puppeteer.
+ * @property {boolean} render.noSandbox - Whether the browser runs without its sandbox, e.g. as root in a container.
+ *
+ * @property {object} bridge - Configuration for answering forwarded emails by replying to them on WhatsApp.
+ * @property {boolean} bridge.enabled - Whether incoming WhatsApp messages are received and replies are sent by email.
+ * @property {"poll"|"webhook"} bridge.receiveMode - Whether messages are polled from Green API or pushed to a local webhook.
+ * @property {number} bridge.receiveTimeoutSeconds - How long one poll waits for a new message.
+ * @property {string} bridge.webhookHost - The address the webhook listens on.
+ * @property {number} bridge.webhookPort - The port the webhook listens on.
+ * @property {string} bridge.webhookToken - The token Green API sends in the Authorization header; required in "webhook" mode.
+ * @property {number} bridge.keepDays - How long the emails behind forwarded messages are remembered for replies.
+ *
+ * @property {object} commands - Configuration for controlling the forwarder with WhatsApp chat commands.
+ * @property {string} commands.chatIds - A comma-separated list of the phone numbers and chat IDs that may send commands;
+ *   empty turns commands off. Messages are received as set in `bridge.receiveMode`.
+ *
+ * @property {object} admin - Configuration for the HTTP admin API and health endpoints.
+ * @property {boolean} admin.enabled - Whether the admin server is started.
+ * @property {string} admin.host - The address the admin server listens on.
+ * @property {number} admin.port - The port the admin server listens on.
+ * @property {string} admin.token - The Bearer token every request except `/healthz` and `/readyz` must carry.
+ *
+ * @property {object} smtp - The SMTP server replies are sent through.
+ * @property {string} smtp.host - The server's host name.
+ * @property {number} smtp.port - The server's port.
+ * @property {boolean} smtp.secure - Whether to connect with TLS right away (port 465); otherwise STARTTLS is used if offered.
+ * @property {string} smtp.user - The user name; empty for servers without authentication.
+ * @property {string} smtp.password - The password.
+ * @property {string} smtp.from - The sender address of replies; defaults to `smtp.user`.
+ *
+ * @property {object} connection - Configuration for keeping the mail connections alive.
+ * @property {number} connection.reconnectBaseSeconds - The delay before the first reconnect; it doubles with every failed attempt.
+ * @property {number} connection.reconnectMaxSeconds - The upper limit for the delay between reconnects.
+ * @property {number} connection.watchdogSeconds - How often an idle connection is checked with a NOOP; 0 turns the watchdog off.
+ * @property {number} connection.watchdogTimeoutSeconds - How long the server may take to answer the NOOP before the connection is dropped.
+ * @property {number} connection.alertAfterFailures - After how many failed connection attempts in a row a WhatsApp alert is sent; 0 turns alerts off.
+ * @property {string} connection.alertTarget - The phone number or chat ID alerts are sent to; defaults to `whatsapp.targetNumber`.
+ *
+ * @property {object} retry - Configuration for retrying failed WhatsApp deliveries.
+ * @property {number} retry.maxAttempts - How many times an email is attempted before it is moved to the dead-letter list.
+ * @property {number} retry.baseDelaySeconds - The delay before the first retry; it doubles with every attempt.
+ * @property {number} retry.maxDelaySeconds - The upper limit for the delay between retries.
+ *
+ * @property {object} routing - Configuration for rule-based routing of emails to WhatsApp chats.
+ * @property {string} routing.rulesFile - The path to the JSON routing table file.
  *
  * @property {object} app - General application settings.
- * @property {number} app.checkIntervalSeconds - The interval in seconds at which to check for new emails.
+ * @property {number} app.checkIntervalSeconds - The interval in seconds at which to check for new emails in polling mode.
+ * @property {string} app.watchMode - How new emails are detected: "idle" (IMAP IDLE push, with polling as fallback) or "poll".
+ * @property {number} app.idleRefreshSeconds - How often the IMAP IDLE command is re-issued to keep it alive.
+ * @property {number} app.idleFallbackCheckSeconds - The interval of the safety check that runs alongside IDLE.
  * @property {string} app.logLevel - The logging level for the application (e.g., 'info', 'debug', 'error').
  * @property {number} app.maxAttachmentSizeMB - The maximum size in megabytes for an attachment to be downloaded and forwarded.
+ * @property {string} app.dataDir - The directory where persistent state, such as the forwarding ledger, is stored.
+ */
+
+/**
+ * The names looked for in the working directory when `CONFIG_FILE` is not set.
+ * @type {string[]}
+ */
+const CONFIG_FILE_NAMES = ["config.yaml", "config.yml", "config.json"];
+
+/**
+ * Finds the config file: `CONFIG_FILE` if set, otherwise the first of `config.yaml`, `config.yml` and
+ * `config.json` in the working directory. The config file is optional.
+ *
+ * @param {object} [env=process.env] - The environment variables.
+ * @returns {string|null} The absolute path to the config file, or `null` if there is none.
+ */
+const resolveConfigFile = (env = process.env) => {
+    if (env.CONFIG_FILE) {
+        return path.resolve(env.CONFIG_FILE);
+    }
+    const candidates = CONFIG_FILE_NAMES.map((name) => path.join(process.cwd(), name));
+    return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+};
+
+/**
+ * Reads and parses a YAML or JSON config file.
+ *
+ * @param {string|null} filePath - The path to the config file, or `null` for none.
+ * @returns {object} The parsed values, or an empty object if there is no file.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const readConfigFile = (filePath) => {
+    if (!filePath) return {};
+
+    let text;
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+        throw new Error(`Failed to read config file "${filePath}": ${error.message}`);
+    }
+    try {
+        const values = filePath.endsWith(".json") ? JSON.parse(text) : yaml.safeLoad(text, { filename: filePath });
+        return values ?? {}; // An empty YAML file has no values.
+    } catch (error) {
+        throw new Error(`Failed to parse config file "${filePath}": ${error.message}`);
+    }
+};
+
+/**
+ * Loads and validates the configuration. Environment variables override the values from the config file,
+ * so secrets can stay out of it.
+ *
+ * @param {string|null} [filePath] - The path to the config file. Defaults to the file found at startup.
+ * @param {object} [env=process.env] - The environment variables.
+ * @returns {AppConfig} The validated configuration.
+ * @throws {Error} If the file cannot be read, or a setting is unknown or has the wrong type.
+ */
+const loadConfig = (filePath = configFilePath, env = process.env) => buildConfig(readConfigFile(filePath), env);
+
+/**
+ * Recursively freezes an object.
+ *
+ * @param {object} object - The object to freeze.
+ * @returns {object} The frozen object.
+ */
+const deepFreeze = (object) => {
+    Object.values(object).forEach((value) => {
+        if (value && typeof value === "object") deepFreeze(value);
+    });
+    return Object.freeze(object);
+};
+
+/**
+ * The path to the config file found at startup, or `null` if only environment variables are used.
+ * @type {string|null}
  */
+const configFilePath = resolveConfigFile();
 
 /**
  * The main configuration object for the application.
- * It sources its values from environment variables, providing default fallbacks for non-critical settings.
+ * It sources its values from the config file and environment variables, with defaults for non-critical settings.
+ * Every section is frozen to prevent accidental modifications during runtime; a reload replaces whole sections,
+ * so modules holding on to a section (e.g., the connection settings of an open IMAP connection) keep a consistent view.
  * @type {AppConfig}
  */
-const config = Object.freeze({
-    // Gmail IMAP connection settings
-    gmail: {
-        user: process.env.GMAIL_USER || "", // Your Gmail email address
-        password: process.env.GMAIL_APP_PASSWORD || "", // Your Gmail App Password
-        host: process.env.GMAIL_HOST || "imap.gmail.com", // Default Gmail IMAP host
-        port: parseInt(process.env.GMAIL_PORT || "993", 10), // Default IMAP port with TLS
-        tls: process.env.GMAIL_TLS ? process.env.GMAIL_TLS === "true" : true, // Enable TLS by default
-    },
-    // Email filtering settings
-    filter: {
-        // A comma-separated string of email addresses to monitor.
-        // Example: "sender1@example.com,sender2@example.com"
-        senderEmail: process.env.SENDER_EMAIL_FILTER || "",
-    },
-    // Green API credentials and endpoints
-    greenApi: {
-        idInstance: process.env.GREEN_API_ID_INSTANCE || "", // Your Green API instance ID
-        apiToken: process.env.GREEN_API_TOKEN || "", // Your Green API instance token
-        baseUrl: process.env.GREEN_API_BASE_URL || "https://api.green-api.com", // Base URL for most API calls
-        mediaUrl: process.env.GREEN_API_MEDIA_URL || "https://media.green-api.com", // URL for file uploads
-    },
-    // WhatsApp settings
-    whatsapp: {
-        // The phone number that will receive the forwarded emails.
-        // Should be in a format recognized by the WhatsApp API (e.g., "6281234567890").
-        targetNumber: process.env.WHATSAPP_TARGET_NUMBER || "",
-    },
-    // General application settings
-    app: {
-        // Frequency (in seconds) to check for new emails.
-        checkIntervalSeconds: parseInt(
-            process.env.CHECK_INTERVAL_SECONDS || "30",
-            10,
-        ),
-        // Determines the verbosity of logs. Can be 'error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'.
-        logLevel: process.env.LOG_LEVEL || "info",
-        // Sets the upper limit for attachment sizes to prevent excessive memory and disk usage.
-        maxAttachmentSizeMB: parseInt(
-            process.env.MAX_ATTACHMENT_SIZE_MB || "25",
-            10,
-        ),
-    },
+const config = {};
+
+/**
+ * Replaces the sections of the shared config object.
+ *
+ * @param {AppConfig} newConfig - The new configuration, e.g. from `loadConfig`, or a snapshot of an earlier one.
+ */
+const applyConfig = (newConfig) => {
+    for (const [section, values] of Object.entries(newConfig)) {
+        config[section] = deepFreeze(values);
+    }
+};
+
+/**
+ * Lists the dotted paths of the settings that differ between two configurations.
+ *
+ * @param {object} before - The old configuration (section).
+ * @param {object} after - The new configuration (section).
+ * @param {string} [prefix=""] - The path of the compared section.
+ * @returns {string[]} The changed paths (e.g., ["filter.senderEmail"]).
+ */
+const changedPaths = (before, after, prefix = "") =>
+    Object.keys(after).flatMap((key) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (after[key] && typeof after[key] === "object") {
+            return changedPaths(before[key] || {}, after[key], keyPath);
+        }
+        return before[key] === after[key] ? [] : [keyPath];
+    });
+
+/**
+ * Reloads the config file and applies it. Nothing changes if the new configuration is invalid.
+ * Environment variables are not re-read from `.env.local`; they keep overriding the file.
+ *
+ * @param {string|null} [filePath] - The path to the config file. Defaults to the file found at startup.
+ * @returns {string[]} The dotted paths of the settings that changed.
+ * @throws {Error} If the file cannot be read, or a setting is unknown or has the wrong type.
+ */
+const reloadConfig = (filePath = configFilePath) => {
+    const newConfig = loadConfig(filePath);
+    const changed = changedPaths(config, newConfig);
+    applyConfig(newConfig);
+    return changed;
+};
+
+applyConfig(loadConfig());
+// Sections can be replaced by a reload, but no new ones can be added.
+Object.seal(config);
+
+/**
+ * The settings each mail source type requires, used to validate both the environment and the accounts file.
+ * @type {Object<string, string[]>}
+ */
+const requiredSourceFields = Object.freeze({
+    gmail: ["user", "password"],
+    imap: ["user", "password", "host"],
+    maildir: ["path"],
+    mbox: ["path"],
+    directory: ["path"],
 });
 
+/**
+ * The mail source types that search on an IMAP server, and can therefore evaluate server-only filter conditions.
+ * @type {string[]}
+ */
+const IMAP_SOURCE_TYPES = ["gmail", "imap"];
+
+/**
+ * Compiles a filter expression to check it, including whether the mail source can evaluate it.
+ *
+ * @param {object} expression - The filter expression.
+ * @param {string} type - The mail source type.
+ * @param {string} keyPath - The path of the expression, for error messages.
+ * @throws {Error} If the expression is invalid or needs an IMAP server the source does not have.
+ */
+const checkFilterExpression = (expression, type, keyPath) => {
+    const filter = compileFilter(expression, keyPath);
+    if (filter.serverOnly && !IMAP_SOURCE_TYPES.includes(type)) {
+        throw new Error(`${keyPath}: gmailRaw needs a Gmail mail source, but the source is "${type}".`);
+    }
+};
+
 /**
  * Validates that all essential configuration variables have been provided in the environment.
  * If any required configuration is missing, it throws an error to prevent the application
  * from starting in an invalid state.
  *
- * @throws {Error} If one or more required environment variables are not set.
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.requireMailSource=true] - Whether the mail source and filter must be set in the
+ *   environment. Not required when the accounts are defined in the accounts file.
+ * @throws {Error} If one or more required environment variables are not set, the mail source type is unknown,
+ *   or the filter expression, a message template or the quiet hours are invalid.
  */
-const validateConfig = () => {
+const validateConfig = ({ requireMailSource = true } = {}) => {
     // Define a list of essential configuration paths and their corresponding values.
     const requiredFields = [
-        { path: "gmail.user", value: config.gmail.user },
-        { path: "gmail.password", value: config.gmail.password },
-        { path: "filter.senderEmail", value: config.filter.senderEmail },
         { path: "greenApi.idInstance", value: config.greenApi.idInstance },
         { path: "greenApi.apiToken", value: config.greenApi.apiToken },
         { path: "whatsapp.targetNumber", value: config.whatsapp.targetNumber },
     ];
 
+    if (requireMailSource) {
+        // The required connection settings depend on the selected mail source.
+        const { type } = config.mailSource;
+        if (!requiredSourceFields[type]) {
+            throw new Error(
+                `FATAL ERROR: Unknown mail source "${type}". Expected one of: ${Object.keys(requiredSourceFields).join(", ")}.`,
+            );
+        }
+        const prefix = type === "gmail" ? "gmail" : `mailSource.${type}`;
+        const settings = type === "gmail" ? config.gmail : config.mailSource[type];
+        requiredFields.unshift(
+            ...requiredSourceFields[type].map((key) => ({ path: `${prefix}.${key}`, value: settings[key] })),
+        );
+        // A filter expression can select the emails on its own; otherwise the senders must be listed.
+        if (config.filter.expression) {
+            checkFilterExpression(config.filter.expression, type, "filter.expression");
+        } else {
+            requiredFields.unshift({ path: "filter.senderEmail", value: config.filter.senderEmail });
+        }
+    }
+
+    if (config.attachments.scanner === "command") {
+        requiredFields.push({ path: "attachments.scannerCommand", value: config.attachments.scannerCommand });
+    }
+    if (config.admin.enabled) {
+        requiredFields.push({ path: "admin.token", value: config.admin.token });
+    }
+    if (config.bridge.receiveMode === "webhook") {
+        requiredFields.push({ path: "bridge.webhookToken", value: config.bridge.webhookToken });
+    }
+    if (config.bridge.enabled) {
+        requiredFields.push(
+            { path: "smtp.host", value: config.smtp.host },
+            { path: "smtp.from", value: config.smtp.from || config.smtp.user },
+        );
+    }
+
     // Filter the list to find any fields that are missing a value.
     const missingFields = requiredFields
         .filter((field) => !field.value)
@@ -117,13 +400,24 @@ const validateConfig = () => {
         throw new Error(
             `FATAL ERROR: Missing required configuration values for: ${missingFields.join(
                 ", ",
-            )}. Please check your .env.local file.`,
+            )}. Please check your .env.local or config file.`,
         );
     }
+
+    // Compile the message templates and disclaimer patterns, so that syntax errors stop the forwarder before any email is sent.
+    compileMessageTemplates(config.message);
+    compileDisclaimerPatterns(config.message.disclaimerPatterns);
+    checkQuietHours(config.quietHours, config.message.timeZone);
 };
 
-// Export the frozen config object and the validator function for use in other modules.
+// Export the config object, the loading functions and the validator function for use in other modules.
 module.exports = {
     config,
+    configFilePath,
+    loadConfig,
+    applyConfig,
+    checkFilterExpression,
+    reloadConfig,
+    requiredSourceFields,
     validateConfig,
 };
\ No newline at end of file
@@ -0,0 +1,399 @@
+/**
+ * @file Declares every configuration setting and builds a validated configuration from a config file and the environment.
+ * @module utils/configSchema
+ * @requires path
+ */
+
+const path = require("path");
+
+/**
+ * @class Setting
+ * @description A single configuration setting: its type, the environment variable that overrides it, and its default.
+ */
+class Setting {
+    /**
+     * Initializes a new setting.
+     * @param {string} type - One of "string", "integer", "boolean", "enum", "list", "array" or "object".
+     * @param {object} options - The setting's options.
+     * @param {string} [options.env] - The environment variable that overrides the value from the config file.
+     * @param {*} options.default - The value used when neither the config file nor the environment sets one.
+     * @param {boolean} [options.secret=false] - Whether the value must never appear in error messages.
+     * @param {number} [options.min] - The lowest allowed value of an integer.
+     * @param {number} [options.max] - The highest allowed value of an integer.
+     * @param {string[]} [options.values] - The allowed values of an enum.
+     */
+    constructor(type, options) {
+        this.type = type;
+        this.env = options.env;
+        this.default = options.default;
+        this.secret = options.secret === true;
+        this.min = options.min;
+        this.max = options.max;
+        this.values = options.values;
+    }
+
+    /**
+     * Describes the values the setting accepts, for error messages.
+     * @returns {string} A description such as "an integer of at least 1".
+     */
+    describe() {
+        switch (this.type) {
+            case "integer": {
+                if (this.min !== undefined && this.max !== undefined) return `an integer between ${this.min} and ${this.max}`;
+                if (this.min !== undefined) return `an integer of at least ${this.min}`;
+                return "an integer";
+            }
+            case "boolean":
+                return "true or false";
+            case "enum":
+                return `one of ${this.values.map((value) => `"${value}"`).join(", ")}`;
+            case "list":
+                return "a string or a list of strings";
+            case "array":
+                return "a list of strings (JSON in the environment)";
+            case "object":
+                return "an object (JSON in the environment)";
+            default:
+                return "a string";
+        }
+    }
+}
+
+const string = (options) => new Setting("string", options);
+const integer = (options) => new Setting("integer", options);
+const boolean = (options) => new Setting("boolean", options);
+const oneOf = (values, options) => new Setting("enum", { ...options, values });
+const list = (options) => new Setting("list", options);
+const array = (options) => new Setting("array", options);
+const object = (options) => new Setting("object", options);
+
+/**
+ * The attachment types that are not forwarded unless `attachments.denyTypes` is changed: programs, scripts,
+ * disk images and Office documents with macros. "elf" and "macho" are Linux and macOS programs, as detected
+ * from their content.
+ * @type {string}
+ */
+const DEFAULT_DENIED_TYPES = [
+    "exe", "dll", "com", "scr", "pif", "cpl", "msi", "msp", "bat", "cmd", "ps1", "vbs", "vbe", "js", "jse",
+    "wsf", "wsh", "hta", "jar", "lnk", "reg", "iso", "img", "vhd", "sh", "elf", "macho",
+    "docm", "dotm", "xlsm", "xltm", "xlam", "pptm", "potm", "ppam", "ppsm",
+].join(",");
+
+/**
+ * The configuration schema. Sections mirror the config file; every leaf is a {@link Setting}.
+ * @type {object}
+ */
+const CONFIG_SCHEMA = {
+    gmail: {
+        user: string({ env: "GMAIL_USER", default: "" }),
+        password: string({ env: "GMAIL_APP_PASSWORD", default: "", secret: true }),
+        host: string({ env: "GMAIL_HOST", default: "imap.gmail.com" }),
+        port: integer({ env: "GMAIL_PORT", default: 993, min: 1, max: 65535 }),
+        tls: boolean({ env: "GMAIL_TLS", default: true }),
+        mailbox: string({ env: "GMAIL_MAILBOX", default: "INBOX" }),
+    },
+    mailSource: {
+        type: oneOf(["gmail", "imap", "maildir", "mbox", "directory"], { env: "MAIL_SOURCE", default: "gmail" }),
+        imap: {
+            user: string({ env: "IMAP_USER", default: "" }),
+            password: string({ env: "IMAP_PASSWORD", default: "", secret: true }),
+            host: string({ env: "IMAP_HOST", default: "" }),
+            port: integer({ env: "IMAP_PORT", default: 993, min: 1, max: 65535 }),
+            tls: boolean({ env: "IMAP_TLS", default: true }),
+            mailbox: string({ env: "IMAP_MAILBOX", default: "INBOX" }),
+        },
+        maildir: {
+            path: string({ env: "MAILDIR_PATH", default: "" }),
+        },
+        mbox: {
+            path: string({ env: "MBOX_PATH", default: "" }),
+        },
+        directory: {
+            path: string({ env: "EML_DIRECTORY", default: "" }),
+        },
+    },
+    accounts: {
+        file: string({ env: "MAIL_ACCOUNTS_FILE", default: path.join(process.cwd(), "accounts.json") }),
+    },
+    filter: {
+        senderEmail: list({ env: "SENDER_EMAIL_FILTER", default: "" }),
+        expression: object({ env: "FILTER_EXPRESSION", default: null }),
+    },
+    greenApi: {
+        idInstance: string({ env: "GREEN_API_ID_INSTANCE", default: "" }),
+        apiToken: string({ env: "GREEN_API_TOKEN", default: "", secret: true }),
+        baseUrl: string({ env: "GREEN_API_BASE_URL", default: "https://api.green-api.com" }),
+        mediaUrl: string({ env: "GREEN_API_MEDIA_URL", default: "https://media.green-api.com" }),
+    },
+    whatsapp: {
+        targetNumber: string({ env: "WHATSAPP_TARGET_NUMBER", default: "" }),
+        sendIntervalMs: integer({ env: "WHATSAPP_SEND_INTERVAL_MS", default: 1000, min: 0 }),
+        maxMessageLength: integer({ env: "WHATSAPP_MAX_MESSAGE_LENGTH", default: 4096, min: 200, max: 20000 }),
+        maxMessages: integer({ env: "WHATSAPP_MAX_MESSAGES", default: 5, min: 1, max: 99 }),
+        overflowDocument: oneOf(["txt", "html"], { env: "WHATSAPP_OVERFLOW_DOCUMENT", default: "txt" }),
+    },
+    message: {
+        locale: string({ env: "MESSAGE_LOCALE", default: "" }),
+        timeZone: string({ env: "MESSAGE_TIME_ZONE", default: "" }),
+        template: string({ env: "MESSAGE_TEMPLATE", default: "default" }),
+        templates: object({ env: "MESSAGE_TEMPLATES", default: null }),
+        senderTemplates: object({ env: "MESSAGE_SENDER_TEMPLATES", default: null }),
+        stripQuotedReplies: boolean({ env: "MESSAGE_STRIP_QUOTED_REPLIES", default: true }),
+        stripSignatures: boolean({ env: "MESSAGE_STRIP_SIGNATURES", default: true }),
+        disclaimerPatterns: array({ env: "MESSAGE_DISCLAIMER_PATTERNS", default: [] }),
+    },
+    attachments: {
+        convertImages: boolean({ env: "ATTACHMENT_CONVERT_IMAGES", default: true }),
+        maxImageKB: integer({ env: "ATTACHMENT_MAX_IMAGE_KB", default: 1024, min: 0 }),
+        zipMode: oneOf(["keep", "extract", "repack"], { env: "ATTACHMENT_ZIP_MODE", default: "keep" }),
+        maxZipEntries: integer({ env: "ATTACHMENT_MAX_ZIP_ENTRIES", default: 20, min: 1 }),
+        maxUploadMB: integer({ env: "ATTACHMENT_MAX_UPLOAD_MB", default: 100, min: 1, max: 100 }),
+        splitLargeFiles: boolean({ env: "ATTACHMENT_SPLIT_LARGE_FILES", default: true }),
+        allowTypes: list({ env: "ATTACHMENT_ALLOW_TYPES", default: "" }),
+        denyTypes: list({ env: "ATTACHMENT_DENY_TYPES", default: DEFAULT_DENIED_TYPES }),
+        scanner: oneOf(["none", "clamd", "command"], { env: "ATTACHMENT_SCANNER", default: "none" }),
+        scannerSocket: string({ env: "ATTACHMENT_SCANNER_SOCKET", default: "/var/run/clamav/clamd.ctl" }),
+        scannerCommand: string({ env: "ATTACHMENT_SCANNER_COMMAND", default: "" }),
+        scannerTimeoutSeconds: integer({ env: "ATTACHMENT_SCANNER_TIMEOUT_SECONDS", default: 60, min: 1 }),
+    },
+    dedup: {
+        attachments: boolean({ env: "DEDUP_ATTACHMENTS", default: false }),
+        bodies: boolean({ env: "DEDUP_BODIES", default: false }),
+        windowHours: integer({ env: "DEDUP_WINDOW_HOURS", default: 168, min: 1 }),
+    },
+    quietHours: {
+        window: string({ env: "QUIET_HOURS", default: "" }),
+        timeZone: string({ env: "QUIET_HOURS_TIME_ZONE", default: "" }),
+        targets: object({ env: "QUIET_HOURS_TARGETS", default: null }),
+    },
+    render: {
+        format: oneOf(["none", "pdf", "png"], { env: "RENDER_FORMAT", default: "none" }),
+        mode: oneOf(["alongside", "instead"], { env: "RENDER_MODE", default: "alongside" }),
+        allowRemoteImages: boolean({ env: "RENDER_ALLOW_REMOTE_IMAGES", default: false }),
+        pageWidth: integer({ env: "RENDER_PAGE_WIDTH", default: 800, min: 320, max: 2000 }),
+        maxPages: integer({ env: "RENDER_MAX_PAGES", default: 5, min: 1, max: 20 }),
+        timeoutSeconds: integer({ env: "RENDER_TIMEOUT_SECONDS", default: 20, min: 1 }),
+        browserPath: string({ env: "RENDER_BROWSER_PATH", default: "" }),
+        noSandbox: boolean({ env: "RENDER_NO_SANDBOX", default: false }),
+    },
+    bridge: {
+        enabled: boolean({ env: "BRIDGE_ENABLED", default: false }),
+        receiveMode: oneOf(["poll", "webhook"], { env: "BRIDGE_RECEIVE_MODE", default: "poll" }),
+        receiveTimeoutSeconds: integer({ env: "BRIDGE_RECEIVE_TIMEOUT_SECONDS", default: 20, min: 5, max: 60 }),
+        webhookHost: string({ env: "BRIDGE_WEBHOOK_HOST", default: "127.0.0.1" }),
+        webhookPort: integer({ env: "BRIDGE_WEBHOOK_PORT", default: 8085, min: 1, max: 65535 }),
+        webhookToken: string({ env: "BRIDGE_WEBHOOK_TOKEN", default: "", secret: true }),
+        keepDays: integer({ env: "BRIDGE_KEEP_DAYS", default: 30, min: 1 }),
+    },
+    commands: {
+        chatIds: list({ env: "COMMAND_CHAT_IDS", default: "" }),
+    },
+    admin: {
+        enabled: boolean({ env: "ADMIN_ENABLED", default: false }),
+        host: string({ env: "ADMIN_HOST", default: "127.0.0.1" }),
+        port: integer({ env: "ADMIN_PORT", default: 8086, min: 1, max: 65535 }),
+        token: string({ env: "ADMIN_TOKEN", default: "", secret: true }),
+    },
+    smtp: {
+        host: string({ env: "SMTP_HOST", default: "" }),
+        port: integer({ env: "SMTP_PORT", default: 587, min: 1, max: 65535 }),
+        secure: boolean({ env: "SMTP_SECURE", default: false }),
+        user: string({ env: "SMTP_USER", default: "" }),
+        password: string({ env: "SMTP_PASSWORD", default: "", secret: true }),
+        from: string({ env: "SMTP_FROM", default: "" }),
+    },
+    connection: {
+        reconnectBaseSeconds: integer({ env: "CONNECTION_RECONNECT_BASE_SECONDS", default: 5, min: 1 }),
+        reconnectMaxSeconds: integer({ env: "CONNECTION_RECONNECT_MAX_SECONDS", default: 300, min: 1 }),
+        watchdogSeconds: integer({ env: "CONNECTION_WATCHDOG_SECONDS", default: 60, min: 0 }),
+        watchdogTimeoutSeconds: integer({ env: "CONNECTION_WATCHDOG_TIMEOUT_SECONDS", default: 20, min: 1 }),
+        alertAfterFailures: integer({ env: "CONNECTION_ALERT_AFTER_FAILURES", default: 3, min: 0 }),
+        alertTarget: string({ env: "CONNECTION_ALERT_TARGET", default: "" }),
+    },
+    retry: {
+        maxAttempts: integer({ env: "RETRY_MAX_ATTEMPTS", default: 5, min: 1 }),
+        baseDelaySeconds: integer({ env: "RETRY_BASE_DELAY_SECONDS", default: 30, min: 1 }),
+        maxDelaySeconds: integer({ env: "RETRY_MAX_DELAY_SECONDS", default: 3600, min: 1 }),
+    },
+    routing: {
+        rulesFile: string({ env: "ROUTING_RULES_FILE", default: path.join(process.cwd(), "routes.json") }),
+    },
+    app: {
+        checkIntervalSeconds: integer({ env: "CHECK_INTERVAL_SECONDS", default: 30, min: 1 }),
+        watchMode: oneOf(["idle", "poll"], { env: "MAIL_WATCH_MODE", default: "idle" }),
+        idleRefreshSeconds: integer({ env: "IMAP_IDLE_REFRESH_SECONDS", default: 300, min: 1 }),
+        idleFallbackCheckSeconds: integer({ env: "IDLE_FALLBACK_CHECK_SECONDS", default: 300, min: 1 }),
+        logLevel: oneOf(["error", "warn", "info", "http", "verbose", "debug", "silly"], { env: "LOG_LEVEL", default: "info" }),
+        maxAttachmentSizeMB: integer({ env: "MAX_ATTACHMENT_SIZE_MB", default: 25, min: 1 }),
+        dataDir: string({ env: "DATA_DIR", default: path.join(process.cwd(), "data") }),
+    },
+};
+
+/**
+ * Describes a value found in the config file, for error messages.
+ *
+ * @param {*} value - The value.
+ * @param {boolean} secret - Whether the value itself must be hidden.
+ * @returns {string} A description such as `string "abc"` or `a list`.
+ */
+function describeValue(value, secret) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "a list";
+    if (typeof value === "object") return "an object";
+    if (secret) return `a ${typeof value}`;
+    return typeof value === "string" ? `string "${value}"` : `${typeof value} ${value}`;
+}
+
+/**
+ * Converts an environment variable to the type of its setting.
+ *
+ * @param {Setting} setting - The setting.
+ * @param {string} raw - The value of the environment variable.
+ * @returns {*} The converted value, or `undefined` if the text is not a valid value of that type.
+ */
+function parseEnvValue(setting, raw) {
+    const text = raw.trim();
+    switch (setting.type) {
+        case "integer":
+            return /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined;
+        case "boolean":
+            if (text === "true") return true;
+            if (text === "false") return false;
+            return undefined;
+        case "array":
+        case "object":
+            try {
+                return JSON.parse(text);
+            } catch {
+                return undefined;
+            }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Checks a value against its setting and normalizes it.
+ *
+ * @param {Setting} setting - The setting.
+ * @param {*} value - The value, already converted to the setting's type if it came from the environment.
+ * @returns {{value: *}|null} The normalized value, or `null` if the value is invalid.
+ */
+function checkValue(setting, value) {
+    switch (setting.type) {
+        case "integer": {
+            if (!Number.isInteger(value)) return null;
+            if (setting.min !== undefined && value < setting.min) return null;
+            if (setting.max !== undefined && value > setting.max) return null;
+            return { value };
+        }
+        case "boolean":
+            return typeof value === "boolean" ? { value } : null;
+        case "enum":
+            return setting.values.includes(value) ? { value } : null;
+        case "list": {
+            // Lists are stored comma-separated, like the environment variable.
+            if (typeof value === "string") return { value };
+            if (Array.isArray(value) && value.every((item) => typeof item === "string")) return { value: value.join(",") };
+            return null;
+        }
+        case "array": {
+            // Unlike lists, the items are kept apart, so they may contain commas (e.g., regular expressions).
+            const items = typeof value === "string" ? [value] : value;
+            return Array.isArray(items) && items.every((item) => typeof item === "string") ? { value: items } : null;
+        }
+        case "object":
+            if (value === null) return { value };
+            return value && typeof value === "object" && !Array.isArray(value) ? { value } : null;
+        default:
+            return typeof value === "string" ? { value } : null;
+    }
+}
+
+/**
+ * Resolves a single setting: the environment wins over the config file, which wins over the default.
+ *
+ * @param {Setting} setting - The setting.
+ * @param {*} fileValue - The value from the config file, if any.
+ * @param {object} env - The environment variables.
+ * @param {string} keyPath - The dotted path of the setting, for error messages.
+ * @param {string[]} errors - Collects the validation errors.
+ * @returns {*} The resolved value (the default if the given value is invalid).
+ */
+function resolveSetting(setting, fileValue, env, keyPath, errors) {
+    const envValue = setting.env ? env[setting.env] : undefined;
+    if (envValue !== undefined && envValue !== "") {
+        const result = checkValue(setting, parseEnvValue(setting, envValue));
+        if (result) return result.value;
+        const shown = setting.secret ? "a hidden value" : `"${envValue}"`;
+        errors.push(`${keyPath} (from ${setting.env}): expected ${setting.describe()}, got ${shown}`);
+        return setting.default;
+    }
+
+    if (fileValue !== undefined) {
+        const result = checkValue(setting, fileValue);
+        if (result) return result.value;
+        errors.push(`${keyPath}: expected ${setting.describe()}, got ${describeValue(fileValue, setting.secret)}`);
+    }
+    return setting.default;
+}
+
+/**
+ * Resolves every setting of a schema section.
+ *
+ * @param {object} schema - The schema section.
+ * @param {*} values - The matching section of the config file, if any.
+ * @param {object} env - The environment variables.
+ * @param {string} prefix - The dotted path of the section, for error messages.
+ * @param {string[]} errors - Collects the validation errors.
+ * @returns {object} The resolved section.
+ */
+function buildSection(schema, values, env, prefix, errors) {
+    let fileSection = values;
+    if (fileSection === undefined || fileSection === null) {
+        fileSection = {};
+    } else if (typeof fileSection !== "object" || Array.isArray(fileSection)) {
+        errors.push(`${prefix || "(root)"}: expected an object, got ${describeValue(fileSection, false)}`);
+        fileSection = {};
+    }
+
+    const keyPathOf = (key) => (prefix ? `${prefix}.${key}` : key);
+    for (const key of Object.keys(fileSection)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+            errors.push(`${keyPathOf(key)}: unknown setting`);
+        }
+    }
+
+    const section = {};
+    for (const [key, node] of Object.entries(schema)) {
+        section[key] = node instanceof Setting
+            ? resolveSetting(node, fileSection[key], env, keyPathOf(key), errors)
+            : buildSection(node, fileSection[key], env, keyPathOf(key), errors);
+    }
+    return section;
+}
+
+/**
+ * Builds the application configuration from the config file's values and the environment.
+ * Every problem is collected, so a single error lists all invalid settings at once.
+ *
+ * @param {object} [fileValues={}] - The parsed config file.
+ * @param {object} [env=process.env] - The environment variables.
+ * @returns {import("./config").AppConfig} The validated configuration.
+ * @throws {Error} If any setting is unknown or has a value of the wrong type.
+ */
+function buildConfig(fileValues = {}, env = process.env) {
+    const errors = [];
+    const built = buildSection(CONFIG_SCHEMA, fileValues, env, "", errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+    }
+    return built;
+}
+
+// Export the schema and the builder for use in other modules.
+module.exports = {
+    CONFIG_SCHEMA,
+    Setting,
+    buildConfig,
+};
@@ -0,0 +1,60 @@
+/**
+ * @file Computes content hashes of attachments and email bodies, so that content sent before can be recognized.
+ * @module utils/contentHash
+ * @requires crypto
+ * @requires fs
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * Computes the SHA-256 hash of a file, reading it as a stream.
+ *
+ * @param {string} filepath - The file.
+ * @returns {Promise<string>} The hash, as hex.
+ */
+function hashFile(filepath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filepath)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("error", reject)
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+/**
+ * Normalizes an email body before it is hashed: case, whitespace, invisible characters and Markdown-style
+ * emphasis are ignored, so that the same text sent as HTML one day and as plain text the next still matches.
+ *
+ * @param {string} text - The body.
+ * @returns {string} The normalized body.
+ */
+function normalizeBody(text) {
+    return (text || "")
+        .normalize("NFKC")
+        .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, "")
+        .replace(/[*_~`]/g, "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Computes the SHA-256 hash of a normalized email body.
+ *
+ * @param {string} text - The body.
+ * @returns {string|null} The hash, as hex, or `null` if the body is empty.
+ */
+function hashBody(text) {
+    const normalized = normalizeBody(text);
+    return normalized ? crypto.createHash("sha256").update(normalized).digest("hex") : null;
+}
+
+// Export the hashing functions for use in other modules.
+module.exports = {
+    hashBody,
+    hashFile,
+    normalizeBody,
+};
@@ -0,0 +1,192 @@
+/**
+ * @file Detects the real type of a file from its first bytes ("magic bytes"), and matches files against the
+ * allow- and deny-lists of attachment types. The declared Content-Type of an attachment is chosen by its
+ * sender and is never trusted for these checks.
+ * @module utils/fileType
+ * @requires path
+ */
+
+const path = require("path");
+
+/**
+ * A file type recognized by its content.
+ *
+ * @typedef {object} FileType
+ * @property {string} extension - The usual extension, without the dot (e.g., "pdf").
+ * @property {string} contentType - The MIME type.
+ */
+
+/**
+ * Checks whether a buffer contains the given bytes at an offset.
+ *
+ * @param {Buffer} head - The first bytes of the file.
+ * @param {number[]|string} bytes - The bytes to look for; strings are compared as latin1.
+ * @param {number} [offset=0] - Where the bytes are expected.
+ * @returns {boolean} `true` if the bytes are there.
+ */
+function startsWith(head, bytes, offset = 0) {
+    const expected = typeof bytes === "string" ? Buffer.from(bytes, "latin1") : Buffer.from(bytes);
+    return head.length >= offset + expected.length && head.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Tells the Office Open XML formats (Word, Excel, PowerPoint) apart from other ZIP archives by the entry names
+ * in the archive's first local headers. Documents containing a `vbaProject.bin` entry carry macros.
+ *
+ * @param {Buffer} head - The first bytes of the archive.
+ * @returns {FileType} The document type, or plain ZIP.
+ */
+function detectZipType(head) {
+    const names = head.toString("latin1");
+    const hasMacros = names.includes("vbaProject.bin");
+    const documents = [
+        { folder: "word/", plain: "docx", macro: "docm", contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+        { folder: "xl/", plain: "xlsx", macro: "xlsm", contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+        { folder: "ppt/", plain: "pptx", macro: "pptm", contentType: "application/vnd.openxmlformats-officedocument.presentationml.presentation" },
+    ];
+    for (const document of documents) {
+        if (names.includes(document.folder)) {
+            return hasMacros
+                ? { extension: document.macro, contentType: "application/vnd.ms-office.macroEnabled" }
+                : { extension: document.plain, contentType: document.contentType };
+        }
+    }
+    return { extension: "zip", contentType: "application/zip" };
+}
+
+/**
+ * Signatures of the file types that can be recognized, checked in order.
+ * @type {{test: function(Buffer): boolean, type: FileType|function(Buffer): FileType}[]}
+ */
+const SIGNATURES = [
+    { test: (head) => startsWith(head, "%PDF-"), type: { extension: "pdf", contentType: "application/pdf" } },
+    { test: (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), type: { extension: "png", contentType: "image/png" } },
+    { test: (head) => startsWith(head, [0xff, 0xd8, 0xff]), type: { extension: "jpg", contentType: "image/jpeg" } },
+    { test: (head) => startsWith(head, "GIF87a") || startsWith(head, "GIF89a"), type: { extension: "gif", contentType: "image/gif" } },
+    { test: (head) => startsWith(head, "BM") && head.length >= 14 && head.readUInt32LE(2) > 14, type: { extension: "bmp", contentType: "image/bmp" } },
+    { test: (head) => startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]), type: { extension: "tiff", contentType: "image/tiff" } },
+    { test: (head) => startsWith(head, "RIFF") && startsWith(head, "WEBP", 8), type: { extension: "webp", contentType: "image/webp" } },
+    { test: (head) => startsWith(head, "RIFF") && startsWith(head, "WAVE", 8), type: { extension: "wav", contentType: "audio/wav" } },
+    { test: (head) => startsWith(head, "ftyp", 4) && /^(heic|heix|hevc|mif1|msf1)$/.test(head.toString("latin1", 8, 12)), type: { extension: "heic", contentType: "image/heic" } },
+    { test: (head) => startsWith(head, "ftyp", 4), type: { extension: "mp4", contentType: "video/mp4" } },
+    { test: (head) => startsWith(head, "ID3") || startsWith(head, [0xff, 0xfb]), type: { extension: "mp3", contentType: "audio/mpeg" } },
+    { test: (head) => startsWith(head, "OggS"), type: { extension: "ogg", contentType: "audio/ogg" } },
+    { test: (head) => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]), type: detectZipType },
+    { test: (head) => startsWith(head, "Rar!\x1a\x07"), type: { extension: "rar", contentType: "application/vnd.rar" } },
+    { test: (head) => startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), type: { extension: "7z", contentType: "application/x-7z-compressed" } },
+    { test: (head) => startsWith(head, [0x1f, 0x8b]), type: { extension: "gz", contentType: "application/gzip" } },
+    { test: (head) => startsWith(head, "CD001", 0x8001), type: { extension: "iso", contentType: "application/x-iso9660-image" } },
+    // Legacy Office documents (doc, xls, ppt) and Windows installers share the OLE2 container format.
+    { test: (head) => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), type: { extension: "ole", contentType: "application/x-ole-storage" } },
+    { test: (head) => startsWith(head, "MZ"), type: { extension: "exe", contentType: "application/x-msdownload" } },
+    { test: (head) => startsWith(head, [0x7f, 0x45, 0x4c, 0x46]), type: { extension: "elf", contentType: "application/x-executable" } },
+    {
+        test: (head) => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+            .some((magic) => startsWith(head, magic)),
+        type: { extension: "macho", contentType: "application/x-mach-binary" },
+    },
+    { test: (head) => startsWith(head, "#!"), type: { extension: "sh", contentType: "text/x-shellscript" } },
+];
+
+/**
+ * Container formats shared by several file types, and the extensions a file of that container may carry.
+ * A file named with one of them is taken to be that type (e.g., a Word 97 document is an OLE2 file named ".doc").
+ * @type {Object<string, string[]>}
+ */
+const CONTAINER_EXTENSIONS = {
+    ole: ["doc", "dot", "xls", "xlt", "ppt", "pps", "msi", "msg"],
+    mp4: ["m4a", "m4v", "mov", "3gp"],
+    zip: ["jar", "apk", "odt", "ods", "odp", "epub"],
+};
+
+/** @type {Object<string, string>} Alternative spellings of extensions, mapped to the one used by `detectFileType`. */
+const EXTENSION_ALIASES = { jpeg: "jpg", jpe: "jpg", tif: "tiff", heif: "heic", htm: "html" };
+
+/**
+ * Detects the type of a file from its first bytes.
+ *
+ * @param {Buffer} head - The first bytes of the file (a few kilobytes are enough; Office documents are
+ *   recognized more reliably with more).
+ * @returns {FileType|null} The detected type, or `null` for content without a known signature, such as plain text.
+ */
+function detectFileType(head) {
+    if (!head || head.length === 0) return null;
+    const signature = SIGNATURES.find(({ test }) => test(head));
+    if (!signature) return null;
+    return typeof signature.type === "function" ? signature.type(head) : signature.type;
+}
+
+/**
+ * Splits a comma-separated list of file types into lower-cased entries, without leading dots.
+ *
+ * @param {string} list - The list, e.g. "pdf, .docx, image/*".
+ * @returns {string[]} The entries.
+ */
+function parseTypeList(list) {
+    return (list || "")
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase().replace(/^\./, ""))
+        .filter(Boolean)
+        .map((entry) => EXTENSION_ALIASES[entry] || entry);
+}
+
+/**
+ * Checks whether one of a file's types is in a list. Entries containing a slash are MIME types and may end
+ * in `/*`; all others are extensions.
+ *
+ * @param {string[]} entries - The parsed list.
+ * @param {{extensions: string[], contentTypes: string[]}} types - The file's extensions and MIME types.
+ * @returns {string|null} The matching entry, or `null`.
+ */
+function findListed(entries, { extensions, contentTypes }) {
+    return entries.find((entry) => {
+        if (!entry.includes("/")) return extensions.includes(entry);
+        if (entry.endsWith("/*")) return contentTypes.some((type) => type.startsWith(entry.slice(0, -1)));
+        return contentTypes.includes(entry);
+    }) || null;
+}
+
+/**
+ * Checks a file against the allow- and deny-lists.
+ *
+ * A file is denied if its name's extension or its detected type is on the deny-list, so neither renaming an
+ * executable nor a misleading name lets it through. If there is an allow-list, the detected type must be on
+ * it; files without a recognizable signature (text, CSV, ...) are judged by their extension instead.
+ *
+ * @param {string} filename - The (sanitized) file name.
+ * @param {FileType|null} detected - The type detected from the file's content.
+ * @param {{allow: string, deny: string}} lists - The comma-separated allow- and deny-lists.
+ * @returns {string|null} Why the file is blocked, or `null` if it may be sent.
+ */
+function checkFileType(filename, detected, { allow, deny }) {
+    const extension = path.extname(filename || "").slice(1).toLowerCase();
+    const nameExtension = EXTENSION_ALIASES[extension] || extension;
+    if (detected && (CONTAINER_EXTENSIONS[detected.extension] || []).includes(nameExtension)) {
+        detected = { ...detected, extension: nameExtension };
+    }
+
+    const denied = findListed(parseTypeList(deny), {
+        extensions: [nameExtension, detected?.extension].filter(Boolean),
+        contentTypes: detected ? [detected.contentType] : [],
+    });
+    if (denied) {
+        return `Blocked file type (${denied})`;
+    }
+
+    const allowed = parseTypeList(allow);
+    if (allowed.length === 0) return null;
+    const actual = detected
+        ? { extensions: [detected.extension], contentTypes: [detected.contentType] }
+        : { extensions: [nameExtension].filter(Boolean), contentTypes: [] };
+    if (!findListed(allowed, actual)) {
+        return `File type not allowed (${detected ? detected.extension : nameExtension || "unknown"})`;
+    }
+    return null;
+}
+
+// Export the file type functions for use in other modules.
+module.exports = {
+    checkFileType,
+    detectFileType,
+    parseTypeList,
+};
@@ -0,0 +1,485 @@
+/**
+ * @file Compiles filter expressions that decide which emails are forwarded, and evaluates them on the
+ * IMAP server (as far as IMAP SEARCH can express them) and on the parsed email.
+ * @module utils/filter
+ * @requires ./router
+ */
+
+const { anyAddress } = require("./router");
+
+/**
+ * A filter expression, as written in the config or accounts file. Every key of an object must match (AND);
+ * a list of values matches if any value matches.
+ *
+ * Conditions: `from`, `to` (To or Cc), `cc` (addresses, `*` wildcards), `subject` (keywords),
+ * `subjectMatches` (regular expressions), `hasAttachment` (boolean), `larger` / `smaller` (bytes or "5MB"),
+ * `since` / `before` (a date such as "2024-01-31", or a relative age such as "7d"), `label` (Gmail labels or
+ * the mailbox), `gmailRaw` (Gmail search syntax, server only) and `header` (`{ name, contains, matches }`).
+ *
+ * Composition: `all` (list, AND), `any` (list, OR), `not` (expression) and `exclude` (expression or list;
+ * none may match).
+ *
+ * @typedef {object} FilterExpression
+ */
+
+/**
+ * The facts about an email that filters are evaluated on.
+ *
+ * @typedef {object} FilterContext
+ * @property {string[]} from - The lower-cased sender addresses.
+ * @property {string[]} to - The lower-cased To addresses.
+ * @property {string[]} cc - The lower-cased Cc addresses.
+ * @property {string} subject - The subject.
+ * @property {Date|null} date - When the email was received (the IMAP internal date, or the Date header).
+ * @property {number|null} size - The size of the raw message in bytes.
+ * @property {boolean} hasAttachment - Whether the email has attachments (inline images do not count).
+ * @property {string[]} labels - The lower-cased Gmail labels and the mailbox name.
+ * @property {Map<string, string[]>} headers - The raw header values, by lower-cased header name.
+ */
+
+/**
+ * A compiled filter.
+ *
+ * @typedef {object} CompiledFilter
+ * @property {function(FilterContext, Date=): boolean} matches - Evaluates the filter on an email.
+ * @property {function({gmail: boolean, now: Date}=): Array} imapCriteria - Builds node-imap search criteria that
+ *   find at least every matching email. An empty list means the server cannot narrow the search down.
+ * @property {boolean} serverOnly - Whether the filter uses conditions only an IMAP server can evaluate (`gmailRaw`).
+ */
+
+/** @type {Object<string, number>} Size units, in bytes. */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/** @type {Object<string, number>} Duration units, in milliseconds. */
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/** @type {number} One day in milliseconds. */
+const DAY_MS = DURATION_UNITS.d;
+
+/** @type {Object<string, string>} Gmail's system labels by lower-cased name, as X-GM-LABELS searches for them. */
+const GMAIL_SYSTEM_LABELS = {
+    inbox: "\\Inbox",
+    sent: "\\Sent",
+    important: "\\Important",
+    starred: "\\Starred",
+    draft: "\\Draft",
+    spam: "\\Spam",
+    trash: "\\Trash",
+};
+
+/**
+ * Turns a label from a filter into the form X-GM-LABELS searches for: system labels such as "important"
+ * need their backslash ("\\Important"), user labels are searched as written.
+ *
+ * @param {string} label - The label, with or without a leading backslash.
+ * @returns {string} The label to search for.
+ */
+function toGmailLabel(label) {
+    const name = label.replace(/^\\/, "");
+    return GMAIL_SYSTEM_LABELS[name.toLowerCase()] || name;
+}
+
+/**
+ * Normalizes a condition value into an array.
+ *
+ * @param {*} value - A single value or a list of values.
+ * @returns {Array} The list.
+ */
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parses a size such as 1048576, "500KB" or "5MB".
+ *
+ * @param {number|string} value - The size.
+ * @returns {number|null} The size in bytes, or `null` if the value is not a size.
+ */
+function parseSize(value) {
+    if (Number.isInteger(value) && value >= 0) return value;
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+/**
+ * Parses a point in time: a date ("2024-01-31", "2024-01-31T08:00:00Z") or an age relative to now ("7d", "12h").
+ *
+ * @param {string|Date} value - The point in time.
+ * @returns {function(Date): Date|null} Resolves the point in time for a given "now", or `null` if the value is invalid.
+ */
+function parsePointInTime(value) {
+    const relative = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+    if (relative) {
+        const ageMs = parseInt(relative[1], 10) * DURATION_UNITS[relative[2].toLowerCase()];
+        return (now) => new Date(now.getTime() - ageMs);
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : () => date;
+}
+
+/**
+ * Compiles a list of strings, rejecting anything else.
+ *
+ * @param {*} value - The condition value.
+ * @param {string} keyPath - The path of the condition, for error messages.
+ * @returns {string[]} The non-empty strings.
+ * @throws {Error} If the value is not a string or a list of strings.
+ */
+function compileStrings(value, keyPath) {
+    const values = toArray(value);
+    if (values.length === 0 || values.some((item) => typeof item !== "string" || item.trim() === "")) {
+        throw new Error(`${keyPath}: expected a non-empty string or a list of strings`);
+    }
+    return values.map((item) => item.trim());
+}
+
+/**
+ * Compiles a single condition into a filter node.
+ *
+ * @param {string} key - The condition name.
+ * @param {*} value - The condition value.
+ * @param {string} keyPath - The path of the condition, for error messages.
+ * @param {boolean} inAndChain - Whether every enclosing node is an AND.
+ * @returns {object} The filter node.
+ * @throws {Error} If the condition is unknown or its value is invalid.
+ */
+function compileCondition(key, value, keyPath, inAndChain) {
+    switch (key) {
+        case "all":
+        case "any": {
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Error(`${keyPath}: expected a non-empty list of filter expressions`);
+            }
+            const type = key === "all" ? "and" : "or";
+            const children = value.map((child, index) =>
+                compileNode(child, `${keyPath}[${index}]`, inAndChain && type === "and"),
+            );
+            return { type, children };
+        }
+        case "not":
+            return { type: "not", child: compileNode(value, keyPath, false) };
+        case "exclude": {
+            const excluded = toArray(value).map((child, index) =>
+                compileNode(child, Array.isArray(value) ? `${keyPath}[${index}]` : keyPath, false),
+            );
+            return { type: "not", child: excluded.length === 1 ? excluded[0] : { type: "or", children: excluded } };
+        }
+        case "from":
+        case "to":
+        case "cc":
+            return { type: key, patterns: compileStrings(value, keyPath).map((pattern) => pattern.toLowerCase()) };
+        case "subject":
+            return { type: "subject", keywords: compileStrings(value, keyPath) };
+        case "subjectMatches":
+            return {
+                type: "subjectMatches",
+                regexes: compileStrings(value, keyPath).map((source) => {
+                    try {
+                        return new RegExp(source, "i");
+                    } catch (error) {
+                        throw new Error(`${keyPath}: invalid regular expression "${source}": ${error.message}`);
+                    }
+                }),
+            };
+        case "hasAttachment":
+            if (typeof value !== "boolean") {
+                throw new Error(`${keyPath}: expected true or false`);
+            }
+            return { type: "hasAttachment", value };
+        case "larger":
+        case "smaller": {
+            const bytes = parseSize(value);
+            if (bytes === null) {
+                throw new Error(`${keyPath}: expected a size in bytes or such as "500KB" or "5MB", got ${JSON.stringify(value)}`);
+            }
+            return { type: key, bytes };
+        }
+        case "since":
+        case "before": {
+            const resolve = parsePointInTime(value);
+            if (!resolve) {
+                throw new Error(`${keyPath}: expected a date such as "2024-01-31" or an age such as "7d", got ${JSON.stringify(value)}`);
+            }
+            return { type: key, resolve };
+        }
+        case "label":
+            return { type: "label", labels: compileStrings(value, keyPath) };
+        case "gmailRaw":
+            if (typeof value !== "string" || value.trim() === "") {
+                throw new Error(`${keyPath}: expected a Gmail search query`);
+            }
+            // Only the server can evaluate Gmail's search syntax, so it must apply to every matching email.
+            if (!inAndChain) {
+                throw new Error(`${keyPath}: gmailRaw cannot be used inside "any", "not" or "exclude"`);
+            }
+            return { type: "gmailRaw", query: value.trim() };
+        case "header": {
+            const headers = toArray(value);
+            const nodes = headers.map((header, index) => {
+                const headerPath = Array.isArray(value) ? `${keyPath}[${index}]` : keyPath;
+                if (!header || typeof header.name !== "string" || header.name.trim() === "") {
+                    throw new Error(`${headerPath}: expected an object with a header "name"`);
+                }
+                let regex = null;
+                if (header.matches !== undefined) {
+                    try {
+                        regex = new RegExp(header.matches, "i");
+                    } catch (error) {
+                        throw new Error(`${headerPath}.matches: invalid regular expression: ${error.message}`);
+                    }
+                }
+                return {
+                    type: "header",
+                    name: header.name.trim().toLowerCase(),
+                    contains: header.contains === undefined ? null : String(header.contains),
+                    regex,
+                };
+            });
+            // Several headers must all match, like the conditions of an object.
+            return nodes.length === 1 ? nodes[0] : { type: "and", children: nodes };
+        }
+        default:
+            throw new Error(`${keyPath}: unknown filter condition "${key}"`);
+    }
+}
+
+/**
+ * Compiles an expression object: each of its keys is a condition, and all of them must match.
+ *
+ * @param {FilterExpression} expression - The expression.
+ * @param {string} keyPath - The path of the expression, for error messages.
+ * @param {boolean} inAndChain - Whether every enclosing node is an AND.
+ * @returns {object} The filter node.
+ * @throws {Error} If the expression is invalid.
+ */
+function compileNode(expression, keyPath, inAndChain) {
+    if (!expression || typeof expression !== "object" || Array.isArray(expression)) {
+        throw new Error(`${keyPath}: expected a filter expression object`);
+    }
+    const keys = Object.keys(expression);
+    if (keys.length === 0) {
+        throw new Error(`${keyPath}: expected at least one condition`);
+    }
+    const children = keys.map((key) => compileCondition(key, expression[key], `${keyPath}.${key}`, inAndChain));
+    return children.length === 1 ? children[0] : { type: "and", children };
+}
+
+/**
+ * Evaluates a filter node on an email.
+ *
+ * @param {object} node - The filter node.
+ * @param {FilterContext} context - The email.
+ * @param {Date} now - The current time, for relative dates.
+ * @returns {boolean} `true` if the email matches.
+ */
+function evaluate(node, context, now) {
+    switch (node.type) {
+        case "and":
+            return node.children.every((child) => evaluate(child, context, now));
+        case "or":
+            return node.children.some((child) => evaluate(child, context, now));
+        case "not":
+            return !evaluate(node.child, context, now);
+        case "from":
+            return anyAddress(node.patterns, context.from);
+        case "to":
+            return anyAddress(node.patterns, [...context.to, ...context.cc]);
+        case "cc":
+            return anyAddress(node.patterns, context.cc);
+        case "subject":
+            return node.keywords.some((keyword) => context.subject.toLowerCase().includes(keyword.toLowerCase()));
+        case "subjectMatches":
+            return node.regexes.some((regex) => regex.test(context.subject));
+        case "hasAttachment":
+            return context.hasAttachment === node.value;
+        case "larger":
+            return context.size !== null && context.size > node.bytes;
+        case "smaller":
+            return context.size !== null && context.size < node.bytes;
+        case "since":
+            return context.date !== null && context.date >= node.resolve(now);
+        case "before":
+            return context.date !== null && context.date < node.resolve(now);
+        case "label":
+            return node.labels.some((label) => context.labels.includes(label.replace(/^\\/, "").toLowerCase()));
+        case "gmailRaw":
+            // Evaluated by the server; compileFilter makes sure the search always includes it.
+            return true;
+        case "header": {
+            const values = context.headers.get(node.name) || [];
+            if (node.contains === null && !node.regex) return values.length > 0;
+            return values.some((value) =>
+                (node.contains === null || value.toLowerCase().includes(node.contains.toLowerCase()))
+                && (!node.regex || node.regex.test(value)),
+            );
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Combines IMAP search criteria with OR. node-imap only accepts exactly two single criteria per OR.
+ *
+ * @param {Array[]} criteria - The single criteria.
+ * @returns {Array} The combined criterion.
+ */
+function orCriteria(criteria) {
+    return criteria.reduceRight((combined, criterion) => (combined ? ["OR", criterion, combined] : criterion), null);
+}
+
+/**
+ * Translates a filter node into IMAP search criteria that find at least every matching email.
+ * Parts IMAP cannot express are left out, making the search broader; the client evaluates the full filter anyway.
+ *
+ * @param {object} node - The filter node.
+ * @param {{gmail: boolean, now: Date}} options - Whether Gmail extensions are available, and the current time.
+ * @returns {{criteria: Array[], exact: boolean}} The criteria (all must match; empty for "everything") and
+ *   whether they match exactly the emails the node matches, which is required to negate them.
+ */
+function toImap(node, options) {
+    const broad = { criteria: [], exact: false };
+    // Address conditions become substring searches on the longest literal part of each pattern.
+    const addressSearch = (field, patterns) => {
+        const literals = patterns.map((pattern) =>
+            pattern.split("*").reduce((longest, part) => (part.length > longest.length ? part : longest), ""),
+        );
+        if (literals.some((literal) => literal === "")) return broad;
+        return { criteria: [orCriteria(literals.map((literal) => [field, literal]))], exact: false };
+    };
+
+    switch (node.type) {
+        case "and": {
+            const parts = node.children.map((child) => toImap(child, options));
+            return { criteria: parts.flatMap((part) => part.criteria), exact: parts.every((part) => part.exact) };
+        }
+        case "or": {
+            const parts = node.children.map((child) => toImap(child, options));
+            if (parts.some((part) => part.criteria.length === 0)) return broad;
+            // An OR can only combine single criteria; an AND inside it is narrowed down to its first criterion.
+            return {
+                criteria: [orCriteria(parts.map((part) => part.criteria[0]))],
+                exact: parts.every((part) => part.exact && part.criteria.length === 1),
+            };
+        }
+        case "not": {
+            const inner = toImap(node.child, options);
+            const [criterion] = inner.criteria;
+            if (!inner.exact || inner.criteria.length !== 1 || criterion[0] === "OR") return broad;
+            return { criteria: [[`!${criterion[0]}`, ...criterion.slice(1)]], exact: true };
+        }
+        case "from":
+            return addressSearch("FROM", node.patterns);
+        case "cc":
+            return addressSearch("CC", node.patterns);
+        case "to": {
+            const to = addressSearch("TO", node.patterns);
+            const cc = addressSearch("CC", node.patterns);
+            if (to.criteria.length === 0) return broad;
+            return { criteria: [["OR", to.criteria[0], cc.criteria[0]]], exact: false };
+        }
+        case "subject":
+            return { criteria: [orCriteria(node.keywords.map((keyword) => ["SUBJECT", keyword]))], exact: false };
+        case "larger":
+            return { criteria: [["LARGER", node.bytes]], exact: true };
+        case "smaller":
+            return { criteria: [["SMALLER", node.bytes]], exact: true };
+        // IMAP compares whole days in the server's time zone; search a day wider and let the client check the exact time.
+        case "since":
+            return { criteria: [["SINCE", new Date(node.resolve(options.now).getTime() - DAY_MS)]], exact: false };
+        case "before":
+            return { criteria: [["BEFORE", new Date(node.resolve(options.now).getTime() + 2 * DAY_MS)]], exact: false };
+        case "hasAttachment":
+            if (!options.gmail || !node.value) return broad;
+            return { criteria: [["X-GM-RAW", "has:attachment"]], exact: false };
+        case "label": {
+            if (!options.gmail) return broad;
+            const labels = node.labels.map((label) => ["X-GM-LABELS", toGmailLabel(label)]);
+            return { criteria: [orCriteria(labels)], exact: false };
+        }
+        case "gmailRaw":
+            return { criteria: [["X-GM-RAW", node.query]], exact: true };
+        case "header":
+            if (node.regex) return broad;
+            return { criteria: [["HEADER", node.name, node.contains || ""]], exact: false };
+        default:
+            return broad;
+    }
+}
+
+/**
+ * Checks whether a filter node contains a condition only the server can evaluate.
+ *
+ * @param {object} node - The filter node.
+ * @returns {boolean} `true` if the node uses `gmailRaw`.
+ */
+function usesServerOnly(node) {
+    if (node.type === "gmailRaw") return true;
+    if (node.children) return node.children.some(usesServerOnly);
+    if (node.child) return usesServerOnly(node.child);
+    return false;
+}
+
+/**
+ * Compiles a filter expression.
+ *
+ * @param {FilterExpression} expression - The expression.
+ * @param {string} [keyPath="filter"] - The path of the expression, for error messages.
+ * @returns {CompiledFilter} The compiled filter.
+ * @throws {Error} If the expression is invalid; the message names the offending key path.
+ */
+function compileFilter(expression, keyPath = "filter") {
+    const root = compileNode(expression, keyPath, true);
+    return {
+        matches: (context, now = new Date()) => evaluate(root, context, now),
+        imapCriteria: ({ gmail = false, now = new Date() } = {}) => toImap(root, { gmail, now }).criteria,
+        serverOnly: usesServerOnly(root),
+    };
+}
+
+/**
+ * Collects the facts filters are evaluated on from a parsed email.
+ *
+ * @param {object} email - The parsed email object from `simpleParser`.
+ * @param {object} [meta] - Facts that are not part of the message.
+ * @param {number} [meta.size] - The size of the raw message in bytes.
+ * @param {Date} [meta.receivedAt] - When the email was received (e.g., the IMAP internal date).
+ * @param {string} [meta.mailbox] - The mailbox or folder name.
+ * @param {string[]} [meta.labels] - Gmail labels.
+ * @returns {FilterContext} The filter context.
+ */
+function buildFilterContext(email, meta = {}) {
+    const addressesOf = (field) =>
+        toArray(field || [])
+            .flatMap((entry) => entry?.value || [])
+            .map((entry) => (entry.address || "").toLowerCase())
+            .filter(Boolean);
+
+    const headers = new Map();
+    for (const { key, line } of email.headerLines || []) {
+        const value = line.slice(line.indexOf(":") + 1).trim();
+        headers.set(key.toLowerCase(), [...(headers.get(key.toLowerCase()) || []), value]);
+    }
+
+    return {
+        from: addressesOf(email.from),
+        to: addressesOf(email.to),
+        cc: addressesOf(email.cc),
+        subject: email.subject || "",
+        date: meta.receivedAt || email.date || null,
+        size: meta.size ?? null,
+        hasAttachment: (email.attachments || []).some((attachment) => !attachment.related),
+        labels: [meta.mailbox, ...(meta.labels || [])]
+            .filter(Boolean)
+            .map((label) => String(label).replace(/^\\/, "").toLowerCase()),
+        headers,
+    };
+}
+
+// Export the filter functions for use in other modules.
+module.exports = {
+    buildFilterContext,
+    compileFilter,
+    parseSize,
+};
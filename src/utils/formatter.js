@@ -1,12 +1,15 @@
 /**
- * @file Provides utility functions for formatting data, such as stripping HTML and formatting file sizes.
+ * @file Provides utility functions for formatting data, such as converting HTML and formatting file sizes.
  * @module utils/formatter
+ * @requires ./htmlConverter
  */
 
+const { convertHtml } = require("./htmlConverter");
+
 /**
  * Strips all HTML tags from a string to extract plain text content.
- * This function is designed to handle various HTML elements, including scripts, styles,
- * and common block-level tags, to produce a clean, readable text version of the HTML input.
+ * Scripts, styles and other invisible elements are removed, block-level elements start a new line,
+ * lists keep their bullets and numbers, links keep their URL and all HTML entities are decoded.
  *
  * @param {string} html - The HTML content string to be sanitized. Can be an empty string or null/undefined.
  * @returns {string} The extracted plain text. Returns an empty string if the input is falsy.
@@ -15,31 +18,21 @@ function stripHtml(html) {
     // Return an empty string immediately if the input is null, undefined, or empty.
     if (!html) return "";
 
-    let text = html;
-    // 1. Remove script and style blocks completely
-    text = text.replace(/<style[^>]*>.*<\/style>/gms, "");
-    text = text.replace(/<script[^>]*>.*<\/script>/gms, "");
-
-    // 2. Replace common block-level tags with a newline
-    text = text.replace(/<\/(h[1-6]|p|div|li|blockquote|pre)>/gi, "\n");
-    text = text.replace(/<(br|hr)[\s\/]*>/gi, "\n");
-
-    // 3. Remove any remaining HTML tags
-    text = text.replace(/<[^>]+>/g, "");
-
-    // 4. Decode common HTML entities
-    text = text
-        .replace(/&nbsp;/g, " ")
-        .replace(/&amp;/g, "&")
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'");
-
-    // 5. Clean up whitespace
-    text = text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n/g, "\n").trim();
+    // Plain text keeps no empty lines between blocks.
+    return convertHtml(html, { markup: false }).replace(/\n\s*\n/g, "\n");
+}
 
-    return text;
+/**
+ * Converts HTML into WhatsApp-formatted text: bold, italic and strikethrough become `*`, `_` and `~`,
+ * code becomes monospace, lists become bullets or numbers, quotations become "> " lines, tables of data
+ * are aligned, and links are shown as "text (url)".
+ *
+ * @param {string} html - The HTML content. Can be an empty string or null/undefined.
+ * @returns {string} The WhatsApp-formatted text. Returns an empty string if the input is falsy.
+ */
+function htmlToWhatsApp(html) {
+    if (!html) return "";
+    return convertHtml(html, { markup: true });
 }
 
 /**
@@ -53,9 +46,9 @@ function formatImagePlaceholders(text) {
     // Return an empty string immediately if the input is null, undefined, or empty.
     if (!text) return "";
 
-    // Replace [image: ...] with a formatted string
+    // Put each [image: ...] placeholder on its own monospace block, pointing at the image sent after the text.
     text = text.replace(/[\[]image:.*?\]/g, (match) => {
-        return "```" + match + "```";
+        return "```\n" + match + " => Lihat di attachment\n```";
     });
 
     return text;
@@ -95,6 +88,7 @@ function formatFileSize(bytes) {
 // Export the utility functions for use in other modules.
 module.exports = {
     stripHtml,
+    htmlToWhatsApp,
     formatImagePlaceholders,
     formatFileSize,
 };
\ No newline at end of file
@@ -1,8 +1,11 @@
 /**
  * @file Provides generic helper functions for use across the application.
  * @module utils/helpers
+ * @requires crypto
  */
 
+const crypto = require("crypto");
+
 /**
  * Creates a delay for a specified number of milliseconds.
  * This is an async function that can be awaited, useful for implementing rate limiting
@@ -19,7 +22,140 @@ function delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Calculates an exponential backoff delay with jitter for a retry attempt.
+ * The delay doubles with each attempt up to `maxMs`; a random jitter of up to half the delay
+ * is subtracted so that many failing items do not retry at exactly the same moment.
+ *
+ * @param {number} attempt - The number of attempts made so far (1 for the first retry).
+ * @param {object} [options] - Backoff settings.
+ * @param {number} [options.baseMs=30000] - The delay before the first retry.
+ * @param {number} [options.maxMs=3600000] - The upper limit for the delay.
+ * @param {function(): number} [options.random=Math.random] - The random source, replaceable in tests.
+ * @returns {number} The delay in milliseconds.
+ * @example
+ * // Roughly 60-120 seconds before the third attempt
+ * const wait = computeBackoff(2, { baseMs: 30000 });
+ */
+function computeBackoff(attempt, { baseMs = 30000, maxMs = 3600000, random = Math.random } = {}) {
+    const exponential = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(exponential / 2 + (random() * exponential) / 2);
+}
+
+/**
+ * Parses the value of an HTTP `Retry-After` header.
+ *
+ * @param {string|number|undefined} value - Either a number of seconds or an HTTP date.
+ * @param {number} [now=Date.now()] - The current time, used for HTTP dates.
+ * @returns {number|null} The delay in milliseconds, or `null` if the header is missing or invalid.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Walks an error and its `cause` chain, returning the first HTTP response found.
+ *
+ * @param {Error} error - The error to inspect.
+ * @returns {object|null} The Axios response object, if any.
+ */
+function findResponse(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.response) return current.response;
+    }
+    return null;
+}
+
+/**
+ * Determines whether an error from an HTTP call is worth retrying later.
+ * Rate limiting (429), server errors (5xx) and network errors without a response are transient;
+ * other client errors (e.g., 400 or 401) are not.
+ *
+ * @param {Error} error - The error to classify, possibly wrapping the original error as its `cause`.
+ * @returns {boolean} `true` if the request may succeed when retried.
+ */
+function isTransientError(error) {
+    const response = findResponse(error);
+    if (response) {
+        return response.status === 429 || response.status >= 500;
+    }
+
+    // Without a response, look for Axios/network errors (or an active rate limit) anywhere in the chain.
+    const networkCodes = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "EPIPE", "ERR_NETWORK", "ERR_RATE_LIMITED"];
+    for (let current = error; current; current = current.cause) {
+        if (current.isAxiosError || networkCodes.includes(current.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Extracts the delay requested by the server from an HTTP error, either through a `Retry-After`
+ * header or a `retryAfterMs` property set by the rate limiter.
+ *
+ * @param {Error} error - The error to inspect, possibly wrapping the original error as its `cause`.
+ * @returns {number|null} The requested delay in milliseconds, or `null` if there is none.
+ */
+function getRetryAfterMs(error) {
+    for (let current = error; current; current = current.cause) {
+        if (typeof current.retryAfterMs === "number") return current.retryAfterMs;
+    }
+    const response = findResponse(error);
+    return parseRetryAfter(response?.headers?.["retry-after"]);
+}
+
+/**
+ * Formats a duration for humans, with its two largest units (e.g., "2h 5m").
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 1) return "less than a minute";
+    const parts = [
+        [Math.floor(minutes / 1440), "d"],
+        [Math.floor(minutes / 60) % 24, "h"],
+        [minutes % 60, "m"],
+    ];
+    const first = parts.findIndex(([amount]) => amount > 0);
+    return parts
+        .slice(first, first + 2)
+        .filter(([amount]) => amount > 0)
+        .map(([amount, unit]) => `${amount}${unit}`)
+        .join(" ");
+}
+
+/**
+ * Compares a request's Authorization header with a configured token in constant time, so that
+ * the token cannot be guessed from how long the comparison takes.
+ *
+ * @param {string|undefined} header - The Authorization header.
+ * @param {string} token - The configured token.
+ * @returns {boolean} `true` if the header carries the token as a Bearer token.
+ */
+function hasToken(header, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(header || "");
+    return Boolean(token) && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 // Export the helper functions for use in other modules.
 module.exports = {
     delay,
+    computeBackoff,
+    parseRetryAfter,
+    isTransientError,
+    getRetryAfterMs,
+    formatDuration,
+    hasToken,
 };
\ No newline at end of file
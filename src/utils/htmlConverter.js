@@ -0,0 +1,399 @@
+/**
+ * @file Converts the HTML body of an email into WhatsApp-formatted or plain text.
+ * @module utils/htmlConverter
+ * @requires htmlparser2
+ */
+
+const { parseDocument } = require("htmlparser2");
+
+/**
+ * A space that survives the whitespace cleanup, used for indentation, code and table padding.
+ * It is replaced by a normal space once the text is complete.
+ * @type {string}
+ */
+const KEPT_SPACE = "\uE000";
+
+/** @type {Set<string>} Elements whose content is never shown. */
+const HIDDEN_TAGS = new Set(["head", "title", "style", "script", "noscript", "template", "svg", "iframe", "object"]);
+
+/** @type {Set<string>} Block elements separated from their surroundings by an empty line. */
+const PARAGRAPH_TAGS = new Set(["p", "dl", "figure", "address", "center"]);
+
+/** @type {Set<string>} Block elements separated from their surroundings by a line break. */
+const LINE_TAGS = new Set(["div", "section", "article", "header", "footer", "main", "nav", "aside", "figcaption", "form", "fieldset", "dt", "dd", "li", "tr", "td", "th", "caption"]);
+
+/** @type {Set<string>} Elements that make a table a layout table rather than a table of data. */
+const LAYOUT_TAGS = new Set(["table", "div", "ul", "ol", "blockquote", "pre", "img", "h1", "h2", "h3", "h4", "h5", "h6"]);
+
+/** @type {number} Cells longer than this hold running text, so their table is rendered as paragraphs. */
+const MAX_DATA_CELL_LENGTH = 60;
+
+/**
+ * The state passed down while rendering the document.
+ *
+ * @typedef {object} RenderContext
+ * @property {boolean} markup - Whether to add WhatsApp formatting (bold, italic, monospace...).
+ * @property {boolean} [pre] - Whether the text is inside a `<pre>` element, where whitespace is kept.
+ * @property {boolean} [code] - Whether the text is inside inline code.
+ * @property {boolean} [bold] - Whether the text is already bold.
+ * @property {boolean} [italic] - Whether the text is already italic.
+ * @property {boolean} [strike] - Whether the text is already struck through.
+ * @property {number} [listDepth] - The number of lists the text is nested in.
+ */
+
+/**
+ * Marks the end or start of a block that stands on its own line. Consecutive breaks are merged, so that
+ * nested and adjacent blocks are not separated by more than one empty line.
+ * @type {string}
+ */
+const LINE_BREAK = "\uE001";
+
+/**
+ * Marks the end or start of a block that is separated from its surroundings by an empty line.
+ * @type {string}
+ */
+const PARAGRAPH_BREAK = "\uE002";
+
+/**
+ * Resolves the block breaks into line breaks, removes the whitespace around line breaks, keeps at most one
+ * empty line in a row, and trims the text.
+ *
+ * @param {string} text - The rendered text.
+ * @returns {string} The tidied text.
+ */
+function tidy(text) {
+    return text
+        .replace(/\s*[\uE001\uE002][\s\uE001\uE002]*/g, (run) =>
+            run.includes(PARAGRAPH_BREAK) || run.split("\n").length > 2 ? "\n\n" : "\n")
+        .replace(/[ \t]*\n[ \t]*/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Surrounds the content of a block element with block breaks. A paragraph at the start or end of the
+ * content keeps its empty line, e.g. for a `<p>` inside a `<div>`.
+ *
+ * @param {string} content - The rendered content.
+ * @param {string} spacing - `LINE_BREAK` or `PARAGRAPH_BREAK`.
+ * @returns {string} The block, or an empty string if it has no content.
+ */
+function block(content, spacing) {
+    const trimmed = tidy(content);
+    if (!trimmed) return "";
+
+    const before = /^[\s\uE001]*\uE002/.test(content) ? PARAGRAPH_BREAK : spacing;
+    const after = /\uE002[\s\uE001]*$/.test(content) ? PARAGRAPH_BREAK : spacing;
+    return `${before}${trimmed}${after}`;
+}
+
+/**
+ * Puts a formatting marker around every line of a text. WhatsApp formatting does not span lines, and
+ * the markers must touch the text, so surrounding whitespace is kept outside them.
+ *
+ * @param {string} text - The text.
+ * @param {string} marker - The WhatsApp marker, e.g. "*" for bold.
+ * @returns {string} The formatted text.
+ */
+function emphasize(text, marker) {
+    return text
+        .split(/([\n\uE001\uE002])/)
+        .map((line, index) => {
+            // Odd indexes are the line breaks between the lines.
+            if (index % 2 === 1) return line;
+            const [, lead, inner, trail] = line.match(/^(\s*)(.*?)(\s*)$/);
+            return inner ? `${lead}${marker}${inner}${marker}${trail}` : line;
+        })
+        .join("");
+}
+
+/**
+ * Reduces a URL or link text to a form in which the two can be compared.
+ *
+ * @param {string} value - The URL or text.
+ * @returns {string} The comparable form.
+ */
+function comparableUrl(value) {
+    return value.toLowerCase().replace(/^(https?:\/\/|mailto:|tel:)/, "").replace(/^www\./, "").replace(/\/$/, "");
+}
+
+/**
+ * Renders a list of nodes.
+ *
+ * @param {object[]} nodes - The DOM nodes.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered text.
+ */
+function renderNodes(nodes, context) {
+    return nodes.map((node) => renderNode(node, context)).join("");
+}
+
+/**
+ * Renders a single node of the document.
+ *
+ * @param {object} node - The DOM node.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered text.
+ */
+function renderNode(node, context) {
+    switch (node.type) {
+        case "text":
+            if (context.pre) {
+                return node.data.replace(/\r\n?/g, "\n").replace(/[ \t]/g, KEPT_SPACE);
+            }
+            return node.data.replace(/\u00a0/g, " ").replace(/\s+/g, " ");
+        case "tag":
+            return renderElement(node, context);
+        case "cdata":
+            return renderNodes(node.children, context);
+        default:
+            // Comments, doctypes, scripts and styles.
+            return "";
+    }
+}
+
+/**
+ * Renders an element with inline formatting, unless the text already has that formatting.
+ *
+ * @param {object} element - The element.
+ * @param {RenderContext} context - The render state.
+ * @param {string} marker - The WhatsApp marker.
+ * @param {string} flag - The context flag that records the formatting.
+ * @returns {string} The rendered text.
+ */
+function renderFormatted(element, context, marker, flag) {
+    if (!context.markup || context.pre || context.code || context[flag]) {
+        return renderNodes(element.children, context);
+    }
+    return emphasize(renderNodes(element.children, { ...context, [flag]: true }), marker);
+}
+
+/**
+ * Renders a link as "text (url)", or just the text when it already shows the URL.
+ *
+ * @param {object} element - The `<a>` element.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered text.
+ */
+function renderLink(element, context) {
+    const text = renderNodes(element.children, context);
+    const href = (element.attribs.href || "").trim();
+    if (context.pre || context.code || !/^(https?:|mailto:|tel:)/i.test(href)) {
+        return text;
+    }
+
+    const url = href.replace(/^(mailto|tel):/i, "");
+    const [, lead, inner, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!inner) return `${lead}${url}${trail}`;
+    if (comparableUrl(inner) === comparableUrl(href)) return text;
+    return `${lead}${inner} (${url})${trail}`;
+}
+
+/**
+ * Renders a list as bullet points or numbered items. Nested lists are indented.
+ *
+ * @param {object} element - The `<ul>` or `<ol>` element.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered list.
+ */
+function renderList(element, context) {
+    const depth = context.listDepth || 0;
+    const ordered = element.name === "ol";
+    const start = Number.parseInt(element.attribs.start, 10);
+    let number = Number.isNaN(start) ? 1 : start;
+
+    const items = element.children
+        .filter((child) => child.type === "tag" && child.name === "li")
+        .map((item) => {
+            const content = tidy(renderNodes(item.children, { ...context, listDepth: depth + 1 })).replace(/\n+/g, "\n");
+            if (!content) return "";
+
+            const bullet = ordered ? `${number++}.` : depth % 2 === 0 ? "•" : "◦";
+            const indent = KEPT_SPACE.repeat(bullet.length + 1);
+            return content
+                .split("\n")
+                .map((line, index) => (index === 0 ? `${bullet} ${line}` : `${indent}${line}`))
+                .join("\n");
+        })
+        .filter(Boolean);
+
+    return block(items.join(LINE_BREAK), depth > 0 ? LINE_BREAK : PARAGRAPH_BREAK);
+}
+
+/**
+ * Renders a quotation with "> " in front of every line.
+ *
+ * @param {object} element - The `<blockquote>` element.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered quotation.
+ */
+function renderQuote(element, context) {
+    const content = tidy(renderNodes(element.children, context));
+    const quoted = content
+        .split("\n")
+        .map((line) => (line ? `>${KEPT_SPACE}${line}` : ">"))
+        .join("\n");
+    return block(content ? quoted : "", PARAGRAPH_BREAK);
+}
+
+/**
+ * Collects the rows of a table, including those in `<thead>`, `<tbody>` and `<tfoot>`, but not those of
+ * nested tables.
+ *
+ * @param {object} table - The `<table>` element.
+ * @returns {object[][]} The cell elements of each row.
+ */
+function collectRows(table) {
+    const rows = [];
+    const visit = (parent) => {
+        for (const child of parent.children) {
+            if (child.type !== "tag") continue;
+            if (["thead", "tbody", "tfoot"].includes(child.name)) {
+                visit(child);
+            } else if (child.name === "tr") {
+                rows.push(child.children.filter((cell) => cell.type === "tag" && ["td", "th"].includes(cell.name)));
+            }
+        }
+    };
+    visit(table);
+    return rows;
+}
+
+/**
+ * Checks whether an element contains one of the given elements.
+ *
+ * @param {object} element - The element.
+ * @param {Set<string>} names - The element names to look for.
+ * @returns {boolean} `true` if a descendant has one of the names.
+ */
+function containsTag(element, names) {
+    return (element.children || []).some((child) => child.type === "tag" && (names.has(child.name) || containsTag(child, names)));
+}
+
+/**
+ * Renders a table. A table of data becomes aligned text in a monospace block; a table used for the
+ * layout of the email (as most HTML emails do) is rendered as the paragraphs it contains.
+ *
+ * @param {object} element - The `<table>` element.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered table.
+ */
+function renderTable(element, context) {
+    const rows = collectRows(element).filter((cells) => cells.length > 0);
+    const cellContext = { ...context, markup: false };
+    const texts = rows.map((cells) => cells.map((cell) => tidy(renderNodes(cell.children, cellContext)).replace(/\s*\n\s*/g, " ")));
+
+    const role = (element.attribs.role || "").toLowerCase();
+    const isLayout = role === "presentation"
+        || role === "none"
+        || Math.max(0, ...rows.map((cells) => cells.length)) < 2
+        || rows.some((cells) => cells.some((cell) => containsTag(cell, LAYOUT_TAGS)))
+        || texts.some((cells) => cells.some((text) => text.length > MAX_DATA_CELL_LENGTH));
+
+    if (isLayout) {
+        return block(rows.map((cells) => block(cells.map((cell) => block(renderNodes(cell.children, context), LINE_BREAK)).join(""), LINE_BREAK)).join(""), LINE_BREAK);
+    }
+
+    const widths = [];
+    texts.forEach((cells) => cells.forEach((text, index) => {
+        widths[index] = Math.max(widths[index] || 0, [...text].length);
+    }));
+    const lines = texts.map((cells) => cells
+        .map((text, index) => (index < cells.length - 1 ? text + KEPT_SPACE.repeat(widths[index] - [...text].length) : text))
+        .join(" | "));
+    if (rows.length > 1 && rows[0].every((cell) => cell.name === "th")) {
+        lines.splice(1, 0, widths.map((width) => "-".repeat(width)).join("-+-"));
+    }
+
+    const table = lines.join("\n").replace(/ /g, KEPT_SPACE);
+    return block(context.markup && !context.pre ? `\`\`\`\n${table}\n\`\`\`` : table, PARAGRAPH_BREAK);
+}
+
+/**
+ * Renders an element and its content.
+ *
+ * @param {object} element - The DOM element.
+ * @param {RenderContext} context - The render state.
+ * @returns {string} The rendered text.
+ */
+function renderElement(element, context) {
+    const { name } = element;
+    if (HIDDEN_TAGS.has(name)) return "";
+
+    switch (name) {
+        case "br":
+            return "\n";
+        case "hr":
+            return block("───", PARAGRAPH_BREAK);
+        case "b":
+        case "strong":
+            return renderFormatted(element, context, "*", "bold");
+        case "i":
+        case "em":
+        case "cite":
+            return renderFormatted(element, context, "_", "italic");
+        case "s":
+        case "strike":
+        case "del":
+            return renderFormatted(element, context, "~", "strike");
+        case "code":
+        case "kbd":
+        case "samp":
+        case "tt": {
+            if (context.pre || context.code) return renderNodes(element.children, context);
+            const content = renderNodes(element.children, { ...context, code: true });
+            return context.markup && content.trim() ? emphasize(content, "```") : content;
+        }
+        case "pre": {
+            const content = renderNodes(element.children, { ...context, pre: true }).replace(/^\n/, "").replace(/\s+$/, "");
+            return block(context.markup && !context.pre ? `\`\`\`\n${content}\n\`\`\`` : content, PARAGRAPH_BREAK);
+        }
+        case "a":
+            return renderLink(element, context);
+        case "img": {
+            const alt = (element.attribs.alt || "").trim();
+            return alt ? `[image: ${alt}]` : "";
+        }
+        case "h1":
+        case "h2":
+        case "h3":
+        case "h4":
+        case "h5":
+        case "h6": {
+            const content = renderNodes(element.children, { ...context, bold: true });
+            return block(context.markup && !context.bold ? emphasize(tidy(content), "*") : content, PARAGRAPH_BREAK);
+        }
+        case "ul":
+        case "ol":
+            return renderList(element, context);
+        case "blockquote":
+            return renderQuote(element, context);
+        case "table":
+            return renderTable(element, context);
+        default: {
+            const content = renderNodes(element.children, context);
+            if (PARAGRAPH_TAGS.has(name)) return block(content, PARAGRAPH_BREAK);
+            if (LINE_TAGS.has(name)) return block(content, LINE_BREAK);
+            return content;
+        }
+    }
+}
+
+/**
+ * Converts an HTML document into text. All HTML entities are decoded.
+ *
+ * @param {string} html - The HTML content.
+ * @param {object} [options] - The conversion options.
+ * @param {boolean} [options.markup=true] - Whether to add WhatsApp formatting, or produce plain text.
+ * @returns {string} The text, with at most one empty line in a row.
+ */
+function convertHtml(html, { markup = true } = {}) {
+    if (!html) return "";
+    const document = parseDocument(html);
+    return tidy(renderNodes(document.children, { markup })).replace(/\uE000/g, " ");
+}
+
+// Export the conversion function for use in other modules.
+module.exports = {
+    convertHtml,
+};
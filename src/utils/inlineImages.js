@@ -0,0 +1,178 @@
+/**
+ * @file Finds the images embedded in an HTML email (referenced as `cid:`) in the order they appear in the body,
+ * and recognizes tracking pixels and spacer images that are not worth forwarding.
+ * @module utils/inlineImages
+ * @requires htmlparser2
+ */
+
+const { parseDocument, DomUtils } = require("htmlparser2");
+
+/** @type {number} Images this many pixels wide or high, or less, are tracking pixels or spacers. */
+const MAX_SPACER_DIMENSION = 3;
+
+/** @type {number} Images smaller than this many bytes cannot show anything worth forwarding. */
+const MIN_IMAGE_BYTES = 200;
+
+/**
+ * An `<img>` element of the body that shows an embedded image.
+ *
+ * @typedef {object} ImageReference
+ * @property {string} cid - The Content-ID the image refers to, without angle brackets.
+ * @property {string} alt - The alternative text of the image, or an empty string.
+ * @property {number|null} width - The width set on the element, in pixels, if any.
+ * @property {number|null} height - The height set on the element, in pixels, if any.
+ */
+
+/**
+ * An embedded image selected for forwarding.
+ *
+ * @typedef {object} InlineImage
+ * @property {object} attachment - The attachment object from `simpleParser`.
+ * @property {string} alt - The alternative text, used as the caption.
+ */
+
+/**
+ * Reads a pixel dimension from an attribute (e.g., "1") or an inline style (e.g., "width: 1px").
+ *
+ * @param {object} attribs - The attributes of the element.
+ * @param {string} name - "width" or "height".
+ * @returns {number|null} The dimension in pixels, or `null` if it is not set in pixels.
+ */
+function readDimension(attribs, name) {
+    const fromStyle = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*(\\d+(?:\\.\\d+)?)px`, "i").exec(attribs.style || "");
+    const value = fromStyle ? fromStyle[1] : attribs[name];
+    return /^\s*\d+(\.\d+)?\s*(px)?\s*$/i.test(value || "") ? parseFloat(value) : null;
+}
+
+/**
+ * Lists the `<img>` elements that show embedded (`cid:`) images, in the order of the body.
+ *
+ * @param {string} html - The HTML body, with its `cid:` links kept.
+ * @returns {ImageReference[]} The image references.
+ */
+function findImageReferences(html) {
+    if (!html) return [];
+
+    const images = DomUtils.findAll((element) => element.name === "img", parseDocument(html).children);
+    return images
+        .filter((image) => /^cid:/i.test((image.attribs.src || "").trim()))
+        .map((image) => ({
+            cid: image.attribs.src.trim().slice(4).replace(/^<|>$/g, ""),
+            alt: (image.attribs.alt || image.attribs.title || "").trim(),
+            width: readDimension(image.attribs, "width"),
+            height: readDimension(image.attribs, "height"),
+        }));
+}
+
+/**
+ * Lists the names in the `[image: ...]` placeholders that Gmail puts in the text part, in body order.
+ *
+ * @param {string} text - The plain text body.
+ * @returns {string[]} The placeholder names, usually the alternative text or the file name of the image.
+ */
+function findImagePlaceholders(text) {
+    return [...(text || "").matchAll(/\[image:\s*(.*?)\s*\]/g)].map((match) => match[1]);
+}
+
+/**
+ * Reads the pixel size of a PNG, GIF or JPEG image from its header.
+ *
+ * @param {Buffer} buffer - The image content.
+ * @returns {{width: number, height: number}|null} The size, or `null` for other formats or damaged images.
+ */
+function readImageSize(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 10) return null;
+
+    // PNG: the IHDR chunk follows the 8-byte signature.
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF: the logical screen size follows the "GIF87a"/"GIF89a" signature.
+    if (buffer.toString("ascii", 0, 3) === "GIF") {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // JPEG: walk the segments up to the start-of-frame marker, which holds the size.
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+            if (isStartOfFrame) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether an embedded image is a tracking pixel or spacer: tiny in bytes, or at most a few pixels
+ * wide or high, either as displayed by the body or as stored in the image itself.
+ *
+ * @param {object} attachment - The attachment object from `simpleParser`, or a streamed attachment with its `head`.
+ * @param {ImageReference} [reference] - The `<img>` element that shows the image, if any.
+ * @returns {boolean} `true` if the image should not be forwarded.
+ */
+function isTrackingImage(attachment, reference) {
+    const size = attachment.size ?? attachment.content?.length ?? 0;
+    if (size < MIN_IMAGE_BYTES) return true;
+
+    const isTiny = (dimension) => dimension !== null && dimension !== undefined && dimension <= MAX_SPACER_DIMENSION;
+    if (reference && (isTiny(reference.width) || isTiny(reference.height))) return true;
+
+    // Streamed attachments keep only their first bytes in memory, which hold the image header.
+    const actual = readImageSize(attachment.content || attachment.head);
+    return Boolean(actual) && (isTiny(actual.width) || isTiny(actual.height));
+}
+
+/**
+ * Selects the embedded images of an email to forward as images, in the order they appear in the body.
+ * Images referenced by the HTML body come first, then related images named by a placeholder of the text
+ * body, then the remaining related images.
+ *
+ * @param {object[]} attachments - The attachment objects from `simpleParser`.
+ * @param {string} html - The HTML body, with its `cid:` links kept.
+ * @param {string} [text] - The plain text body, whose `[image: ...]` placeholders order images the HTML does not show.
+ * @returns {{images: InlineImage[], ignored: object[]}} The images to forward, and the tracking pixels and
+ *   spacers to drop. Attachments in neither list are regular attachments.
+ */
+function selectInlineImages(attachments, html, text = "") {
+    const images = [];
+    const ignored = [];
+    const handled = new Set();
+
+    const take = (attachment, reference) => {
+        handled.add(attachment);
+        if (isTrackingImage(attachment, reference)) {
+            ignored.push(attachment);
+        } else {
+            images.push({ attachment, alt: reference?.alt || "" });
+        }
+    };
+
+    const isImage = (attachment) => /^image\//i.test(attachment.contentType || "");
+    for (const reference of findImageReferences(html)) {
+        const attachment = attachments.find((candidate) => candidate.cid === reference.cid && isImage(candidate));
+        if (attachment && !handled.has(attachment)) take(attachment, reference);
+    }
+    const isUnreferenced = (attachment) => !handled.has(attachment) && attachment.related && isImage(attachment);
+    for (const name of findImagePlaceholders(text)) {
+        const attachment = attachments.find((candidate) => isUnreferenced(candidate) && candidate.filename === name);
+        if (attachment) take(attachment, { alt: name, width: null, height: null });
+    }
+    for (const attachment of attachments) {
+        if (isUnreferenced(attachment)) take(attachment);
+    }
+    return { images, ignored };
+}
+
+// Export the inline image functions for use in other modules.
+module.exports = {
+    findImagePlaceholders,
+    findImageReferences,
+    isTrackingImage,
+    readImageSize,
+    selectInlineImages,
+};
@@ -0,0 +1,41 @@
+/**
+ * @file Writes the JSON files of the persistent stores atomically and one at a time.
+ * @module utils/jsonFile
+ * @requires fs.promises
+ */
+
+const fs = require("fs").promises;
+
+/** @type {Map<string, Promise<void>>} The last queued write of each file, by path. */
+const writeQueues = new Map();
+
+/**
+ * Writes a value to a JSON file atomically: the file is written next to the old one and renamed over it,
+ * so a crash never leaves a half-written file. Writes to the same file are queued, since they share the
+ * temporary file; the value is serialized right away, so a queued write stores the state of its call.
+ *
+ * @param {string} filePath - The path to the file.
+ * @param {*} data - The value to write.
+ * @returns {Promise<void>} A promise that resolves when this write is on disk.
+ * @throws {Error} If the file could not be written; later writes are still attempted.
+ */
+function writeJsonFile(filePath, data) {
+    const content = JSON.stringify(data, null, 2);
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    });
+    writeQueues.set(filePath, write);
+    // Forget the queue once it has drained, so that the map does not grow with every file ever written.
+    write.finally(() => {
+        if (writeQueues.get(filePath) === write) writeQueues.delete(filePath);
+    }).catch(() => {});
+    return write;
+}
+
+// Export the JSON file functions for use in other modules.
+module.exports = {
+    writeJsonFile,
+};
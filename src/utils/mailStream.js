@@ -0,0 +1,265 @@
+/**
+ * @file Parses raw emails as a stream and writes their attachments straight to disk, so that large emails
+ * are never held in memory as a whole and binary parts are kept byte for byte.
+ * @module utils/mailStream
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires mailparser
+ * @requires ./logger
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { MailParser } = require("mailparser");
+const logger = require("./logger");
+
+/** @type {number} How many bytes of each attachment are kept in memory, e.g. to read the size of an image. */
+const HEAD_BYTES = 64 * 1024;
+
+/** @type {string[]} The headers copied to top-level properties of the parsed email, as `simpleParser` does. */
+const ADDRESS_AND_META_HEADERS = ["subject", "references", "date", "to", "from", "cc", "bcc", "message-id", "in-reply-to", "reply-to"];
+
+/**
+ * An attachment of a streamed email. Its content is on disk, not in memory.
+ *
+ * @typedef {object} StreamedAttachment
+ * @property {string} [filename] - The file name given by the email.
+ * @property {string} contentType - The MIME type.
+ * @property {string} [cid] - The Content-ID, without angle brackets.
+ * @property {boolean} related - Whether the attachment is part of a multipart/related body, such as an inline image.
+ * @property {number} size - The decoded size in bytes.
+ * @property {string} checksum - The MD5 checksum of the content.
+ * @property {Buffer} head - The first bytes of the content (up to 64 KB).
+ * @property {string|null} filepath - Where the content was saved, or `null` if it was not saved.
+ * @property {string|null} skipped - Why the attachment was not saved (e.g., "Exceeds size limit"), if it was not.
+ */
+
+/**
+ * Options for parsing a streamed email.
+ *
+ * @typedef {object} StreamOptions
+ * @property {string} attachmentsDir - The directory attachments are saved to.
+ * @property {number} maxAttachmentBytes - Attachments larger than this are not saved; writing stops as soon as the
+ *   limit is passed and the partial file is removed.
+ */
+
+/** @type {number} The longest file name kept, in characters; longer names are shortened before the extension. */
+const MAX_FILENAME_LENGTH = 150;
+
+/**
+ * Makes a file name given by an email safe to use on disk and to show to the recipient. Folder parts
+ * ("../", "C:\\") are removed, so that the file cannot be written outside the attachments directory, as are
+ * control characters and the direction overrides used to disguise extensions ("invoice\u202Efdp.exe").
+ *
+ * @param {string} [filename] - The file name given by the email.
+ * @returns {string} The sanitized file name; "attachment" if nothing usable is left.
+ */
+function sanitizeFilename(filename) {
+    let name = String(filename || "")
+        .normalize("NFC")
+        .replace(/[\u0000-\u001f\u007f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, "")
+        .split(/[\\/]/)
+        .pop()
+        .replace(/[<>:"|?*]/g, "_")
+        .replace(/^[\s.]+|[\s.]+$/g, "");
+
+    if (name.length > MAX_FILENAME_LENGTH) {
+        const extension = path.extname(name).slice(0, 20);
+        name = `${name.slice(0, MAX_FILENAME_LENGTH - extension.length)}${extension}`;
+    }
+    return name || "attachment";
+}
+
+/**
+ * Builds the path an attachment is saved to. The file name is sanitized again, so the path always stays
+ * inside the directory, and prefixed with a random ID, so that parts with the same name never overwrite
+ * each other, even when they are saved in the same millisecond.
+ *
+ * @param {string} attachmentsDir - The directory attachments are saved to.
+ * @param {string} [filename] - The file name given by the email.
+ * @returns {string} The file path.
+ */
+function buildAttachmentPath(attachmentsDir, filename) {
+    return path.join(attachmentsDir, `${Date.now()}_${crypto.randomUUID()}_${sanitizeFilename(filename)}`);
+}
+
+/**
+ * Writes the content stream of one attachment to disk, keeping its first bytes in memory.
+ * The stream is always read to the end, so that the parser can continue with the next part.
+ *
+ * @param {object} data - The attachment emitted by `MailParser`, with `content` as a stream.
+ * @param {StreamedAttachment} attachment - The attachment record to fill in.
+ * @param {StreamOptions} options - Where to save the attachment and how large it may be.
+ * @returns {Promise<void>} Resolves once the content was read and the file was closed.
+ */
+function saveAttachmentStream(data, attachment, { attachmentsDir, maxAttachmentBytes }) {
+    return new Promise((resolve) => {
+        const filepath = buildAttachmentPath(attachmentsDir, attachment.filename);
+        const file = fs.createWriteStream(filepath);
+        const head = [];
+        let headLength = 0;
+        let writing = true;
+
+        const stopWriting = (reason) => {
+            writing = false;
+            attachment.skipped = reason;
+            file.destroy();
+            fs.rm(filepath, { force: true }, () => {});
+        };
+
+        file.on("error", (error) => {
+            if (!writing) return;
+            logger.error(`Mail Stream: Failed to save attachment "${attachment.filename}".`, { error });
+            stopWriting("Could not be saved");
+        });
+
+        data.content.on("data", (chunk) => {
+            attachment.size += chunk.length;
+            if (headLength < HEAD_BYTES) {
+                head.push(chunk.subarray(0, HEAD_BYTES - headLength));
+                headLength += Math.min(chunk.length, HEAD_BYTES - headLength);
+            }
+            if (!writing) return;
+
+            if (attachment.size > maxAttachmentBytes) {
+                const sizeMB = maxAttachmentBytes / (1024 * 1024);
+                logger.warn(`Mail Stream: Skipping attachment "${attachment.filename}" because it exceeds the size limit (${sizeMB}MB).`);
+                stopWriting("Exceeds size limit");
+                return;
+            }
+            // Pause the parser while the disk catches up, so that memory use stays bounded.
+            if (!file.write(chunk)) {
+                data.content.pause();
+                file.once("drain", () => data.content.resume());
+            }
+        });
+
+        data.content.once("end", () => {
+            attachment.head = Buffer.concat(head, headLength);
+            attachment.checksum = data.checksum;
+            data.release();
+            if (!writing) return resolve();
+
+            file.end(() => {
+                attachment.filepath = writing ? filepath : null;
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Deletes the attachment files of a streamed email, e.g. because it did not match the filter.
+ *
+ * @param {{attachments: StreamedAttachment[]}} email - The parsed email.
+ * @returns {Promise<void>}
+ */
+async function discardAttachments(email) {
+    for (const attachment of email.attachments || []) {
+        if (attachment.filepath) {
+            await fs.promises.rm(attachment.filepath, { force: true });
+            attachment.filepath = null;
+        }
+    }
+}
+
+/**
+ * Checks whether the sender marked an email as urgent with an `Importance: high` or `X-Priority: 1` header.
+ *
+ * @param {{headerLines?: {key: string, line: string}[]}} email - The parsed email.
+ * @returns {boolean} `true` if the email is marked as urgent.
+ */
+function isUrgent(email) {
+    return (email.headerLines || []).some(({ key, line }) => {
+        const value = line.slice(line.indexOf(":") + 1).trim();
+        // X-Priority values often carry a label, e.g. "1 (Highest)".
+        return (key.toLowerCase() === "importance" && /^high$/i.test(value))
+            || (key.toLowerCase() === "x-priority" && /^1\b/.test(value));
+    });
+}
+
+/**
+ * Parses a raw email. The message is read as a stream and every attachment is written to disk as soon as
+ * it is decoded. The result has the shape of `simpleParser` output with `keepCidLinks` set, except that
+ * attachments carry a `filepath` and `head` instead of their full `content`.
+ *
+ * @param {NodeJS.ReadableStream|Buffer|string} input - The raw RFC 822 message.
+ * @param {StreamOptions} options - Where to save attachments and how large they may be.
+ * @returns {Promise<object>} The parsed email.
+ * @throws {Error} If the input cannot be read or parsed; attachments saved so far are deleted.
+ */
+function parseMessageStream(input, options) {
+    return new Promise((resolve, reject) => {
+        const parser = new MailParser();
+        const mail = { attachments: [] };
+        const saving = [];
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            parser.destroy();
+            reject(error);
+            // Attachments that were completely written by now are removed; the others never get a file path.
+            Promise.all(saving).then(() => discardAttachments(mail));
+        };
+
+        parser.on("headers", (headers) => {
+            mail.headers = headers;
+            mail.headerLines = parser.headerLines;
+        });
+
+        parser.on("data", (data) => {
+            if (data.type === "text") {
+                for (const key of ["text", "html", "textAsHtml"]) {
+                    if (key in data) mail[key] = data[key];
+                }
+                return;
+            }
+
+            const { content, release, type, ...fields } = data;
+            const attachment = {
+                ...fields,
+                filename: sanitizeFilename(fields.filename),
+                related: Boolean(fields.related),
+                size: 0,
+                head: Buffer.alloc(0),
+                filepath: null,
+                skipped: null,
+            };
+            mail.attachments.push(attachment);
+            saving.push(saveAttachmentStream(data, attachment, options));
+        });
+
+        parser.once("error", fail);
+        parser.once("end", async () => {
+            await Promise.all(saving);
+            if (failed) return;
+
+            for (const key of ADDRESS_AND_META_HEADERS) {
+                if (mail.headers?.has(key)) {
+                    mail[key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = mail.headers.get(key);
+                }
+            }
+            resolve(mail);
+        });
+
+        if (typeof input === "string" || Buffer.isBuffer(input)) {
+            parser.end(Buffer.from(input));
+        } else {
+            input.once("error", fail);
+            input.pipe(parser);
+        }
+    });
+}
+
+// Export the streaming functions for use in other modules.
+module.exports = {
+    buildAttachmentPath,
+    discardAttachments,
+    isUrgent,
+    parseMessageStream,
+    sanitizeFilename,
+};
@@ -0,0 +1,164 @@
+/**
+ * @file Builds the WhatsApp message of a forwarded email from the configured message templates.
+ * @module utils/messageTemplates
+ * @requires ./template
+ * @requires ./router
+ */
+
+const { compileTemplate } = require("./template");
+const { wildcardToRegExp } = require("./router");
+
+/**
+ * The name of the template used when neither a routing rule nor a sender selects one.
+ * @type {string}
+ */
+const DEFAULT_TEMPLATE_NAME = "default";
+
+/**
+ * The built-in message layout. Defining a template named "default" replaces it.
+ * @type {string}
+ */
+const DEFAULT_TEMPLATE = [
+    "⌬  >>  𝗘𝗠𝗔𝗜𝗟 𝗙𝗢𝗥𝗪𝗔𝗥𝗗𝗘𝗥",
+    "",
+    "───",
+    "",
+    "*ℹ️ - EMAIL INFORMATION*",
+    "",
+    "*From:* {{from}}",
+    "*Date:* {{date | date}}",
+    "",
+    "───",
+    "",
+    "*📝 - EMAIL CONTENT*",
+    "",
+    "*Subject:* {{subject}}",
+    "",
+    "{{body}}{{#if hasAttachments}}",
+    "───",
+    "",
+    "*📎 Attachments ({{attachments.length}} sent, {{skippedAttachments.length}} skipped)*{{/if}}",
+].join("\n");
+
+/**
+ * The compiled message templates and the settings for choosing between them.
+ *
+ * @typedef {object} MessageTemplates
+ * @property {Object<string, import("./template").CompiledTemplate>} templates - The templates by name.
+ * @property {string} defaultName - The name of the template used when no other one is selected.
+ * @property {{pattern: RegExp, name: string}[]} senders - Templates selected by sender address, in order.
+ * @property {import("./template").RenderOptions} renderOptions - The locale and time zone for dates.
+ */
+
+/**
+ * Checks that a locale and time zone are known to `Intl`.
+ *
+ * @param {string} locale - The locale, or an empty string for the server's.
+ * @param {string} timeZone - The time zone, or an empty string for the server's.
+ * @throws {Error} If either is invalid.
+ */
+function checkLocale(locale, timeZone) {
+    try {
+        new Intl.DateTimeFormat(locale || undefined);
+    } catch (error) {
+        throw new Error(`message.locale: "${locale}" is not a valid locale (e.g., "en-US", "id-ID").`);
+    }
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone: timeZone || undefined });
+    } catch (error) {
+        throw new Error(`message.timeZone: "${timeZone}" is not a valid time zone (e.g., "Asia/Jakarta").`);
+    }
+}
+
+/**
+ * Compiles the message templates of the `message` config section.
+ *
+ * @param {object} messageConfig - The `message` section of the configuration.
+ * @returns {MessageTemplates} The compiled templates.
+ * @throws {Error} If a template has a syntax error, or a setting names a template that does not exist.
+ */
+function compileMessageTemplates(messageConfig) {
+    const { locale, timeZone, template: defaultName, templates, senderTemplates } = messageConfig;
+    checkLocale(locale, timeZone);
+
+    const compiled = { [DEFAULT_TEMPLATE_NAME]: compileTemplate(DEFAULT_TEMPLATE, DEFAULT_TEMPLATE_NAME) };
+    for (const [name, source] of Object.entries(templates || {})) {
+        compiled[name] = compileTemplate(source, name);
+    }
+
+    const requireTemplate = (name, keyPath) => {
+        if (!compiled[name]) {
+            throw new Error(`${keyPath}: unknown template "${name}". Defined templates: ${Object.keys(compiled).join(", ")}.`);
+        }
+    };
+    requireTemplate(defaultName, "message.template");
+
+    const senders = Object.entries(senderTemplates || {}).map(([pattern, name]) => {
+        requireTemplate(name, `message.senderTemplates["${pattern}"]`);
+        return { pattern: wildcardToRegExp(pattern), name };
+    });
+
+    return {
+        templates: compiled,
+        defaultName,
+        senders,
+        renderOptions: { locale: locale || undefined, timeZone: timeZone || undefined },
+    };
+}
+
+/**
+ * Chooses the template for an email: the one selected by the routing rule, otherwise the first sender
+ * pattern matching the sender, otherwise the default template.
+ *
+ * @param {MessageTemplates} messageTemplates - The compiled templates.
+ * @param {object} emailData - The processed email data.
+ * @param {string|null} [ruleTemplate] - The template selected by the matched routing rule, if any.
+ * @returns {import("./template").CompiledTemplate} The template.
+ */
+function selectTemplate(messageTemplates, emailData, ruleTemplate = null) {
+    const { templates, senders, defaultName } = messageTemplates;
+    if (ruleTemplate && templates[ruleTemplate]) {
+        return templates[ruleTemplate];
+    }
+    const sender = senders.find((entry) => entry.pattern.test(emailData.fromAddress || ""));
+    return templates[sender ? sender.name : defaultName];
+}
+
+/**
+ * Renders the message of a forwarded email.
+ *
+ * @param {MessageTemplates} messageTemplates - The compiled templates.
+ * @param {object} emailData - The processed email data.
+ * @param {string} body - The email body, already converted to WhatsApp text.
+ * @param {string|null} [ruleTemplate] - The template selected by the matched routing rule, if any.
+ * @returns {string} The message text.
+ */
+function renderMessage(messageTemplates, emailData, body, ruleTemplate = null) {
+    const template = selectTemplate(messageTemplates, emailData, ruleTemplate);
+    const attachments = emailData.attachments || [];
+    const skippedAttachments = emailData.skippedAttachments || [];
+
+    return template.render({
+        from: emailData.from,
+        fromAddress: emailData.fromAddress,
+        to: emailData.to,
+        subject: emailData.subject,
+        date: emailData.date ? new Date(emailData.date) : null,
+        body,
+        account: emailData.account,
+        mailbox: emailData.mailbox,
+        labels: emailData.labels || [],
+        attachments,
+        skippedAttachments,
+        hasAttachments: attachments.length + skippedAttachments.length > 0,
+    }, messageTemplates.renderOptions);
+}
+
+// Export the message template functions for use in other modules.
+module.exports = {
+    DEFAULT_TEMPLATE,
+    DEFAULT_TEMPLATE_NAME,
+    compileMessageTemplates,
+    renderMessage,
+    selectTemplate,
+};
@@ -0,0 +1,251 @@
+/**
+ * @file An in-process registry of the Prometheus counters and histograms that measure the forwarding pipeline.
+ * Metrics are registered once by the modules they measure and rendered in the text exposition format, so
+ * they can be served by the admin server's `/metrics` or inspected directly in tests.
+ * @module utils/metrics
+ */
+
+/** @type {number[]} The default histogram buckets, in seconds. */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/** @type {Map<string, Counter|Histogram>} The registered metrics, by name. */
+const registry = new Map();
+
+/**
+ * A sample of a metric.
+ *
+ * @typedef {object} Sample
+ * @property {Object<string, string>} [labels] - The labels of the sample.
+ * @property {number} value - The value.
+ * @property {string} [suffix] - Appended to the metric name, e.g., "_bucket" for histogram buckets.
+ */
+
+/**
+ * Formats one metric in the Prometheus text exposition format.
+ *
+ * @param {string} name - The metric name.
+ * @param {string} help - The description of the metric.
+ * @param {"gauge"|"counter"|"histogram"} type - The metric type.
+ * @param {Sample[]} samples - The samples.
+ * @returns {string} The metric's lines, ending with a newline.
+ */
+function formatMetric(name, help, type, samples) {
+    const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const { labels = {}, value, suffix = "" } of samples) {
+        const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escape(label)}"`);
+        lines.push(`${name}${suffix}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${value}`);
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Builds the key under which the values of a label set are stored, independent of the order of the labels.
+ *
+ * @param {Object<string, string>} labels - The labels.
+ * @returns {string} The key.
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map((key) => [key, String(labels[key])]));
+}
+
+/**
+ * @class Counter
+ * @description A value per label set that only goes up, such as the number of forwarded emails.
+ */
+class Counter {
+    /**
+     * Initializes a new instance of the Counter.
+     * @param {string} name - The metric name, ending in "_total".
+     * @param {string} help - The description of the metric.
+     */
+    constructor(name, help) {
+        /** @type {string} The metric name. */
+        this.name = name;
+        /** @type {string} The description of the metric. */
+        this.help = help;
+        /** @type {Map<string, {labels: Object<string, string>, value: number}>} The values, by label set. */
+        this.values = new Map();
+    }
+
+    /**
+     * Increases the counter of a label set.
+     * @param {Object<string, string>} [labels={}] - The labels.
+     * @param {number} [value=1] - The amount to add; negative amounts are ignored.
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value > 0)) return;
+        const key = labelKey(labels);
+        const entry = this.values.get(key) || { labels: { ...labels }, value: 0 };
+        entry.value += value;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * Returns the value of a label set.
+     * @param {Object<string, string>} [labels={}] - The labels.
+     * @returns {number} The value; 0 if the label set was never counted.
+     */
+    get(labels = {}) {
+        return this.values.get(labelKey(labels))?.value || 0;
+    }
+
+    /**
+     * Renders the counter in the text exposition format.
+     * @returns {string} The metric's lines.
+     */
+    render() {
+        return formatMetric(this.name, this.help, "counter", [...this.values.values()]);
+    }
+
+    /**
+     * Forgets all values.
+     */
+    reset() {
+        this.values.clear();
+    }
+}
+
+/**
+ * @class Histogram
+ * @description Counts observations, such as request durations, in cumulative buckets per label set.
+ */
+class Histogram {
+    /**
+     * Initializes a new instance of the Histogram.
+     * @param {string} name - The metric name.
+     * @param {string} help - The description of the metric.
+     * @param {number[]} [buckets] - The upper bounds of the buckets. Defaults to {@link DEFAULT_BUCKETS}.
+     */
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        /** @type {string} The metric name. */
+        this.name = name;
+        /** @type {string} The description of the metric. */
+        this.help = help;
+        /** @type {number[]} The upper bounds of the buckets, in ascending order. */
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        /** @type {Map<string, {labels: Object<string, string>, counts: number[], sum: number, count: number}>} The observations, by label set. */
+        this.values = new Map();
+    }
+
+    /**
+     * Records an observation.
+     * @param {Object<string, string>} labels - The labels.
+     * @param {number} value - The observed value, e.g., a duration in seconds.
+     */
+    observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = this.values.get(key) || { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * Starts measuring a duration.
+     * @param {Object<string, string>} [labels={}] - The labels known when the measurement starts.
+     * @returns {function(Object<string, string>=): number} Ends the measurement, with any labels only known
+     *   at the end, and returns the duration in seconds.
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    /**
+     * Returns the observations of a label set.
+     * @param {Object<string, string>} [labels={}] - The labels.
+     * @returns {{count: number, sum: number}} The number and sum of the observations.
+     */
+    get(labels = {}) {
+        const entry = this.values.get(labelKey(labels));
+        return { count: entry?.count || 0, sum: entry?.sum || 0 };
+    }
+
+    /**
+     * Renders the histogram in the text exposition format.
+     * @returns {string} The metric's lines.
+     */
+    render() {
+        const samples = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                samples.push({ labels: { ...labels, le: String(bound) }, value: counts[index], suffix: "_bucket" });
+            });
+            samples.push(
+                { labels: { ...labels, le: "+Inf" }, value: count, suffix: "_bucket" },
+                { labels, value: sum, suffix: "_sum" },
+                { labels, value: count, suffix: "_count" },
+            );
+        }
+        return formatMetric(this.name, this.help, "histogram", samples);
+    }
+
+    /**
+     * Forgets all observations.
+     */
+    reset() {
+        this.values.clear();
+    }
+}
+
+/**
+ * Returns the counter with a name, registering it on first use.
+ *
+ * @param {string} name - The metric name, ending in "_total".
+ * @param {string} help - The description of the metric.
+ * @returns {Counter} The counter.
+ */
+function counter(name, help) {
+    if (!registry.has(name)) registry.set(name, new Counter(name, help));
+    return registry.get(name);
+}
+
+/**
+ * Returns the histogram with a name, registering it on first use.
+ *
+ * @param {string} name - The metric name.
+ * @param {string} help - The description of the metric.
+ * @param {number[]} [buckets] - The upper bounds of the buckets.
+ * @returns {Histogram} The histogram.
+ */
+function histogram(name, help, buckets) {
+    if (!registry.has(name)) registry.set(name, new Histogram(name, help, buckets));
+    return registry.get(name);
+}
+
+/**
+ * Renders all registered metrics in the Prometheus text exposition format.
+ *
+ * @returns {string} The metrics.
+ */
+function renderMetrics() {
+    return [...registry.values()].map((metric) => metric.render()).join("");
+}
+
+/**
+ * Forgets the values of all registered metrics, e.g., between tests.
+ */
+function resetMetrics() {
+    for (const metric of registry.values()) {
+        metric.reset();
+    }
+}
+
+// Export the metric functions for use in other modules.
+module.exports = {
+    Counter,
+    Histogram,
+    counter,
+    histogram,
+    formatMetric,
+    renderMetrics,
+    resetMetrics,
+};
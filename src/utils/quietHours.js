@@ -0,0 +1,103 @@
+/**
+ * @file Decides whether a WhatsApp chat is in its quiet hours, during which non-urgent emails are held.
+ * @module utils/quietHours
+ * @requires ./schedule
+ */
+
+const { isTimeOfDay, minutesOfDay, nextTimeOfDay, zonedParts } = require("./schedule");
+
+/**
+ * The quiet hours of a chat.
+ *
+ * @typedef {object} QuietHours
+ * @property {string} start - The time of day the quiet hours start, e.g. "22:00".
+ * @property {string} end - The time of day they end, e.g. "07:00". If `end` is before `start`, the quiet
+ *   hours run past midnight.
+ * @property {string} timeZone - The IANA time zone of `start` and `end`; empty for the server's.
+ */
+
+/**
+ * Parses a quiet hours window such as "22:00-07:00".
+ *
+ * @param {*} value - The window, or an object with `window` and `timeZone`, or `false` for none.
+ * @param {string} defaultTimeZone - The time zone used when the value does not set one.
+ * @param {string} keyPath - Where the value was found, for error messages.
+ * @returns {QuietHours|null} The quiet hours, or `null` if there are none.
+ * @throws {Error} If the window or the time zone is invalid.
+ */
+function parseQuietHours(value, defaultTimeZone, keyPath) {
+    if (value === undefined || value === null || value === false || value === "") return null;
+    const { window, timeZone = defaultTimeZone } = typeof value === "string" ? { window: value } : value;
+
+    const [start, end, ...rest] = typeof window === "string" ? window.split("-").map((time) => time.trim()) : [];
+    if (!isTimeOfDay(start) || !isTimeOfDay(end) || start === end || rest.length > 0) {
+        throw new Error(`${keyPath}: Invalid quiet hours "${window}"; expected a window such as "22:00-07:00".`);
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timeZone || undefined });
+    } catch {
+        throw new Error(`${keyPath}: Unknown time zone "${timeZone}".`);
+    }
+    return { start, end, timeZone: timeZone || "" };
+}
+
+/**
+ * Returns the quiet hours of a chat: its own entry in `quietHours.targets`, or the default window.
+ *
+ * @param {string} target - The phone number or chat ID, as written in the routing rules.
+ * @param {object} settings - The quiet hours configuration (`config.quietHours`).
+ * @param {string} [fallbackTimeZone=""] - The time zone used when the configuration sets none.
+ * @returns {QuietHours|null} The quiet hours, or `null` if the chat has none.
+ * @throws {Error} If the configuration is invalid.
+ */
+function quietHoursFor(target, settings, fallbackTimeZone = "") {
+    const defaultTimeZone = settings.timeZone || fallbackTimeZone;
+    const targets = settings.targets || {};
+    if (Object.hasOwn(targets, target)) {
+        return parseQuietHours(targets[target], defaultTimeZone, `quietHours.targets["${target}"]`);
+    }
+    return parseQuietHours(settings.window, defaultTimeZone, "quietHours.window");
+}
+
+/**
+ * Checks every quiet hours window of the configuration, so that mistakes stop the forwarder at startup.
+ *
+ * @param {object} settings - The quiet hours configuration (`config.quietHours`).
+ * @param {string} [fallbackTimeZone=""] - The time zone used when the configuration sets none.
+ * @throws {Error} If a window or time zone is invalid.
+ */
+function checkQuietHours(settings, fallbackTimeZone = "") {
+    const targets = settings.targets ?? {};
+    if (typeof targets !== "object" || Array.isArray(targets)) {
+        throw new Error("quietHours.targets: Expected an object of quiet hours by phone number or chat ID.");
+    }
+    quietHoursFor("", { ...settings, targets: {} }, fallbackTimeZone);
+    for (const target of Object.keys(targets)) {
+        quietHoursFor(target, settings, fallbackTimeZone);
+    }
+}
+
+/**
+ * Finds when the quiet hours that are in progress end.
+ *
+ * @param {QuietHours|null} quietHours - The quiet hours.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date|null} The end of the quiet hours, or `null` if they are not in progress.
+ */
+function quietUntil(quietHours, now = new Date()) {
+    if (!quietHours) return null;
+    const { hour, minute } = zonedParts(now, quietHours.timeZone);
+    const current = hour * 60 + minute;
+    const start = minutesOfDay(quietHours.start);
+    const end = minutesOfDay(quietHours.end);
+    const quiet = start < end ? current >= start && current < end : current >= start || current < end;
+    return quiet ? nextTimeOfDay(quietHours.end, now, quietHours.timeZone) : null;
+}
+
+// Export the quiet hours functions for use in other modules.
+module.exports = {
+    checkQuietHours,
+    parseQuietHours,
+    quietHoursFor,
+    quietUntil,
+};
@@ -0,0 +1,360 @@
+/**
+ * @file Resolves which WhatsApp chats a processed email should be forwarded to, based on a routing table.
+ * @module utils/router
+ * @requires fs
+ * @requires ./schedule
+ */
+
+const fs = require("fs");
+const { isTimeOfDay } = require("./schedule");
+
+/**
+ * A single routing rule loaded from the routing table file.
+ *
+ * @typedef {object} RoutingRule
+ * @property {string} name - A human-readable name for the rule, used in logs.
+ * @property {object} match - The conditions an email must satisfy. Every condition present must match.
+ * @property {string[]} [match.from] - Sender addresses. Supports `*` wildcards (e.g., "*@bank.com").
+ * @property {string[]} [match.to] - Recipient (To/Cc) addresses. Supports `*` wildcards.
+ * @property {RegExp[]} [match.subject] - Regular expressions tested against the subject.
+ * @property {string[]} [match.label] - Mailbox names or Gmail labels (case-insensitive).
+ * @property {string[]} targets - Phone numbers or WhatsApp chat IDs (e.g., "1203630...@g.us").
+ * @property {boolean} continue - If `true`, later rules are evaluated as well and their targets are added.
+ * @property {boolean} urgent - If `true`, matching emails are delivered during quiet hours too.
+ * @property {string|null} template - The name of the message template for emails matching the rule, if any.
+ * @property {CleaningOverrides|null} clean - Which body cleaning stages the rule turns on or off, if any.
+ * @property {RenderOverrides|null} render - How the rule renders HTML emails, if it sets it.
+ * @property {DigestSettings|null} digest - How matching emails are collected into a digest, if they are.
+ */
+
+/**
+ * Body cleaning stages turned on or off by a routing rule. Stages that are not set follow the `message` config.
+ *
+ * @typedef {object} CleaningOverrides
+ * @property {boolean} [quotedReplies] - Whether to remove quoted replies.
+ * @property {boolean} [signatures] - Whether to remove signatures.
+ * @property {boolean} [disclaimers] - Whether to remove disclaimers.
+ */
+
+/** @type {string[]} The body cleaning stages a routing rule can turn on or off. */
+const CLEANING_STAGES = ["quotedReplies", "signatures", "disclaimers"];
+
+/**
+ * How a routing rule renders HTML emails. Options that are not set follow the `render` config.
+ *
+ * @typedef {object} RenderOverrides
+ * @property {"none"|"pdf"|"png"} [format] - The format HTML emails are rendered to; "none" turns rendering off.
+ * @property {"alongside"|"instead"} [mode] - Whether the render is sent after the text message or replaces it.
+ */
+
+/** @type {string[]} The formats a routing rule can render HTML emails to. */
+const RENDER_FORMATS = ["none", "pdf", "png"];
+
+/** @type {string[]} The ways a render can be sent. */
+const RENDER_MODES = ["alongside", "instead"];
+
+/**
+ * How a routing rule collects matching emails into a periodic digest instead of forwarding each one.
+ *
+ * @typedef {object} DigestSettings
+ * @property {string} name - The name of the digest: the name of the rule that sets it.
+ * @property {"hourly"|"daily"} schedule - How often the digest is sent.
+ * @property {string} at - The time of day a daily digest is sent ("HH:MM", in `message.timeZone`).
+ * @property {"none"|"send"|"bundle"} attachments - Whether attachments are left out, sent after the digest,
+ *   or sent as a single ZIP archive.
+ */
+
+/** @type {string[]} How often a digest can be sent. */
+const DIGEST_SCHEDULES = ["hourly", "daily"];
+
+/** @type {string[]} What happens to the attachments of emails in a digest. */
+const DIGEST_ATTACHMENTS = ["none", "send", "bundle"];
+
+/**
+ * A fully loaded routing table.
+ *
+ * @typedef {object} RoutingTable
+ * @property {RoutingRule[]} rules - The ordered list of routing rules.
+ * @property {string[]} defaultTargets - Targets used when no rule matches.
+ */
+
+/**
+ * Normalizes a rule condition value into an array of non-empty strings.
+ *
+ * @param {string|string[]|undefined} value - A single value or a list of values.
+ * @returns {string[]} The normalized list.
+ */
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Converts an address pattern with `*` wildcards into a case-insensitive regular expression.
+ *
+ * @param {string} pattern - The address pattern (e.g., "*@example.com").
+ * @returns {RegExp} The compiled regular expression.
+ */
+function wildcardToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Checks whether any of the addresses matches any of the address patterns.
+ *
+ * @param {string[]} patterns - The address patterns, with `*` wildcards.
+ * @param {string[]} addresses - The lower-cased addresses.
+ * @returns {boolean} `true` if an address matches a pattern.
+ */
+function anyAddress(patterns, addresses) {
+    return patterns.some((pattern) => {
+        const regex = wildcardToRegExp(pattern);
+        return addresses.some((address) => regex.test(address));
+    });
+}
+
+/**
+ * Normalizes the `clean` option of a rule: `false` turns every cleaning stage off, `true` turns every stage
+ * on, and an object turns individual stages on or off.
+ *
+ * @param {*} value - The option as it appears in the JSON file.
+ * @param {string} name - The name of the rule, used in error messages.
+ * @returns {CleaningOverrides|null} The overrides, or `null` if the rule does not set the option.
+ * @throws {Error} If the option is malformed.
+ */
+function normalizeCleaning(value, name) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === "boolean") {
+        return Object.fromEntries(CLEANING_STAGES.map((stage) => [stage, value]));
+    }
+
+    const valid = typeof value === "object"
+        && !Array.isArray(value)
+        && Object.entries(value).every(([stage, enabled]) => CLEANING_STAGES.includes(stage) && typeof enabled === "boolean");
+    if (!valid) {
+        throw new Error(`Routing rule "${name}" has an invalid "clean" option; expected true, false or an object with ${CLEANING_STAGES.join(", ")} set to true or false.`);
+    }
+    return { ...value };
+}
+
+/**
+ * Normalizes the `render` option of a rule: a format such as "pdf", `false` to turn rendering off, or an
+ * object with `format` and `mode`.
+ *
+ * @param {*} value - The option as it appears in the JSON file.
+ * @param {string} name - The name of the rule, used in error messages.
+ * @returns {RenderOverrides|null} The overrides, or `null` if the rule does not set the option.
+ * @throws {Error} If the option is malformed.
+ */
+function normalizeRendering(value, name) {
+    if (value === undefined || value === null) return null;
+    if (value === false) return { format: "none" };
+    const overrides = typeof value === "string" ? { format: value } : value;
+
+    const valid = typeof overrides === "object"
+        && !Array.isArray(overrides)
+        && Object.keys(overrides).every((key) => key === "format" || key === "mode")
+        && (overrides.format === undefined || RENDER_FORMATS.includes(overrides.format))
+        && (overrides.mode === undefined || RENDER_MODES.includes(overrides.mode));
+    if (!valid) {
+        throw new Error(`Routing rule "${name}" has an invalid "render" option; expected false, one of ${RENDER_FORMATS.join(", ")}, or an object with "format" and "mode" (${RENDER_MODES.join(" or ")}).`);
+    }
+    return { ...overrides };
+}
+
+/**
+ * Normalizes the `digest` option of a rule: "hourly", "daily", or an object with `schedule`, `at` and `attachments`.
+ *
+ * @param {*} value - The option as it appears in the JSON file.
+ * @param {string} name - The name of the rule, used in error messages and as the name of the digest.
+ * @returns {DigestSettings|null} The digest settings, or `null` if the rule forwards emails one by one.
+ * @throws {Error} If the option is malformed.
+ */
+function normalizeDigest(value, name) {
+    if (value === undefined || value === null || value === false) return null;
+    const settings = typeof value === "string" ? { schedule: value } : value;
+
+    const valid = typeof settings === "object"
+        && !Array.isArray(settings)
+        && Object.keys(settings).every((key) => ["schedule", "at", "attachments"].includes(key))
+        && DIGEST_SCHEDULES.includes(settings.schedule)
+        && (settings.at === undefined || (settings.schedule === "daily" && isTimeOfDay(settings.at)))
+        && (settings.attachments === undefined || DIGEST_ATTACHMENTS.includes(settings.attachments));
+    if (!valid) {
+        throw new Error(`Routing rule "${name}" has an invalid "digest" option; expected ${DIGEST_SCHEDULES.join(" or ")}, or an object with "schedule", "at" (a daily time such as "08:00") and "attachments" (${DIGEST_ATTACHMENTS.join(", ")}).`);
+    }
+    return { name, schedule: settings.schedule, at: settings.at || "08:00", attachments: settings.attachments || "none" };
+}
+
+/**
+ * Validates and normalizes a raw rule object from the routing table file.
+ *
+ * @param {object} rawRule - The rule as it appears in the JSON file.
+ * @param {number} index - The position of the rule, used in error messages.
+ * @returns {RoutingRule} The normalized rule.
+ * @throws {Error} If the rule is malformed.
+ */
+function normalizeRule(rawRule, index) {
+    const name = rawRule.name || `rule #${index + 1}`;
+    const rawMatch = rawRule.match || {};
+
+    const match = {
+        from: toList(rawMatch.from),
+        to: toList(rawMatch.to),
+        subject: toList(rawMatch.subject).map((source) => {
+            try {
+                return new RegExp(source, "i");
+            } catch (error) {
+                throw new Error(`Routing rule "${name}" has an invalid subject pattern "${source}": ${error.message}`);
+            }
+        }),
+        label: toList(rawMatch.label).map((label) => label.toLowerCase()),
+    };
+
+    const hasCondition = Object.values(match).some((values) => values.length > 0);
+    if (!hasCondition) {
+        throw new Error(`Routing rule "${name}" must define at least one of match.from, match.to, match.subject or match.label.`);
+    }
+
+    const targets = toList(rawRule.targets);
+    if (targets.length === 0) {
+        throw new Error(`Routing rule "${name}" must define at least one target.`);
+    }
+
+    const template = rawRule.template ?? null;
+    if (template !== null && (typeof template !== "string" || template.trim() === "")) {
+        throw new Error(`Routing rule "${name}" has an invalid template; expected the name of a message template.`);
+    }
+
+    const clean = normalizeCleaning(rawRule.clean, name);
+    const render = normalizeRendering(rawRule.render, name);
+    const digest = normalizeDigest(rawRule.digest, name);
+
+    return { name, match, targets, continue: rawRule.continue === true, urgent: rawRule.urgent === true, template, clean, render, digest };
+}
+
+/**
+ * Builds a routing table from its raw (parsed JSON) representation.
+ *
+ * @param {object} rawTable - The parsed routing table, with optional `rules` and `default` keys.
+ * @param {string[]} fallbackTargets - Targets used when the table does not define a `default` route.
+ * @returns {RoutingTable} The normalized routing table.
+ * @throws {Error} If the table or any of its rules is malformed.
+ */
+function buildRoutingTable(rawTable, fallbackTargets) {
+    const rawRules = rawTable.rules || [];
+    if (!Array.isArray(rawRules)) {
+        throw new Error("Routing table \"rules\" must be an array.");
+    }
+
+    const defaultTargets = toList(rawTable.default);
+    return {
+        rules: rawRules.map(normalizeRule),
+        defaultTargets: defaultTargets.length > 0 ? defaultTargets : toList(fallbackTargets),
+    };
+}
+
+/**
+ * Loads the routing table from a JSON file.
+ * A missing file is not an error: every email then goes to the fallback targets.
+ *
+ * @param {string} filePath - The path to the routing table JSON file.
+ * @param {string|string[]} fallbackTargets - Targets used when no rule matches and the file defines no default.
+ * @returns {RoutingTable} The loaded routing table.
+ * @throws {Error} If the file exists but cannot be parsed or contains invalid rules.
+ */
+function loadRoutingTable(filePath, fallbackTargets) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return buildRoutingTable({}, toList(fallbackTargets));
+    }
+
+    let rawTable;
+    try {
+        rawTable = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to read routing table "${filePath}": ${error.message}`);
+    }
+    return buildRoutingTable(rawTable, toList(fallbackTargets));
+}
+
+/**
+ * Checks whether a processed email satisfies every condition of a routing rule.
+ *
+ * @param {RoutingRule} rule - The rule to test.
+ * @param {object} emailData - The processed email data from GmailService.
+ * @returns {boolean} `true` if the email matches the rule.
+ */
+function matchesRule(rule, emailData) {
+    const { from, to, subject, label } = rule.match;
+
+    if (from.length > 0 && !anyAddress(from, emailData.fromAddress ? [emailData.fromAddress] : [])) {
+        return false;
+    }
+    if (to.length > 0 && !anyAddress(to, emailData.recipients || [])) {
+        return false;
+    }
+    if (subject.length > 0 && !subject.some((regex) => regex.test(emailData.subject || ""))) {
+        return false;
+    }
+    if (label.length > 0) {
+        const mailboxLabels = [emailData.mailbox, ...(emailData.labels || [])]
+            .filter(Boolean)
+            .map((value) => String(value).toLowerCase());
+        if (!label.some((wanted) => mailboxLabels.includes(wanted))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Resolves the list of WhatsApp targets for a processed email.
+ * Rules are evaluated in order; the first matching rule wins unless it sets `continue: true`.
+ *
+ * @param {object} emailData - The processed email data from GmailService.
+ * @param {RoutingTable} routingTable - The routing table to evaluate.
+ * @returns {{targets: string[], rules: string[], urgent: boolean, template: string|null, clean: CleaningOverrides|null, render: RenderOverrides|null, digest: DigestSettings|null}}
+ *   The unique targets, the names of the matched rules, whether any of them is urgent, and the message template,
+ *   body cleaning and render overrides and digest settings of the first matched rule that sets them. When no
+ *   rule matches, `targets` is the default route, `rules` is empty, `urgent` is `false` and `template`, `clean`,
+ *   `render` and `digest` are `null`.
+ */
+function resolveRoute(emailData, routingTable) {
+    const targets = new Set();
+    const matchedRules = [];
+    let urgent = false;
+    let template = null;
+    let clean = null;
+    let render = null;
+    let digest = null;
+
+    for (const rule of routingTable.rules) {
+        if (!matchesRule(rule, emailData)) continue;
+
+        matchedRules.push(rule.name);
+        rule.targets.forEach((target) => targets.add(target));
+        urgent = urgent || rule.urgent;
+        template = template || rule.template;
+        clean = clean || rule.clean;
+        render = render || rule.render;
+        digest = digest || rule.digest;
+        if (!rule.continue) break;
+    }
+
+    if (matchedRules.length === 0) {
+        return { targets: [...routingTable.defaultTargets], rules: [], urgent: false, template: null, clean: null, render: null, digest: null };
+    }
+    return { targets: [...targets], rules: matchedRules, urgent, template, clean, render, digest };
+}
+
+// Export the routing functions for use in other modules.
+module.exports = {
+    anyAddress,
+    buildRoutingTable,
+    loadRoutingTable,
+    matchesRule,
+    resolveRoute,
+    wildcardToRegExp,
+};
@@ -0,0 +1,127 @@
+/**
+ * @file Computes wall-clock times in a time zone, for schedules such as "daily at 08:00".
+ * @module utils/schedule
+ */
+
+/** @type {RegExp} A time of day such as "08:00" or "23:30". */
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Checks whether a value is a valid time of day in 24-hour "HH:MM" form.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} `true` for values such as "08:00".
+ */
+function isTimeOfDay(value) {
+    return typeof value === "string" && TIME_OF_DAY.test(value);
+}
+
+/**
+ * Converts a time of day to minutes after midnight.
+ *
+ * @param {string} value - The time of day, e.g. "08:30".
+ * @returns {number} The minutes after midnight, e.g. 510.
+ */
+function minutesOfDay(value) {
+    const [, hours, minutes] = TIME_OF_DAY.exec(value);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Returns the wall-clock date and time of an instant in a time zone.
+ *
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - The IANA time zone (e.g., "Asia/Jakarta"). Defaults to the server's.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   The wall-clock parts; `month` starts at 1 and `weekday` at 0 for Sunday.
+ */
+function zonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        weekday: "short",
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    };
+}
+
+/**
+ * Finds the instant at which a time zone's clocks show a given date and time. On days when the clocks
+ * change, times that do not exist are moved forward by the change.
+ *
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wallClock - The date and time.
+ * @param {string} [timeZone] - The IANA time zone. Defaults to the server's.
+ * @returns {Date} The instant.
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (instant) => {
+        const parts = zonedParts(new Date(instant), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+    };
+    // The offset at the guessed instant may differ from the offset at the result when the clocks change in between.
+    const first = asUtc - offsetAt(asUtc);
+    return new Date(asUtc - offsetAt(first));
+}
+
+/**
+ * Finds the next instant after `now` at which a time zone's clocks show a given time of day.
+ *
+ * @param {string} at - The time of day, e.g. "08:00".
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {string} [timeZone] - The IANA time zone. Defaults to the server's.
+ * @returns {Date} The next occurrence.
+ */
+function nextTimeOfDay(at, now = new Date(), timeZone) {
+    const minutes = minutesOfDay(at);
+    const today = zonedParts(now, timeZone);
+    for (let dayOffset = 0; dayOffset <= 2; dayOffset++) {
+        // Date.UTC rolls over months and years, so adding days to the wall-clock date is safe.
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+        const candidate = zonedTimeToDate({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: Math.floor(minutes / 60),
+            minute: minutes % 60,
+        }, timeZone);
+        if (candidate > now) return candidate;
+    }
+    throw new Error(`No upcoming ${at} found in time zone "${timeZone}".`);
+}
+
+/**
+ * Finds the start of the next hour after `now` in a time zone (which matters for zones offset by half an hour).
+ *
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {string} [timeZone] - The IANA time zone. Defaults to the server's.
+ * @returns {Date} The start of the next hour.
+ */
+function nextHour(now = new Date(), timeZone) {
+    const { minute, second } = zonedParts(now, timeZone);
+    return new Date(now.getTime() - now.getMilliseconds() + ((60 - minute) * 60 - second) * 1000);
+}
+
+// Export the schedule functions for use in other modules.
+module.exports = {
+    isTimeOfDay,
+    minutesOfDay,
+    nextHour,
+    nextTimeOfDay,
+    zonedParts,
+    zonedTimeToDate,
+};
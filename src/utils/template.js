@@ -0,0 +1,418 @@
+/**
+ * @file A small template engine for WhatsApp messages: placeholders, conditionals, loops and helpers.
+ * @module utils/template
+ * @requires ./formatter
+ */
+
+const { formatFileSize } = require("./formatter");
+
+/**
+ * Options that affect how values are rendered.
+ *
+ * @typedef {object} RenderOptions
+ * @property {string} [locale] - The BCP 47 locale for dates (e.g., "id-ID"). Defaults to the server's locale.
+ * @property {string} [timeZone] - The IANA time zone for dates (e.g., "Asia/Jakarta"). Defaults to the server's.
+ */
+
+/**
+ * A compiled template.
+ *
+ * @typedef {object} CompiledTemplate
+ * @property {string} name - The name of the template, used in error messages.
+ * @property {function(object, RenderOptions=): string} render - Renders the template with the given values.
+ */
+
+/** @type {string[]} The date format presets, passed to `Intl.DateTimeFormat` as `dateStyle`. */
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+/** @type {RegExp} The tokens of a custom date format, such as "dd MMM yyyy HH:mm". Text in single quotes is literal. */
+const DATE_TOKENS = /yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a|'[^']*'/g;
+
+/**
+ * Collects the parts of a date as formatted by `Intl.DateTimeFormat`.
+ *
+ * @param {Date} date - The date.
+ * @param {string|undefined} locale - The locale.
+ * @param {object} options - The `Intl.DateTimeFormat` options.
+ * @returns {Object<string, string>} The formatted parts by type (e.g., `{ month: "March" }`).
+ */
+function dateParts(date, locale, options) {
+    const parts = new Intl.DateTimeFormat(locale, options).formatToParts(date);
+    return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+}
+
+/**
+ * Formats a date in the configured locale and time zone.
+ *
+ * @param {Date|string|number} value - The date.
+ * @param {string} [format] - A preset ("short", "medium", "long", "full"), or tokens such as "dd MMM yyyy HH:mm".
+ *   Without a format, the locale's usual date and time format is used.
+ * @param {RenderOptions} [options] - The locale and time zone.
+ * @returns {string} The formatted date, or an empty string if the value is not a valid date.
+ */
+function formatDate(value, format, { locale, timeZone } = {}) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === null || value === undefined || value === "" || Number.isNaN(date.getTime())) return "";
+
+    const zone = timeZone ? { timeZone } : {};
+    if (!format) {
+        return date.toLocaleString(locale || undefined, zone);
+    }
+    if (DATE_STYLES.includes(format)) {
+        return date.toLocaleString(locale || undefined, { ...zone, dateStyle: format, timeStyle: "short" });
+    }
+
+    // Numbers are always taken in Latin digits; names (months, weekdays, AM/PM) follow the locale.
+    const numbers = dateParts(date, "en-US", {
+        ...zone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        hourCycle: "h23",
+    });
+    const hour = parseInt(numbers.hour, 10);
+    const pad = (number) => String(number).padStart(2, "0");
+    const named = (options) => dateParts(date, locale || undefined, { ...zone, ...options });
+
+    return format.replace(DATE_TOKENS, (token) => {
+        switch (token) {
+            case "yyyy": return numbers.year;
+            case "yy": return numbers.year.slice(-2);
+            case "MMMM": return named({ month: "long" }).month;
+            case "MMM": return named({ month: "short" }).month;
+            case "MM": return pad(numbers.month);
+            case "M": return numbers.month;
+            case "dd": return pad(numbers.day);
+            case "d": return numbers.day;
+            case "EEEE": return named({ weekday: "long" }).weekday;
+            case "EEE": return named({ weekday: "short" }).weekday;
+            case "HH": return pad(hour);
+            case "H": return String(hour);
+            case "hh": return pad(hour % 12 || 12);
+            case "h": return String(hour % 12 || 12);
+            case "mm": return pad(numbers.minute);
+            case "ss": return pad(numbers.second);
+            case "a": return named({ hour: "numeric", hour12: true }).dayPeriod || (hour < 12 ? "AM" : "PM");
+            default: return token.slice(1, -1);
+        }
+    });
+}
+
+/**
+ * The helpers available after a `|` in a placeholder, e.g. `{{ body | truncate 500 }}`.
+ * Each helper receives the value, its arguments and the render options.
+ * @type {Object<string, function(*, Array, RenderOptions): *>}
+ */
+const HELPERS = {
+    date: (value, [format], options) => formatDate(value, format, options),
+    truncate: (value, [length = 100, suffix = "…"]) => {
+        const text = toText(value);
+        if (text.length <= length) return text;
+        return `${text.slice(0, Math.max(0, length - suffix.length)).trimEnd()}${suffix}`;
+    },
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    trim: (value) => toText(value).trim(),
+    default: (value, [fallback = ""]) => (isTruthy(value) ? value : fallback),
+    fileSize: (value) => (typeof value === "number" ? formatFileSize(value) : ""),
+    join: (value, [separator = ", "]) => (Array.isArray(value) ? value.map((item) => toText(item)).join(separator) : toText(value)),
+};
+
+/**
+ * Converts a value to the text it renders as.
+ *
+ * @param {*} value - The value.
+ * @param {RenderOptions} [options] - The locale and time zone, for dates.
+ * @returns {string} The text.
+ */
+function toText(value, options = {}) {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return formatDate(value, undefined, options);
+    if (Array.isArray(value)) return value.map((item) => toText(item, options)).join(", ");
+    return String(value);
+}
+
+/**
+ * Checks whether a value counts as "true" in `#if` and `#unless`. Empty strings and empty lists do not.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} Whether the value is truthy.
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+/**
+ * Splits template source into text and tag tokens.
+ *
+ * @param {string} source - The template source.
+ * @returns {{type: string, value: string, line: number}[]} The tokens.
+ */
+function tokenize(source) {
+    const tokens = [];
+    const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(source)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: "text", value: source.slice(lastIndex, match.index) });
+        }
+        const line = source.slice(0, match.index).split("\n").length;
+        tokens.push({ type: "tag", value: match[1], line });
+        lastIndex = tagPattern.lastIndex;
+    }
+    if (lastIndex < source.length) {
+        tokens.push({ type: "text", value: source.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+/**
+ * Removes the lines of block tags that stand alone on their line (e.g., `{{#if attachments}}`), so that
+ * templates can be written one tag per line without leaving empty lines in the message.
+ *
+ * @param {{type: string, value: string}[]} tokens - The tokens, modified in place.
+ */
+function stripStandaloneTags(tokens) {
+    // Decide on the original text first; stripping one tag's line must not affect its neighbour's decision.
+    const standalone = tokens.map((token, index) => {
+        if (token.type !== "tag" || !/^[#/!]|^else$/.test(token.value)) return false;
+
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        const startsLine = !previous
+            || (previous.type === "text" && /(^|\n)[ \t]*$/.test(previous.value) && (index === 1 || previous.value.includes("\n")));
+        const endsLine = !next
+            || (next.type === "text" && /^[ \t]*(\r?\n|$)/.test(next.value) && (index === tokens.length - 2 || next.value.includes("\n")));
+        return startsLine && endsLine;
+    });
+
+    standalone.forEach((isStandalone, index) => {
+        if (!isStandalone) return;
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        if (previous) previous.value = previous.value.replace(/[ \t]*$/, "");
+        if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, "");
+    });
+}
+
+/**
+ * Parses a placeholder expression such as `date | date "dd MMM yyyy"` or `"text"`.
+ *
+ * @param {string} source - The expression.
+ * @param {function(string): Error} fail - Creates an error that names the template and line.
+ * @returns {{value: object, helpers: {name: string, args: object[]}[]}} The parsed expression.
+ */
+function parseExpression(source, fail) {
+    const segments = [];
+    let current = "";
+    let quote = null;
+    for (const char of source) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "\"" || char === "'") {
+            quote = char;
+        } else if (char === "|") {
+            segments.push(current);
+            current = "";
+            continue;
+        }
+        current += char;
+    }
+    if (quote) throw fail(`unterminated string in "${source}"`);
+    segments.push(current);
+
+    const parseArguments = (text) => {
+        const args = [];
+        const argPattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = argPattern.exec(text)) !== null) {
+            if (match[1] !== undefined) args.push({ literal: match[1].replace(/\\(.)/g, "$1") });
+            else if (match[2] !== undefined) args.push({ literal: match[2] });
+            else if (/^-?\d+(\.\d+)?$/.test(match[3])) args.push({ literal: parseFloat(match[3]) });
+            else if (match[3] === "true" || match[3] === "false") args.push({ literal: match[3] === "true" });
+            else args.push({ path: match[3] });
+        }
+        return args;
+    };
+
+    const [valueSource, ...helperSources] = segments.map((segment) => segment.trim());
+    const values = parseArguments(valueSource);
+    if (values.length !== 1) throw fail(`expected a single value in "${source}"`);
+
+    const helpers = helperSources.map((helperSource) => {
+        const [name, ...rest] = helperSource.split(/\s+/);
+        if (!Object.prototype.hasOwnProperty.call(HELPERS, name)) {
+            throw fail(`unknown helper "${name}". Available helpers: ${Object.keys(HELPERS).join(", ")}`);
+        }
+        return { name, args: parseArguments(rest.join(" ")) };
+    });
+    return { value: values[0], helpers };
+}
+
+/**
+ * Parses template source into a tree of nodes.
+ *
+ * @param {string} source - The template source.
+ * @param {string} name - The name of the template, for error messages.
+ * @returns {object[]} The nodes.
+ * @throws {Error} If a tag is malformed or a block is not closed.
+ */
+function parse(source, name) {
+    const tokens = tokenize(source);
+    stripStandaloneTags(tokens);
+
+    const root = { children: [] };
+    const stack = [root];
+    for (const token of tokens) {
+        const fail = (message) => new Error(`Template "${name}", line ${token.line}: ${message}`);
+        const parent = stack[stack.length - 1];
+        const target = parent.inElse ? parent.otherwise : parent.children;
+
+        if (token.type === "text") {
+            if (token.value) target.push({ type: "text", value: token.value });
+            continue;
+        }
+
+        const tag = token.value;
+        if (tag.startsWith("!")) continue; // A comment.
+
+        const block = /^#(if|unless|each)\s+(.+)$/.exec(tag);
+        if (block) {
+            const node = { type: block[1], expression: parseExpression(block[2], fail), children: [], otherwise: [], line: token.line };
+            target.push(node);
+            stack.push(node);
+        } else if (tag === "else") {
+            if (stack.length === 1 || parent.inElse) throw fail("{{else}} outside of a block");
+            parent.inElse = true;
+        } else if (tag.startsWith("/")) {
+            const closing = tag.slice(1).trim();
+            if (stack.length === 1) throw fail(`{{/${closing}}} without a matching {{#${closing}}}`);
+            if (parent.type !== closing) throw fail(`{{/${closing}}} closes {{#${parent.type}}} from line ${parent.line}`);
+            delete parent.inElse;
+            stack.pop();
+        } else if (tag.startsWith("#")) {
+            throw fail(`unknown block "${tag}". Use #if, #unless or #each`);
+        } else {
+            target.push({ type: "output", expression: parseExpression(tag, fail) });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Template "${name}", line ${open.line}: {{#${open.type}}} is never closed`);
+    }
+    return root.children;
+}
+
+/**
+ * Looks up a value by its dotted path, starting with the innermost scope.
+ *
+ * @param {string} path - The path (e.g., "attachments.length", "this", "@number").
+ * @param {object[]} scopes - The scopes, outermost first.
+ * @returns {*} The value, or `undefined`.
+ */
+function lookup(path, scopes) {
+    const [first, ...rest] = path.split(".");
+    const innermost = scopes[scopes.length - 1];
+    let value;
+    if (first === "this") {
+        value = "this" in innermost ? innermost.this : innermost;
+    } else {
+        const scope = [...scopes].reverse().find((candidate) => first in candidate);
+        value = scope?.[first];
+    }
+    for (const key of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Evaluates a parsed expression.
+ *
+ * @param {object} expression - The parsed expression.
+ * @param {object[]} scopes - The scopes, outermost first.
+ * @param {RenderOptions} options - The render options.
+ * @returns {*} The value.
+ */
+function evaluateExpression(expression, scopes, options) {
+    const valueOf = (arg) => ("literal" in arg ? arg.literal : lookup(arg.path, scopes));
+    return expression.helpers.reduce(
+        (value, helper) => HELPERS[helper.name](value, helper.args.map(valueOf), options),
+        valueOf(expression.value),
+    );
+}
+
+/**
+ * Renders a list of nodes.
+ *
+ * @param {object[]} nodes - The nodes.
+ * @param {object[]} scopes - The scopes, outermost first.
+ * @param {RenderOptions} options - The render options.
+ * @returns {string} The rendered text.
+ */
+function renderNodes(nodes, scopes, options) {
+    return nodes.map((node) => {
+        switch (node.type) {
+            case "text":
+                return node.value;
+            case "output":
+                return toText(evaluateExpression(node.expression, scopes, options), options);
+            case "if":
+            case "unless": {
+                const truthy = isTruthy(evaluateExpression(node.expression, scopes, options));
+                const branch = truthy === (node.type === "if") ? node.children : node.otherwise;
+                return renderNodes(branch, scopes, options);
+            }
+            case "each": {
+                const items = evaluateExpression(node.expression, scopes, options);
+                if (!Array.isArray(items) || items.length === 0) return renderNodes(node.otherwise, scopes, options);
+                return items.map((item, index) => {
+                    // Objects expose their fields directly; any item is available as "this".
+                    const scope = item && typeof item === "object" ? Object.create(item) : {};
+                    Object.assign(scope, { this: item, "@index": index, "@number": index + 1, "@last": index === items.length - 1 });
+                    return renderNodes(node.children, [...scopes, scope], options);
+                }).join("");
+            }
+            default:
+                return "";
+        }
+    }).join("");
+}
+
+/**
+ * Compiles a template.
+ *
+ * Placeholders are written as `{{ subject }}`, with optional helpers: `{{ date | date "dd MMM yyyy" }}`,
+ * `{{ body | truncate 500 }}`. Blocks are `{{#if x}}…{{else}}…{{/if}}`, `{{#unless x}}…{{/unless}}` and
+ * `{{#each list}}…{{/each}}`, where the fields of each item, `this`, `@index` and `@number` are available.
+ * `{{! comments }}` are ignored.
+ *
+ * @param {string} source - The template source.
+ * @param {string} [name="template"] - The name of the template, for error messages.
+ * @returns {CompiledTemplate} The compiled template.
+ * @throws {Error} If the template has a syntax error; the message names the template and line.
+ */
+function compileTemplate(source, name = "template") {
+    if (typeof source !== "string") {
+        throw new Error(`Template "${name}" must be a string.`);
+    }
+    const nodes = parse(source, name);
+    return {
+        name,
+        render: (values, options = {}) => renderNodes(nodes, [values], options),
+    };
+}
+
+// Export the template functions for use in other modules.
+module.exports = {
+    HELPERS,
+    compileTemplate,
+    formatDate,
+};